@@ -1,83 +1,102 @@
+const path = require('path');
+// Loaded before anything else: modules read their settings from the environment when required
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
-const path = require('path');
-const { repairJsonString } = require('../jsonRepair');
-const { retrieve, formatRagContext } = require('../utils/ragEngine');
-const { runDeepEvalMetricsMock } = require('../utils/evalMetrics');
+const { completeJson, SchemaValidationError } = require('../utils/structuredOutput');
+const schemas = require('../utils/schemas');
 const { logTrace, testLangfuseConnection } = require('../utils/observability');
 const AgenticEngine = require('../utils/agenticEngine');
-
-
-// Import Groq SDK - handle both CommonJS and ESM exports
-let Groq;
-try {
-  const groqModule = require('groq-sdk');
-  console.log(`[${new Date().toISOString()}] Groq module loaded:`, Object.keys(groqModule).slice(0, 5));
-  Groq = groqModule.default || groqModule;
-  console.log(`[${new Date().toISOString()}] Groq constructor type:`, typeof Groq);
-} catch (err) {
-  console.error('Failed to import Groq SDK:', err.message);
-  console.error('Stack:', err.stack);
-}
-
-require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { getLLM, describeProviders } = require('../utils/llmProvider');
+const { getEvalCache, shouldBypassCache, isCacheEnabled } = require('../utils/evalCache');
+const { renderPrompt, listPrompts, getTemplate, PromptError } = require('../utils/promptRegistry');
+const { evaluateUserStory, evaluateTestCase, evaluateAcceptanceCriteria, generateUserStories, splitStory, analyzeConsistency, generateTestCases } = require('../utils/evaluationPipeline');
+const { openEventStream } = require('../utils/sse');
+const { usageContext, usageResponse, attachUsage, aggregateUsage, getPriceTable, getUsageContext, GROUP_BY_OPTIONS } = require('../utils/usageTracker');
+const { requestPriority, getScheduler, SchedulerError } = require('../utils/llmScheduler');
+const { getMaxSamples } = require('../utils/selfConsistency');
+const { listRubrics, getRubric, saveRubric, summarizeRubric, RubricError, ARTIFACT_TYPES } = require('../utils/rubricRegistry');
+const { lintUserStory, listLintRules } = require('../utils/storyLinter');
+const { listTestCaseSmells } = require('../utils/testCaseParser');
+const { isGherkin, analyzeGherkin, listGherkinRules } = require('../utils/gherkinParser');
+const { PATTERN_IDS, listSplitPatterns } = require('../utils/storySplitting');
+const { buildMatrix, uncoveredCriteria, uncoveredToCsv } = require('../utils/traceability');
+const { findDuplicates } = require('../utils/duplicateDetection');
+const { getHistoryStore, recordRun, KINDS, VERSION_SOURCES } = require('../utils/historyStore');
+const { diffVersions } = require('../utils/artifactDiff');
+const { listProjects, getProject, createProject, updateProject, deleteProject, projectScope, withIntegrationDefaults, ProjectError } = require('../utils/projects');
+const { authenticate, requireRole, isAuthRequired, login, signInWithProvider, signToken, verifyToken, listUsers, createUser, updateUser, deleteUser, ensureBootstrapAdmin, AuthError, ROLES } = require('../utils/auth');
+const { getIdentityProvider, listIdentityProviders } = require('../utils/oidc');
+const { createApiKey, listApiKeys, getApiKey, updateApiKey, rotateApiKey, revokeApiKey, authenticateApiKey } = require('../utils/apiKeys');
+const { buildOpenApiDocument, documentBody, documentResponses, undocumentedRoutes, listEndpoints } = require('../utils/openapi');
 
 const app = express();
 app.use(express.json());
 app.use(cors());
+// X-API-Key signs a request in as the key's owner, limited to the key's scopes and quota;
+// otherwise Authorization: Bearer <session token> signs it in as `req.user`. Routes check roles with requireRole
+app.use(authenticateApiKey);
+app.use(authenticate);
+// Meter LLM calls per request and stamp a `usage` summary into JSON responses
+app.use(usageContext);
+app.use(usageResponse);
+// X-Project-Id scopes a request to a project: its rubrics, knowledge base, integrations and history.
+// The /projects routes are left unscoped so a client holding a deleted project id can still list projects.
+app.use((req, res, next) => (req.path.startsWith('/projects') ? next() : projectScope(req, res, next)));
+// X-Priority: bulk queues a request's LLM calls behind interactive traffic
+app.use(requestPriority);
 
 // Serve static files from frontend build
 // app.use(express.static(path.join(__dirname, '../../frontend/build')));
 
-// Root endpoint
+// Root endpoint: every route, from the router (the OpenAPI document at /openapi.json describes them)
 app.get('/', (req, res) => {
-  res.json({ 
+  res.json({
     message: 'US Evaluator API is running',
-    endpoints: {
-      health: '/health',
-      evaluate: 'POST /evaluate',
-      evaluateTestCase: 'POST /evaluate-test-case',
-      generateTestCases: 'POST /generate-test-cases',
-      generateTestCasesFromImage: 'POST /generate-test-cases-from-image',
-      testGroq: 'GET /test-groq'
-    }
+    docs: '/docs',
+    openapi: '/openapi.json',
+    endpoints: listEndpoints(app)
   });
 });
 
 const PORT = process.env.PORT || 5000;
-const MODEL = process.env.MODEL || 'llama-3.1-8b-instant';
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
 
-// Check if API key is configured
-if (!GROQ_API_KEY || GROQ_API_KEY.trim() === '') {
-  console.error('ERROR: GROQ_API_KEY environment variable is not set!');
-  console.error('Please set GROQ_API_KEY in your environment or .env file');
-}
+// Default provider; individual endpoints may be routed elsewhere via LLM_PROVIDER_<ENDPOINT>
+const llm = getLLM();
+const MODEL = llm ? llm.model : (process.env.MODEL || 'llama-3.1-8b-instant');
 
-let groq = null;
-try {
-  if (!Groq) {
-    throw new Error('Groq SDK not loaded - check import above');
-  }
-  
-  const cleanKey = (GROQ_API_KEY || '').trim();
-  console.log(`[${new Date().toISOString()}] Initializing Groq with API key length: ${cleanKey.length}`);
-  
-  groq = new Groq({
-    apiKey: cleanKey
-  });
-  
-  console.log(`[${new Date().toISOString()}] Groq SDK initialized successfully`);
-} catch (err) {
-  console.error(`[${new Date().toISOString()}] Failed to initialize Groq SDK:`, err.message);
+if (!llm) {
+  console.error('ERROR: No LLM provider could be initialized!');
+  console.error('Set LLM_PROVIDER and the matching API key (e.g. GROQ_API_KEY) in your environment or .env file');
 }
 
 console.log(`[${new Date().toISOString()}] Server starting...`);
+console.log(`[${new Date().toISOString()}] Provider: ${llm ? llm.name : 'none'}`);
 console.log(`[${new Date().toISOString()}] Model: ${MODEL}`);
-console.log(`[${new Date().toISOString()}] API Key configured: ${!!GROQ_API_KEY}`);
-console.log(`[${new Date().toISOString()}] Groq client ready: ${!!groq}`);
+console.log(`[${new Date().toISOString()}] LLM client ready: ${!!llm}`);
 
-const agenticEngine = groq ? new AgenticEngine(groq, MODEL) : null;
+console.log(`[${new Date().toISOString()}] Auth: ${isAuthRequired() ? 'required' : 'off'}`);
+ensureBootstrapAdmin();
+
+const agenticLLM = getLLM('agentic');
+const agenticEngine = agenticLLM ? new AgenticEngine(agenticLLM) : null;
+
+// Maps provider errors to a user-facing message shared by the evaluate/generate routes
+function describeLLMError(error, provider) {
+  const label = provider.name;
+  if (error.status === 401 || error.status === 403 || error.message.includes('401') || error.message.includes('Unauthorized')) {
+    return `${label} API key is invalid or expired.`;
+  }
+  if (error.message.includes('API key')) return `${label} API key error. Verify the provider API key is set correctly.`;
+  if (error.status === 429 || error.message.includes('rate limit')) return 'Rate limit exceeded. Please try again in a moment.';
+  if (error.message.includes('JSON')) return 'Failed to parse API response. Model may not have returned valid JSON.';
+  if (error.message.includes('model') || error.message.includes('Model')) {
+    return `Model error: ${error.message}. Check if model '${provider.model}' is available on ${label}.`;
+  }
+  return null;
+}
 
 
 // Repair common JSON issues returned by LLM (quotes, trailing commas, unquoted keys, comments, unbalanced braces)
@@ -102,6 +121,10 @@ const validateUserStory = (req, res, next) => {
   
   next();
 };
+documentBody(validateUserStory, {
+  required: ['userStory'],
+  properties: { userStory: { type: 'string', minLength: 10, maxLength: 2000 } }
+});
 
 // Test case validation middleware
 const validateTestCase = (req, res, next) => {
@@ -119,353 +142,339 @@ const validateTestCase = (req, res, next) => {
     return res.status(400).json({ error: 'testCase must be at least 10 characters long' });
   }
   
-  if (testCase.length > 2000) {
-    return res.status(400).json({ error: 'testCase must not exceed 2000 characters' });
+  // Gherkin features hold several scenarios, so they get more room than a single test case
+  const maxLength = isGherkin(testCase) ? 8000 : 2000;
+  if (testCase.length > maxLength) {
+    return res.status(400).json({ error: `testCase must not exceed ${maxLength} characters` });
+  }
+
+  const { linkedStory } = req.body;
+  if (linkedStory !== undefined && linkedStory !== null && (typeof linkedStory !== 'string' || linkedStory.length > 2000)) {
+    return res.status(400).json({ error: 'linkedStory must be a string of at most 2000 characters' });
   }
   
   next();
 };
+documentBody(validateTestCase, {
+  required: ['testCase'],
+  properties: {
+    testCase: { type: 'string', minLength: 10, maxLength: 8000, description: 'Numbered steps (at most 2000 characters) or a Gherkin feature' },
+    linkedStory: { type: ['string', 'null'], maxLength: 2000, description: 'The user story the test case verifies' }
+  }
+});
 
-// Calculate health metrics based on evaluation parameters and optional DeepEval metrics
-function calculateHealthMetrics(parameters, deepEval = null) {
-  const scoreMap = {};
-  if (Array.isArray(parameters)) {
-    parameters.forEach(param => {
-      scoreMap[param.name] = param.score;
-    });
+// Optional evaluation settings: self-consistency sample count and rubric (id or inline definition)
+const validateEvaluationOptions = (req, res, next) => {
+  const { samples, rubric } = req.body;
+
+  const maxSamples = getMaxSamples();
+  if (samples !== undefined && samples !== null && (!Number.isInteger(samples) || samples < 1 || samples > maxSamples)) {
+    return res.status(400).json({ error: `samples must be an integer between 1 and ${maxSamples}` });
   }
 
-  // If DeepEval is NOT enabled, do not return estimated metrics. 
-  // Returning derived metrics causes UI confusion when the user toggles the DeepEval checkbox.
-  if (!deepEval || typeof deepEval !== 'object') {
-    return null;
+  if (rubric !== undefined && rubric !== null && typeof rubric !== 'string' && (typeof rubric !== 'object' || Array.isArray(rubric))) {
+    return res.status(400).json({ error: 'rubric must be a rubric id or a rubric object' });
   }
-  // Helper to get case-insensitive key
-  const getVal = (targetKey) => {
-    const key = Object.keys(deepEval).find(k => k.toLowerCase() === targetKey.toLowerCase());
-    return key ? deepEval[key] : null;
-  };
 
-  const dFaithfulness = getVal('Faithfulness');
-  const dRecall = getVal('Contextual Recall');
-  const dCorrectness = getVal('Answer Correctness');
-  const dPrecision = getVal('Contextual Precision');
+  next();
+};
+documentBody(validateEvaluationOptions, () => ({
+  properties: {
+    samples: { type: 'integer', minimum: 1, maximum: getMaxSamples(), description: 'Self-consistency: evaluate this many times and combine the results' },
+    rubric: { oneOf: [{ type: 'string' }, { $ref: '#/components/schemas/RubricDefinition' }], description: 'A rubric id, or an inline rubric' }
+  }
+}));
 
-  return {
-    'Faithfulness': dFaithfulness ? Math.round(dFaithfulness.score * 100) : 0,
-    'Coverage': dRecall ? Math.round(dRecall.score * 100) : 0,
-    'Compliance': dCorrectness ? Math.round(dCorrectness.score * 100) : 0,
-    'Execution Rate': dPrecision ? Math.round(dPrecision.score * 100) : 0
-  };
-}
+// Optional test case `format`: numbered steps or Gherkin ('auto' detects it when evaluating)
+const validateFormat = (formats) => documentBody((req, res, next) => {
+  const { format } = req.body;
+  if (format !== undefined && format !== null && !formats.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${formats.join(', ')}` });
+  }
+  next();
+}, { properties: { format: { enum: formats, default: formats[0] } } });
 
-app.post('/evaluate', validateUserStory, async (req, res) => {
-  const { userStory, runDeepEval } = req.body;
-  console.log(`[${new Date().toISOString()}] Evaluating user story of ${userStory.length} characters`);
+// Feature/epic validation middleware for the generation endpoints
+const validateFeature = (req, res, next) => {
+  const { feature } = req.body;
 
-  // Guard: Check if Groq is initialized
-  if (!groq) {
-    return res.status(500).json({
-      error: 'Groq API is not properly initialized',
-      message: 'The server needs to be restarted. Contact administrator.'
-    });
+  if (!feature || typeof feature !== 'string' || feature.trim().length < 5) {
+    return res.status(400).json({ error: 'Feature description must be at least 5 characters' });
   }
 
-  const ragExamples = await retrieve(userStory, "user_story", 3);
-  const ragContext = formatRagContext(ragExamples, "user_story");
-
-  const prompt = `
-    Analyze this User Story: "${userStory}"
-    ${ragContext}
-    Evaluate it using the INVEST criteria. For each criterion, assign a score from 1 (poor) to 5 (excellent) and provide a brief breakdown.
-    Only assign a score of 5 if ALL aspects of the criterion are fully met with no gaps. If any aspect is missing or unclear, reduce the score accordingly. Be critical and realistic in your assessment.
-    - Independent: The story should stand alone and not depend on others to avoid scheduling bottlenecks.
-    - Negotiable: It acts as a reminder for a conversation rather than a rigid contract.
-    - Valuable: It must deliver clear value to the end user or business.
-    - Estimable: The team must understand it well enough to estimate the effort.
-    - Small: It should fit within a single iteration or sprint.
-    - Testable: It includes clear acceptance criteria to verify completion.
-    For each criterion, justify the score and explain what is missing if the score is less than 5.
-    IMPORTANT: Do NOT include any emojis, icons, or special non-ASCII characters in your findings or recommendations. Use only standard text.
-    Return ONLY a JSON object in this format:
-    {
-      "totalScore": number, // sum of all 6 criteria (max 30)
-      "parameters": [
-        { "name": "Independent", "score": number, "findings": "string" },
-        { "name": "Negotiable", "score": number, "findings": "string" },
-        { "name": "Valuable", "score": number, "findings": "string" },
-        { "name": "Estimable", "score": number, "findings": "string" },
-        { "name": "Small", "score": number, "findings": "string" },
-        { "name": "Testable", "score": number, "findings": "string" }
-      ],
-      "investOverview": "A detailed 3-4 sentence overview explaining the overall INVEST score for this user story. Justify the score and highlight its strengths and weaknesses.",
-      "grade": "A" | "B" | "C" | "D", // A: 27-30, B: 22-26, C: 16-21, D: 6-15
-      "recommendations": ["string", "string", "string"]
-    }
-  `;
+  next();
+};
+documentBody(validateFeature, { required: ['feature'], properties: { feature: { type: 'string', minLength: 5, description: 'The feature or epic' } } });
+
+// Maps a pipeline failure shared by every evaluate/generate route to { status, body },
+// or returns null when the route should fall back to its own error message
+function describePipelineError(error) {
+  // Replay mode without a recorded response: keep the message naming the missing prompt hash
+  if (error.code === 'REPLAY_MISS') return { status: error.status, body: { error: error.message, code: error.code } };
+  if (error instanceof SchemaValidationError) return { status: 502, body: error.toResponse() };
+  if (error instanceof PromptError) return { status: error.status, body: error.toResponse() };
+  if (error instanceof RubricError) return { status: error.status, body: error.toResponse() };
+  if (error instanceof SchedulerError) {
+    return { status: error.status, body: error.toResponse(), retryAfter: error.retryAfterSeconds };
+  }
+  return null;
+}
 
+// Answers with a rate-limit/queue error from the LLM scheduler, telling the client when to retry
+function sendSchedulerError(res, error) {
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(error.status).json(error.toResponse());
+}
+
+// Runs a pipeline and answers with a single JSON response
+const respondJson = (run, describeError) => async (req, res) => {
   try {
-    const message = await groq.chat.completions.create({
-      model: MODEL,
-      temperature: 0.0,
-      response_format: { type: "json_object" },
-      max_tokens: 2048,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
+    res.json(await run(req));
+  } catch (error) {
+    const { status, body, retryAfter } = describeError(error);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    res.status(status).json(body);
+  }
+};
+
+// Runs a pipeline over Server-Sent Events: `progress` and `partial` events while it works,
+// then a final `result` (same body as the JSON route) or `error` event
+const respondStream = (run, describeError) => async (req, res) => {
+  const stream = openEventStream(res);
+  try {
+    const result = await run(req, {
+      onProgress: (event) => stream.send('progress', event),
+      onPartial: (partial) => stream.send('partial', partial)
     });
+    stream.send('result', attachUsage(result));
+  } catch (error) {
+    const { status, body } = describeError(error);
+    stream.send('error', attachUsage({ status, ...body }));
+  } finally {
+    stream.end();
+  }
+};
 
-    console.log(`[${new Date().toISOString()}] Groq API response received`);
-    
-    if (!message.choices || !message.choices[0]) {
-      throw new Error('Invalid response structure from Groq API');
-    }
-    
-    const content = message.choices[0].message.content;
-    console.log(`[${new Date().toISOString()}] Response content (first 500 chars):`, content.substring(0, 500));
-    
-    const repaired = repairJsonString(content);
-    console.log(`[${new Date().toISOString()}] Repaired JSON (first 500 chars):`, repaired.substring(0, 500));
-    
-    const result = JSON.parse(repaired);
+// Who a recorded run belongs to: its project, the signed-in user and the API key it was made with
+const runScope = (req) => ({
+  project: req.project ? req.project.id : null,
+  user: req.user ? req.user.username : null,
+  apiKey: req.apiKey ? req.apiKey.id : null
+});
 
-    // Enforce deterministic math: LLMs are bad at addition, so recalculate the total score and grade
-    if (result.parameters && Array.isArray(result.parameters)) {
-      result.totalScore = result.parameters.reduce((sum, p) => sum + (Number(p.score) || 0), 0);
-      result.grade = result.totalScore >= 27 ? 'A' : result.totalScore >= 22 ? 'B' : result.totalScore >= 16 ? 'C' : 'D';
-    }
+// Wraps a pipeline run so each successful run is written to the history store, tagged with runScope
+const recorded = (kind, endpoint, artifactType, run) => async (req, callbacks) => {
+  const startedAt = Date.now();
+  const result = await run(req, callbacks);
+  recordRun({ kind, endpoint, artifactType, input: req.body, output: result, ...runScope(req), startedAt });
+  return result;
+};
 
-    result.ragContext = ragExamples.map(ex => ({
-      id: ex.id, quality: ex.quality, text: ex.text ? ex.text.substring(0, 200) : "", relevanceScore: ex.score
-    }));
+// User story evaluation endpoint
+const runEvaluate = recorded('evaluation', 'evaluate', 'user_story', (req, callbacks) => {
+  const { userStory, runDeepEval, samples, rubric } = req.body;
+  console.log(`[${new Date().toISOString()}] Evaluating user story of ${userStory.length} characters${samples > 1 ? ` (${samples} samples)` : ''}`);
+  return evaluateUserStory({
+    userStory, runDeepEval, samples, rubric,
+    project: req.project,
+    bypassCache: shouldBypassCache(req)
+  }, callbacks);
+});
 
-    if (runDeepEval) {
-      result.deepEvalMetric = await runDeepEvalMetricsMock(groq, MODEL, userStory);
-    }
-    
-    // Calculate health metrics
-    const healthMetrics = calculateHealthMetrics(result.parameters, result.deepEvalMetric);
-    
-    // Telemetry: Fire off to Langfuse
-    const mappedScores = {};
-    if (result.parameters && Array.isArray(result.parameters)) {
-      result.parameters.forEach(p => mappedScores[p.name] = parseFloat((Number(p.score) / 5.0).toFixed(4)));
-    }
-    if (result.deepEvalMetric && typeof result.deepEvalMetric === 'object') {
-      Object.entries(result.deepEvalMetric).forEach(([k, v]) => {
-        if (v && typeof v === 'object' && v.score !== undefined) {
-          mappedScores[k] = parseFloat(Number(v.score).toFixed(4));
-        }
-      });
-    }
-    await logTrace("UserStory Evaluation", userStory, result, mappedScores);
+const describeEvaluateError = (error) => {
+  console.error(`[${new Date().toISOString()}]  Error in /evaluate:`, error.message);
+  console.error(`[${new Date().toISOString()}] Error stack:`, error.stack);
 
-    console.log(`[${new Date().toISOString()}] Evaluation complete - Score: ${result.totalScore}`);
-    res.json({
-      ...result,
-      metrics: healthMetrics
-    });
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}]  Error in /evaluate:`, error.message);
-    console.error(`[${new Date().toISOString()}] Error stack:`, error.stack);
-    
-    let errorMessage = 'Failed to evaluate user story. Please try again later.';
-    
-    if (!GROQ_API_KEY || GROQ_API_KEY.trim() === '') {
-      errorMessage = 'GROQ_API_KEY is not configured on the server.';
-    } else if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-      errorMessage = 'Groq API key is invalid or expired.';
-    } else if (error.message.includes('API key')) {
-      errorMessage = 'Groq API key error. Verify GROQ_API_KEY is set correctly.';
-    } else if (error.message.includes('rate limit')) {
-      errorMessage = 'Rate limit exceeded. Please try again in a moment.';
-    } else if (error.message.includes('JSON')) {
-      errorMessage = 'Failed to parse API response. Model may not have returned valid JSON.';
-    } else if (error.message.includes('model') || error.message.includes('Model')) {
-      errorMessage = `Model error: ${error.message}. Check if model '${MODEL}' is available.`;
-    } else if (error.status === 429) {
-      errorMessage = 'Rate limit exceeded. Groq API quota may be full.';
-    } else if (error.status === 401 || error.status === 403) {
-      errorMessage = 'API authentication failed. Groq API key may be invalid.';
-    }
-    
-    res.status(500).json({ 
+  if (error.code === 'LLM_UNAVAILABLE') {
+    return {
+      status: 500,
+      body: { error: error.message, message: 'The server needs to be restarted. Contact administrator.' }
+    };
+  }
+  const known = describePipelineError(error);
+  if (known) return known;
+
+  const provider = getLLM('evaluate');
+  const errorMessage = describeLLMError(error, provider) || 'Failed to evaluate user story. Please try again later.';
+
+  return {
+    status: 500,
+    body: {
       error: errorMessage,
       details: error.message,
       errorType: error.type || error.constructor.name,
-      model: MODEL,
+      provider: provider.name,
+      model: provider.model,
       response_format: { type: "json_object" },
       timestamp: new Date().toISOString()
-    });
-  }
-});
+    }
+  };
+};
+
+app.post('/evaluate', requireRole('author', 'evaluate'), validateUserStory, validateEvaluationOptions, respondJson(runEvaluate, describeEvaluateError));
+app.post('/evaluate/stream', requireRole('author', 'evaluate'), validateUserStory, validateEvaluationOptions, respondStream(runEvaluate, describeEvaluateError));
 
 // Test case evaluation endpoint
-app.post('/evaluate-test-case', validateTestCase, async (req, res) => {
-  const { testCase, runDeepEval } = req.body;
-  console.log(`[${new Date().toISOString()}] Evaluating test case of ${testCase.length} characters`);
-
-  const ragExamples = await retrieve(testCase, "test_case", 3);
-  const ragContext = formatRagContext(ragExamples, "test_case");
-
-  const prompt = `
-    Analyze this Test Case: "${testCase}"
-    ${ragContext}
-      Evaluate it based on the following criteria:
-      1. Clarity: Are the steps easy to understand and follow?
-      2. Requirements Traceability: Do test cases cover all requirements?
-      3. Accuracy: Are the expected results precise and realistic?
-      4. Completeness: Are preconditions and postconditions defined?
-      5. Coverage: Are negative, edge, and valid scenarios included?
-      For each criterion, assign a score from 1 (poor) to 5 (excellent) and provide a brief breakdown. Only assign a score of 5 if ALL aspects are fully met. If any aspect is missing or unclear, reduce the score accordingly. Be critical and realistic in your assessment.
-      IMPORTANT: Do NOT include any emojis, icons, or special non-ASCII characters in your findings or recommendations. Use only standard text.
-    Return ONLY a JSON object EXACTLY in this format (no markdown, no commentary):
-    {
-      "totalScore": number, // sum of the 5 criteria (max 25)
-      "parameters": [
-        { "name": "Clarity", "score": number, "findings": "string" },
-        { "name": "Requirements Traceability", "score": number, "findings": "string" },
-        { "name": "Accuracy", "score": number, "findings": "string" },
-        { "name": "Completeness", "score": number, "findings": "string" },
-        { "name": "Coverage", "score": number, "findings": "string" }
-      ],
-      "recommendations": ["string", "string", "string"]
-    }
-  `;
+const runEvaluateTestCase = recorded('evaluation', 'evaluateTestCase', 'test_case', (req, callbacks) => {
+  const { testCase, runDeepEval, samples, rubric, format, linkedStory } = req.body;
+  console.log(`[${new Date().toISOString()}] Evaluating test case of ${testCase.length} characters${samples > 1 ? ` (${samples} samples)` : ''}`);
+  return evaluateTestCase({
+    testCase, runDeepEval, samples, rubric, format: format || 'auto',
+    linkedStory: linkedStory && linkedStory.trim() ? linkedStory.trim() : null,
+    project: req.project,
+    bypassCache: shouldBypassCache(req)
+  }, callbacks);
+});
 
-  try {
-    const message = await groq.chat.completions.create({
-      model: MODEL,
-      temperature: 0.0,
-      response_format: { type: "json_object" },
-      max_tokens: 2048,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
-    });
+const describeEvaluateTestCaseError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error:`, error.message);
+  if (error.code === 'LLM_UNAVAILABLE') return { status: 500, body: { error: error.message } };
+  const known = describePipelineError(error);
+  if (known) return known;
 
-    const content = message.choices[0].message.content;
-    const result = JSON.parse(repairJsonString(content));
+  const errorMessage = error.message.includes('API key')
+    ? `${getLLM('evaluateTestCase').name} API key is not configured. Please set the provider API key environment variable.`
+    : 'Failed to evaluate test case. Please try again later.';
 
-    // Enforce deterministic math for test cases
-    if (result.parameters && Array.isArray(result.parameters)) {
-      result.totalScore = result.parameters.reduce((sum, p) => sum + (Number(p.score) || 0), 0);
+  return {
+    status: 500,
+    body: {
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     }
+  };
+};
 
-    result.ragContext = ragExamples.map(ex => ({
-      id: ex.id, quality: ex.quality, text: ex.text ? ex.text.substring(0, 200) : "", relevanceScore: ex.score
-    }));
+app.post('/evaluate-test-case', requireRole('author', 'evaluate'), validateTestCase, validateEvaluationOptions, validateFormat(['auto', 'steps', 'gherkin']), respondJson(runEvaluateTestCase, describeEvaluateTestCaseError));
+app.post('/evaluate-test-case/stream', requireRole('author', 'evaluate'), validateTestCase, validateEvaluationOptions, validateFormat(['auto', 'steps', 'gherkin']), respondStream(runEvaluateTestCase, describeEvaluateTestCaseError));
 
-    console.log(`[${new Date().toISOString()}] Test case evaluation complete - Score: ${result.totalScore}`);
-    
-    if (runDeepEval) {
-      result.deepEvalMetric = await runDeepEvalMetricsMock(groq, MODEL, testCase);
-    }
+// Optional `acceptanceCriteria`: an array of criterion strings, e.g. from a generated story or a Jira field
+const validateAcceptanceCriteria = (req, res, next) => {
+  const { acceptanceCriteria } = req.body;
+  if (acceptanceCriteria === undefined || acceptanceCriteria === null) return next();
+
+  if (!Array.isArray(acceptanceCriteria) || acceptanceCriteria.some(c => typeof c !== 'string')) {
+    return res.status(400).json({ error: 'acceptanceCriteria must be an array of strings' });
+  }
+  if (acceptanceCriteria.length > 20) {
+    return res.status(400).json({ error: 'acceptanceCriteria must not have more than 20 entries' });
+  }
+  if (acceptanceCriteria.some(c => c.length > 1000)) {
+    return res.status(400).json({ error: 'each acceptance criterion must not exceed 1000 characters' });
+  }
 
-    // Calculate health metrics based on the evaluation parameters AND DeepEval
-    const healthMetrics = calculateHealthMetrics(result.parameters, result.deepEvalMetric);
+  next();
+};
+documentBody(validateAcceptanceCriteria, {
+  properties: { acceptanceCriteria: { type: ['array', 'null'], maxItems: 20, items: { type: 'string', maxLength: 1000 } } }
+});
 
-    // Telemetry: Fire off to Langfuse
-    const mappedScores = {};
-    if (result.parameters && Array.isArray(result.parameters)) {
-      result.parameters.forEach(p => mappedScores[p.name] = parseFloat((Number(p.score) / 5.0).toFixed(4)));
-    }
-    if (result.deepEvalMetric && typeof result.deepEvalMetric === 'object') {
-      Object.entries(result.deepEvalMetric).forEach(([k, v]) => {
-        if (v && typeof v === 'object' && v.score !== undefined) {
-          mappedScores[k] = parseFloat(Number(v.score).toFixed(4));
-        }
-      });
-    }
-    await logTrace("TestCase Evaluation", testCase, result, mappedScores);
+// Acceptance criteria evaluation endpoint: reviews each criterion against the story it belongs to
+const runEvaluateAcceptanceCriteria = recorded('evaluation', 'evaluateAcceptanceCriteria', 'user_story', (req, callbacks) => {
+  const { userStory, acceptanceCriteria } = req.body;
+  console.log(`[${new Date().toISOString()}] Evaluating acceptance criteria of a ${userStory.length} character user story`);
+  return evaluateAcceptanceCriteria({
+    userStory, acceptanceCriteria,
+    bypassCache: shouldBypassCache(req)
+  }, callbacks);
+});
 
-    // Add health metrics to the response
-    const responseData = {
-      ...result,
-      metrics: healthMetrics
-    };
-    
-    res.json(responseData);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error:`, error.message);
-    const errorMessage = error.message.includes('API key')
-      ? 'Groq API key is not configured. Please set GROQ_API_KEY environment variable.'
-      : 'Failed to evaluate test case. Please try again later.';
-    
-    res.status(500).json({ 
+const describeEvaluateAcceptanceCriteriaError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error in /evaluate-acceptance-criteria:`, error.message);
+  if (error.code === 'LLM_UNAVAILABLE' || error.code === 'NO_ACCEPTANCE_CRITERIA') {
+    return { status: error.status, body: { error: error.message } };
+  }
+  const known = describePipelineError(error);
+  if (known) return known;
+
+  const errorMessage = error.message.includes('API key')
+    ? `${getLLM('evaluateAcceptanceCriteria').name} API key is not configured. Please set the provider API key environment variable.`
+    : 'Failed to evaluate acceptance criteria. Please try again later.';
+
+  return {
+    status: 500,
+    body: {
       error: errorMessage,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    }
+  };
+};
+
+app.post('/evaluate-acceptance-criteria', requireRole('author', 'evaluate'), validateUserStory, validateAcceptanceCriteria, respondJson(runEvaluateAcceptanceCriteria, describeEvaluateAcceptanceCriteriaError));
+app.post('/evaluate-acceptance-criteria/stream', requireRole('author', 'evaluate'), validateUserStory, validateAcceptanceCriteria, respondStream(runEvaluateAcceptanceCriteria, describeEvaluateAcceptanceCriteriaError));
+
+// Rule-based user story lint: deterministic findings with no LLM call, so it works without an API key
+app.post('/lint', requireRole('author', 'evaluate'), validateUserStory, validateAcceptanceCriteria, (req, res) => {
+  const { userStory, acceptanceCriteria } = req.body;
+  res.json(lintUserStory(userStory, { acceptanceCriteria }));
+});
+
+app.get('/lint/rules', requireRole('viewer'), (req, res) => {
+  res.json({ rules: listLintRules(), testCaseSmells: listTestCaseSmells(), gherkinRules: listGherkinRules() });
+});
+
+// Gherkin validation: parses a .feature file (or a single scenario) and reports its findings, no LLM call
+app.post('/gherkin/validate', requireRole('author', 'evaluate'), (req, res) => {
+  const { content, requireFeature = true } = req.body;
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({ error: 'content must be the Gherkin text to validate' });
+  }
+  if (content.length > 100000) {
+    return res.status(400).json({ error: 'content must not exceed 100000 characters' });
   }
+  const { structure, smells } = analyzeGherkin(content, { requireFeature: requireFeature !== false });
+  res.json({ valid: smells.summary.errors === 0, ...smells, structure });
 });
 
 
 // Langfuse connectivity diagnostic endpoint
-app.get('/test-langfuse', async (req, res) => {
+app.get('/test-langfuse', requireRole('admin'), async (req, res) => {
   console.log(`[${new Date().toISOString()}] Testing Langfuse connection...`);
   const result = await testLangfuseConnection();
   const statusCode = result.status === 'OK' ? 200 : 500;
   res.status(statusCode).json(result);
 });
 
-// Test Groq connection endpoint (for debugging)
-app.get('/test-groq', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] Testing Groq connection...`);
-  
-  if (!groq) {
-    return res.status(500).json({
-      success: false,
-      error: 'Groq SDK is not initialized',
-      apiKeyConfigured: !!GROQ_API_KEY,
-      apiKeyLength: GROQ_API_KEY?.length || 0,
-      reason: 'Failed to initialize Groq client on server startup',
-      groqType: typeof Groq,
-      groqExists: !!Groq
-    });
-  }
+// Test LLM provider connection endpoint (for debugging). Kept at /test-groq for existing tooling.
+const testLLMConnection = async (req, res) => {
+  const endpoint = req.query.endpoint || null;
+  const provider = getLLM(endpoint);
+  console.log(`[${new Date().toISOString()}] Testing LLM connection for ${endpoint || 'default'}...`);
   
-  if (!groq || typeof groq.chat?.completions?.create !== 'function') {
+  if (!provider) {
     return res.status(500).json({
       success: false,
-      error: 'Groq.chat.completions.create is not available',
-      groqType: groq.constructor.name,
-      hasChat: !!groq.chat,
-      hasCompletions: !!groq.chat?.completions,
-      hasCreate: groq.chat?.completions ? typeof groq.chat.completions.create : 'chat.completions is undefined'
+      error: 'LLM provider is not initialized',
+      providers: describeProviders(),
+      reason: 'Failed to initialize the LLM client on server startup'
     });
   }
   
   try {
-    const message = await groq.chat.completions.create({
-      model: MODEL,
-      response_format: { type: "json_object" },
-      max_tokens: 100,
+    const completion = await provider.complete({
+      json: true,
+      maxTokens: 100,
       messages: [
         {
           role: "user",
-          content: "Say 'Groq API is working' and nothing else."
+          content: "Respond with a JSON object {\"status\": \"LLM API is working\"} and nothing else."
         }
       ]
     });
 
     const response = {
       success: true,
-      model: MODEL,
+      provider: provider.name,
+      model: provider.model,
       response_format: { type: "json_object" },
-      message: message.choices[0].message.content,
+      message: completion.content,
       timestamp: new Date().toISOString()
     };
 
-    console.log(`[${new Date().toISOString()}]  Groq test successful:`, response.message);
+    console.log(`[${new Date().toISOString()}]  LLM test successful:`, response.message);
     res.json(response);
   } catch (error) {
-    console.error(`[${new Date().toISOString()}]  Groq test failed:`, error.message);
+    console.error(`[${new Date().toISOString()}]  LLM test failed:`, error.message);
     console.error(`Error details:`, {
       type: error.type,
       status: error.status,
@@ -480,292 +489,330 @@ app.get('/test-groq', async (req, res) => {
       type: error.type || error.name,
       status: error.status || 500,
       code: error.code,
-      hasApiKey: !!GROQ_API_KEY,
-      apiKeyLength: GROQ_API_KEY ? GROQ_API_KEY.length : 0,
-      model: MODEL,
+      provider: provider.name,
+      model: provider.model,
       response_format: { type: "json_object" },
-      failedAt: 'groq.chat.completions.create'
+      failedAt: `${provider.name}.complete`
     });
   }
-});
+};
 
-// User story generation endpoint
-app.post('/generate-user-stories', async (req, res) => {
-  const { feature } = req.body;
-  console.log(`[${new Date().toISOString()}] Generating user stories for epic/feature of ${feature?.length || 0} characters`);
+app.get('/test-groq', requireRole('admin'), testLLMConnection);
+app.get('/test-llm', requireRole('admin'), testLLMConnection);
 
-  if (!feature || feature.trim().length < 5) {
-    return res.status(400).json({ error: 'Feature description must be at least 5 characters' });
+// Traceability input: stories with ids (and optional criteria) and test cases with ids (and optional references)
+const validateTraceability = (req, res, next) => {
+  const { stories, testCases } = req.body;
+
+  if (!Array.isArray(stories) || stories.length === 0 || stories.length > 200) {
+    return res.status(400).json({ error: 'stories must be an array of 1 to 200 { id, text } objects' });
+  }
+  if (!Array.isArray(testCases) || testCases.length > 1000) {
+    return res.status(400).json({ error: 'testCases must be an array of at most 1000 { id, text } objects' });
   }
 
-  const ragExamples = await retrieve(feature, "user_story", 3);
-  const ragContext = formatRagContext(ragExamples, "user_story");
-
-  const prompt = `You are an expert Agile Product Owner. Break down this feature/epic into smaller, highly actionable User Stories:
-
-FEATURE DESCRIPTION:
-"${feature}"
-${ragContext}
-
-Ensure you generate at least 3 distinct user stories.
-IMPORTANT: Do NOT include any emojis, icons, or special non-ASCII characters in your descriptions or criteria. Use only standard text.
-CRITICAL: You must respond with ONLY a valid JSON object in the exact structure below. Do not use markdown blocks:
-{
-  "summary": "Brief summary of the feature breakdown strategy",
-  "userStories": [
-    {
-      "name": "Short descriptive title",
-      "description": "As a [type of user], I want [some goal] so that [some reason]",
-      "acceptanceCriteria": ["AC 1", "AC 2"],
-      "storyPoints": 3,
-      "analysis": {
-        "independent": 5,
-        "negotiable": 5,
-        "valuable": 5,
-        "estimable": 5,
-        "small": 5,
-        "testable": 5,
-        "investOverview": "A 2-3 sentence overview explaining the overall INVEST score for this user story. Justify the score and highlight its strengths and weaknesses."
+  const ids = new Set();
+  for (const [list, name] of [[stories, 'stories'], [testCases, 'testCases']]) {
+    for (const [i, item] of list.entries()) {
+      if (!item || typeof item.id !== 'string' || !item.id.trim() || typeof item.text !== 'string') {
+        return res.status(400).json({ error: `${name}[${i}] must have a string id and text` });
+      }
+      if (item.text.length > 10000) {
+        return res.status(400).json({ error: `${name}[${i}].text must not exceed 10000 characters` });
+      }
+      const key = `${name}:${item.id.trim().toLowerCase()}`;
+      if (ids.has(key)) return res.status(400).json({ error: `${name} has more than one item with id "${item.id}"` });
+      ids.add(key);
+      for (const field of ['acceptanceCriteria', 'storyIds', 'criterionIds']) {
+        if (item[field] !== undefined && !Array.isArray(item[field])) {
+          return res.status(400).json({ error: `${name}[${i}].${field} must be an array` });
+        }
       }
     }
-  ]
-}
+  }
+
+  next();
+};
+documentBody(validateTraceability, {
+  required: ['stories', 'testCases'],
+  properties: {
+    stories: { type: 'array', minItems: 1, maxItems: 200, items: { $ref: '#/components/schemas/TraceabilityItem' } },
+    testCases: { type: 'array', maxItems: 1000, items: { $ref: '#/components/schemas/TraceabilityItem' } }
+  }
+});
 
-Ensure you generate at least 3 distinct user stories. Return ONLY the raw JSON object.`;
+// Traceability matrix: which acceptance criteria have positive/negative/boundary test coverage, no LLM call
+app.post('/traceability/matrix', requireRole('author', 'evaluate'), validateTraceability, (req, res) => {
+  const { stories, testCases } = req.body;
+  res.json(buildMatrix({ stories, testCases }));
+});
 
-  try {
-    const message = await groq.chat.completions.create({
-      model: MODEL,
-      response_format: { type: "json_object" },
-      max_tokens: 4096,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
-    });
+// The criteria still needing tests, as CSV (default) or JSON rows
+app.post('/traceability/uncovered', requireRole('author', 'evaluate'), validateTraceability, (req, res) => {
+  const { stories, testCases, format = 'csv', includePartial = true } = req.body;
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be one of: csv, json' });
+  }
 
-    const content = message.choices[0].message.content;
-    const result = JSON.parse(repairJsonString(content));
+  const rows = uncoveredCriteria(buildMatrix({ stories, testCases }), { includePartial: includePartial !== false });
+  if (format === 'json') return res.json({ criteria: rows });
 
-    result.ragContext = ragExamples.map(ex => ({
-      id: ex.id, quality: ex.quality, text: ex.text ? ex.text.substring(0, 200) : "", relevanceScore: ex.score
-    }));
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="uncovered-criteria.csv"');
+  res.send(uncoveredToCsv(rows));
+});
 
-    // Telemetry: Fire off to Langfuse
-    await logTrace("UserStory Generation", feature, result);
+const validateDuplicates = (req, res, next) => {
+  const { items, threshold } = req.body;
 
-    console.log(`[${new Date().toISOString()}] User story generation complete`);
-    res.json(result);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error in /generate-user-stories:`, error.message);
-    
-    let errorMessage = 'Failed to generate user stories. Please try again later.';
-    if (error.message.includes('API key')) {
-      errorMessage = 'Groq API key is not configured.';
-    } else if (error.message.includes('JSON')) {
-      errorMessage = 'Model did not return valid JSON. Try again.';
+  if (!Array.isArray(items) || items.length > 1000) {
+    return res.status(400).json({ error: 'items must be an array of at most 1000 strings or { id, text } objects' });
+  }
+  for (const [i, item] of items.entries()) {
+    const text = typeof item === 'string' ? item : item && item.text;
+    if (typeof text !== 'string') {
+      return res.status(400).json({ error: `items[${i}] must be a string or have a string text` });
     }
-    
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    if (text.length > 10000) {
+      return res.status(400).json({ error: `items[${i}] must not exceed 10000 characters` });
+    }
+  }
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+    return res.status(400).json({ error: 'threshold must be a number greater than 0 and at most 1' });
+  }
+
+  next();
+};
+documentBody(validateDuplicates, {
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      maxItems: 1000,
+      items: { oneOf: [{ type: 'string', maxLength: 10000 }, { type: 'object', required: ['text'], properties: { id: { type: 'string' }, text: { type: 'string', maxLength: 10000 } } }] }
+    },
+    threshold: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Similarity from which items count as duplicates' }
   }
 });
 
-// Test case generation endpoint
-app.post('/generate-test-cases', async (req, res) => {
-  const { feature, categories, totalCount } = req.body;
-  console.log(`[${new Date().toISOString()}] Generating test cases for feature of ${feature?.length || 0} characters`);
+// Clusters duplicate and near-duplicate stories or test cases so a bulk upload evaluates each once
+app.post('/duplicates', requireRole('author', 'evaluate'), validateDuplicates, async (req, res) => {
+  const { threshold } = req.body;
+  const items = req.body.items.map(item => (typeof item === 'string' ? { text: item } : { id: item.id, text: item.text }));
+  try {
+    res.json(await findDuplicates(items, { threshold }));
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error in /duplicates:`, error.message);
+    res.status(500).json({ error: 'Failed to detect duplicates', details: error.message });
+  }
+});
 
-  if (!feature || feature.trim().length < 5) {
-    return res.status(400).json({ error: 'Feature description must be at least 5 characters' });
+const validateConsistency = (req, res, next) => {
+  const { stories } = req.body;
+
+  if (!Array.isArray(stories) || stories.length < 2 || stories.length > 300) {
+    return res.status(400).json({ error: 'stories must be an array of 2 to 300 strings or { id, text } objects' });
+  }
+  const ids = new Set();
+  for (const [i, story] of stories.entries()) {
+    const text = typeof story === 'string' ? story : story && story.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: `stories[${i}] must be a non-empty string or have a non-empty string text` });
+    }
+    if (text.length > 5000) {
+      return res.status(400).json({ error: `stories[${i}] must not exceed 5000 characters` });
+    }
+    if (typeof story !== 'string') {
+      if (typeof story.id !== 'string' || !story.id.trim()) {
+        return res.status(400).json({ error: `stories[${i}].id must be a non-empty string` });
+      }
+      if (ids.has(story.id.trim().toLowerCase())) {
+        return res.status(400).json({ error: `stories has more than one item with id "${story.id}"` });
+      }
+      ids.add(story.id.trim().toLowerCase());
+    }
   }
 
-  const ragExamples = await retrieve(feature, "test_case", 3);
-  const ragContext = formatRagContext(ragExamples, "test_case");
+  next();
+};
+documentBody(validateConsistency, {
+  required: ['stories'],
+  properties: {
+    stories: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 300,
+      description: 'Plain strings get the ids S1, S2, ...',
+      items: { oneOf: [{ type: 'string', minLength: 1, maxLength: 5000 }, { type: 'object', required: ['id', 'text'], properties: { id: { type: 'string' }, text: { type: 'string', minLength: 1, maxLength: 5000 } } }] }
+    }
+  }
+});
+
+// Cross-story consistency endpoint: dependency graph and contradictions across a batch of stories
+const runAnalyzeConsistency = recorded('analysis', 'analyzeConsistency', 'user_story', (req, callbacks) => {
+  // Plain strings get positional ids, S1, S2, ...
+  const stories = req.body.stories.map((story, i) => (typeof story === 'string'
+    ? { id: `S${i + 1}`, text: story }
+    : { id: story.id.trim(), text: story.text }));
+  console.log(`[${new Date().toISOString()}] Analyzing consistency of ${stories.length} user stories`);
+  return analyzeConsistency({ stories }, callbacks);
+});
+
+const describeAnalyzeConsistencyError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error in /analyze-consistency:`, error.message);
+  if (error.code === 'LLM_UNAVAILABLE') return { status: 500, body: { error: error.message } };
+  const known = describePipelineError(error);
+  if (known) return known;
 
-  // Category mapping for prompt construction
-  const CATEGORY_MAP = {
-    'Positive':    'Positive Test Cases',
-    'Negative':    'Negative Test Cases',
-    'Edge Case':   'Boundary Value Analysis',
-    'Validation':  'Validation Test Cases',
-    'Security':    'Security Test Cases',
-    'Performance': 'Performance Test Cases',
-    'Boundary':    'Boundary Value Test Cases',
+  const errorMessage = error.message.includes('API key')
+    ? `${getLLM('analyzeConsistency').name} API key is not configured.`
+    : 'Failed to analyze story consistency. Please try again later.';
+
+  return {
+    status: 500,
+    body: {
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
   };
+};
 
-  // Use explicit categories/count if provided, else fallback to defaults
-  const selectedCategories = (categories && categories.length > 0)
-    ? categories.map(c => CATEGORY_MAP[c] || c)
-    : ['Positive Test Cases', 'Negative Test Cases', 'Boundary Value Analysis', 'Coverage Analysis'];
+app.post('/analyze-consistency', requireRole('author', 'evaluate'), validateConsistency, respondJson(runAnalyzeConsistency, describeAnalyzeConsistencyError));
+app.post('/analyze-consistency/stream', requireRole('author', 'evaluate'), validateConsistency, respondStream(runAnalyzeConsistency, describeAnalyzeConsistencyError));
 
-  // Cap count at 10 as per requirements for Agentic AI precision
-  const requestedCount = (totalCount && Number(totalCount) > 0) ? Math.min(Number(totalCount), 10) : 10;
+// User story generation endpoint
+const runGenerateUserStories = recorded('generation', 'generateUserStories', 'user_story', (req, callbacks) => {
+  const { feature } = req.body;
+  console.log(`[${new Date().toISOString()}] Generating user stories for epic/feature of ${feature.length} characters`);
+  return generateUserStories({ feature }, callbacks);
+});
 
-  // Calculate exact distribution
-  const perType = Math.floor(requestedCount / selectedCategories.length);
-  const remainder = requestedCount % selectedCategories.length;
+const describeGenerateUserStoriesError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error in /generate-user-stories:`, error.message);
+  if (error.code === 'LLM_UNAVAILABLE') return { status: 500, body: { error: error.message } };
+  const known = describePipelineError(error);
+  if (known) return known;
+
+  let errorMessage = 'Failed to generate user stories. Please try again later.';
+  if (error.message.includes('API key')) {
+    errorMessage = `${getLLM('generateUserStories').name} API key is not configured.`;
+  } else if (error.message.includes('JSON')) {
+    errorMessage = 'Model did not return valid JSON. Try again.';
+  }
 
-  const validCategories = [];
-  selectedCategories.forEach((c, index) => {
-    const cnt = perType + (index < remainder ? 1 : 0);
-    if (cnt > 0) validCategories.push({ category: c, count: cnt });
-  });
+  return {
+    status: 500,
+    body: {
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  };
+};
 
-  // Build the category slots for the prompt without comments inside the JSON
-  const categorySlots = validCategories.map(vc => {
-    return `{"category": "${vc.category}", "cases": []}`;
-  }).join(',\n      ');
-  
-  const distributionText = validCategories.map(vc => {
-    return `- ${vc.count} cases for ${vc.category}`;
-  }).join('\n  ');
+app.post('/generate-user-stories', requireRole('author', 'generate'), validateFeature, respondJson(runGenerateUserStories, describeGenerateUserStoriesError));
+app.post('/generate-user-stories/stream', requireRole('author', 'generate'), validateFeature, respondStream(runGenerateUserStories, describeGenerateUserStoriesError));
 
-  const categoryList = validCategories.map(vc => vc.category).join(', ');
+// Optional splitting settings: the SPIDR patterns to consider and whether to evaluate the child stories
+const validateSplitOptions = (req, res, next) => {
+  const { patterns, evaluate } = req.body;
 
-  const prompt = `You are a professional QA test case generator.
-  
-  FEATURE/ EPIC DESCRIPTION:
-  "${feature}"
-  
-  CONTEXTUAL REFERENCE:
-  ${ragContext}
-  
-  IMPORTANT RULES:
-  - "steps": MUST be a SINGLE STRING where each step starts on a NEW LINE with a number (e.g., "1. Action A\n2. Action B").
-  - NEVER combine multiple steps into a single line.
-  - DO NOT return "steps" as an array; it MUST be a string with explicit \n characters.
-  - Do NOT include any emojis, icons, or special non-ASCII characters in your steps or results. Use only standard text.
-  
-  CRITICAL REQUIREMENT:
-  You MUST generate EXACTLY ${requestedCount} test cases total. No more, no less.
-  You MUST distribute these ${requestedCount} cases exactly into these categories using these EXACT strings for the "category" field:
-  ${distributionText}
-  
-  Do NOT change these strings (e.g., do not change "Positive Test Cases" to "Positive Test Case"). Use them EXACTLY as written.
-  Do NOT create categories that are not in this list.
-  
-  RESPONSE FORMAT (Strict JSON, no markdown):
-  {
-    "testCases": [
-      {"category": "Category Name", "cases": [
-        {
-          "name": "Concise and descriptive name", 
-          "steps": "1. Step one\n2. Step two\n3. Step three", 
-          "expectedResult": "Clear and measurable outcome", 
-          "analysis": {
-             "clarity": 5,
-             "traceability": 5,
-             "coverage": 5,
-             "justification": "Why this score"
-          }
-        }
-      ]}
-    ],
-    "summary": "Summarize the test coverage strategy"
+  if (patterns !== undefined && patterns !== null && (!Array.isArray(patterns) || patterns.some(p => !PATTERN_IDS.includes(p)))) {
+    return res.status(400).json({ error: `patterns must be an array of: ${PATTERN_IDS.join(', ')}` });
+  }
+  if (evaluate !== undefined && typeof evaluate !== 'boolean') {
+    return res.status(400).json({ error: 'evaluate must be a boolean' });
   }
-  
-  The "riskLevel" field must be one of: "Low", "Medium", or "High".
-  
-  IMPORTANT DATA RULES:
-  - "testData": This must be the actual input data (e.g., 'username: user1, password: pass'). If no specific data is required, output exactly "N/A".
-  - "precondition": The system state required before the test. If none is required, output exactly "N/A".
-  - Make sure the JSON is perfectly formatted. Do not include trailing commas.
-  
-  All ${requestedCount} test cases must be distinct and high-quality. Return ONLY the raw JSON object.
-  ${requestedCount > 10 ? 'Keep descriptions and steps concise since you are generating a large number of cases.' : ''}`;
 
-  try {
-    const callLLM = async (tokenLimit) => {
-      const message = await groq.chat.completions.create({
-        model: MODEL,
-        response_format: { type: "json_object" },
-        max_tokens: tokenLimit,
-        messages: [{ role: "user", content: prompt }]
-      });
-      return message;
-    };
+  next();
+};
+documentBody(validateSplitOptions, {
+  properties: {
+    patterns: { type: ['array', 'null'], items: { enum: PATTERN_IDS }, description: 'The SPIDR patterns to consider (default: all)' },
+    evaluate: { type: 'boolean', default: true, description: 'Evaluate each child story' }
+  }
+});
 
-    let message = await callLLM(4000);
-    let content = message.choices[0].message.content;
-    const finishReason = message.choices[0].finish_reason;
-    console.log(`[${new Date().toISOString()}] Raw LLM response (first 500 chars): ${content.substring(0, 500)}...`);
-    console.log(`[${new Date().toISOString()}] Finish reason: ${finishReason}, content length: ${content.length}`);
-
-    // If truncated, retry with higher token limit
-    if (finishReason === 'length') {
-      console.log(`[${new Date().toISOString()}] Response was truncated! Retrying with higher token limit...`);
-      message = await callLLM(8000);
-      content = message.choices[0].message.content;
-      console.log(`[${new Date().toISOString()}] Retry response length: ${content.length}, finish_reason: ${message.choices[0].finish_reason}`);
-    }
-    
-    let repaired;
-    try {
-      repaired = repairJsonString(content);
-    } catch (repairError) {
-      console.error(`[${new Date().toISOString()}] JSON repair error:`, repairError.message);
-      console.error(`[${new Date().toISOString()}] Raw content length: ${content.length}`);
-      throw repairError;
-    }
-    
-    console.log(`[${new Date().toISOString()}] Attempting to parse repaired JSON (length: ${repaired.length})`);
-    const result = JSON.parse(repaired);
-
-    // Validate the result has actual test case content
-    if (result.testCases && Array.isArray(result.testCases)) {
-      const totalCases = result.testCases.reduce((sum, cat) => {
-        if (cat.cases && Array.isArray(cat.cases)) return sum + cat.cases.length;
-        if (cat.name || cat.id) return sum + 1; // flat format
-        return sum;
-      }, 0);
-      console.log(`[${new Date().toISOString()}] Validated: ${totalCases} test cases found in response`);
-      
-      if (totalCases === 0) {
-        throw new Error('AI generated empty test cases. This usually happens due to token limits. Please try with fewer categories.');
-      }
+// Story splitting endpoint: SPIDR split proposals for an oversized story or epic, with each child story evaluated
+const runSplitStory = recorded('generation', 'splitStory', 'user_story', (req, callbacks) => {
+  const { userStory, patterns, evaluate, rubric } = req.body;
+  console.log(`[${new Date().toISOString()}] Splitting user story of ${userStory.length} characters`);
+  return splitStory({
+    userStory, patterns, rubric,
+    evaluate: evaluate !== false,
+    project: req.project,
+    bypassCache: shouldBypassCache(req)
+  }, callbacks);
+});
+
+const describeSplitStoryError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error in /split-story:`, error.message);
+  if (error.code === 'LLM_UNAVAILABLE') return { status: 500, body: { error: error.message } };
+  const known = describePipelineError(error);
+  if (known) return known;
+
+  const errorMessage = error.message.includes('API key')
+    ? `${getLLM('splitStory').name} API key is not configured.`
+    : 'Failed to split user story. Please try again later.';
+
+  return {
+    status: 500,
+    body: {
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     }
+  };
+};
 
-    result.ragContext = ragExamples.map(ex => ({
-      id: ex.id, quality: ex.quality, text: ex.text ? ex.text.substring(0, 200) : "", relevanceScore: ex.score
-    }));
+app.post('/split-story', requireRole('author', 'generate'), validateUserStory, validateEvaluationOptions, validateSplitOptions, respondJson(runSplitStory, describeSplitStoryError));
+app.post('/split-story/stream', requireRole('author', 'generate'), validateUserStory, validateEvaluationOptions, validateSplitOptions, respondStream(runSplitStory, describeSplitStoryError));
 
-    // Telemetry: Fire off to Langfuse
-    await logTrace("TestCase Generation", feature, result);
+app.get('/split-story/patterns', requireRole('viewer'), (req, res) => {
+  res.json({ patterns: listSplitPatterns() });
+});
 
-    console.log(`[${new Date().toISOString()}] Test case generation complete`);
-    res.json(result);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error:`, error.message);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    let errorMessage = 'Failed to generate test cases. Please try again later.';
-    if (error.message) {
-      if (error.message.includes('API key')) {
-        errorMessage = 'Groq API key is not configured. Please set GROQ_API_KEY environment variable.';
-      } else if (error.message.includes('No JSON found')) {
-        errorMessage = `${error.message}. The model may not be returning valid JSON.`;
-      } else if (error.message.includes('Unexpected token')) {
-        errorMessage = 'Invalid JSON format returned from AI model. Try again.';
-      } else {
-        errorMessage = `Generation failed: ${error.message}`;
-      }
+// Test case generation endpoint
+const runGenerateTestCases = recorded('generation', 'generateTestCases', 'test_case', (req, callbacks) => {
+  const { feature, categories, totalCount, format } = req.body;
+  console.log(`[${new Date().toISOString()}] Generating ${format === 'gherkin' ? 'Gherkin scenarios' : 'test cases'} for feature of ${feature.length} characters`);
+  return generateTestCases({ feature, categories, totalCount, format: format || 'steps' }, callbacks);
+});
+
+const describeGenerateTestCasesError = (error) => {
+  console.error(`[${new Date().toISOString()}] Error:`, error.message);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+  if (error.code === 'LLM_UNAVAILABLE') return { status: 500, body: { error: error.message } };
+  const known = describePipelineError(error);
+  if (known) return known;
+
+  let errorMessage = 'Failed to generate test cases. Please try again later.';
+  if (error.message) {
+    if (error.message.includes('API key')) {
+      errorMessage = `${getLLM('generateTestCases').name} API key is not configured. Please set the provider API key environment variable.`;
+    } else if (error.message.includes('No JSON found')) {
+      errorMessage = `${error.message}. The model may not be returning valid JSON.`;
+    } else if (error.message.includes('Unexpected token')) {
+      errorMessage = 'Invalid JSON format returned from AI model. Try again.';
+    } else {
+      errorMessage = `Generation failed: ${error.message}`;
     }
-    
-    res.status(500).json({ 
+  }
+
+  return {
+    status: 500,
+    body: {
       error: errorMessage,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
+    }
+  };
+};
+
+app.post('/generate-test-cases', requireRole('author', 'generate'), validateFeature, validateFormat(['steps', 'gherkin']), respondJson(runGenerateTestCases, describeGenerateTestCasesError));
+app.post('/generate-test-cases/stream', requireRole('author', 'generate'), validateFeature, validateFormat(['steps', 'gherkin']), respondStream(runGenerateTestCases, describeGenerateTestCasesError));
 
 // Generate test cases from image/mockup endpoint
-app.post('/generate-test-cases-from-image', async (req, res) => {
+app.post('/generate-test-cases-from-image', requireRole('author', 'generate'), async (req, res) => {
   console.log(`[${new Date().toISOString()}] Generating test cases from image`);
 
   // Get description from request body
@@ -777,70 +824,47 @@ app.post('/generate-test-cases-from-image', async (req, res) => {
     });
   }
 
-  const prompt = `You are an expert QA test case generator. Based on the following description of a UI mockup/screenshot, generate comprehensive test cases.
-
-MOCKUP DESCRIPTION:
-"${description}"
-
-Generate test cases that cover:
-1. **Positive Test Cases** - Valid inputs and expected workflows
-2. **Negative Test Cases** - Invalid inputs and error handling
-3. **Boundary Value Analysis** - Edge cases and limits
-4. **Coverage Analysis** - UI state transitions and interactions
-
-IMPORTANT: You MUST respond with ONLY valid JSON. No markdown, no code blocks, no explanations.
-
-Return the response in this exact JSON format:
-{
-  "summary": "Brief summary of test cases generated",
-  "testCases": [
-    {
-      "name": "Descriptive test case name",
-      "precondition": "What needs to be set up before the test",
-      "steps": "1) First step\\n2) Second step\\n3) Third step",
-      "expectedResult": "What should happen after the steps",
-      "postcondition": "State after the test completes"
-    }
-  ]
-}
+  const provider = getLLM('generateTestCasesFromImage');
+  if (!provider) {
+    return res.status(500).json({ error: 'LLM provider is not properly initialized' });
+  }
 
-Generate 5-8 test cases covering various scenarios based on the mockup description.`;
 
+  const startedAt = Date.now();
   try {
-    const message = await groq.chat.completions.create({
-      model: MODEL,
-      response_format: { type: "json_object" },
-      max_tokens: 4096,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
+    const { text: prompt, version } = renderPrompt('mockupTestCases', { description });
+    const { data: result } = await completeJson(provider, {
+      prompt,
+      schema: schemas.mockupTestCasesSchema,
+      schemaName: 'mockupTestCases',
+      maxTokens: 4096
     });
 
-    const content = message.choices[0].message.content;
-    const result = JSON.parse(repairJsonString(content));
-
-    // Validate response structure
-    if (!result.testCases || !Array.isArray(result.testCases)) {
-      throw new Error('Response missing or invalid testCases array');
-    }
-
     console.log(`[${new Date().toISOString()}] Successfully generated ${result.testCases.length} test cases from image description`);
     
     // Telemetry: Fire off to Langfuse
-    await logTrace("TestCase Generation from Image", description, result);
+    result.prompts = { mockupTestCases: version };
+    await logTrace("TestCase Generation from Image", description, result, null, { prompts: result.prompts });
+    recordRun({ kind: 'generation', endpoint: 'generateTestCasesFromImage', artifactType: 'test_case', input: req.body, output: result, ...runScope(req), startedAt });
     
     res.json(result);
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Error in /generate-test-cases-from-image:`, error.message);
+    if (error instanceof SchemaValidationError) {
+      return res.status(502).json(error.toResponse());
+    }
+    if (error instanceof PromptError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+    if (error instanceof SchedulerError) {
+      return sendSchedulerError(res, error);
+    }
     
     let errorMessage = 'Failed to generate test cases from mockup. Please provide a clearer description.';
     let statusCode = 500;
     
     if (error.message.includes('API key')) {
-      errorMessage = 'Groq API key is not configured. Please set GROQ_API_KEY environment variable.';
+      errorMessage = `${provider.name} API key is not configured. Please set the provider API key environment variable.`;
     } else if (error.message.includes('ETIMEDOUT')) {
       errorMessage = 'Request timed out. The service may be overloaded.';
     } else if (error.message.includes('No JSON found')) {
@@ -857,8 +881,8 @@ Generate 5-8 test cases covering various scenarios based on the mockup descripti
 });
 
 // Jira Integration Endpoint
-app.post('/integration/jira/stories', async (req, res) => {
-  const { domain, email, apiToken, projectKey } = req.body;
+app.post('/integration/jira/stories', requireRole('author', 'integrations'), async (req, res) => {
+  const { domain, email, apiToken, projectKey } = withIntegrationDefaults(req.project, 'jira', req.body);
   console.log(`[${new Date().toISOString()}] Jira integration request for project: ${projectKey}`);
 
   if (!domain || !email || !apiToken || !projectKey) {
@@ -962,8 +986,8 @@ app.post('/integration/jira/stories', async (req, res) => {
 });
 
 // Azure DevOps Integration Endpoint
-app.post('/integration/azure/work-items', async (req, res) => {
-  const { organization, project, personalAccessToken } = req.body;
+app.post('/integration/azure/work-items', requireRole('author', 'integrations'), async (req, res) => {
+  const { organization, project, personalAccessToken } = withIntegrationDefaults(req.project, 'azure', req.body);
   console.log(`[${new Date().toISOString()}] Azure DevOps integration request for project: ${project}`);
 
   if (!organization || !project || !personalAccessToken) {
@@ -1094,6 +1118,509 @@ app.post('/integration/azure/work-items', async (req, res) => {
   }
 });
 
+// Evaluation cache diagnostics
+app.get('/cache/stats', requireRole('viewer'), (req, res) => {
+  res.json({ enabled: isCacheEnabled(), ...getEvalCache().stats() });
+});
+
+app.delete('/cache', requireRole('admin'), (req, res) => {
+  const cleared = getEvalCache().clear();
+  console.log(`[${new Date().toISOString()}] Evaluation cache cleared (${cleared} entries)`);
+  res.json({ cleared });
+});
+
+// LLM scheduler diagnostics: calls in flight, queued by priority, retries and rate-limit pauses
+app.get('/queue/stats', requireRole('viewer'), (req, res) => {
+  res.json(getScheduler().getStats());
+});
+
+// Token usage and cost, aggregated from every metered LLM call
+app.get('/usage', requireRole('viewer'), (req, res) => {
+  const { team, project, since, until, groupBy } = req.query;
+  if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` });
+  }
+  if ([since, until].some(d => d && isNaN(new Date(d).getTime()))) {
+    return res.status(400).json({ error: 'since and until must be ISO dates' });
+  }
+  res.json(aggregateUsage({ team, project, since, until, groupBy }));
+});
+
+app.get('/usage/pricing', requireRole('viewer'), (req, res) => {
+  res.json({ currency: 'USD', unit: 'per 1M tokens', prices: getPriceTable() });
+});
+
+// Run history: every recorded evaluation, generation, refinement, review and analysis
+const requireHistory = documentResponses((req, res, next) => {
+  if (!getHistoryStore()) return res.status(503).json({ error: 'History is disabled (HISTORY_STORE=off)' });
+  next();
+}, { 503: 'History is disabled (HISTORY_STORE=off)' });
+
+app.get('/history', requireRole('viewer'), requireHistory, (req, res) => {
+  const { kind, endpoint, artifactType, team, project, user, apiKey, since, until, q, limit, offset } = req.query;
+  if (kind && !KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${KINDS.join(', ')}` });
+  }
+  if ([since, until].some(d => d && isNaN(new Date(d).getTime()))) {
+    return res.status(400).json({ error: 'since and until must be ISO dates' });
+  }
+  try {
+    res.json(getHistoryStore().list({
+      kind, endpoint, artifactType, team, project, user, apiKey, q, limit, offset,
+      since: since ? new Date(since).toISOString() : undefined,
+      until: until ? new Date(until).toISOString() : undefined
+    }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read history', details: error.message });
+  }
+});
+
+app.get('/history/stats', requireRole('viewer'), requireHistory, (req, res) => {
+  res.json(getHistoryStore().stats());
+});
+
+app.get('/history/:id', requireRole('viewer'), requireHistory, (req, res) => {
+  const record = getHistoryStore().get(req.params.id);
+  if (!record) return res.status(404).json({ error: `History record '${req.params.id}' not found` });
+  res.json(record);
+});
+
+app.delete('/history/:id', requireRole('admin'), requireHistory, (req, res) => {
+  if (!getHistoryStore().delete(req.params.id)) {
+    return res.status(404).json({ error: `History record '${req.params.id}' not found` });
+  }
+  console.log(`[${new Date().toISOString()}] History record ${req.params.id} deleted`);
+  res.status(204).end();
+});
+
+// Artifacts: a story or test case with its chain of versions and the evaluation each version got
+const MAX_STORED_EVALUATION_LENGTH = 200000;
+
+// Drops the per-request fields (usage, cache) from an evaluation stored with a version
+const storedEvaluation = (evaluation) => {
+  if (!evaluation) return null;
+  const { usage, cache, ...rest } = evaluation;
+  return rest;
+};
+
+const isEvaluation = (evaluation) =>
+  typeof evaluation === 'object' && !Array.isArray(evaluation) && JSON.stringify(evaluation).length <= MAX_STORED_EVALUATION_LENGTH;
+
+const validateArtifactVersion = (req, res, next) => {
+  const { content, source, notes, evaluation } = req.body;
+  if (typeof content !== 'string' || !content.trim() || content.length > 10000) {
+    return res.status(400).json({ error: 'content must be a non-empty string of at most 10000 characters' });
+  }
+  if (source !== undefined && source !== null && !VERSION_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${VERSION_SOURCES.join(', ')}` });
+  }
+  if (notes !== undefined && notes !== null && (!Array.isArray(notes) || notes.some(note => typeof note !== 'string'))) {
+    return res.status(400).json({ error: 'notes must be an array of strings' });
+  }
+  if (evaluation !== undefined && evaluation !== null && !isEvaluation(evaluation)) {
+    return res.status(400).json({ error: `evaluation must be an object of at most ${MAX_STORED_EVALUATION_LENGTH} characters as JSON` });
+  }
+  next();
+};
+documentBody(validateArtifactVersion, {
+  required: ['content'],
+  properties: {
+    content: { type: 'string', minLength: 1, maxLength: 10000 },
+    source: { enum: VERSION_SOURCES },
+    notes: { type: ['array', 'null'], items: { type: 'string' }, description: 'What changed, e.g. the improvements a refinement made' },
+    evaluation: { type: ['object', 'null'], description: `The version's evaluation, at most ${MAX_STORED_EVALUATION_LENGTH} characters as JSON` }
+  }
+});
+
+const newVersion = ({ content, source, notes, evaluation }, defaultSource) => {
+  const createdAt = new Date().toISOString();
+  return {
+    content,
+    source: source || defaultSource,
+    notes: notes || null,
+    evaluation: storedEvaluation(evaluation),
+    createdAt,
+    evaluatedAt: evaluation ? createdAt : null
+  };
+};
+
+const artifactNotFound = (res, id) => res.status(404).json({ error: `Artifact '${id}' not found` });
+
+/**
+ * Loads the artifact named in the path into `req.artifact` for routes that change it. Only its
+ * owner or an admin may change an artifact; with AUTH_MODE off every request may, as with
+ * requireRole. X-Project-Id grants nothing here: projects have no members, so any client can send it.
+ */
+const requireArtifactAccess = (req, res, next) => {
+  const artifact = getHistoryStore().getArtifact(req.params.id);
+  if (!artifact) return artifactNotFound(res, req.params.id);
+  const allowed = !isAuthRequired()
+    || req.user.role === 'admin'
+    || (artifact.owner && artifact.owner === req.user.username);
+  if (!allowed) {
+    return res.status(403).json({ error: `Only the artifact's owner or an admin can change artifact '${artifact.id}'` });
+  }
+  req.artifact = artifact;
+  next();
+};
+
+app.post('/artifacts', requireRole('author'), requireHistory, validateArtifactVersion, (req, res) => {
+  const { type, title } = req.body;
+  if (!ARTIFACT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${ARTIFACT_TYPES.join(', ')}` });
+  }
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 200)) {
+    return res.status(400).json({ error: 'title must be a string of at most 200 characters' });
+  }
+
+  const store = getHistoryStore();
+  const now = new Date().toISOString();
+  const artifact = store.createArtifact({
+    id: crypto.randomUUID(),
+    type,
+    title: title || null,
+    project: req.project ? req.project.id : null,
+    team: getUsageContext().team,
+    owner: req.user ? req.user.username : null,
+    createdAt: now,
+    updatedAt: now
+  });
+  store.addArtifactVersion(artifact.id, newVersion(req.body, 'original'));
+  res.status(201).json(store.getArtifact(artifact.id));
+});
+
+app.get('/artifacts', requireRole('viewer'), requireHistory, (req, res) => {
+  const { type, project, team, limit, offset } = req.query;
+  if (type && !ARTIFACT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${ARTIFACT_TYPES.join(', ')}` });
+  }
+  res.json(getHistoryStore().listArtifacts({ type, project, team, limit, offset }));
+});
+
+app.get('/artifacts/:id', requireRole('viewer'), requireHistory, (req, res) => {
+  const artifact = getHistoryStore().getArtifact(req.params.id);
+  if (!artifact) return artifactNotFound(res, req.params.id);
+  res.json(artifact);
+});
+
+app.delete('/artifacts/:id', requireRole('author'), requireHistory, requireArtifactAccess, (req, res) => {
+  if (!getHistoryStore().deleteArtifact(req.params.id)) return artifactNotFound(res, req.params.id);
+  res.status(204).end();
+});
+
+app.post('/artifacts/:id/versions', requireRole('author'), requireHistory, requireArtifactAccess, validateArtifactVersion, (req, res) => {
+  const version = getHistoryStore().addArtifactVersion(req.params.id, newVersion(req.body, 'edit'));
+  if (!version) return artifactNotFound(res, req.params.id);
+  res.status(201).json(version);
+});
+
+// Attaches (or replaces) the evaluation of an existing version, e.g. once an applied refinement is re-evaluated
+app.put('/artifacts/:id/versions/:version/evaluation', requireRole('author'), requireHistory, requireArtifactAccess, (req, res) => {
+  const { evaluation } = req.body;
+  if (!evaluation || !isEvaluation(evaluation)) {
+    return res.status(400).json({ error: `evaluation must be an object of at most ${MAX_STORED_EVALUATION_LENGTH} characters as JSON` });
+  }
+  const version = getHistoryStore().setVersionEvaluation(req.params.id, Number(req.params.version), storedEvaluation(evaluation), new Date().toISOString());
+  if (!version) return res.status(404).json({ error: `Version ${req.params.version} of artifact '${req.params.id}' not found` });
+  res.json(version);
+});
+
+// Text diff, score deltas and resolved/introduced findings between two versions
+// (default: the latest version against the one before it)
+app.get('/artifacts/:id/diff', requireRole('viewer'), requireHistory, (req, res) => {
+  const artifact = getHistoryStore().getArtifact(req.params.id);
+  if (!artifact) return artifactNotFound(res, req.params.id);
+
+  const latest = artifact.versions.length;
+  const to = req.query.to !== undefined ? Number(req.query.to) : latest;
+  const from = req.query.from !== undefined ? Number(req.query.from) : Math.max(to - 1, 1);
+  const versions = [from, to].map(number => artifact.versions.find(v => v.version === number));
+  if (versions.some(v => !v)) {
+    return res.status(404).json({ error: `from and to must be versions between 1 and ${latest}` });
+  }
+  res.json(diffVersions(versions[0], versions[1]));
+});
+
+// Projects: the workspaces that own a rubric per artifact type, knowledge base examples and
+// integration settings, and that runs, artifacts and usage are scoped to
+const sendProjectError = (res, error, fallback) => {
+  if (error instanceof ProjectError) return res.status(error.status).json(error.toResponse());
+  res.status(500).json({ error: fallback, details: error.message });
+};
+
+app.get('/projects', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ projects: listProjects() });
+  } catch (error) {
+    sendProjectError(res, error, 'Failed to list projects');
+  }
+});
+
+app.post('/projects', requireRole('admin'), (req, res) => {
+  try {
+    const project = createProject(req.body);
+    console.log(`[${new Date().toISOString()}] Project '${project.id}' created`);
+    res.status(201).json(project);
+  } catch (error) {
+    sendProjectError(res, error, 'Failed to create project');
+  }
+});
+
+app.get('/projects/:id', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(getProject(req.params.id));
+  } catch (error) {
+    sendProjectError(res, error, 'Failed to read project');
+  }
+});
+
+app.put('/projects/:id', requireRole('admin'), (req, res) => {
+  try {
+    const project = updateProject(req.params.id, req.body);
+    console.log(`[${new Date().toISOString()}] Project '${project.id}' updated`);
+    res.json(project);
+  } catch (error) {
+    sendProjectError(res, error, 'Failed to update project');
+  }
+});
+
+// Removes the project itself; its history records and artifacts keep their project id
+app.delete('/projects/:id', requireRole('admin'), (req, res) => {
+  try {
+    deleteProject(req.params.id);
+    console.log(`[${new Date().toISOString()}] Project '${req.params.id}' deleted`);
+    res.status(204).end();
+  } catch (error) {
+    sendProjectError(res, error, 'Failed to delete project');
+  }
+});
+
+// Accounts and sessions: local sign-in, OpenID Connect sign-in and (admin) user management
+const sendAuthError = (res, error, fallback) => {
+  if (error instanceof AuthError) return res.status(error.status).json(error.toResponse());
+  res.status(500).json({ error: fallback, details: error.message });
+};
+
+// Where an OIDC sign-in may send the browser back to, e.g. the frontend's origin
+const allowedRedirect = (url) => {
+  const origins = (process.env.AUTH_REDIRECT_ORIGINS || 'http://localhost:3000').split(',').map(o => o.trim()).filter(Boolean);
+  try {
+    return origins.includes(new URL(url).origin);
+  } catch (e) {
+    return false;
+  }
+};
+
+// The backend's public URL: AUTH_BASE_URL, or the one the request came in on
+const publicBaseUrl = (req) => (process.env.AUTH_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const oidcCallbackUrl = (req, providerId) => `${publicBaseUrl(req)}/auth/oidc/${providerId}/callback`;
+
+app.get('/auth/config', (req, res) => {
+  res.json({ mode: isAuthRequired() ? 'required' : 'off', roles: ROLES, providers: listIdentityProviders() });
+});
+
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+  try {
+    const session = login(username, password);
+    console.log(`[${new Date().toISOString()}] '${session.user.username}' signed in`);
+    res.json(session);
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to sign in');
+  }
+});
+
+app.get('/auth/me', (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Not signed in' });
+  res.json({ user: req.user });
+});
+
+// Starts an OIDC sign-in: redirects to the provider, which returns to /auth/oidc/:provider/callback
+app.get('/auth/oidc/:provider/login', async (req, res) => {
+  const provider = getIdentityProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ error: `Identity provider '${req.params.provider}' is not configured` });
+  const redirect = req.query.redirect || (process.env.AUTH_REDIRECT_ORIGINS || 'http://localhost:3000').split(',')[0].trim();
+  if (!allowedRedirect(redirect)) return res.status(400).json({ error: 'redirect is not an allowed origin (AUTH_REDIRECT_ORIGINS)' });
+
+  try {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    // The state is signed, so the callback needs no server-side session to check it
+    const state = signToken({ purpose: 'oidc', provider: provider.id, nonce, redirect }, 10 * 60);
+    res.redirect(await provider.authorizationUrl({ state, nonce, redirectUri: oidcCallbackUrl(req, provider.id) }));
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] OIDC sign-in with ${provider.id} failed:`, error.message);
+    res.status(502).json({ error: `Could not reach identity provider '${provider.id}'`, details: error.message });
+  }
+});
+
+// Completes an OIDC sign-in and hands the session to the frontend in the URL fragment
+app.get('/auth/oidc/:provider/callback', async (req, res) => {
+  const state = verifyToken(req.query.state);
+  if (!state || state.purpose !== 'oidc' || state.provider !== req.params.provider) {
+    return res.status(400).json({ error: 'Sign-in request is invalid or has expired; start again' });
+  }
+  const back = (fragment) => res.redirect(`${state.redirect}#${new URLSearchParams(fragment)}`);
+  if (req.query.error) return back({ authError: req.query.error_description || req.query.error });
+
+  try {
+    const provider = getIdentityProvider(state.provider);
+    if (!provider) return back({ authError: `Identity provider '${state.provider}' is not configured` });
+    const claims = await provider.authenticate({ code: req.query.code, nonce: state.nonce, redirectUri: oidcCallbackUrl(req, provider.id) });
+    const session = signInWithProvider(provider.id, claims);
+    console.log(`[${new Date().toISOString()}] '${session.user.username}' signed in with ${provider.id}`);
+    back({ session: session.token });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] OIDC callback from ${req.params.provider} failed:`, error.message);
+    back({ authError: error.message });
+  }
+});
+
+app.get('/auth/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ users: listUsers() });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to list users');
+  }
+});
+
+app.post('/auth/users', requireRole('admin'), (req, res) => {
+  try {
+    const user = createUser(req.body);
+    console.log(`[${new Date().toISOString()}] User '${user.username}' created as ${user.role}`);
+    res.status(201).json(user);
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to create user');
+  }
+});
+
+app.put('/auth/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    res.json(updateUser(req.params.id, req.body));
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to update user');
+  }
+});
+
+app.delete('/auth/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    deleteUser(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to delete user');
+  }
+});
+
+// API keys for CI and scripts. Users manage their own keys; admins manage everyone's.
+// The secret is only in the responses to create and rotate.
+app.get('/auth/api-keys', requireRole('author'), (req, res) => {
+  try {
+    res.json({ apiKeys: listApiKeys(req.user, { userId: req.query.user }) });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to list API keys');
+  }
+});
+
+app.post('/auth/api-keys', requireRole('author'), (req, res) => {
+  try {
+    const apiKey = createApiKey(req.user, req.body);
+    console.log(`[${new Date().toISOString()}] API key '${apiKey.name}' (${apiKey.id}) created with scopes ${apiKey.scopes.join(', ')}`);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to create API key');
+  }
+});
+
+app.get('/auth/api-keys/:id', requireRole('author'), (req, res) => {
+  try {
+    res.json(getApiKey(req.user, req.params.id));
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to read API key');
+  }
+});
+
+app.put('/auth/api-keys/:id', requireRole('author'), (req, res) => {
+  try {
+    res.json(updateApiKey(req.user, req.params.id, req.body));
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to update API key');
+  }
+});
+
+app.post('/auth/api-keys/:id/rotate', requireRole('author'), (req, res) => {
+  try {
+    const apiKey = rotateApiKey(req.user, req.params.id);
+    console.log(`[${new Date().toISOString()}] API key ${apiKey.id} rotated`);
+    res.json(apiKey);
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to rotate API key');
+  }
+});
+
+// Revokes the key; it stays listed (status: revoked) so history made with it is still attributed
+app.delete('/auth/api-keys/:id', requireRole('author'), (req, res) => {
+  try {
+    revokeApiKey(req.user, req.params.id);
+    console.log(`[${new Date().toISOString()}] API key ${req.params.id} revoked`);
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// Prompt registry: list templates with their versions, or view one version's text
+app.get('/prompts', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ prompts: listPrompts() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read prompt registry', details: error.message });
+  }
+});
+
+app.get('/prompts/:name', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(getTemplate(req.params.name, req.query.version || null));
+  } catch (error) {
+    if (error instanceof PromptError) return res.status(error.status).json(error.toResponse());
+    res.status(500).json({ error: 'Failed to read prompt template', details: error.message });
+  }
+});
+
+// Rubric registry: list, view and define the rubrics evaluations are scored against
+app.get('/rubrics', requireRole('viewer'), (req, res) => {
+  const { type } = req.query;
+  if (type && !ARTIFACT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${ARTIFACT_TYPES.join(', ')}` });
+  }
+  try {
+    res.json({ rubrics: listRubrics(type || null) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read rubric registry', details: error.message });
+  }
+});
+
+app.get('/rubrics/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const rubric = getRubric(req.params.id);
+    res.json({ ...summarizeRubric(rubric), criteria: rubric.criteria, instructions: rubric.instructions || null });
+  } catch (error) {
+    if (error instanceof RubricError) return res.status(error.status).json(error.toResponse());
+    res.status(500).json({ error: 'Failed to read rubric', details: error.message });
+  }
+});
+
+app.put('/rubrics/:id', requireRole('admin'), (req, res) => {
+  try {
+    const rubric = saveRubric(req.params.id, req.body);
+    console.log(`[${new Date().toISOString()}] Rubric '${rubric.id}' saved`);
+    res.json(summarizeRubric(rubric));
+  } catch (error) {
+    if (error instanceof RubricError) return res.status(error.status).json(error.toResponse());
+    res.status(500).json({ error: 'Failed to save rubric', details: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -1102,37 +1629,59 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     env: process.env.NODE_ENV || 'development',
     model: MODEL,
-    groq: !!groq
+    provider: llm ? llm.name : null,
+    llm: !!llm,
+    providers: describeProviders(),
+    queue: getScheduler().getStats()
   });
 });
 
+// API description: the OpenAPI document, generated from the routes and their validators, and a docs page for it
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument(app, { serverUrl: publicBaseUrl(req) }));
+});
+
+app.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../docs/index.html'));
+});
+
 // --- AGENTIC ENDPOINTS ---
 
-app.post('/agentic/refine', async (req, res) => {
+app.post('/agentic/refine', requireRole('reviewer', 'agentic'), async (req, res) => {
   const { artifact, type, findings, grade } = req.body;
   if (!agenticEngine) return res.status(503).json({ error: 'Agentic Engine not ready' });
   
   try {
+    const startedAt = Date.now();
     const result = await agenticEngine.refineArtifact(artifact, type, findings, grade);
+    recordRun({ kind: 'refinement', endpoint: 'agentic', artifactType: type || null, input: req.body, output: result, ...runScope(req), startedAt });
     res.json(result);
   } catch (err) {
+    if (err instanceof SchemaValidationError) return res.status(502).json(err.toResponse());
+    if (err instanceof PromptError) return res.status(err.status).json(err.toResponse());
+    if (err instanceof SchedulerError) return sendSchedulerError(res, err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/agentic/multi-agent-eval', async (req, res) => {
+app.post('/agentic/multi-agent-eval', requireRole('reviewer', 'agentic'), async (req, res) => {
   const { artifact, type } = req.body;
   if (!agenticEngine) return res.status(503).json({ error: 'Agentic Engine not ready' });
   
   try {
+    const startedAt = Date.now();
     const result = await agenticEngine.multiAgentReview(artifact, type);
+    recordRun({ kind: 'review', endpoint: 'agentic', artifactType: type || null, input: req.body, output: result, ...runScope(req), startedAt });
     res.json(result);
   } catch (err) {
+    if (err instanceof SchemaValidationError) return res.status(502).json(err.toResponse());
+    if (err instanceof PromptError) return res.status(err.status).json(err.toResponse());
+    if (err instanceof SchedulerError) return sendSchedulerError(res, err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/agentic/chat', async (req, res) => {
+app.post('/agentic/chat', requireRole('author', 'agentic'), async (req, res) => {
   const { artifact, type, evaluation, userQuestion } = req.body;
   if (!agenticEngine) return res.status(503).json({ error: 'Agentic Engine not ready' });
   
@@ -1140,10 +1689,17 @@ app.post('/agentic/chat', async (req, res) => {
     const result = await agenticEngine.chatResponse(artifact, type, evaluation, userQuestion);
     res.json(result);
   } catch (err) {
+    if (err instanceof PromptError) return res.status(err.status).json(err.toResponse());
+    if (err instanceof SchedulerError) return sendSchedulerError(res, err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Routes added without an entry in utils/openapiOperations.js are listed in the API docs without a description
+const undocumented = undocumentedRoutes(app);
+if (undocumented.length) {
+  console.warn(`[${new Date().toISOString()}] OpenAPI: no description in utils/openapiOperations.js for ${undocumented.join(', ')}`);
+}
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { MemoryHistoryStore, setHistoryStore, getHistoryStore } = require('../utils/historyStore');
+const { createUser, requireRole } = require('../utils/auth');
+const { createApiKey, rotateApiKey, revokeApiKey, authenticateApiKey } = require('../utils/apiKeys');
+
+// Runs an Express middleware against a fake request: the response status (200 when it called next), body, headers and request
+function run(middleware, fields) {
+  const req = { headers: {}, ...fields };
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { status: passed ? 200 : res.statusCode, body: res.body, headers: res.headers, req };
+}
+
+const withKey = (secret) => ({ headers: { 'x-api-key': secret } });
+
+test.beforeEach(() => {
+  setHistoryStore(new MemoryHistoryStore());
+});
+
+test('a key is shown once and only a hash of its secret is stored', () => {
+  const owner = createUser({ username: 'ci-bot', password: 'password1', role: 'author' });
+  const created = createApiKey(owner, { name: 'CI', scopes: ['evaluate'] });
+  assert.match(created.secret, /^qak_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/);
+  assert.ok(created.secret.startsWith(`qak_${created.id}_`));
+  assert.strictEqual(created.keyHash, undefined);
+
+  const stored = getHistoryStore().getApiKey(created.id);
+  assert.strictEqual(stored.keyHash, crypto.createHash('sha256').update(created.secret).digest('hex'));
+  assert.ok(!JSON.stringify(stored).includes(created.secret));
+});
+
+test('a valid key signs the request in as its owner; a wrong, rotated or revoked one is a 401', () => {
+  const owner = createUser({ username: 'ci-bot', password: 'password1', role: 'author' });
+  const { id, secret } = createApiKey(owner, { name: 'CI', scopes: ['evaluate'] });
+
+  const signedIn = run(authenticateApiKey, withKey(secret));
+  assert.strictEqual(signedIn.status, 200);
+  assert.strictEqual(signedIn.req.user.username, 'ci-bot');
+  assert.deepStrictEqual(signedIn.req.apiKey, { id, name: 'CI', scopes: ['evaluate'], project: null });
+
+  const bearer = run(authenticateApiKey, { headers: { authorization: `Bearer ${secret}` } });
+  assert.strictEqual(bearer.req.apiKey.id, id);
+
+  assert.strictEqual(run(authenticateApiKey, withKey(`${secret.slice(0, -1)}x`)).status, 401);
+  assert.strictEqual(run(authenticateApiKey, withKey('qak_nope')).status, 401);
+
+  const { secret: rotated } = rotateApiKey(null, id);
+  assert.strictEqual(run(authenticateApiKey, withKey(secret)).status, 401);
+  assert.strictEqual(run(authenticateApiKey, withKey(rotated)).status, 200);
+
+  revokeApiKey(null, id);
+  const revoked = run(authenticateApiKey, withKey(rotated));
+  assert.strictEqual(revoked.status, 401);
+  assert.strictEqual(revoked.body.error, 'API key has been revoked');
+});
+
+test('an expired key is a 401', () => {
+  const { secret } = createApiKey(null, { name: 'Old', scopes: ['evaluate'], expiresAt: '2020-01-01T00:00:00Z' });
+  const expired = run(authenticateApiKey, withKey(secret));
+  assert.strictEqual(expired.status, 401);
+  assert.strictEqual(expired.body.error, 'API key has expired');
+});
+
+test('a key only calls routes given one of its scopes', () => {
+  const { secret } = createApiKey(null, { name: 'CI', scopes: ['evaluate'] });
+  const { req } = run(authenticateApiKey, withKey(secret));
+
+  assert.strictEqual(run(requireRole('author', 'evaluate'), req).status, 200);
+  const lacking = run(requireRole('author', 'generate'), req);
+  assert.strictEqual(lacking.status, 403);
+  assert.strictEqual(lacking.body.error, "This API key lacks the 'generate' scope");
+  const unscoped = run(requireRole('admin'), req);
+  assert.strictEqual(unscoped.status, 403);
+  assert.strictEqual(unscoped.body.error, 'API keys cannot call this endpoint');
+});
+
+test('a key over its quota is a 429 with Retry-After until the window resets', () => {
+  const { secret } = createApiKey(null, { name: 'CI', scopes: ['evaluate'], quota: { limit: 2, window: 'hour' } });
+
+  const first = run(authenticateApiKey, withKey(secret));
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers['X-RateLimit-Limit'], '2');
+  assert.strictEqual(first.headers['X-RateLimit-Remaining'], '1');
+  assert.strictEqual(run(authenticateApiKey, withKey(secret)).headers['X-RateLimit-Remaining'], '0');
+
+  const over = run(authenticateApiKey, withKey(secret));
+  assert.strictEqual(over.status, 429);
+  assert.match(over.body.error, /quota of 2 requests per hour is used up/);
+  const retryAfter = Number(over.headers['Retry-After']);
+  assert.ok(retryAfter >= 1 && retryAfter <= 3600);
+  assert.strictEqual(over.body.resetsAt, new Date(Number(over.headers['X-RateLimit-Reset']) * 1000).toISOString());
+});
+
+test('invalid key settings are rejected with every problem listed', () => {
+  assert.throws(
+    () => createApiKey(null, { name: '', scopes: ['everything'], quota: { limit: 0, window: 'week' } }),
+    (e) => e.status === 400 && e.validationErrors.length === 4
+  );
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffText, collectFindings, scoreDeltas, diffVersions } = require('../utils/artifactDiff');
+
+// Joining the equal and deleted texts gives `before`; equal and inserted texts give `after`
+const side = (ops, skip) => ops.filter(op => op.op !== skip).map(op => op.text).join('');
+
+test('a word-level diff merges runs and rebuilds both texts', () => {
+  const before = 'As a shopper, I want to pay';
+  const after = 'As a returning shopper, I want to pay by card';
+  const ops = diffText(before, after);
+  assert.deepStrictEqual(ops, [
+    { op: 'equal', text: 'As a ' },
+    { op: 'insert', text: 'returning ' },
+    { op: 'equal', text: 'shopper, I want to pay' },
+    { op: 'insert', text: ' by card' }
+  ]);
+  assert.strictEqual(side(ops, 'insert'), before);
+  assert.strictEqual(side(ops, 'delete'), after);
+});
+
+test('identical texts are one equal run; empty texts diff to nothing', () => {
+  assert.deepStrictEqual(diffText('same text', 'same text'), [{ op: 'equal', text: 'same text' }]);
+  assert.deepStrictEqual(diffText('', ''), []);
+  assert.deepStrictEqual(diffText(null, undefined), []);
+  assert.deepStrictEqual(diffText('', 'new'), [{ op: 'insert', text: 'new' }]);
+  assert.deepStrictEqual(diffText('old', ''), [{ op: 'delete', text: 'old' }]);
+});
+
+test('line break changes show up as whitespace edits', () => {
+  const ops = diffText('line one\nline two', 'line one\r\nline two');
+  assert.strictEqual(side(ops, 'delete'), 'line one\r\nline two');
+  assert.deepStrictEqual(ops.filter(op => op.op !== 'equal'), [{ op: 'delete', text: '\n' }, { op: 'insert', text: '\r\n' }]);
+});
+
+test('texts over the token limit are compared as one replacement', () => {
+  const long = Array(2001).fill('word').join(' ');
+  assert.deepStrictEqual(diffText(long, 'short'), [{ op: 'delete', text: long }, { op: 'insert', text: 'short' }]);
+});
+
+test('findings are the lint findings plus criteria below 80% of the top score', () => {
+  const evaluation = {
+    lint: { findings: [{ ruleId: 'missing-benefit', severity: 'warning', message: 'No benefit' }] },
+    parameters: [{ name: 'Small', score: 3, findings: 'Too big' }, { name: 'Valuable', score: 4 }, { name: 'Testable', score: 3.9 }]
+  };
+  assert.deepStrictEqual(collectFindings(evaluation).map(f => f.key), ['lint:missing-benefit:No benefit', 'criterion:Small', 'criterion:Testable']);
+  assert.strictEqual(collectFindings(evaluation)[2].message, 'Testable scored 3.9');
+  assert.deepStrictEqual(collectFindings(null), []);
+});
+
+test('the weak-criterion cut-off follows the rubric scale, and test case smells count as findings', () => {
+  const evaluation = {
+    rubric: { scale: { max: 10 } },
+    smells: { findings: [{ ruleId: 'no-steps', severity: 'error', message: 'No steps' }] },
+    parameters: [{ name: 'Clarity', score: 7.9 }, { name: 'Coverage', score: 8 }]
+  };
+  assert.deepStrictEqual(collectFindings(evaluation).map(f => f.key), ['lint:no-steps:No steps', 'criterion:Clarity']);
+});
+
+test('score deltas match criteria by name and are null when one side is missing', () => {
+  const deltas = scoreDeltas(
+    { totalScore: 14, grade: 'D', parameters: [{ name: 'Small', score: 2 }, { name: 'Old', score: 3 }] },
+    { totalScore: 22, grade: 'B', parameters: [{ name: 'Small', score: 5 }, { name: 'New', score: 4 }] }
+  );
+  assert.deepStrictEqual(deltas, {
+    total: { from: 14, to: 22, delta: 8 },
+    grade: { from: 'D', to: 'B' },
+    criteria: [
+      { name: 'Small', from: 2, to: 5, delta: 3 },
+      { name: 'Old', from: 3, to: null, delta: null },
+      { name: 'New', from: null, to: 4, delta: null }
+    ]
+  });
+  assert.deepStrictEqual(scoreDeltas({ totalScore: 0 }, {}).total, { from: 0, to: null, delta: null });
+});
+
+test('diffVersions reports resolved, introduced and unchanged findings', () => {
+  const lint = (...ruleIds) => ({ findings: ruleIds.map(ruleId => ({ ruleId, severity: 'warning', message: ruleId })) });
+  const diff = diffVersions(
+    { version: 1, content: 'v1', evaluation: { totalScore: 10, lint: lint('missing-benefit', 'vague-term') } },
+    { version: 2, content: 'v2', evaluation: { totalScore: 12, lint: lint('vague-term', 'compound-goal') } }
+  );
+  assert.strictEqual(diff.from, 1);
+  assert.strictEqual(diff.to, 2);
+  assert.deepStrictEqual(diff.findings.resolved.map(f => f.ruleId), ['missing-benefit']);
+  assert.deepStrictEqual(diff.findings.introduced.map(f => f.ruleId), ['compound-goal']);
+  assert.strictEqual(diff.findings.unchanged, 1);
+  assert.strictEqual(diff.scores.total.delta, 2);
+});
+
+test('scores and findings are null until both versions are evaluated', () => {
+  const diff = diffVersions({ version: 1, content: 'a', evaluation: { totalScore: 10 } }, { version: 2, content: 'b', evaluation: null });
+  assert.strictEqual(diff.scores, null);
+  assert.strictEqual(diff.findings, null);
+  assert.deepStrictEqual(diff.text, [{ op: 'delete', text: 'a' }, { op: 'insert', text: 'b' }]);
+});
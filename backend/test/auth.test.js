@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryHistoryStore, setHistoryStore } = require('../utils/historyStore');
+const { signToken, verifyToken, createUser, login, authenticate, requireRole } = require('../utils/auth');
+
+process.env.AUTH_JWT_SECRET = 'test-secret';
+
+// Runs `fn` with the given environment settings, restoring the previous values afterwards
+function withEnv(settings, fn) {
+  const saved = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+  Object.entries(settings).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+// Runs an Express middleware against a fake request: the response status (200 when it called next), body and request
+function run(middleware, fields) {
+  const req = { headers: {}, ...fields };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { status: passed ? 200 : res.statusCode, body: res.body, req };
+}
+
+test('verifyToken returns the claims of a token signToken issued', () => {
+  const claims = verifyToken(signToken({ sub: 'u1', role: 'author' }, 60));
+  assert.strictEqual(claims.sub, 'u1');
+  assert.strictEqual(claims.role, 'author');
+  assert.strictEqual(claims.exp - claims.iat, 60);
+});
+
+test('verifyToken rejects a tampered token', () => {
+  const [header, , signature] = signToken({ sub: 'u1', role: 'viewer' }, 60).split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'u1', role: 'admin', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  assert.strictEqual(verifyToken(`${header}.${forged}.${signature}`), null);
+  assert.strictEqual(verifyToken(`${header}.${forged}`), null);
+  assert.strictEqual(verifyToken('not a token'), null);
+});
+
+test('verifyToken rejects a token signed with another secret', () => {
+  const token = withEnv({ AUTH_JWT_SECRET: 'other-secret' }, () => signToken({ sub: 'u1' }, 60));
+  assert.strictEqual(verifyToken(token), null);
+});
+
+test('verifyToken rejects an expired token', () => {
+  assert.strictEqual(verifyToken(signToken({ sub: 'u1' }, -1)), null);
+  assert.strictEqual(verifyToken(signToken({ sub: 'u1' }, 0)), null);
+});
+
+test('authenticate resolves a session token to its user and rejects a stale one', () => {
+  setHistoryStore(new MemoryHistoryStore());
+  createUser({ username: 'alice', password: 'password1', role: 'author' });
+  const { token } = login('alice', 'password1');
+
+  const signedIn = run(authenticate, { headers: { authorization: `Bearer ${token}` } });
+  assert.strictEqual(signedIn.status, 200);
+  assert.strictEqual(signedIn.req.user.username, 'alice');
+  assert.strictEqual(signedIn.req.user.passwordHash, undefined);
+
+  const expired = signToken({ sub: 'someone', role: 'admin' }, -1);
+  const rejected = run(authenticate, { headers: { authorization: `Bearer ${expired}` } });
+  assert.strictEqual(rejected.status, 401);
+  assert.match(rejected.body.error, /sign in again/);
+});
+
+test('an admin-only route admits admins only when AUTH_MODE is required', () => {
+  const adminOnly = requireRole('admin');
+  withEnv({ AUTH_MODE: 'required' }, () => {
+    assert.strictEqual(run(adminOnly, { user: { username: 'root', role: 'admin' } }).status, 200);
+    const reviewer = run(adminOnly, { user: { username: 'bob', role: 'reviewer' } });
+    assert.strictEqual(reviewer.status, 403);
+    assert.strictEqual(reviewer.body.error, 'This requires the admin role (you are reviewer)');
+    assert.strictEqual(run(adminOnly, { user: null }).status, 401);
+  });
+  withEnv({ AUTH_MODE: 'off' }, () => {
+    assert.strictEqual(run(adminOnly, { user: null }).status, 200);
+  });
+});
+
+test('a role includes the roles ranked below it', () => {
+  withEnv({ AUTH_MODE: 'required' }, () => {
+    assert.strictEqual(run(requireRole('author'), { user: { role: 'reviewer' } }).status, 200);
+    assert.strictEqual(run(requireRole('author'), { user: { role: 'viewer' } }).status, 403);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findDuplicates } = require('../utils/duplicateDetection');
+
+// Runs `fn` with the given environment settings, restoring the previous values afterwards
+async function withEnv(settings, fn) {
+  const saved = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+  Object.entries(settings).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+const ITEMS = [
+  { id: 'US-1', text: 'As a buyer, I want to pay by card so that I can check out' },
+  { id: 'US-2', text: 'As a buyer, I want to pay by card so that I can check out quickly' },
+  { id: 'US-3', text: 'As an admin, I want to export the audit log' }
+];
+
+test('the local comparison uses DEDUP_LOCAL_THRESHOLD, read on each call', async () => {
+  const loose = await withEnv({ DEDUP_EMBEDDINGS: 'local', DEDUP_LOCAL_THRESHOLD: '0.5' }, () => findDuplicates(ITEMS));
+  assert.strictEqual(loose.method, 'local');
+  assert.strictEqual(loose.threshold, 0.5);
+  assert.deepStrictEqual(loose.clusters.map(c => [c.representative.id, ...c.members.map(m => m.id)]), [['US-1', 'US-2']]);
+
+  const strict = await withEnv({ DEDUP_EMBEDDINGS: 'local', DEDUP_LOCAL_THRESHOLD: '1' }, () => findDuplicates(ITEMS));
+  assert.strictEqual(strict.threshold, 1);
+  assert.deepStrictEqual(strict.clusters, []);
+});
+
+test('a threshold setting that is not a number falls back to the default', async () => {
+  for (const value of [undefined, '', 'abc']) {
+    const result = await withEnv({ DEDUP_EMBEDDINGS: 'local', DEDUP_LOCAL_THRESHOLD: value }, () => findDuplicates(ITEMS));
+    assert.strictEqual(result.threshold, 0.7, String(value));
+  }
+});
+
+test('a threshold given with the request wins over the setting', async () => {
+  const result = await withEnv({ DEDUP_EMBEDDINGS: 'local', DEDUP_LOCAL_THRESHOLD: '0.1' }, () => findDuplicates(ITEMS, { threshold: 0.99 }));
+  assert.strictEqual(result.threshold, 0.99);
+});
+
+test('exact duplicates are found and an empty upload has no clusters', async () => {
+  await withEnv({ DEDUP_EMBEDDINGS: 'local' }, async () => {
+    const result = await findDuplicates([{ text: 'Same story' }, { text: ' same  STORY ' }]);
+    assert.strictEqual(result.clusters.length, 1);
+    assert.strictEqual(result.clusters[0].members[0].exact, true);
+    assert.deepStrictEqual((await findDuplicates([])).summary, { items: 0, clusters: 0, duplicates: 0, unique: 0 });
+  });
+});
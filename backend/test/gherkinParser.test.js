@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isGherkin, parseGherkin, analyzeGherkin, renderFeature, featureFileName } = require('../utils/gherkinParser');
+
+const ruleIds = (result) => result.smells.findings.map(f => f.ruleId);
+
+const FEATURE = `@checkout
+Feature: Checkout
+  Buyers pay for their cart.
+
+  Background:
+    Given a signed-in buyer
+    And a cart with 2 items
+
+  Scenario: Pay by card
+    When the buyer pays with a valid card
+    Then the order is confirmed
+
+  @pricing
+  Scenario Outline: Shipping cost
+    Given a delivery to <country>
+    When the buyer checks out
+    Then shipping costs <cost>
+
+    Examples:
+      | country | cost |
+      | France  | 5    |
+      | Japan   | 20   |
+`;
+
+test('a feature with a Background and a Scenario Outline parses into its parts', () => {
+  const doc = parseGherkin(FEATURE);
+  assert.deepStrictEqual(doc.errors, []);
+  assert.strictEqual(doc.feature.name, 'Checkout');
+  assert.deepStrictEqual(doc.feature.tags, ['@checkout']);
+  assert.strictEqual(doc.feature.description, 'Buyers pay for their cart.');
+  assert.deepStrictEqual(doc.background.steps.map(s => [s.keyword, s.type, s.text]), [
+    ['Given', 'context', 'a signed-in buyer'],
+    ['And', 'context', 'a cart with 2 items']
+  ]);
+  assert.deepStrictEqual(doc.scenarios.map(s => [s.name, s.outline]), [['Pay by card', false], ['Shipping cost', true]]);
+
+  const outline = doc.scenarios[1];
+  assert.deepStrictEqual(outline.tags, ['@pricing']);
+  assert.strictEqual(outline.examples.length, 1);
+  assert.deepStrictEqual(outline.examples[0].header, ['country', 'cost']);
+  assert.deepStrictEqual(outline.examples[0].rows, [['France', '5'], ['Japan', '20']]);
+});
+
+test('a well-formed feature has no findings', () => {
+  assert.deepStrictEqual(analyzeGherkin(FEATURE, { requireFeature: true }).smells.findings, []);
+});
+
+test('lines and offsets point at the source', () => {
+  const doc = parseGherkin(FEATURE);
+  const step = doc.scenarios[0].steps[0];
+  assert.strictEqual(step.line, 10);
+  assert.strictEqual(FEATURE.slice(step.start, step.end), 'When the buyer pays with a valid card');
+});
+
+test('CRLF line endings parse the same as LF', () => {
+  const crlf = parseGherkin(FEATURE.replace(/\n/g, '\r\n'));
+  const lf = parseGherkin(FEATURE);
+  assert.deepStrictEqual(crlf.errors, []);
+  assert.deepStrictEqual(crlf.scenarios.map(s => s.steps.map(step => step.text)), lf.scenarios.map(s => s.steps.map(step => step.text)));
+  assert.deepStrictEqual(crlf.scenarios[1].examples[0].rows, lf.scenarios[1].examples[0].rows);
+});
+
+test('doc strings keep their lines without CRLF carriage returns', () => {
+  const text = 'Scenario: Import\n  Given the file\n    """\n    id,name\n    1,Ann\n    """\n  When it is imported\n  Then 1 row is added\n';
+  assert.strictEqual(parseGherkin(text).scenarios[0].steps[0].docString, 'id,name\n1,Ann');
+  assert.strictEqual(parseGherkin(text.replace(/\n/g, '\r\n')).scenarios[0].steps[0].docString, 'id,name\n1,Ann');
+});
+
+test('an unclosed doc string is an error', () => {
+  const doc = parseGherkin('Scenario: Import\n  Given the file\n    """\n    id,name\n');
+  assert.deepStrictEqual(doc.errors.map(e => e.ruleId), ['unexpected-line']);
+});
+
+test('empty input parses to nothing and is not Gherkin', () => {
+  for (const input of ['', null, '\n\n']) {
+    const doc = parseGherkin(input);
+    assert.deepStrictEqual(doc, { feature: null, background: null, scenarios: [], errors: [] });
+    assert.strictEqual(isGherkin(input), false);
+  }
+  assert.deepStrictEqual(ruleIds(analyzeGherkin('', { requireFeature: true })), ['missing-feature']);
+});
+
+test('isGherkin needs a header or two Given/When/Then lines', () => {
+  assert.strictEqual(isGherkin('Scenario: Login'), true);
+  assert.strictEqual(isGherkin('Given a user\nWhen they log in'), true);
+  assert.strictEqual(isGherkin('Given a user'), false);
+});
+
+test('steps without a header are one implicit scenario; And takes the previous step type', () => {
+  const doc = parseGherkin('Given a user\nWhen they log in\nThen they see the dashboard\nAnd a welcome banner');
+  assert.strictEqual(doc.scenarios.length, 1);
+  assert.strictEqual(doc.scenarios[0].implicit, true);
+  assert.deepStrictEqual(doc.scenarios[0].steps.map(s => s.type), ['context', 'action', 'outcome', 'outcome']);
+});
+
+test('Background checks: actions are flagged and a single scenario is noted', () => {
+  const result = analyzeGherkin('Feature: F\n  Background:\n    Given a user\n    When they log in\n  Scenario: S\n    When they open settings\n    Then settings show');
+  assert.deepStrictEqual(ruleIds(result).sort(), ['background-action', 'background-single-scenario']);
+});
+
+test('Scenario Outline checks: missing Examples, undefined placeholders, unused columns and row width', () => {
+  const noExamples = analyzeGherkin('Scenario Outline: S\n  When I pay <amount>\n  Then it works');
+  assert.ok(ruleIds(noExamples).includes('missing-examples'));
+
+  const mismatched = analyzeGherkin('Scenario Outline: S\n  When I pay <amount>\n  Then I get <change>\n  Examples:\n    | amount | note |\n    | 5 | a |\n    | 6 |');
+  const ids = ruleIds(mismatched);
+  assert.ok(ids.includes('undefined-placeholder'));
+  assert.ok(ids.includes('unused-example-column'));
+  assert.ok(ids.includes('examples-row-width'));
+  assert.ok(!ids.includes('single-example'));
+});
+
+test('an outline with one Examples row is noted, two are not', () => {
+  const outline = (rows) => `Scenario Outline: S\n  When I pay <amount>\n  Then it is accepted\n  Examples:\n    | amount |\n${rows.map(r => `    | ${r} |`).join('\n')}`;
+  assert.ok(ruleIds(analyzeGherkin(outline([5]))).includes('single-example'));
+  assert.ok(!ruleIds(analyzeGherkin(outline([5, 6]))).includes('single-example'));
+});
+
+test('scenario checks: no Then, When after Then, imperative steps and long scenarios', () => {
+  assert.deepStrictEqual(ruleIds(analyzeGherkin('Scenario: S\n  Given a user\n  When they log in')), ['missing-outcome']);
+  assert.deepStrictEqual(ruleIds(analyzeGherkin('Scenario: S\n  When they log in\n  Then ok\n  When they log out\n  Then bye')), ['multiple-behaviours']);
+  assert.deepStrictEqual(ruleIds(analyzeGherkin('Scenario: S\n  When they click the Save button\n  Then it is saved')), ['imperative-step']);
+
+  const steps = (count) => `Scenario: S\n  When they log in\n${Array.from({ length: count - 2 }, () => '  And they wait').join('\n')}\n  Then ok`;
+  assert.ok(!ruleIds(analyzeGherkin(steps(10))).includes('long-scenario'));
+  assert.ok(ruleIds(analyzeGherkin(steps(11))).includes('long-scenario'));
+});
+
+test('renderFeature output parses back to the same scenarios', () => {
+  const text = renderFeature({
+    name: 'Checkout',
+    tags: ['checkout'],
+    background: ['Given a signed-in buyer'],
+    scenarios: [
+      { name: 'Pay', steps: ['When the buyer pays', 'Then the order is confirmed'] },
+      { name: 'Ship', steps: ['When shipping to <country>', 'Then it costs <cost>'], examples: { header: ['country', 'cost'], rows: [['France', '5'], ['Japan', '20']] } }
+    ]
+  });
+  const result = analyzeGherkin(text, { requireFeature: true });
+  assert.deepStrictEqual(result.smells.findings, []);
+  assert.deepStrictEqual(result.structure.feature.tags, ['@checkout']);
+  assert.deepStrictEqual(result.structure.scenarios.map(s => [s.name, s.outline]), [['Pay', false], ['Ship', true]]);
+});
+
+test('featureFileName slugs the name', () => {
+  assert.strictEqual(featureFileName('Checkout: Pay by Card!'), 'checkout-pay-by-card.feature');
+  assert.strictEqual(featureFileName(''), 'feature.feature');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { OidcAdapter } = require('../utils/oidc');
+
+// A local issuer: discovery document, key set and a token endpoint handing out `nextIdToken`
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'test-key';
+let issuer;
+let nextIdToken;
+let keyFetches = 0;
+
+const server = http.createServer((req, res) => {
+  const send = (body) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  if (req.url === '/.well-known/openid-configuration') {
+    return send({ issuer: `${issuer}/`, authorization_endpoint: `${issuer}/authorize`, token_endpoint: `${issuer}/token`, jwks_uri: `${issuer}/jwks` });
+  }
+  if (req.url === '/jwks') {
+    keyFetches++;
+    return send({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] });
+  }
+  if (req.url === '/token' && req.method === 'POST') return send({ id_token: nextIdToken });
+  res.writeHead(404);
+  res.end();
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// An RS256 ID token for client `app` with nonce `n-1`, valid for five minutes; `claims` override the defaults
+function idToken(claims = {}, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID, ...header })}.${encode({ iss: issuer, aud: 'app', sub: 'user-1', nonce: 'n-1', iat: now, exp: now + 300, ...claims })}`;
+  return `${data}.${crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64url')}`;
+}
+
+const adapter = (configuredIssuer = issuer) => new OidcAdapter({ issuer: configuredIssuer, clientId: 'app' });
+
+test('a token signed with the issuer\'s published key verifies', async () => {
+  const claims = await adapter().verifyIdToken(idToken({ name: 'Ada' }), 'n-1');
+  assert.strictEqual(claims.sub, 'user-1');
+  assert.strictEqual(claims.name, 'Ada');
+});
+
+test('the issuer matches with or without a trailing slash on either side', async () => {
+  assert.strictEqual((await adapter(`${issuer}/`).verifyIdToken(idToken({ iss: `${issuer}/` }), 'n-1')).sub, 'user-1');
+  assert.strictEqual((await adapter(issuer).verifyIdToken(idToken({ iss: `${issuer}/` }), 'n-1')).sub, 'user-1');
+  assert.strictEqual((await adapter(`${issuer}/`).verifyIdToken(idToken({ iss: issuer }), 'n-1')).sub, 'user-1');
+});
+
+test('a token from another issuer, for another client, expired or with another nonce is rejected', async () => {
+  const oidc = adapter();
+  const rejects = (token, nonce, message) => assert.rejects(oidc.verifyIdToken(token, nonce), (e) => e.name === 'OidcError' && e.status === 401 && message.test(e.message));
+
+  await rejects(idToken({ iss: 'https://evil.example' }), 'n-1', /issued by https:\/\/evil\.example/);
+  await rejects(idToken({ iss: `${issuer}/other` }), 'n-1', /issued by/);
+  await rejects(idToken({ iss: undefined }), 'n-1', /issued by/);
+  await rejects(idToken({ aud: 'other-app' }), 'n-1', /another client/);
+  await rejects(idToken({ exp: Math.floor(Date.now() / 1000) - 120 }), 'n-1', /expired/);
+  await rejects(idToken(), 'n-2', /nonce/);
+});
+
+test('a tampered, unsigned or malformed token is rejected', async () => {
+  const oidc = adapter();
+  const [header, , signature] = idToken().split('.');
+  const tampered = `${header}.${encode({ iss: issuer, aud: 'app', sub: 'admin', nonce: 'n-1', exp: Math.floor(Date.now() / 1000) + 300 })}.${signature}`;
+  await assert.rejects(oidc.verifyIdToken(tampered, 'n-1'), /signature is invalid/);
+  await assert.rejects(oidc.verifyIdToken(idToken({}, { alg: 'none' }), 'n-1'), /algorithm none is not accepted/);
+  await assert.rejects(oidc.verifyIdToken(idToken({}, { alg: 'HS256' }), 'n-1'), /algorithm HS256 is not accepted/);
+  await assert.rejects(oidc.verifyIdToken('a.b', 'n-1'), /malformed/);
+  await assert.rejects(oidc.verifyIdToken(idToken({}, { kid: 'unknown' }), 'n-1'), /No signing key 'unknown'/);
+});
+
+test('the key set is fetched once and cached', async () => {
+  const oidc = adapter();
+  const before = keyFetches;
+  await oidc.verifyIdToken(idToken(), 'n-1');
+  await oidc.verifyIdToken(idToken(), 'n-1');
+  assert.strictEqual(keyFetches - before, 1);
+});
+
+test('authenticate exchanges the code and verifies the ID token it gets back', async () => {
+  const oidc = adapter(`${issuer}/`);
+  const url = new URL(await oidc.authorizationUrl({ state: 's-1', nonce: 'n-1', redirectUri: 'http://localhost/callback' }));
+  assert.strictEqual(`${url.origin}${url.pathname}`, `${issuer}/authorize`);
+  assert.strictEqual(url.searchParams.get('client_id'), 'app');
+  assert.strictEqual(url.searchParams.get('nonce'), 'n-1');
+
+  nextIdToken = idToken({ iss: `${issuer}/`, preferred_username: 'ada' });
+  const claims = await oidc.authenticate({ code: 'c-1', nonce: 'n-1', redirectUri: 'http://localhost/callback' });
+  assert.strictEqual(claims.preferred_username, 'ada');
+});
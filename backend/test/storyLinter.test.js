@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintUserStory, parseStory, findVagueTerms } = require('../utils/storyLinter');
+
+const ruleIds = (result) => result.findings.map(f => f.ruleId);
+
+const GOOD_STORY = 'As a warehouse manager, I want to export the stock report so that I can reorder on time.\n\nAcceptance Criteria:\n- The export is a CSV file';
+
+test('a complete story passes with no findings', () => {
+  const result = lintUserStory(GOOD_STORY);
+  assert.deepStrictEqual(result.findings, []);
+  assert.deepStrictEqual(result.summary, { errors: 0, warnings: 0, info: 0 });
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(result.parts.role.text, 'warehouse manager');
+  assert.strictEqual(result.parts.goal.text, 'export the stock report');
+  assert.strictEqual(result.parts.benefit.text, 'I can reorder on time');
+  assert.strictEqual(result.parts.hasAcceptanceCriteria, true);
+});
+
+test('part offsets point at the text they hold', () => {
+  const { parts } = lintUserStory(GOOD_STORY);
+  for (const part of [parts.role, parts.goal, parts.benefit]) {
+    assert.strictEqual(GOOD_STORY.slice(part.start, part.end), part.text);
+  }
+});
+
+test('empty input reports the missing role, goal, benefit and criteria at offset 0', () => {
+  for (const input of ['', null, undefined]) {
+    const result = lintUserStory(input);
+    assert.deepStrictEqual(ruleIds(result).sort(), ['missing-acceptance-criteria', 'missing-benefit', 'missing-goal', 'missing-role']);
+    assert.ok(result.findings.every(f => f.start === 0 && f.end === 0));
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.summary.errors, 2);
+  }
+});
+
+test('CRLF line endings do not leak into the parts', () => {
+  const story = 'As a warehouse manager, I want to export the stock report so that I can reorder on time\r\n\r\nAcceptance Criteria:\r\n- The export is a CSV file';
+  const result = lintUserStory(story);
+  assert.deepStrictEqual(result.findings, []);
+  assert.strictEqual(result.parts.benefit.text, 'I can reorder on time');
+});
+
+test('a missing benefit is a warning placed at the end of the goal', () => {
+  const story = 'As a warehouse manager, I want to export the stock report.\nAcceptance Criteria: CSV';
+  const result = lintUserStory(story);
+  assert.deepStrictEqual(ruleIds(result), ['missing-benefit']);
+  const [finding] = result.findings;
+  assert.strictEqual(finding.severity, 'warning');
+  assert.strictEqual(finding.start, result.parts.goal.end);
+  assert.strictEqual(result.passed, true);
+});
+
+test('a generic role is flagged as vague', () => {
+  const result = lintUserStory('As a user, I want to reset my password so that I can sign in again. AC: email sent');
+  assert.deepStrictEqual(ruleIds(result), ['vague-role']);
+  assert.strictEqual(result.findings[0].excerpt, 'user');
+});
+
+test('a goal joined with "and" is flagged as compound at the conjunction', () => {
+  const story = 'As a buyer, I want to pay by card and track my order so that I know it is coming. AC: done';
+  const result = lintUserStory(story);
+  const compound = result.findings.find(f => f.ruleId === 'compound-goal');
+  assert.ok(compound);
+  assert.strictEqual(story.slice(compound.start, compound.end), 'and');
+});
+
+test('acceptance criteria passed separately count, but blank ones do not', () => {
+  const story = 'As a buyer, I want to pay by card so that I can check out';
+  assert.ok(!ruleIds(lintUserStory(story, { acceptanceCriteria: ['Visa is accepted'] })).includes('missing-acceptance-criteria'));
+  assert.ok(ruleIds(lintUserStory(story, { acceptanceCriteria: ['  ', ''] })).includes('missing-acceptance-criteria'));
+});
+
+test('Given/When/Then lines count as acceptance criteria', () => {
+  const parts = parseStory('As a buyer, I want to pay\nGiven a cart\nWhen I pay\nThen I get a receipt');
+  assert.strictEqual(parts.acceptanceCriteria.start, 'As a buyer, I want to pay\n'.length);
+  assert.strictEqual(parts.statement.text, 'As a buyer, I want to pay\n');
+});
+
+test('a statement over 50 words is flagged as long, and exactly 50 is not', () => {
+  const statement = (words) => `As a buyer, I want to ${Array(words - 9).fill('pay').join(' ')} so that done`;
+  assert.strictEqual(statement(50).split(/\s+/).length, 50);
+  assert.ok(!ruleIds(lintUserStory(`${statement(50)}\nAC: x`)).includes('long-story'));
+  assert.ok(ruleIds(lintUserStory(`${statement(51)}\nAC: x`)).includes('long-story'));
+});
+
+test('findVagueTerms matches whole words, ignoring case', () => {
+  const terms = findVagueTerms('It must be Fast and user-friendly, not breakfast');
+  assert.deepStrictEqual(terms.map(t => t.term), ['Fast', 'user-friendly']);
+  assert.deepStrictEqual(terms[0], { term: 'Fast', start: 11, end: 15 });
+  assert.deepStrictEqual(findVagueTerms(''), []);
+});
+
+test('findings are sorted by offset', () => {
+  const result = lintUserStory('As a user, I want a fast and easy login');
+  const starts = result.findings.map(f => f.start);
+  assert.deepStrictEqual(starts, [...starts].sort((a, b) => a - b));
+});
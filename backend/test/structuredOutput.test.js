@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { completeJson, SchemaValidationError } = require('../utils/structuredOutput');
+
+const schema = { type: 'object', required: ['answer'], properties: { answer: { type: 'string' } } };
+
+// A provider that always answers with `content`, counting its calls
+const fakeProvider = (content) => {
+  const provider = { calls: 0, complete: async () => { provider.calls += 1; return { content, finishReason: 'stop' }; } };
+  return provider;
+};
+
+// LLM_SCHEMA_RETRIES is read when the module loads, so each setting gets a fresh copy of it
+const attemptsWith = async (retries) => {
+  const saved = process.env.LLM_SCHEMA_RETRIES;
+  if (retries === undefined) delete process.env.LLM_SCHEMA_RETRIES;
+  else process.env.LLM_SCHEMA_RETRIES = retries;
+  const modulePath = require.resolve('../utils/structuredOutput');
+  delete require.cache[modulePath];
+  try {
+    const fresh = require(modulePath);
+    const provider = fakeProvider('{"wrong": true}');
+    await assert.rejects(fresh.completeJson(provider, { prompt: 'p', schema }), fresh.SchemaValidationError);
+    return provider.calls;
+  } finally {
+    delete require.cache[modulePath];
+    if (saved === undefined) delete process.env.LLM_SCHEMA_RETRIES;
+    else process.env.LLM_SCHEMA_RETRIES = saved;
+  }
+};
+
+test('valid output is returned after one call', async () => {
+  const provider = fakeProvider('{"answer": "yes"}');
+  const result = await completeJson(provider, { prompt: 'p', schema });
+  assert.deepStrictEqual(result.data, { answer: 'yes' });
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(provider.calls, 1);
+});
+
+test('invalid output is retried LLM_SCHEMA_RETRIES times, once by default', async () => {
+  assert.strictEqual(await attemptsWith(undefined), 2);
+  assert.strictEqual(await attemptsWith('2'), 3);
+  assert.strictEqual(await attemptsWith('0'), 1);
+});
+
+test('an LLM_SCHEMA_RETRIES that is not a number falls back to the default, and a negative one to 0', async () => {
+  assert.strictEqual(await attemptsWith('abc'), 2);
+  assert.strictEqual(await attemptsWith('-3'), 1);
+});
+
+test('the error reports the attempts and the validation errors', async () => {
+  const error = await completeJson(fakeProvider('not json'), { prompt: 'p', schema, maxRetries: 0 }).catch(e => e);
+  assert.ok(error instanceof SchemaValidationError);
+  assert.strictEqual(error.attempts, 1);
+  assert.match(error.validationErrors[0], /not valid JSON/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeTestCase, parseTestCase } = require('../utils/testCaseParser');
+
+const ruleIds = (result) => result.smells.findings.map(f => f.ruleId);
+
+const GOOD_CASE = [
+  'Test Case: Login with valid credentials',
+  'Precondition: A registered user exists.',
+  'Steps:',
+  '1. Open the login page',
+  '2. Enter "alice@example.com" in the email field',
+  '3. Click Sign in',
+  'Expected Result: The dashboard shows "Welcome, Alice".'
+].join('\n');
+
+test('a labelled test case is split into its sections', () => {
+  const structure = parseTestCase(GOOD_CASE);
+  assert.strictEqual(structure.structured, true);
+  assert.strictEqual(structure.title, 'Login with valid credentials');
+  assert.deepStrictEqual(structure.preconditions.map(p => p.text), ['A registered user exists']);
+  assert.deepStrictEqual(structure.steps.map(s => [s.index, s.text]), [
+    [1, 'Open the login page'],
+    [2, 'Enter "alice@example.com" in the email field'],
+    [3, 'Click Sign in']
+  ]);
+  assert.strictEqual(structure.expectedResult.text, 'The dashboard shows "Welcome, Alice".');
+  assert.strictEqual(structure.expectedResult.assertions.length, 1);
+});
+
+test('step offsets point at the step text', () => {
+  for (const step of parseTestCase(GOOD_CASE).steps) {
+    assert.strictEqual(GOOD_CASE.slice(step.start, step.end), step.text);
+  }
+});
+
+test('a well-formed test case has no smells', () => {
+  assert.deepStrictEqual(analyzeTestCase(GOOD_CASE).smells.findings, []);
+});
+
+test('empty input has no steps and no expected result', () => {
+  for (const input of ['', null]) {
+    const result = analyzeTestCase(input);
+    assert.strictEqual(result.structure.structured, false);
+    assert.deepStrictEqual(result.structure.steps, []);
+    assert.strictEqual(result.structure.expectedResult, null);
+    assert.deepStrictEqual(ruleIds(result).sort(), ['missing-preconditions', 'missing-title', 'no-expected-result', 'no-steps']);
+    assert.strictEqual(result.smells.summary.errors, 2);
+  }
+});
+
+test('CRLF line endings parse the same as LF', () => {
+  const crlf = analyzeTestCase(GOOD_CASE.replace(/\n/g, '\r\n'));
+  assert.deepStrictEqual(crlf.structure.steps.map(s => s.text), parseTestCase(GOOD_CASE).steps.map(s => s.text));
+  assert.strictEqual(crlf.structure.title, 'Login with valid credentials');
+  assert.deepStrictEqual(crlf.smells.findings, []);
+});
+
+test('labels in markdown bold and bullets are recognised', () => {
+  const structure = parseTestCase('- **Steps:**\n1. Open the page\n2. Click Save\n**Expected Result:** The record is saved');
+  assert.strictEqual(structure.steps.length, 2);
+  assert.strictEqual(structure.expectedResult.text, 'The record is saved');
+});
+
+test('a bare numbered list is read as the steps', () => {
+  const structure = parseTestCase('1. Open the page\n2. Click Save');
+  assert.strictEqual(structure.structured, false);
+  assert.deepStrictEqual(structure.steps.map(s => s.text), ['Open the page', 'Click Save']);
+});
+
+test('list continuation lines join the previous step', () => {
+  const structure = parseTestCase('Steps:\n1. Open the settings page\n   from the profile menu\n2. Click Save\nExpected: Saved');
+  assert.deepStrictEqual(structure.steps.map(s => s.text), ['Open the settings page from the profile menu', 'Click Save']);
+});
+
+test('a step with two actions is non-atomic', () => {
+  const text = 'Test Case: Save\nPrecondition: Signed in.\nSteps:\n1. Open the form and click Save\nExpected Result: "Saved" is shown';
+  const finding = analyzeTestCase(text).smells.findings.find(f => f.ruleId === 'non-atomic-step');
+  assert.strictEqual(finding.step, 1);
+  assert.strictEqual(text.slice(finding.start, finding.end), 'and click');
+});
+
+test('an input step without a value is missing test data unless a Test Data section exists', () => {
+  const steps = 'Test Case: Search\nPrecondition: Signed in.\nSteps:\n1. Enter a search term\n';
+  assert.ok(ruleIds(analyzeTestCase(`${steps}Expected Result: Results are listed`)).includes('missing-test-data'));
+  assert.ok(!ruleIds(analyzeTestCase(`${steps}Test Data: shoes\nExpected Result: Results are listed`)).includes('missing-test-data'));
+});
+
+test('an expected result with four outcomes passes and five is too many', () => {
+  const expected = (count) => Array.from({ length: count }, (_, i) => `Field ${i + 1} is shown.`).join(' ');
+  const text = (count) => `Test Case: Form\nPrecondition: Signed in.\nSteps:\n1. Open the form\nExpected Result: ${expected(count)}`;
+  assert.strictEqual(analyzeTestCase(text(4)).structure.expectedResult.assertions.length, 4);
+  assert.ok(!ruleIds(analyzeTestCase(text(4))).includes('multiple-assertions'));
+  const finding = analyzeTestCase(text(5)).smells.findings.find(f => f.ruleId === 'multiple-assertions');
+  assert.strictEqual(finding.assertions, 5);
+});
+
+test('sentence splitting keeps email addresses whole', () => {
+  const structure = parseTestCase('Steps:\n1. Open it\nExpected Result: A mail goes to test@example.com. The banner shows.');
+  assert.deepStrictEqual(structure.expectedResult.assertions.map(a => a.text), ['A mail goes to test@example.com', 'The banner shows']);
+});
+
+test('vague outcomes are flagged outside the steps only', () => {
+  const result = analyzeTestCase('Test Case: Save\nPrecondition: Signed in.\nSteps:\n1. Check it works\nExpected Result: It saves correctly');
+  const vague = result.smells.findings.filter(f => f.ruleId === 'vague-expected-result');
+  assert.deepStrictEqual(vague.map(f => f.excerpt), ['correctly']);
+});
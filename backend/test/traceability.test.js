@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildMatrix, classifyTestCase, resolveReferences, indexStories, uncoveredCriteria, uncoveredToCsv } = require('../utils/traceability');
+
+const STORY = {
+  id: 'US-12',
+  text: 'As a buyer, I want to pay by card so that I can check out.\nAcceptance Criteria:\n- The card is charged\n- A receipt is emailed'
+};
+
+test('criteria get the story id plus their position, unless they bring their own id', () => {
+  const [story] = indexStories([STORY]);
+  assert.deepStrictEqual(story.criteria.map(c => [c.id, c.text]), [['US-12-AC1', 'The card is charged'], ['US-12-AC2', 'A receipt is emailed']]);
+
+  const [given] = indexStories([{ id: 'US-1', text: '', acceptanceCriteria: ['Shown', { id: 'R-9', text: 'Logged' }] }]);
+  assert.deepStrictEqual(given.criteria.map(c => c.id), ['US-1-AC1', 'R-9']);
+});
+
+test('criteria are read from CRLF text', () => {
+  const [story] = indexStories([{ ...STORY, text: STORY.text.replace(/\n/g, '\r\n') }]);
+  assert.deepStrictEqual(story.criteria.map(c => c.text), ['The card is charged', 'A receipt is emailed']);
+});
+
+test('references are found in the text in each supported form, ignoring case', () => {
+  const stories = indexStories([STORY]);
+  for (const text of ['Covers US-12 AC2', 'US-12/AC-2', 'us-12-ac2', 'See US-12, AC 2.']) {
+    assert.deepStrictEqual(resolveReferences({ text }, stories), { storyIds: ['US-12'], criterionIds: ['US-12-AC2'], unresolved: [] }, text);
+  }
+});
+
+test('a story id is not matched inside a longer id', () => {
+  const stories = indexStories([STORY]);
+  assert.deepStrictEqual(resolveReferences({ text: 'Covers US-123 and XUS-12' }, stories).storyIds, []);
+});
+
+test('references to missing stories or criteria are unresolved', () => {
+  const stories = indexStories([STORY]);
+  const refs = resolveReferences({ text: 'US-12 AC7', storyIds: ['US-99'], criterionIds: ['US-12-AC1', 'US-12-AC9'] }, stories);
+  assert.deepStrictEqual(refs.criterionIds, ['US-12-AC1']);
+  assert.deepStrictEqual(refs.unresolved.sort(), ['US-12-AC7', 'US-12-AC9', 'US-99']);
+});
+
+test('test cases are classified by kind, then category, then tag, then wording', () => {
+  assert.deepStrictEqual(classifyTestCase({ kind: 'boundary', category: 'negative', text: 'invalid' }), { kind: 'boundary', source: 'kind' });
+  assert.deepStrictEqual(classifyTestCase({ category: ' Negative Test Cases ', text: '@boundary' }), { kind: 'negative', source: 'category' });
+  assert.deepStrictEqual(classifyTestCase({ text: '@Edge\nScenario: invalid card' }), { kind: 'boundary', source: 'tag' });
+  assert.deepStrictEqual(classifyTestCase({ text: 'An invalid card at the maximum amount' }), { kind: 'boundary', source: 'text' });
+  assert.deepStrictEqual(classifyTestCase({ text: 'An expired card is rejected' }), { kind: 'negative', source: 'text' });
+  assert.deepStrictEqual(classifyTestCase({ text: '' }), { kind: 'positive', source: 'text' });
+});
+
+test('a criterion is covered with a positive and a negative or boundary test, partial with one kind', () => {
+  const matrix = buildMatrix({
+    stories: [STORY],
+    testCases: [
+      { id: 'TC1', text: 'US-12 AC1: pay with a valid card' },
+      { id: 'TC2', text: 'US-12 AC1: an expired card is rejected' },
+      { id: 'TC3', text: 'US-12 AC2: the receipt arrives' }
+    ]
+  });
+  const [ac1, ac2] = matrix.stories[0].criteria;
+  assert.deepStrictEqual(ac1.coverage, { positive: ['TC1'], negative: ['TC2'], boundary: [] });
+  assert.strictEqual(ac1.status, 'covered');
+  assert.deepStrictEqual(ac1.missing, ['boundary']);
+  assert.strictEqual(ac2.status, 'partial');
+  assert.deepStrictEqual(ac2.missing, ['negative', 'boundary']);
+  assert.strictEqual(matrix.summary.coveragePercent, 100);
+});
+
+test('the summary lists story-level tests, orphans, unresolved ids and stories without criteria', () => {
+  const matrix = buildMatrix({
+    stories: [STORY, { id: 'US-13', text: 'As a buyer, I want to save my card' }],
+    testCases: [
+      { id: 'TC1', text: 'Checks US-12 end to end' },
+      { id: 'TC2', text: 'Unrelated' },
+      { id: 'TC3', text: 'US-12 AC5' }
+    ]
+  });
+  assert.deepStrictEqual(matrix.stories[0].storyLevelTests, ['TC1', 'TC3']);
+  assert.deepStrictEqual(matrix.summary, {
+    stories: 2,
+    criteria: 2,
+    covered: 0,
+    partial: 0,
+    uncovered: 2,
+    coveragePercent: 0,
+    storiesWithoutCriteria: ['US-13'],
+    orphanTestCases: ['TC2'],
+    unresolvedReferences: [{ testCase: 'TC3', ids: ['US-12-AC5'] }]
+  });
+});
+
+test('no test cases or no criteria give 0% coverage', () => {
+  assert.strictEqual(buildMatrix({ stories: [STORY], testCases: [] }).summary.coveragePercent, 0);
+  assert.strictEqual(buildMatrix({ stories: [{ id: 'US-1', text: '' }], testCases: [] }).summary.coveragePercent, 0);
+});
+
+test('uncovered criteria include partial ones unless asked not to', () => {
+  const matrix = buildMatrix({ stories: [STORY], testCases: [{ id: 'TC1', text: 'US-12 AC1' }] });
+  assert.deepStrictEqual(uncoveredCriteria(matrix).map(r => [r.criterionId, r.status]), [['US-12-AC1', 'partial'], ['US-12-AC2', 'uncovered']]);
+  assert.deepStrictEqual(uncoveredCriteria(matrix, { includePartial: false }).map(r => r.criterionId), ['US-12-AC2']);
+});
+
+test('the uncovered CSV quotes fields holding commas, quotes and line breaks', () => {
+  const csv = uncoveredToCsv([
+    { storyId: 'US-1', criterionId: 'US-1-AC1', criterion: 'Shows "Paid", then\nexits', status: 'uncovered', missing: ['positive', 'negative'] }
+  ]);
+  assert.strictEqual(csv, 'storyId,criterionId,criterion,status,missing\nUS-1,US-1-AC1,"Shows ""Paid"", then\nexits",uncovered,positive negative\n');
+  assert.strictEqual(uncoveredToCsv([]), 'storyId,criterionId,criterion,status,missing\n');
+});
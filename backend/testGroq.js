@@ -1,8 +1,8 @@
-const Groq = require('groq-sdk');
-require('dotenv').config({ path: 'e:/Domi/GenAi/VS Solution/US Evaluator/backend/.env' });
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+const { getLLM } = require('./utils/llmProvider');
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-const MODEL = "llama-3.1-8b-instant";
+// Honors LLM_PROVIDER, so LLM_PROVIDER=replay runs this offline against recorded fixtures
+const llm = getLLM('generateTestCases');
 
 async function test() {
   const prompt = `You are a professional QA test case generator.
@@ -37,16 +37,15 @@ async function test() {
   
   All 6 test cases must be distinct and high-quality. Return ONLY the raw JSON object.`;
 
-  console.log("Calling Groq...");
-  const message = await groq.chat.completions.create({
-    model: MODEL,
-    response_format: { type: "json_object" },
-    max_tokens: 4000,
+  console.log(`Calling ${llm.name}...`);
+  const completion = await llm.complete({
+    json: true,
+    maxTokens: 4000,
     messages: [{ role: "user", content: prompt }]
   });
 
-  console.log("Response:", message.choices[0].message.content);
-  console.log("Finish Reason:", message.choices[0].finish_reason);
+  console.log("Response:", completion.content);
+  console.log("Finish Reason:", completion.finishReason);
 }
 
 test().catch(console.error);
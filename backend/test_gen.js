@@ -1,8 +1,8 @@
 require('dotenv').config({path: '.env.local'});
 const { retrieve } = require('./utils/ragEngine');
 const { repairJsonString } = require('./jsonRepair');
-const Groq = require('groq-sdk');
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const { getLLM } = require('./utils/llmProvider');
+const llm = getLLM('generateUserStories');
 
 async function formatRagContext(examples, type) {
   if (!examples || examples.length === 0) return "";
@@ -43,11 +43,10 @@ CRITICAL: You must respond with ONLY a valid JSON object in the exact structure
 Ensure you generate at least 3 distinct user stories. Return ONLY the raw JSON object.`;
 
   try {
-    console.log("Calling Groq API...");
-    const message = await groq.chat.completions.create({
-      model: 'llama-3.1-8b-instant',
-      response_format: { type: "json_object" },
-      max_tokens: 4096,
+    console.log(`Calling ${llm.name} API...`);
+    const completion = await llm.complete({
+      json: true,
+      maxTokens: 4096,
       messages: [
         {
           role: "user",
@@ -55,8 +54,8 @@ Ensure you generate at least 3 distinct user stories. Return ONLY the raw JSON o
         }
       ]
     });
-    console.log("Groq responded");
-    const content = message.choices[0].message.content;
+    console.log(`${llm.name} responded`);
+    const content = completion.content;
     const repaired = repairJsonString(content);
     console.log('Success:', JSON.parse(repaired));
   } catch(e) { 
@@ -0,0 +1,101 @@
+/**
+ * Deterministic helpers for the acceptance-criteria evaluator.
+ *
+ * Criteria come either as an array (e.g. `acceptanceCriteria` from the story generator or a Jira
+ * field) or inside the story text after an "Acceptance Criteria:" heading. Either way each one is
+ * judged on its own: the model scores it, and the checks here add what needs no model (vague
+ * words), tie the model's quotes back to offsets in the story and turn scores into a verdict.
+ */
+
+const { parseStory, findVagueTerms } = require('./storyLinter');
+
+const CRITERION_SCORES = ['measurable', 'unambiguous', 'independent'];
+
+// A criterion passes when every score is at least PASS_SCORE and fails when any is at most FAIL_SCORE
+const PASS_SCORE = 4;
+const FAIL_SCORE = 2;
+
+const HEADING = /^[ \t]*(?:[-*#>]+[ \t]*)?(?:\*\*)?(?:acceptance\s+criteria|AC)(?:\*\*)?[ \t]*:?(?:\*\*)?[ \t]*/i;
+const LIST_ITEM = /^[ \t]*(?:(?:AC[ \t]*)?\d+[.):]|[-*•]|\[[ xX]?\])[ \t]+/i;
+const CONTINUATION_STEP = /^(?:and|but|when|then)\b/i;
+const SCENARIO_START = /^given\b/i;
+
+/**
+ * Extracts the acceptance criteria written into a story: list items (or lines) after its
+ * "Acceptance Criteria:" heading, or its Given/When/Then lines. A Given/When/Then block is one
+ * criterion, its lines joined with spaces. Returns [{ text, start, end }] with offsets into the story.
+ */
+function extractAcceptanceCriteria(text) {
+  const story = String(text || '');
+  const { acceptanceCriteria } = parseStory(story);
+  if (!acceptanceCriteria) return [];
+
+  let offset = acceptanceCriteria.start;
+  const heading = story.slice(offset).match(HEADING);
+  if (heading) offset += heading[0].length;
+
+  const criteria = [];
+  let cursor = offset;
+  for (const line of story.slice(offset).split('\n')) {
+    const lineStart = cursor;
+    cursor += line.length + 1;
+    if (!line.trim()) continue;
+
+    const marker = line.match(LIST_ITEM);
+    const body = (marker ? line.slice(marker[0].length) : line).trim();
+    const start = lineStart + line.indexOf(body);
+    const previous = criteria[criteria.length - 1];
+    if (!marker && previous && previous.scenario && CONTINUATION_STEP.test(body)) {
+      previous.text = `${previous.text} ${body}`;
+      previous.end = start + body.length;
+      continue;
+    }
+    criteria.push({ text: body, start, end: start + body.length, scenario: SCENARIO_START.test(body) });
+  }
+  return criteria.map(({ scenario, ...criterion }) => criterion);
+}
+
+/**
+ * Finds the part of the story a criterion was tied to. The model quotes it; the quote is matched
+ * case- and whitespace-insensitively, so a slightly reformatted quote still resolves. Returns
+ * { text, start, end } or null when the quote is not in the story.
+ */
+function locateReference(story, quote) {
+  const wanted = String(quote || '').trim().replace(/^["'“]|["'”]$/g, '').trim();
+  if (!wanted) return null;
+  const words = wanted.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+  const match = new RegExp(words.join('\\s+'), 'i').exec(story);
+  if (!match) return null;
+  return { text: match[0], start: match.index, end: match.index + match[0].length };
+}
+
+// Turns a criterion's scores into pass / needs-work / fail; vague words keep it from passing
+function criterionVerdict(scores, vagueTerms) {
+  const values = CRITERION_SCORES.map(name => scores[name]);
+  if (values.some(score => score <= FAIL_SCORE)) return 'fail';
+  if (values.every(score => score >= PASS_SCORE) && vagueTerms.length === 0) return 'pass';
+  return 'needs-work';
+}
+
+/**
+ * Combines the model's per-criterion review with the deterministic checks: vague words in the
+ * criterion, the story reference's offsets and the verdict.
+ */
+function reviewCriterion(story, criterion, review) {
+  const vagueTerms = findVagueTerms(criterion.text).map(({ term }) => term);
+  return {
+    index: review.index,
+    text: criterion.text,
+    ...(criterion.start !== undefined ? { start: criterion.start, end: criterion.end } : {}),
+    measurable: review.measurable,
+    unambiguous: review.unambiguous,
+    independent: review.independent,
+    issues: review.issues,
+    suggestedRewrite: review.suggestedRewrite || null,
+    vagueTerms,
+    storyReference: locateReference(story, review.storyReference) || (review.storyReference ? { text: review.storyReference, start: null, end: null } : null),
+    verdict: criterionVerdict(review, vagueTerms)
+  };
+}
+
+module.exports = { extractAcceptanceCriteria, locateReference, criterionVerdict, reviewCriterion, CRITERION_SCORES };
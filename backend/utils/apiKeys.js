@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { getHistoryStore } = require('./historyStore');
+const { AuthError, publicUser } = require('./auth');
+
+/**
+ * API keys let CI jobs and scripts call the API without a browser session.
+ *
+ * A key belongs to the user who created it and acts with that user's role, narrowed to its
+ * scopes: each scope unlocks one group of endpoints, and a key can call nothing else. A key can
+ * also be bound to a project, which then scopes every request made with it. Keys are shown once
+ * when created or rotated; only a SHA-256 hash of the secret is stored.
+ *
+ * Keys are sent as `X-API-Key: qak_...` (or `Authorization: Bearer qak_...`). Each key may have a
+ * quota of requests per hour, day or month; every request made with the key counts toward it.
+ */
+
+const SCOPES = ['evaluate', 'generate', 'agentic', 'integrations'];
+const QUOTA_WINDOWS = ['hour', 'day', 'month'];
+const KEY_PATTERN = /^qak_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const MAX_QUOTA = 1000000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Start of the quota window `at` falls in (UTC), and when the next one starts
+function quotaWindow(window, at = new Date()) {
+  const start = new Date(at);
+  start.setUTCMinutes(0, 0, 0);
+  if (window !== 'hour') start.setUTCHours(0);
+  if (window === 'month') start.setUTCDate(1);
+  const reset = new Date(start);
+  if (window === 'hour') reset.setUTCHours(reset.getUTCHours() + 1);
+  else if (window === 'day') reset.setUTCDate(reset.getUTCDate() + 1);
+  else reset.setUTCMonth(reset.getUTCMonth() + 1);
+  return { start: start.toISOString(), reset };
+}
+
+function requireStore() {
+  const store = getHistoryStore();
+  if (!store) throw new AuthError('API keys need the history store (HISTORY_STORE is off)', { status: 503 });
+  return store;
+}
+
+// A key as the API returns it: its settings, status and current quota use, never the hash
+function describeKey(apiKey, store = requireStore()) {
+  const { keyHash, ...rest } = apiKey;
+  const window = apiKey.quota ? quotaWindow(apiKey.quota.window) : null;
+  return {
+    ...rest,
+    status: apiKey.revokedAt ? 'revoked' : apiKey.expiresAt && apiKey.expiresAt <= new Date().toISOString() ? 'expired' : 'active',
+    usage: window ? { requests: store.apiKeyRequests(apiKey.id, window.start), limit: apiKey.quota.limit, resetsAt: window.reset.toISOString() } : null
+  };
+}
+
+function validateKey(body, { creating }) {
+  const errors = [];
+  if ((creating || body.name !== undefined) && (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100)) {
+    errors.push('/name must be a string of 1 to 100 characters');
+  }
+  if (creating || body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 || body.scopes.some(scope => !SCOPES.includes(scope))) {
+      errors.push(`/scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    }
+  }
+  if (body.quota !== undefined && body.quota !== null) {
+    const { limit, window } = body.quota;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUOTA) errors.push(`/quota/limit must be an integer from 1 to ${MAX_QUOTA}`);
+    if (!QUOTA_WINDOWS.includes(window)) errors.push(`/quota/window must be one of: ${QUOTA_WINDOWS.join(', ')}`);
+  }
+  if (body.expiresAt !== undefined && body.expiresAt !== null && isNaN(new Date(body.expiresAt).getTime())) {
+    errors.push('/expiresAt must be an ISO date');
+  }
+  return errors;
+}
+
+const newSecret = (id) => `qak_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Creates a key for `owner` (the signed-in user, or null when accounts are off). `project` binds
+ * it to a project, which must exist. Returns the key's description with its `secret`, once.
+ */
+function createApiKey(owner, body) {
+  const store = requireStore();
+  const errors = validateKey(body, { creating: true });
+  if (body.project && !store.getProject(body.project)) errors.push(`/project '${body.project}' does not exist`);
+  if (errors.length) throw new AuthError('API key is invalid', { validationErrors: errors });
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = newSecret(id);
+  const now = new Date().toISOString();
+  const apiKey = store.saveApiKey({
+    id,
+    name: body.name.trim(),
+    keyHash: hashSecret(secret),
+    userId: owner ? owner.id : null,
+    project: body.project || null,
+    scopes: [...new Set(body.scopes)],
+    quota: body.quota ? { limit: body.quota.limit, window: body.quota.window } : null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: body.expiresAt ? new Date(body.expiresAt).toISOString() : null
+  });
+  return { ...describeKey(apiKey, store), secret };
+}
+
+// Admins see and manage every key; other users only their own
+const canManage = (user, apiKey) => !user || user.role === 'admin' || apiKey.userId === user.id;
+
+function listApiKeys(user, { userId } = {}) {
+  const store = requireStore();
+  const owner = user && user.role !== 'admin' ? user.id : userId;
+  return store.listApiKeys({ userId: owner }).map(apiKey => describeKey(apiKey, store));
+}
+
+function getManagedKey(user, id) {
+  const apiKey = requireStore().getApiKey(id);
+  if (!apiKey || !canManage(user, apiKey)) throw new AuthError(`API key '${id}' not found`, { status: 404 });
+  return apiKey;
+}
+
+function getApiKey(user, id) {
+  return describeKey(getManagedKey(user, id));
+}
+
+// Changes a key's name, scopes, quota or expiry; its secret stays the same
+function updateApiKey(user, id, body) {
+  const apiKey = getManagedKey(user, id);
+  const errors = validateKey(body, { creating: false });
+  if (errors.length) throw new AuthError('API key is invalid', { validationErrors: errors });
+  return describeKey(requireStore().saveApiKey({
+    ...apiKey,
+    ...(body.name !== undefined ? { name: body.name.trim() } : {}),
+    ...(body.scopes !== undefined ? { scopes: [...new Set(body.scopes)] } : {}),
+    ...(body.quota !== undefined ? { quota: body.quota ? { limit: body.quota.limit, window: body.quota.window } : null } : {}),
+    ...(body.expiresAt !== undefined ? { expiresAt: body.expiresAt ? new Date(body.expiresAt).toISOString() : null } : {}),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+// Replaces a key's secret: the old one stops working at once. Returns the new `secret`, once.
+function rotateApiKey(user, id) {
+  const apiKey = getManagedKey(user, id);
+  if (apiKey.revokedAt) throw new AuthError(`API key '${id}' is revoked`, { status: 409 });
+  const secret = newSecret(apiKey.id);
+  const rotated = requireStore().saveApiKey({ ...apiKey, keyHash: hashSecret(secret), updatedAt: new Date().toISOString() });
+  return { ...describeKey(rotated), secret };
+}
+
+// Revokes a key for good; it is kept so history recorded with it still names it
+function revokeApiKey(user, id) {
+  const apiKey = getManagedKey(user, id);
+  if (apiKey.revokedAt) return describeKey(apiKey);
+  const now = new Date().toISOString();
+  return describeKey(requireStore().saveApiKey({ ...apiKey, revokedAt: now, updatedAt: now }));
+}
+
+const presentedKey = (req) => {
+  const header = (req.headers['x-api-key'] || '').toString().trim();
+  if (header) return header;
+  const authorization = (req.headers.authorization || '').toString();
+  return authorization.startsWith('Bearer qak_') ? authorization.slice(7).trim() : null;
+};
+
+/**
+ * Express middleware: signs in a request made with an API key as the key's owner, with
+ * `req.apiKey` set to { id, name, scopes, project }. Invalid, revoked and expired keys are a 401;
+ * a key over its quota is a 429 with Retry-After. Runs before session authentication.
+ */
+function authenticateApiKey(req, res, next) {
+  req.apiKey = null;
+  const presented = presentedKey(req);
+  if (!presented) return next();
+
+  const store = getHistoryStore();
+  const match = KEY_PATTERN.exec(presented);
+  const apiKey = match && store ? store.getApiKey(match[1]) : null;
+  const expected = apiKey ? Buffer.from(apiKey.keyHash) : null;
+  const actual = Buffer.from(hashSecret(presented));
+  if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'API key is invalid' });
+  }
+  const now = new Date();
+  if (apiKey.revokedAt) return res.status(401).json({ error: 'API key has been revoked' });
+  if (apiKey.expiresAt && apiKey.expiresAt <= now.toISOString()) return res.status(401).json({ error: 'API key has expired' });
+
+  const window = quotaWindow(apiKey.quota ? apiKey.quota.window : 'day', now);
+  const requests = store.countApiKeyRequest(apiKey.id, window.start, now.toISOString());
+  if (apiKey.quota) {
+    res.set({
+      'X-RateLimit-Limit': String(apiKey.quota.limit),
+      'X-RateLimit-Remaining': String(Math.max(apiKey.quota.limit - requests, 0)),
+      'X-RateLimit-Reset': String(Math.ceil(window.reset.getTime() / 1000))
+    });
+    if (requests > apiKey.quota.limit) {
+      res.set('Retry-After', String(Math.max(Math.ceil((window.reset.getTime() - now.getTime()) / 1000), 1)));
+      return res.status(429).json({ error: `API key quota of ${apiKey.quota.limit} requests per ${apiKey.quota.window} is used up`, resetsAt: window.reset.toISOString() });
+    }
+  }
+
+  const owner = apiKey.userId ? store.getUser(apiKey.userId) : null;
+  req.user = owner ? publicUser(owner) : null;
+  req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, project: apiKey.project };
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  QUOTA_WINDOWS,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
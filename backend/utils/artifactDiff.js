@@ -0,0 +1,119 @@
+/**
+ * Differences between two versions of an artifact: a word-level text diff, the change in total
+ * and per-criterion scores, and which findings were resolved or newly introduced.
+ *
+ * A version's findings are its lint/smell findings (deterministic, so they compare exactly) and
+ * its weak criteria: criteria scored below 80% of the rubric's top score, the same cut-off the
+ * evaluators use to suggest a split.
+ */
+
+const WEAK_CRITERION_RATIO = 0.8;
+
+// Longest texts diffed word by word; longer ones are compared as a single replacement
+const MAX_DIFF_TOKENS = 4000;
+
+const tokenize = (text) => String(text || '').split(/(\s+)/).filter(Boolean);
+
+/**
+ * Word-level diff of two texts as [{ op: 'equal'|'insert'|'delete', text }], with runs of the same
+ * operation merged. Whitespace is kept, so joining the `equal` and `insert` texts gives `after`.
+ */
+function diffText(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+    return [
+      ...(a.length ? [{ op: 'delete', text: a.join('') }] : []),
+      ...(b.length ? [{ op: 'insert', text: b.join('') }] : [])
+    ];
+  }
+
+  // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += text;
+    else ops.push({ op, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('equal', a[i]); i++; j++; }
+    else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) push('delete', a[i++]);
+    else push('insert', b[j++]);
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return ops;
+}
+
+const scaleMax = (evaluation) => (evaluation.rubric && evaluation.rubric.scale ? evaluation.rubric.scale.max : 5);
+
+/**
+ * A version's findings as [{ key, kind: 'lint'|'criterion', ruleId?, criterion?, severity, message }].
+ * `key` identifies the same finding across versions.
+ */
+function collectFindings(evaluation) {
+  if (!evaluation) return [];
+  const lint = (evaluation.lint || evaluation.smells || { findings: [] }).findings || [];
+  const weak = (evaluation.parameters || []).filter(p => typeof p.score === 'number' && p.score < scaleMax(evaluation) * WEAK_CRITERION_RATIO);
+  return [
+    ...lint.map(f => ({ key: `lint:${f.ruleId}:${f.message}`, kind: 'lint', ruleId: f.ruleId, severity: f.severity, message: f.message })),
+    ...weak.map(p => ({ key: `criterion:${p.name}`, kind: 'criterion', criterion: p.name, severity: 'warning', message: p.findings || `${p.name} scored ${p.score}` }))
+  ];
+}
+
+// Total, grade and per-criterion score changes; criteria are matched by name
+function scoreDeltas(before, after) {
+  const delta = (from, to) => (typeof from === 'number' && typeof to === 'number' ? to - from : null);
+  const criteria = new Map();
+  (before.parameters || []).forEach(p => criteria.set(p.name, { name: p.name, from: p.score, to: null }));
+  (after.parameters || []).forEach(p => {
+    if (!criteria.has(p.name)) criteria.set(p.name, { name: p.name, from: null, to: null });
+    criteria.get(p.name).to = p.score;
+  });
+  return {
+    total: { from: before.totalScore ?? null, to: after.totalScore ?? null, delta: delta(before.totalScore, after.totalScore) },
+    grade: { from: before.grade || null, to: after.grade || null },
+    criteria: [...criteria.values()].map(c => ({ ...c, delta: delta(c.from, c.to) }))
+  };
+}
+
+/**
+ * Compares two versions ({ version, content, evaluation }). Score and finding changes are null
+ * when either version has not been evaluated yet.
+ */
+function diffVersions(from, to) {
+  const evaluated = !!(from.evaluation && to.evaluation);
+  let findings = null;
+  if (evaluated) {
+    const before = collectFindings(from.evaluation);
+    const after = collectFindings(to.evaluation);
+    const beforeKeys = new Set(before.map(f => f.key));
+    const afterKeys = new Set(after.map(f => f.key));
+    findings = {
+      resolved: before.filter(f => !afterKeys.has(f.key)),
+      introduced: after.filter(f => !beforeKeys.has(f.key)),
+      unchanged: after.filter(f => beforeKeys.has(f.key)).length
+    };
+  }
+  return {
+    from: from.version,
+    to: to.version,
+    text: diffText(from.content, to.content),
+    scores: evaluated ? scoreDeltas(from.evaluation, to.evaluation) : null,
+    findings
+  };
+}
+
+module.exports = { diffText, collectFindings, scoreDeltas, diffVersions };
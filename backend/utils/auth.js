@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { getHistoryStore } = require('./historyStore');
+
+/**
+ * User accounts, sessions and roles.
+ *
+ * Users sign in with a local username and password (POST /auth/login) or through an OpenID
+ * Connect provider (see oidc.js), and get a session token: a JWT (HS256) signed with
+ * AUTH_JWT_SECRET, sent back as `Authorization: Bearer <token>`. Accounts live in the history
+ * store, so a role change or a deleted account takes effect on the next request.
+ *
+ * Roles are ranked; each role can do everything the ones before it can:
+ *   viewer   - read history, artifacts, usage, rubrics and projects
+ *   author   - evaluate, generate, lint and import from Jira / Azure DevOps
+ *   reviewer - apply agentic refinements and run multi-agent reviews
+ *   admin    - manage users, projects and rubrics, clear the cache and delete history
+ *
+ * AUTH_MODE=required enforces them. With the default AUTH_MODE=off every request is allowed,
+ * signed in or not, as before accounts existed.
+ */
+
+const ROLES = ['viewer', 'author', 'reviewer', 'admin'];
+const DEFAULT_SESSION_TTL = 8 * 60 * 60;
+const VALID_USERNAME = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthError extends Error {
+  constructor(message, { status = 400, validationErrors = [] } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+
+  toResponse() {
+    return { error: this.message, ...(this.validationErrors.length ? { validationErrors: this.validationErrors } : {}) };
+  }
+}
+
+const isAuthRequired = () => (process.env.AUTH_MODE || 'off').trim().toLowerCase() === 'required';
+
+const sessionTtl = () => parseInt(process.env.AUTH_SESSION_TTL || DEFAULT_SESSION_TTL, 10) || DEFAULT_SESSION_TTL;
+
+let generatedSecret;
+
+// Without AUTH_JWT_SECRET sessions are signed with a per-process secret and end on restart
+function jwtSecret() {
+  const secret = (process.env.AUTH_JWT_SECRET || '').trim();
+  if (secret) return secret;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    if (isAuthRequired()) console.warn(`[${new Date().toISOString()}] [Auth] AUTH_JWT_SECRET is not set; sessions end when the server restarts`);
+  }
+  return generatedSecret;
+}
+
+// --- Tokens ---
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const hmac = (data) => crypto.createHmac('sha256', jwtSecret()).update(data).digest('base64url');
+
+// Signs `claims` as an HS256 JWT that expires after `ttlSeconds`
+function signToken(claims, ttlSeconds = sessionTtl()) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }))}`;
+  return `${data}.${hmac(data)}`;
+}
+
+// The claims of a token signed by signToken, or null if it is malformed, forged or expired
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = Buffer.from(hmac(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (header.alg !== 'HS256' || typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- Passwords ---
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// --- Accounts ---
+
+// A user as the API returns it: never the password hash
+const publicUser = ({ passwordHash, ...user }) => user;
+
+function requireStore() {
+  const store = getHistoryStore();
+  if (!store) throw new AuthError('User accounts need the history store (HISTORY_STORE is off)', { status: 503 });
+  return store;
+}
+
+function validateUser(body, { creating }) {
+  const errors = [];
+  if (creating && (typeof body.username !== 'string' || !VALID_USERNAME.test(body.username))) {
+    errors.push('/username must be 2 to 64 lowercase letters, digits or . _ @ -');
+  }
+  if ((creating || body.password !== undefined) && (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`/password must be a string of at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (body.role !== undefined && !ROLES.includes(body.role)) errors.push(`/role must be one of: ${ROLES.join(', ')}`);
+  if (body.displayName !== undefined && body.displayName !== null && (typeof body.displayName !== 'string' || body.displayName.length > 100)) {
+    errors.push('/displayName must be a string of at most 100 characters');
+  }
+  if (body.email !== undefined && body.email !== null && (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(body.email))) {
+    errors.push('/email must be an email address');
+  }
+  return errors;
+}
+
+function listUsers() {
+  return requireStore().listUsers().map(publicUser);
+}
+
+function getUser(id) {
+  const user = requireStore().getUser(id);
+  if (!user) throw new AuthError(`User '${id}' not found`, { status: 404 });
+  return user;
+}
+
+// Creates a local account (default role: viewer)
+function createUser(body) {
+  const store = requireStore();
+  const errors = validateUser(body, { creating: true });
+  if (errors.length) throw new AuthError('User is invalid', { validationErrors: errors });
+  if (store.findUser({ username: body.username })) throw new AuthError(`Username '${body.username}' is taken`, { status: 409 });
+
+  const now = new Date().toISOString();
+  return publicUser(store.saveUser({
+    id: crypto.randomUUID(),
+    username: body.username,
+    displayName: body.displayName || body.username,
+    email: body.email || null,
+    role: body.role || 'viewer',
+    passwordHash: hashPassword(body.password),
+    provider: 'local',
+    subject: null,
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+const adminCount = (store) => store.listUsers().filter(user => user.role === 'admin').length;
+
+// Changes a user's role, display name, email or (local accounts only) password
+function updateUser(id, body) {
+  const store = requireStore();
+  const user = getUser(id);
+  const errors = validateUser(body, { creating: false });
+  if (body.password !== undefined && user.provider !== 'local') errors.push(`/password cannot be set for a ${user.provider} account`);
+  if (errors.length) throw new AuthError('User is invalid', { validationErrors: errors });
+  if (user.role === 'admin' && body.role && body.role !== 'admin' && adminCount(store) === 1) {
+    throw new AuthError('The last admin cannot be demoted', { status: 409 });
+  }
+
+  return publicUser(store.saveUser({
+    ...user,
+    ...(body.role ? { role: body.role } : {}),
+    ...(body.displayName !== undefined ? { displayName: body.displayName || user.username } : {}),
+    ...(body.email !== undefined ? { email: body.email || null } : {}),
+    ...(body.password !== undefined ? { passwordHash: hashPassword(body.password) } : {}),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+function deleteUser(id) {
+  const store = requireStore();
+  const user = getUser(id);
+  if (user.role === 'admin' && adminCount(store) === 1) throw new AuthError('The last admin cannot be deleted', { status: 409 });
+  store.deleteUser(id);
+}
+
+/**
+ * Creates the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD when there are no
+ * accounts yet; later admins are created through the API.
+ */
+function ensureBootstrapAdmin() {
+  const username = (process.env.AUTH_ADMIN_USERNAME || '').trim();
+  const password = process.env.AUTH_ADMIN_PASSWORD || '';
+  const store = getHistoryStore();
+  if (!username || !password || !store || store.listUsers().length > 0) return null;
+  try {
+    const admin = createUser({ username, password, role: 'admin' });
+    console.log(`[${new Date().toISOString()}] [Auth] Created admin account '${username}'`);
+    return admin;
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] [Auth] Could not create admin account '${username}':`, e.message);
+    return null;
+  }
+}
+
+// --- Sessions ---
+
+function issueSession(user) {
+  const store = requireStore();
+  const signedIn = store.saveUser({ ...user, lastLoginAt: new Date().toISOString() });
+  const token = signToken({ sub: signedIn.id, username: signedIn.username, role: signedIn.role });
+  return { token, expiresAt: new Date(verifyToken(token).exp * 1000).toISOString(), user: publicUser(signedIn) };
+}
+
+function login(username, password) {
+  const store = requireStore();
+  const user = typeof username === 'string' ? store.findUser({ username: username.trim().toLowerCase() }) : null;
+  // Same message either way, so the response does not reveal which usernames exist
+  if (!user || user.provider !== 'local' || !verifyPassword(password, user.passwordHash)) {
+    throw new AuthError('Invalid username or password', { status: 401 });
+  }
+  return issueSession(user);
+}
+
+// The role a provider's claims grant: the highest known role they list, if any
+function roleFromClaims(claims) {
+  const claim = claims[(process.env.OIDC_ROLE_CLAIM || 'roles').trim()];
+  const listed = (Array.isArray(claim) ? claim : [claim]).filter(role => ROLES.includes(role));
+  return listed.length ? listed.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best)) : null;
+}
+
+/**
+ * Signs in the account linked to an identity provider's `sub`, creating it on first sign-in.
+ * Its role follows the provider's role claim when there is one; otherwise a new account gets
+ * OIDC_DEFAULT_ROLE (viewer) and an existing one keeps the role an admin gave it.
+ */
+function signInWithProvider(provider, claims) {
+  const store = requireStore();
+  if (!claims.sub) throw new AuthError(`${provider} did not identify the user`, { status: 401 });
+  const claimedRole = roleFromClaims(claims);
+  const existing = store.findUser({ provider, subject: claims.sub });
+  const now = new Date().toISOString();
+
+  if (existing) {
+    return issueSession({
+      ...existing,
+      displayName: claims.name || existing.displayName,
+      email: claims.email || existing.email,
+      role: claimedRole || existing.role,
+      updatedAt: now
+    });
+  }
+
+  const preferred = String(claims.preferred_username || claims.email || claims.sub).toLowerCase().replace(/[^a-z0-9._@-]/g, '-');
+  const username = store.findUser({ username: preferred }) ? `${provider}-${crypto.createHash('sha256').update(claims.sub).digest('hex').slice(0, 8)}` : preferred;
+  const defaultRole = ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'viewer';
+  return issueSession({
+    id: crypto.randomUUID(),
+    username,
+    displayName: claims.name || username,
+    email: claims.email || null,
+    role: claimedRole || defaultRole,
+    passwordHash: null,
+    provider,
+    subject: claims.sub,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// --- Middleware ---
+
+/**
+ * Express middleware: resolves `Authorization: Bearer <token>` to `req.user` (null without the
+ * header). A token that is invalid, expired or whose account was deleted is a 401, even when
+ * AUTH_MODE is off, so a client learns its session ended. Requests already signed in with an API
+ * key (see apiKeys.js) are passed through.
+ */
+function authenticate(req, res, next) {
+  if (req.apiKey) return next();
+  req.user = null;
+  const header = (req.headers.authorization || '').toString();
+  if (!header) return next();
+
+  const claims = header.startsWith('Bearer ') ? verifyToken(header.slice(7).trim()) : null;
+  const store = getHistoryStore();
+  const user = claims && store ? store.getUser(claims.sub) : null;
+  if (!user) return res.status(401).json({ error: 'Session is invalid or has expired; sign in again' });
+  req.user = publicUser(user);
+  next();
+}
+
+/**
+ * Express middleware allowing users with `role` or a higher one; everyone when AUTH_MODE is off.
+ * API keys are checked either way: they can only call routes given a `scope`, and only with a
+ * key that has that scope. The role and scope are also listed in the OpenAPI document.
+ */
+const requireRole = (role, scope = null) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !scope) return res.status(403).json({ error: 'API keys cannot call this endpoint' });
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This API key lacks the '${scope}' scope` });
+    }
+    if (!isAuthRequired()) return next();
+    if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `This requires the ${role} role (you are ${req.user.role})` });
+    }
+    next();
+  };
+  middleware.openapi = { access: { role, scope } };
+  return middleware;
+};
+
+module.exports = {
+  AuthError,
+  ROLES,
+  isAuthRequired,
+  signToken,
+  verifyToken,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureBootstrapAdmin,
+  login,
+  signInWithProvider,
+  authenticate,
+  requireRole,
+  publicUser
+};
@@ -0,0 +1,130 @@
+/**
+ * Near-duplicate detection for backlog uploads.
+ *
+ * Items are embedded with the RAG engine's sentence embeddings and compared pairwise; pairs at or
+ * above the similarity threshold are linked, and linked items form a cluster. When the embedding
+ * service is unavailable (or DEDUP_EMBEDDINGS=local) a TF-IDF vector over the item's words is
+ * used instead. Its scores run lower than embedding scores, so it has its own default threshold.
+ */
+
+const { getEmbeddings } = require('./ragEngine');
+
+const DEFAULT_THRESHOLDS = { embedding: 0.9, local: 0.7 };
+const THRESHOLD_SETTINGS = { embedding: 'DEDUP_THRESHOLD', local: 'DEDUP_LOCAL_THRESHOLD' };
+
+// The default threshold for a comparison method: its setting when that is a number, else the built-in one
+function getDefaultThreshold(method) {
+  const value = parseFloat(process.env[THRESHOLD_SETTINGS[method]]);
+  return Number.isFinite(value) ? value : DEFAULT_THRESHOLDS[method];
+}
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'to', 'of', 'in', 'on', 'for', 'with', 'so', 'that', 'i', 'as', 'is', 'be', 'can', 'my', 'it', 'at', 'by', 'from', 'this', 'want']);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const tokenize = (text) => normalize(text).split(/[^a-z0-9]+/).filter(word => word && !STOP_WORDS.has(word));
+
+// TF-IDF vectors (as Maps) over each item's words, weighted across the upload
+function localVectors(texts) {
+  const terms = texts.map(tokenize);
+  const documentFrequency = new Map();
+  terms.forEach(list => new Set(list).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+  return terms.map(list => {
+    const vector = new Map();
+    list.forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+    for (const [term, count] of vector) {
+      vector.set(term, count * (1 + Math.log(texts.length / documentFrequency.get(term))));
+    }
+    return vector;
+  });
+}
+
+// Cosine similarity of two dense arrays or two sparse Maps
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  if (a instanceof Map) {
+    for (const [term, weight] of a) {
+      normA += weight * weight;
+      if (b.has(term)) dot += weight * b.get(term);
+    }
+    for (const weight of b.values()) normB += weight * weight;
+  } else {
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Groups items whose similarity reaches `threshold`. Exact duplicates (same text once whitespace
+ * and case are normalized) always cluster. Every cluster's representative is its first item in
+ * upload order; members list the rest with their similarity to the representative.
+ */
+function clusterBySimilarity(texts, vectors, threshold) {
+  const parent = texts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    const [a, b] = [find(i), find(j)].sort((x, y) => x - y);
+    parent[b] = a;
+  };
+
+  const normalized = texts.map(normalize);
+  const similarity = (i, j) => (normalized[i] === normalized[j] ? 1 : cosineSimilarity(vectors[i], vectors[j]));
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      if (similarity(i, j) >= threshold) union(i, j);
+    }
+  }
+
+  const groups = new Map();
+  texts.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()]
+    .filter(indexes => indexes.length > 1)
+    .map(([representative, ...rest]) => ({
+      representative,
+      members: rest.map(index => {
+        const score = similarity(representative, index);
+        return { index, similarity: Math.round(score * 1000) / 1000, exact: normalized[representative] === normalized[index] };
+      })
+    }));
+}
+
+/**
+ * Finds clusters of duplicate and near-duplicate items ({ id?, text }). Returns { method, threshold,
+ * clusters: [{ id, representative: { index, id }, members: [{ index, id, similarity, exact }] }], summary }
+ * where `method` says whether embeddings or the local fallback were used.
+ */
+async function findDuplicates(items, { threshold } = {}) {
+  const texts = items.map(item => item.text);
+  const useEmbeddings = (process.env.DEDUP_EMBEDDINGS || 'remote').toLowerCase() !== 'local';
+  const embeddings = useEmbeddings && texts.length > 1 ? await getEmbeddings(texts) : null;
+  const method = embeddings ? 'embedding' : 'local';
+  const cutoff = threshold !== undefined ? threshold : getDefaultThreshold(method);
+
+  const clusters = clusterBySimilarity(texts, embeddings || localVectors(texts), cutoff).map((cluster, i) => ({
+    id: `dup-${i + 1}`,
+    representative: { index: cluster.representative, id: items[cluster.representative].id || null },
+    members: cluster.members.map(member => ({ ...member, id: items[member.index].id || null }))
+  }));
+
+  const duplicates = clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+  return {
+    method,
+    threshold: cutoff,
+    clusters,
+    summary: { items: items.length, clusters: clusters.length, duplicates, unique: items.length - duplicates }
+  };
+}
+
+module.exports = { findDuplicates, clusterBySimilarity, cosineSimilarity, localVectors };
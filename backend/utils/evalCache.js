@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Server-side cache for evaluation results.
+ *
+ * Entries are keyed on the normalized artifact text, the prompt template versions, the
+ * provider/model and the DeepEval flag, so a cached score is only reused when the exact
+ * same evaluation would have been run. Results live in an in-memory LRU and can optionally
+ * be persisted to disk (EVAL_CACHE_DIR) so they survive restarts.
+ */
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+function normalizeArtifact(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function buildCacheKey({ type, text, promptVersion, provider, model, runDeepEval, ...extra }) {
+  const material = JSON.stringify({
+    type,
+    text: normalizeArtifact(text),
+    promptVersion,
+    provider,
+    model,
+    runDeepEval: !!runDeepEval,
+    ...extra
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * True when the client asked to skip cached results, via `noCache: true` in the body or a
+ * `Cache-Control: no-cache` request header.
+ */
+function shouldBypassCache(req) {
+  if (req.body && (req.body.noCache === true || req.body.noCache === 'true')) return true;
+  const cacheControl = (req.headers['cache-control'] || '').toLowerCase();
+  return cacheControl.includes('no-cache') || cacheControl.includes('no-store');
+}
+
+class EvaluationCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttlSeconds = DEFAULT_TTL_SECONDS, dir = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlSeconds * 1000;
+    this.dir = dir;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+
+    if (this.dir) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  get(key) {
+    let entry = this.entries.get(key) || this._readDisk(key);
+
+    if (entry && Date.now() - entry.storedAt > this.ttlMs) {
+      this.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  set(key, value) {
+    const entry = { value, storedAt: Date.now() };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+
+    this._writeDisk(key, entry);
+    return entry;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    if (this.dir) {
+      try { fs.unlinkSync(this._diskPath(key)); } catch (e) { /* not on disk */ }
+    }
+  }
+
+  clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    if (this.dir) {
+      fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).forEach(f => fs.unlinkSync(path.join(this.dir, f)));
+    }
+    this.hits = 0;
+    this.misses = 0;
+    return cleared;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlMs / 1000,
+      hits: this.hits,
+      misses: this.misses,
+      backing: this.dir ? 'disk' : 'memory'
+    };
+  }
+
+  _diskPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  _readDisk(key) {
+    if (!this.dir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this._diskPath(key), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _writeDisk(key, entry) {
+    if (!this.dir) return;
+    try {
+      fs.writeFileSync(this._diskPath(key), JSON.stringify(entry), 'utf8');
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] [EvalCache] Failed to persist entry:`, e.message);
+    }
+  }
+}
+
+let sharedCache = null;
+
+function getEvalCache() {
+  if (!sharedCache) {
+    const dir = (process.env.EVAL_CACHE_DIR || '').trim();
+    sharedCache = new EvaluationCache({
+      maxEntries: parseInt(process.env.EVAL_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES, 10),
+      ttlSeconds: parseInt(process.env.EVAL_CACHE_TTL_SECONDS || DEFAULT_TTL_SECONDS, 10),
+      dir: dir ? path.resolve(dir) : null
+    });
+  }
+  return sharedCache;
+}
+
+function isCacheEnabled() {
+  return !['0', 'false', 'off', 'no'].includes((process.env.EVAL_CACHE || '').trim().toLowerCase());
+}
+
+module.exports = { EvaluationCache, getEvalCache, buildCacheKey, shouldBypassCache, isCacheEnabled, normalizeArtifact };
@@ -0,0 +1,813 @@
+const { completeJson } = require('./structuredOutput');
+const schemas = require('./schemas');
+const { retrieve, formatRagContext } = require('./ragEngine');
+const { runDeepEvalMetricsMock } = require('./evalMetrics');
+const { logTrace } = require('./observability');
+const { getLLM } = require('./llmProvider');
+const { getEvalCache, buildCacheKey, isCacheEnabled } = require('./evalCache');
+const { renderPrompt, getActiveVersion, getTemplate } = require('./promptRegistry');
+const { resolveRubric, getDefaultRubricId, summarizeRubric, computeTotal, gradeFor, promptVariables, RubricError } = require('./rubricRegistry');
+const { PartialArrayParser } = require('./partialJson');
+const { aggregateSamples, getSampleTemperature } = require('./selfConsistency');
+const { lintUserStory } = require('./storyLinter');
+const { extractAcceptanceCriteria, reviewCriterion, locateReference } = require('./acceptanceCriteria');
+const { SPLIT_PATTERNS, PATTERN_IDS, describePatterns, splitCheck } = require('./storySplitting');
+const { describeStory, findReferencedDependencies, findLimitConflicts, consistencyCheck, cycleConflicts, buildDependencyGraph, DEPENDENCY_TYPES, CONFLICT_TYPES } = require('./storyConsistency');
+const { analyzeTestCase } = require('./testCaseParser');
+const { isGherkin, analyzeGherkin, renderFeature, featureFileName } = require('./gherkinParser');
+const { getCurrentProject, projectExamples, knowledgeBaseKey } = require('./projects');
+
+/**
+ * Evaluation and generation pipelines shared by the JSON and streaming (SSE) routes.
+ *
+ * Each pipeline takes its request input plus optional callbacks:
+ * - `onProgress({ phase, status, ... })` for the lint/parse, retrieval, llm, repair and deepEval phases
+ * - `onPartial({ index, item })` for array items (criteria, stories, test case groups) as
+ *   soon as the model has finished writing them, before the full response is validated
+ *   (not sent in multi-sample evaluations, where no single sample is the answer)
+ *
+ * Pipelines resolve to the response body and throw on failure; routes map errors to HTTP.
+ */
+
+const noop = () => {};
+
+function requireProvider(endpoint) {
+  const provider = getLLM(endpoint);
+  if (!provider) {
+    const err = new Error('LLM provider is not properly initialized');
+    err.code = 'LLM_UNAVAILABLE';
+    err.status = 500;
+    throw err;
+  }
+  return provider;
+}
+
+// Resolves the active version of each named prompt, e.g. { userStoryEvaluation: 2 }
+function resolvePromptVersions(names) {
+  return Object.fromEntries(names.map(name => [name, getActiveVersion(name)]));
+}
+
+// Reference examples for the prompt: the request's project's own examples first, then the shared
+// index (or the project's namespace in it)
+async function retrieveContext(text, type, onProgress) {
+  onProgress({ phase: 'retrieval', status: 'started' });
+  const project = getCurrentProject();
+  const own = projectExamples(project, text, type, 3);
+  const shared = own.length < 3 ? await retrieve(text, type, 3 - own.length, project && project.knowledgeBase ? project.knowledgeBase.namespace : null) : [];
+  const ragExamples = [...own, ...shared];
+  onProgress({ phase: 'retrieval', status: 'done', examples: ragExamples.length });
+  return { ragExamples, ragContext: formatRagContext(ragExamples, type) };
+}
+
+function summarizeRag(ragExamples) {
+  return ragExamples.map(ex => ({
+    id: ex.id, quality: ex.quality, text: ex.text ? ex.text.substring(0, 200) : "", relevanceScore: ex.score
+  }));
+}
+
+/**
+ * Runs completeJson, forwarding its phase events and previewing completed items of
+ * `partialKey` while the response streams. Streaming is only requested when someone listens.
+ */
+function completeWithProgress(provider, options, { partialKey, onProgress, onPartial }) {
+  const parser = partialKey && onPartial !== noop ? new PartialArrayParser(partialKey) : null;
+
+  return completeJson(provider, {
+    ...options,
+    onProgress: (event) => {
+      // A fresh attempt or truncation retry regenerates the whole response
+      if (parser && event.phase === 'llm' && (event.status === 'started' || event.status === 'truncated')) parser.reset();
+      onProgress(event);
+    },
+    onDelta: parser ? (text, soFar) => parser.push(soFar).forEach(onPartial) : null
+  });
+}
+
+function scoresForTrace(result) {
+  const mappedScores = {};
+  if (result.parameters && Array.isArray(result.parameters)) {
+    const scaleMax = result.rubric ? result.rubric.scale.max : 5;
+    result.parameters.forEach(p => mappedScores[p.name] = parseFloat((Number(p.score) / scaleMax).toFixed(4)));
+  }
+  if (result.consistency) {
+    mappedScores['Self-Consistency'] = result.consistency.confidence;
+  }
+  if (result.deepEvalMetric && typeof result.deepEvalMetric === 'object') {
+    Object.entries(result.deepEvalMetric).forEach(([k, v]) => {
+      if (v && typeof v === 'object' && v.score !== undefined) {
+        mappedScores[k] = parseFloat(Number(v.score).toFixed(4));
+      }
+    });
+  }
+  return mappedScores;
+}
+
+// Calculate health metrics based on evaluation parameters and optional DeepEval metrics
+function calculateHealthMetrics(parameters, deepEval = null) {
+  const scoreMap = {};
+  if (Array.isArray(parameters)) {
+    parameters.forEach(param => {
+      scoreMap[param.name] = param.score;
+    });
+  }
+
+  // If DeepEval is NOT enabled, do not return estimated metrics.
+  // Returning derived metrics causes UI confusion when the user toggles the DeepEval checkbox.
+  if (!deepEval || typeof deepEval !== 'object') {
+    return null;
+  }
+  // Helper to get case-insensitive key
+  const getVal = (targetKey) => {
+    const key = Object.keys(deepEval).find(k => k.toLowerCase() === targetKey.toLowerCase());
+    return key ? deepEval[key] : null;
+  };
+
+  const dFaithfulness = getVal('Faithfulness');
+  const dRecall = getVal('Contextual Recall');
+  const dCorrectness = getVal('Answer Correctness');
+  const dPrecision = getVal('Contextual Precision');
+
+  return {
+    'Faithfulness': dFaithfulness ? Math.round(dFaithfulness.score * 100) : 0,
+    'Coverage': dRecall ? Math.round(dRecall.score * 100) : 0,
+    'Compliance': dCorrectness ? Math.round(dCorrectness.score * 100) : 0,
+    'Execution Rate': dPrecision ? Math.round(dPrecision.score * 100) : 0
+  };
+}
+
+// The rubric's weighted total and grade band, recomputed server-side since LLMs are bad at addition
+const rubricFinalizer = (rubric) => (result) => {
+  result.totalScore = computeTotal(rubric, result.parameters);
+  result.grade = gradeFor(rubric, result.totalScore);
+};
+
+/**
+ * Renders an evaluation prompt for a rubric. Templates written before rubrics existed hard-code
+ * the default rubric's criteria, so they can only be used with that rubric.
+ */
+function renderEvaluationPrompt(promptName, version, rubric, variables) {
+  if (getTemplate(promptName, version).variables.includes('criteriaList')) {
+    return renderPrompt(promptName, { ...variables, ...promptVariables(rubric) }, { version });
+  }
+  if (rubric.id !== getDefaultRubricId(rubric.appliesTo)) {
+    throw new RubricError(`Prompt '${promptName}' v${version} predates custom rubrics; use v2 or later to score with '${rubric.id}'`, { rubric: rubric.id });
+  }
+  return renderPrompt(promptName, variables, { version });
+}
+
+/**
+ * Runs the same evaluation `samples` times at the sampling temperature and folds the results
+ * into a consensus with a `consistency` report (see selfConsistency.js). Samples that fail
+ * validation are dropped; the evaluation only fails if every sample does.
+ */
+async function sampleEvaluations(provider, request, { samples, rubric, onProgress }) {
+  const temperature = getSampleTemperature();
+  let completed = 0;
+
+  onProgress({ phase: 'llm', status: 'started', attempt: 1, samples });
+  const settled = await Promise.allSettled(Array.from({ length: samples }, (_, sample) =>
+    completeJson(provider, { ...request, temperature, sample }).then(({ data }) => {
+      onProgress({ phase: 'llm', status: 'sampled', completed: ++completed, samples });
+      return data;
+    })
+  ));
+
+  const results = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+  if (results.length === 0) throw settled[0].reason;
+  onProgress({ phase: 'llm', status: 'done', samples });
+
+  const minTotal = rubric.criteria.reduce((sum, c) => sum + c.weight * rubric.scale.min, 0);
+  return aggregateSamples(results, {
+    finalize: rubricFinalizer(rubric),
+    scoreRange: [rubric.scale.min, rubric.scale.max],
+    totalRange: [minTotal, rubric.maxScore],
+    temperature,
+    failedSamples: samples - results.length
+  });
+}
+
+/**
+ * Shared flow for /evaluate and /evaluate-test-case: rubric and cache lookup, retrieval, scored
+ * LLM evaluation (one pass, or `samples` passes folded into a consensus), optional DeepEval,
+ * health metrics, tracing and cache store.
+ */
+async function runEvaluation({ endpoint, type, label, traceName, promptName, promptVariable, schemaFor, schemaName, text, runDeepEval, bypassCache, samples = 1, rubric: rubricChoice, project, format = null, context = {} }, { onProgress = noop, onPartial = noop } = {}) {
+  const provider = requireProvider(endpoint);
+  const rubric = resolveRubric(type, { rubric: rubricChoice, project, format });
+
+  // Pin the prompt versions up front: they key the cache and are stamped into the response
+  const prompts = resolvePromptVersions(runDeepEval ? [promptName, 'deepEvalJudge'] : [promptName]);
+
+  // Optional prompt variables (e.g. a linked story) only reach template versions that use them
+  const templateVariables = getTemplate(promptName, prompts[promptName]).variables;
+  const promptContext = Object.fromEntries(Object.entries(context).filter(([name]) => templateVariables.includes(name)));
+
+  const cache = isCacheEnabled() ? getEvalCache() : null;
+  const knowledgeBase = knowledgeBaseKey(getCurrentProject());
+  const cacheKey = buildCacheKey({
+    type, text, promptVersion: prompts,
+    provider: provider.name, model: provider.model, runDeepEval, rubric: rubric.hash,
+    ...(knowledgeBase ? { knowledgeBase } : {}),
+    ...(Object.keys(promptContext).length > 0 ? { context: promptContext } : {}),
+    ...(samples > 1 ? { samples, sampleTemperature: getSampleTemperature() } : {})
+  });
+
+  if (cache && !bypassCache) {
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      console.log(`[${new Date().toISOString()}] Cache hit for ${label} evaluation ${cacheKey.substring(0, 12)}`);
+      onProgress({ phase: 'cache', status: 'hit' });
+      return {
+        ...cached.value,
+        cache: { hit: true, key: cacheKey, cachedAt: new Date(cached.storedAt).toISOString() }
+      };
+    }
+  }
+
+  const { ragExamples, ragContext } = await retrieveContext(text, type, onProgress);
+
+  const { text: prompt } = renderEvaluationPrompt(promptName, prompts[promptName], rubric, { [promptVariable]: text, ragContext, ...promptContext });
+  const request = {
+    prompt,
+    schema: schemaFor(rubric),
+    schemaName,
+    temperature: 0.0,
+    maxTokens: 2048
+  };
+
+  let result;
+  if (samples > 1) {
+    result = await sampleEvaluations(provider, request, { samples, rubric, onProgress });
+    console.log(`[${new Date().toISOString()}] ${provider.name} returned ${result.consistency.samples}/${samples} samples, confidence ${result.consistency.confidence}`);
+  } else {
+    const { data, completion } = await completeWithProgress(provider, request, { partialKey: 'parameters', onProgress, onPartial });
+    result = data;
+
+    console.log(`[${new Date().toISOString()}] ${provider.name} API response received`);
+    console.log(`[${new Date().toISOString()}] Response content (first 500 chars):`, completion.content.substring(0, 500));
+
+    // Enforce deterministic math: LLMs are bad at addition, so recalculate the total score (and grade)
+    rubricFinalizer(rubric)(result);
+  }
+  result.rubric = summarizeRubric(rubric);
+
+  result.ragContext = summarizeRag(ragExamples);
+
+  console.log(`[${new Date().toISOString()}] ${label} evaluation complete - Score: ${result.totalScore}`);
+
+  if (runDeepEval) {
+    onProgress({ phase: 'deepEval', status: 'started' });
+    result.deepEvalMetric = await runDeepEvalMetricsMock(getLLM('deepEval'), text, { version: prompts.deepEvalJudge });
+    onProgress({ phase: 'deepEval', status: 'done', available: !!result.deepEvalMetric });
+  }
+
+  // Calculate health metrics based on the evaluation parameters AND DeepEval
+  const healthMetrics = calculateHealthMetrics(result.parameters, result.deepEvalMetric);
+
+  // Telemetry: Fire off to Langfuse
+  result.prompts = prompts;
+  await logTrace(traceName, text, result, scoresForTrace(result), { prompts, rubric: rubric.id });
+
+  const responseData = {
+    ...result,
+    metrics: healthMetrics
+  };
+  if (cache) cache.set(cacheKey, responseData);
+
+  return { ...responseData, cache: { hit: false, key: cacheKey, bypassed: !!bypassCache } };
+}
+
+// Lints the story before the LLM runs and returns the findings next to its scores. The lint is
+// cheap and deterministic, so it is recomputed rather than cached.
+async function evaluateUserStory({ userStory, runDeepEval, bypassCache, samples, rubric, project }, { onProgress = noop, onPartial = noop } = {}) {
+  const lint = lintUserStory(userStory);
+  onProgress({ phase: 'lint', status: 'done', ...lint.summary });
+
+  const result = await runEvaluation({
+    endpoint: 'evaluate',
+    type: 'user_story',
+    label: 'User story',
+    traceName: 'UserStory Evaluation',
+    promptName: 'userStoryEvaluation',
+    promptVariable: 'userStory',
+    schemaFor: schemas.userStoryEvaluationSchema,
+    schemaName: 'userStoryEvaluation',
+    text: userStory,
+    runDeepEval,
+    bypassCache,
+    samples,
+    rubric,
+    project
+  }, { onProgress, onPartial });
+  return { ...result, lint };
+}
+
+// Parses the test case into sections (or Gherkin scenarios) and smells before the LLM runs; like
+// the story lint, the analysis is deterministic and recomputed rather than cached. `format` is
+// 'steps', 'gherkin' or 'auto' (detect); Gherkin test cases default to the Gherkin rubric.
+// `linkedStory` is the story the test case verifies, so requirements traceability is judged
+// against it rather than guessed.
+async function evaluateTestCase({ testCase, runDeepEval, bypassCache, samples, rubric, project, format = 'auto', linkedStory = null }, { onProgress = noop, onPartial = noop } = {}) {
+  const resolvedFormat = format === 'auto' ? (isGherkin(testCase) ? 'gherkin' : 'steps') : format;
+  const { structure, smells } = resolvedFormat === 'gherkin' ? analyzeGherkin(testCase) : analyzeTestCase(testCase);
+  const steps = resolvedFormat === 'gherkin' ? structure.scenarios.reduce((sum, s) => sum + s.steps.length, 0) : structure.steps.length;
+  onProgress({ phase: 'parse', status: 'done', format: resolvedFormat, steps, ...smells.summary });
+
+  const result = await runEvaluation({
+    endpoint: 'evaluateTestCase',
+    type: 'test_case',
+    label: 'Test case',
+    traceName: 'TestCase Evaluation',
+    promptName: 'testCaseEvaluation',
+    promptVariable: 'testCase',
+    schemaFor: schemas.testCaseEvaluationSchema,
+    schemaName: 'testCaseEvaluation',
+    text: testCase,
+    runDeepEval,
+    bypassCache,
+    samples,
+    rubric,
+    project,
+    format: resolvedFormat,
+    context: {
+      linkedStory: linkedStory ? `It verifies this User Story; judge requirements traceability against it: "${linkedStory}"` : ''
+    }
+  }, { onProgress, onPartial });
+  return { ...result, format: resolvedFormat, structure, smells, ...(linkedStory ? { linkedStory } : {}) };
+}
+
+/**
+ * Reviews a story's acceptance criteria one by one (measurable, unambiguous, independent), scores
+ * how completely they cover the story and suggests missing ones. `acceptanceCriteria` is an array
+ * of strings; without it the criteria are extracted from the story text. The model's quotes of the
+ * story are resolved to offsets, and verdicts are computed here from the scores.
+ */
+async function evaluateAcceptanceCriteria({ userStory, acceptanceCriteria, bypassCache }, { onProgress = noop, onPartial = noop } = {}) {
+  const fromRequest = Array.isArray(acceptanceCriteria) && acceptanceCriteria.some(c => String(c).trim());
+  const criteria = fromRequest
+    ? acceptanceCriteria.map(c => String(c).trim()).filter(Boolean).map(text => ({ text }))
+    : extractAcceptanceCriteria(userStory);
+  onProgress({ phase: 'parse', status: 'done', source: fromRequest ? 'request' : 'story', criteria: criteria.length });
+  if (criteria.length === 0) {
+    const err = new Error('No acceptance criteria found: pass acceptanceCriteria or add an "Acceptance Criteria:" section to the story');
+    err.code = 'NO_ACCEPTANCE_CRITERIA';
+    err.status = 400;
+    throw err;
+  }
+
+  const provider = requireProvider('evaluateAcceptanceCriteria');
+  const prompts = resolvePromptVersions(['acceptanceCriteriaEvaluation']);
+
+  const cache = isCacheEnabled() ? getEvalCache() : null;
+  const cacheKey = buildCacheKey({
+    type: 'acceptance_criteria', text: userStory, promptVersion: prompts,
+    provider: provider.name, model: provider.model, criteria: criteria.map(c => c.text)
+  });
+
+  if (cache && !bypassCache) {
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      console.log(`[${new Date().toISOString()}] Cache hit for acceptance criteria evaluation ${cacheKey.substring(0, 12)}`);
+      onProgress({ phase: 'cache', status: 'hit' });
+      return {
+        ...cached.value,
+        cache: { hit: true, key: cacheKey, cachedAt: new Date(cached.storedAt).toISOString() }
+      };
+    }
+  }
+
+  const { text: prompt } = renderPrompt('acceptanceCriteriaEvaluation', {
+    userStory,
+    criteriaList: criteria.map((c, i) => `${i + 1}. ${c.text}`).join('\n  ')
+  }, { version: prompts.acceptanceCriteriaEvaluation });
+
+  const { data } = await completeWithProgress(provider, {
+    prompt,
+    schema: schemas.acceptanceCriteriaEvaluationSchema(criteria.length),
+    schemaName: 'acceptanceCriteriaEvaluation',
+    temperature: 0.0,
+    maxTokens: 3000
+  }, { partialKey: 'criteria', onProgress, onPartial });
+
+  const reviewed = data.criteria.map((review, i) => reviewCriterion(userStory, criteria[i], review));
+  const count = (verdict) => reviewed.filter(c => c.verdict === verdict).length;
+  const result = {
+    source: fromRequest ? 'request' : 'story',
+    criteria: reviewed,
+    completeness: data.completeness,
+    missingCriteria: data.missingCriteria.map(missing => ({
+      ...missing,
+      storyReference: locateReference(userStory, missing.storyReference) || (missing.storyReference ? { text: missing.storyReference, start: null, end: null } : null)
+    })),
+    summary: {
+      text: data.summary,
+      pass: count('pass'),
+      needsWork: count('needs-work'),
+      fail: count('fail'),
+      missing: data.missingCriteria.length
+    },
+    prompts
+  };
+
+  console.log(`[${new Date().toISOString()}] Acceptance criteria evaluation complete - ${result.summary.pass}/${reviewed.length} pass`);
+
+  // Telemetry: Fire off to Langfuse
+  await logTrace('AcceptanceCriteria Evaluation', userStory, result, {
+    completeness: data.completeness.score,
+    passRate: reviewed.length ? result.summary.pass / reviewed.length : 0
+  }, { prompts });
+
+  if (cache) cache.set(cacheKey, result);
+  return { ...result, cache: { hit: false, key: cacheKey, bypassed: !!bypassCache } };
+}
+
+async function generateUserStories({ feature }, { onProgress = noop, onPartial = noop } = {}) {
+  const provider = requireProvider('generateUserStories');
+  const { ragExamples, ragContext } = await retrieveContext(feature, 'user_story', onProgress);
+
+  const { text: prompt, version } = renderPrompt('userStoryGeneration', { feature, ragContext });
+  const { data: result } = await completeWithProgress(provider, {
+    prompt,
+    schema: schemas.userStoryGenerationSchema,
+    schemaName: 'userStoryGeneration',
+    maxTokens: 4096
+  }, { partialKey: 'userStories', onProgress, onPartial });
+
+  result.ragContext = summarizeRag(ragExamples);
+
+  // Telemetry: Fire off to Langfuse
+  result.prompts = { userStoryGeneration: version };
+  await logTrace("UserStory Generation", feature, result, null, { prompts: result.prompts });
+
+  console.log(`[${new Date().toISOString()}] User story generation complete`);
+  return result;
+}
+
+// A child story as the evaluator sees it: the statement followed by its acceptance criteria
+const storyText = (story) => `${story.description}\n\nAcceptance Criteria:\n${story.acceptanceCriteria.map(ac => `- ${ac}`).join('\n')}`;
+
+// The parts of an evaluation a split needs to compare stories; the full report is one /evaluate away
+const summarizeEvaluation = (evaluation) => ({
+  totalScore: evaluation.totalScore,
+  grade: evaluation.grade,
+  parameters: evaluation.parameters.map(({ name, score, findings }) => ({ name, score, findings })),
+  lint: evaluation.lint.summary,
+  cached: !!(evaluation.cache && evaluation.cache.hit)
+});
+
+/**
+ * Proposes SPIDR splits (Spike, Paths, Interfaces, Data, Rules) of an oversized story or epic,
+ * one alternative per pattern, and, unless `evaluate` is false, evaluates the original and every
+ * child story with the story's rubric so the splits can be compared. `patterns` limits the
+ * patterns considered (ids from storySplitting.js). Child evaluations go through evaluateUserStory,
+ * so they share its cache; a child that fails to evaluate carries `evaluationError` instead.
+ */
+async function splitStory({ userStory, patterns, evaluate = true, rubric: rubricChoice, project, bypassCache }, { onProgress = noop, onPartial = noop } = {}) {
+  const lint = lintUserStory(userStory);
+  onProgress({ phase: 'lint', status: 'done', ...lint.summary });
+
+  const provider = requireProvider('splitStory');
+  // Resolve the rubric before the LLM call, so an unknown rubric fails fast
+  const rubric = evaluate ? resolveRubric('user_story', { rubric: rubricChoice, project }) : null;
+  const { ragExamples, ragContext } = await retrieveContext(userStory, 'user_story', onProgress);
+
+  const patternIds = patterns && patterns.length > 0 ? PATTERN_IDS.filter(id => patterns.includes(id)) : PATTERN_IDS;
+  const patternNames = patternIds.map(id => SPLIT_PATTERNS[id].name);
+  const { text: prompt, version } = renderPrompt('storySplitting', {
+    userStory,
+    ragContext,
+    patternList: describePatterns(patternIds),
+    patternNames: patternNames.map(name => `"${name}"`).join(', ')
+  });
+
+  const { data } = await completeWithProgress(provider, {
+    prompt,
+    schema: schemas.storySplittingSchema(patternNames),
+    schemaName: 'storySplitting',
+    check: splitCheck(patternNames),
+    maxTokens: 4000,
+    retryMaxTokens: 8000
+  }, { partialKey: 'splits', onProgress, onPartial });
+
+  const result = {
+    assessment: data.assessment,
+    recommendedPattern: data.recommendedPattern,
+    splits: data.splits.map(split => ({ ...split, totalStoryPoints: split.stories.reduce((sum, story) => sum + story.storyPoints, 0) })),
+    lint
+  };
+
+  if (evaluate) {
+    const children = data.splits.flatMap(split => split.stories);
+    const total = children.length + 1;
+    let completed = 0;
+    onProgress({ phase: 'evaluate', status: 'started', completed, total });
+
+    const evaluateStory = async (text) => {
+      try {
+        return summarizeEvaluation(await evaluateUserStory({ userStory: text, rubric: rubricChoice, project, bypassCache }));
+      } catch (error) {
+        return { evaluationError: error.message };
+      } finally {
+        completed += 1;
+        onProgress({ phase: 'evaluate', status: completed === total ? 'done' : 'progress', completed, total });
+      }
+    };
+
+    // The scheduler queues these behind its concurrency limit, so they can all be started at once
+    const [original, ...evaluations] = await Promise.all([userStory, ...children.map(storyText)].map(evaluateStory));
+    result.original = original;
+
+    let next = 0;
+    result.splits = result.splits.map(split => {
+      const stories = split.stories.map(story => {
+        const evaluation = evaluations[next++];
+        return evaluation.evaluationError ? { ...story, ...evaluation } : { ...story, evaluation };
+      });
+      const scores = stories.filter(story => story.evaluation).map(story => story.evaluation.totalScore);
+      return {
+        ...split,
+        stories,
+        averageScore: scores.length ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10 : null
+      };
+    });
+    result.rubric = summarizeRubric(rubric);
+  }
+
+  result.ragContext = summarizeRag(ragExamples);
+
+  // Telemetry: Fire off to Langfuse
+  result.prompts = { storySplitting: version };
+  await logTrace('UserStory Splitting', userStory, result, null, { prompts: result.prompts });
+
+  console.log(`[${new Date().toISOString()}] Story splitting complete - ${result.splits.length} splits, recommended ${result.recommendedPattern}`);
+  return result;
+}
+
+// Stories per consistency prompt; larger batches are audited in chunks, each seeing an index of the rest
+const configuredChunkSize = parseInt(process.env.CONSISTENCY_CHUNK_SIZE, 10);
+const CONSISTENCY_CHUNK_SIZE = configuredChunkSize > 0 ? configuredChunkSize : 25;
+
+const storyLine = (story) => `[${story.id}] As a ${story.persona || '?'}, I want ${story.goal || '?'}`;
+
+/**
+ * Cross-story consistency for a batch of stories ({ id, text }): a dependency graph and the
+ * contradictions between stories. Rule-based checks (stories naming each other, disagreeing
+ * limits, cycles) run first; the model then audits the batch in chunks of CONSISTENCY_CHUNK_SIZE.
+ */
+async function analyzeConsistency({ stories }, { onProgress = noop, onPartial = noop } = {}) {
+  const described = stories.map(describeStory);
+  const referenced = findReferencedDependencies(stories);
+  const ruleConflicts = findLimitConflicts(described);
+  onProgress({ phase: 'parse', status: 'done', stories: stories.length, dependencies: referenced.length, conflicts: ruleConflicts.length });
+
+  const provider = requireProvider('analyzeConsistency');
+  const chunks = [];
+  for (let i = 0; i < stories.length; i += CONSISTENCY_CHUNK_SIZE) chunks.push(stories.slice(i, i + CONSISTENCY_CHUNK_SIZE));
+
+  const allIds = stories.map(story => story.id);
+  const knownConflicts = ruleConflicts.length ? ruleConflicts.map(c => `- ${c.description}`).join('\n  ') : '- None';
+  let version = null;
+  const modelDependencies = [];
+  const modelConflicts = [];
+  let completed = 0;
+  onProgress({ phase: 'analyze', status: 'started', completed, total: chunks.length });
+
+  // One chunk at a time: each is a long prompt, and a big batch would otherwise fill the LLM queue
+  for (const chunk of chunks) {
+    const inChunk = new Set(chunk.map(story => story.id));
+    const others = described.filter(story => !inChunk.has(story.id));
+    const rendered = renderPrompt('consistencyAnalysis', {
+      storyList: chunk.map(story => `[${story.id}] ${story.text}`).join('\n  '),
+      storyIndex: others.length ? `\n  OTHER STORIES IN THE SAME BATCH (summaries; report dependencies and conflicts with them too):\n  ${others.map(storyLine).join('\n  ')}` : '',
+      dependencyTypes: DEPENDENCY_TYPES.filter(type => type !== 'related').join(', '),
+      knownConflicts,
+      storyIds: allIds.map(id => `"${id}"`).join(', ')
+    });
+    version = rendered.version;
+
+    const { data } = await completeWithProgress(provider, {
+      prompt: rendered.text,
+      schema: schemas.consistencyAnalysisSchema(allIds, DEPENDENCY_TYPES, CONFLICT_TYPES.filter(type => type !== 'cycle')),
+      schemaName: 'consistencyAnalysis',
+      check: consistencyCheck,
+      maxTokens: 3000,
+      retryMaxTokens: 6000
+    }, { partialKey: 'conflicts', onProgress, onPartial: chunks.length === 1 ? onPartial : noop });
+
+    modelDependencies.push(...data.dependencies.map(dep => ({ ...dep, source: 'model' })));
+    modelConflicts.push(...data.conflicts.map(conflict => ({ ...conflict, source: 'model' })));
+    completed += 1;
+    onProgress({ phase: 'analyze', status: completed === chunks.length ? 'done' : 'progress', completed, total: chunks.length });
+  }
+
+  // The stories' own references win over the model's reading of the same pair
+  const graph = buildDependencyGraph(described, [referenced, modelDependencies]);
+
+  // Chunks can report the same conflict twice; rule-based limit conflicts win over the model's
+  const seen = new Set();
+  const conflicts = [...ruleConflicts, ...cycleConflicts(graph.cycles), ...modelConflicts].filter(conflict => {
+    const key = `${conflict.type}|${[...conflict.stories].sort().join('|')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const result = {
+    graph,
+    conflicts,
+    summary: {
+      stories: stories.length,
+      dependencies: graph.edges.length,
+      independent: graph.nodes.filter(node => node.independent).length,
+      conflicts: conflicts.length,
+      errors: conflicts.filter(c => c.severity === 'error').length,
+      warnings: conflicts.filter(c => c.severity === 'warning').length,
+      cycles: graph.cycles.length
+    },
+    prompts: { consistencyAnalysis: version }
+  };
+
+  await logTrace('UserStory Consistency', `${stories.length} stories`, result, null, { prompts: result.prompts });
+  console.log(`[${new Date().toISOString()}] Consistency analysis complete - ${graph.edges.length} dependencies, ${conflicts.length} conflicts`);
+  return result;
+}
+
+// Category mapping for prompt construction
+const CATEGORY_MAP = {
+  'Positive':    'Positive Test Cases',
+  'Negative':    'Negative Test Cases',
+  'Edge Case':   'Boundary Value Analysis',
+  'Validation':  'Validation Test Cases',
+  'Security':    'Security Test Cases',
+  'Performance': 'Performance Test Cases',
+  'Boundary':    'Boundary Value Test Cases',
+};
+
+// Splits the requested count across the selected categories, e.g. 10 over 3 -> 4, 3, 3
+function planTestCases(categories, totalCount, unit = 'cases') {
+  // Use explicit categories/count if provided, else fallback to defaults
+  const selectedCategories = (categories && categories.length > 0)
+    ? categories.map(c => CATEGORY_MAP[c] || c)
+    : ['Positive Test Cases', 'Negative Test Cases', 'Boundary Value Analysis', 'Coverage Analysis'];
+
+  // Cap count at 10 as per requirements for Agentic AI precision
+  const requestedCount = (totalCount && Number(totalCount) > 0) ? Math.min(Number(totalCount), 10) : 10;
+
+  // Calculate exact distribution
+  const perType = Math.floor(requestedCount / selectedCategories.length);
+  const remainder = requestedCount % selectedCategories.length;
+
+  const validCategories = [];
+  selectedCategories.forEach((c, index) => {
+    const cnt = perType + (index < remainder ? 1 : 0);
+    if (cnt > 0) validCategories.push({ category: c, count: cnt });
+  });
+
+  const distributionText = validCategories.map(vc => {
+    return `- ${vc.count} ${unit} for ${vc.category}`;
+  }).join('\n  ');
+
+  return {
+    requestedCount,
+    distributionText,
+    expectedCategories: validCategories.map(vc => vc.category),
+    lengthHint: requestedCount > 10 ? 'Keep descriptions and steps concise since you are generating a large number of cases.' : ''
+  };
+}
+
+// Every requested category must be present exactly once in `data[key]`, in addition to the schema's exact-string enum
+const categoryCheck = (expectedCategories, key) => (data) => {
+  const errors = [];
+  const seen = data[key].map(group => group.category);
+  expectedCategories.forEach(category => {
+    const occurrences = seen.filter(c => c === category).length;
+    if (occurrences === 0) errors.push(`/${key} is missing the "${category}" category`);
+    if (occurrences > 1) errors.push(`/${key} lists the "${category}" category ${occurrences} times; merge them into one entry`);
+  });
+  return errors;
+};
+
+/**
+ * Generates test cases for a feature, grouped by category. `format: 'gherkin'` generates one
+ * Gherkin feature per category instead (see generateFeatureFiles).
+ */
+async function generateTestCases({ feature, categories, totalCount, format = 'steps' }, { onProgress = noop, onPartial = noop } = {}) {
+  if (format === 'gherkin') return generateFeatureFiles({ feature, categories, totalCount }, { onProgress, onPartial });
+
+  const provider = requireProvider('generateTestCases');
+  const { ragExamples, ragContext } = await retrieveContext(feature, 'test_case', onProgress);
+  const { requestedCount, distributionText, expectedCategories, lengthHint } = planTestCases(categories, totalCount);
+
+  const { text: prompt, version } = renderPrompt('testCaseGeneration', {
+    feature,
+    ragContext,
+    requestedCount,
+    distributionText,
+    lengthHint
+  });
+
+  // Truncated responses are retried once with a higher token limit before validation
+  const { data: result, completion } = await completeWithProgress(provider, {
+    prompt,
+    schema: schemas.testCaseGenerationSchema(expectedCategories),
+    schemaName: 'testCaseGeneration',
+    check: categoryCheck(expectedCategories, 'testCases'),
+    maxTokens: 4000,
+    retryMaxTokens: 8000
+  }, { partialKey: 'testCases', onProgress, onPartial });
+  console.log(`[${new Date().toISOString()}] Raw LLM response (first 500 chars): ${completion.content.substring(0, 500)}...`);
+  console.log(`[${new Date().toISOString()}] Finish reason: ${completion.finishReason}, content length: ${completion.content.length}`);
+
+  const totalCases = result.testCases.reduce((sum, cat) => sum + cat.cases.length, 0);
+  console.log(`[${new Date().toISOString()}] Validated: ${totalCases} test cases found in response`);
+
+  result.ragContext = summarizeRag(ragExamples);
+
+  // Telemetry: Fire off to Langfuse
+  result.prompts = { testCaseGeneration: version };
+  await logTrace("TestCase Generation", feature, result, null, { prompts: result.prompts });
+
+  console.log(`[${new Date().toISOString()}] Test case generation complete`);
+  return result;
+}
+
+// Renders a generated feature and re-parses it, so structural mistakes (e.g. a placeholder no
+// Examples column defines) go back to the model as validation errors
+function renderGeneratedFeature(generated) {
+  const content = renderFeature(generated);
+  const { smells } = analyzeGherkin(content, { requireFeature: true });
+  return { content, smells };
+}
+
+const gherkinCheck = (expectedCategories) => (data) => {
+  const errors = categoryCheck(expectedCategories, 'features')(data);
+  data.features.forEach((generated, i) => {
+    renderGeneratedFeature(generated).smells.findings
+      .filter(f => f.severity === 'error' || f.ruleId === 'background-action' || f.ruleId === 'multiple-behaviours')
+      .forEach(f => errors.push(`/features/${i} ("${generated.name}") line ${f.line}: ${f.message}`));
+  });
+  return errors;
+};
+
+/**
+ * Generates Gherkin .feature files, one per category. The model writes structured scenarios;
+ * the .feature text is rendered here so it is always syntactically valid, and each file carries
+ * its own validation findings.
+ */
+async function generateFeatureFiles({ feature, categories, totalCount }, { onProgress = noop, onPartial = noop } = {}) {
+  const provider = requireProvider('generateTestCases');
+  const { ragExamples, ragContext } = await retrieveContext(feature, 'test_case', onProgress);
+  const { requestedCount, distributionText, expectedCategories, lengthHint } = planTestCases(categories, totalCount, 'scenarios');
+
+  const { text: prompt, version } = renderPrompt('gherkinGeneration', {
+    feature,
+    ragContext,
+    requestedCount,
+    distributionText,
+    lengthHint
+  });
+
+  const { data, completion } = await completeWithProgress(provider, {
+    prompt,
+    schema: schemas.gherkinGenerationSchema(expectedCategories),
+    schemaName: 'gherkinGeneration',
+    check: gherkinCheck(expectedCategories),
+    maxTokens: 4000,
+    retryMaxTokens: 8000
+  }, { partialKey: 'features', onProgress, onPartial });
+  console.log(`[${new Date().toISOString()}] Finish reason: ${completion.finishReason}, content length: ${completion.content.length}`);
+
+  const result = {
+    format: 'gherkin',
+    features: data.features.map(generated => ({
+      ...generated,
+      fileName: featureFileName(generated.name),
+      ...renderGeneratedFeature(generated)
+    })),
+    summary: data.summary
+  };
+
+  const totalScenarios = result.features.reduce((sum, f) => sum + f.scenarios.length, 0);
+  console.log(`[${new Date().toISOString()}] Validated: ${totalScenarios} scenarios in ${result.features.length} feature files`);
+
+  result.ragContext = summarizeRag(ragExamples);
+
+  // Telemetry: Fire off to Langfuse
+  result.prompts = { gherkinGeneration: version };
+  await logTrace("Gherkin Generation", feature, result, null, { prompts: result.prompts });
+
+  console.log(`[${new Date().toISOString()}] Gherkin generation complete`);
+  return result;
+}
+
+module.exports = {
+  evaluateUserStory,
+  evaluateTestCase,
+  evaluateAcceptanceCriteria,
+  generateUserStories,
+  splitStory,
+  analyzeConsistency,
+  generateTestCases,
+  calculateHealthMetrics,
+  resolvePromptVersions
+};
@@ -0,0 +1,392 @@
+/**
+ * Gherkin (Given/When/Then) parsing, validation and rendering.
+ *
+ * QA scenarios written in Gherkin are evaluated and generated as a format of their own rather
+ * than squeezed into numbered steps. The parser is line based and covers what teams write in
+ * practice: Feature, Rule, Background, Scenario/Example, Scenario Outline with Examples, tags,
+ * comments, data tables and doc strings. Text without a Feature or Scenario header (a single
+ * pasted scenario) is read as one implicit scenario.
+ *
+ * Validation reports structural errors (e.g. an outline without Examples, a placeholder no
+ * Examples column defines) and style findings (imperative UI steps, more than one behaviour
+ * per scenario, actions in the Background). Findings use the story linter's shape plus the
+ * 1-based `line` they are on.
+ */
+
+const RULES = {
+  'missing-feature': { severity: 'error', description: 'A .feature file starts with "Feature: <name>"' },
+  'step-outside-scenario': { severity: 'error', description: 'Steps belong to a Background or Scenario' },
+  'unexpected-line': { severity: 'error', description: 'Every line is a keyword, step, table row, tag or comment' },
+  'empty-scenario': { severity: 'error', description: 'Every scenario has steps' },
+  'missing-examples': { severity: 'error', description: 'A Scenario Outline has an Examples table' },
+  'undefined-placeholder': { severity: 'error', description: 'Every <placeholder> is a column of the Examples table' },
+  'examples-row-width': { severity: 'error', description: 'Every Examples row has as many cells as the header' },
+  'missing-outcome': { severity: 'error', description: 'Every scenario ends in a Then step' },
+  'missing-action': { severity: 'warning', description: 'Every scenario has a When step' },
+  'multiple-behaviours': { severity: 'warning', description: 'A scenario tests one behaviour: no When after a Then' },
+  'step-order': { severity: 'warning', description: 'Steps run Given, then When, then Then' },
+  'imperative-step': { severity: 'warning', description: 'Steps describe behaviour, not UI mechanics (clicks, fields, buttons)' },
+  'background-action': { severity: 'warning', description: 'A Background only sets up context with Given steps' },
+  'unused-example-column': { severity: 'warning', description: 'Every Examples column is used by a step' },
+  'duplicate-scenario-name': { severity: 'warning', description: 'Scenario names are unique within a feature' },
+  'single-example': { severity: 'info', description: 'A Scenario Outline has more than one Examples row' },
+  'background-single-scenario': { severity: 'info', description: 'A Background is shared by more than one scenario' },
+  'repeated-setup': { severity: 'info', description: 'Given steps shared by every scenario move to a Background' },
+  'long-scenario': { severity: 'info', description: 'A scenario has at most 10 steps' }
+};
+
+const MAX_SCENARIO_STEPS = 10;
+
+const KEYWORDS = {
+  'feature': 'feature',
+  'rule': 'rule',
+  'background': 'background',
+  'scenario outline': 'outline',
+  'scenario template': 'outline',
+  'scenario': 'scenario',
+  'example': 'scenario',
+  'examples': 'examples',
+  'scenarios': 'examples'
+};
+const KEYWORD_LINE = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenarios|Scenario|Examples|Example)\s*:\s*(.*)$/i;
+const STEP_LINE = /^(Given|When|Then|And|But|\*)\s+(.*)$/i;
+const STEP_TYPES = { given: 'context', when: 'action', then: 'outcome' };
+const DOC_STRING = /^("""|```)/;
+const PLACEHOLDER = /<([^<>]+)>/g;
+
+// UI mechanics that make a step imperative ("When I click the Login button")
+const IMPERATIVE = /\b(?:click(?:s|ed)?|taps?|press(?:es)?|types?|fills? in|navigates? to|go(?:es)? to|visits?|scrolls?|hovers?|selects? .+ from)\b|\b(?:button|text ?field|input field|text ?box|dropdown|check ?box|link)\b/i;
+
+function finding(ruleId, message, { line = null, start = 0, end = 0, ...extra } = {}) {
+  return { ruleId, severity: RULES[ruleId].severity, message, line, start, end, ...extra };
+}
+
+const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+/**
+ * True when the text looks like Gherkin: a Feature/Scenario header, or at least two
+ * Given/When/Then lines.
+ */
+function isGherkin(text) {
+  const source = String(text || '');
+  if (/^\s*(?:Feature|Scenario(?: Outline| Template)?|Background|Example)\s*:/im.test(source)) return true;
+  return (source.match(/^\s*(?:Given|When|Then)\s+\S/gim) || []).length >= 2;
+}
+
+/**
+ * Parses Gherkin text into { feature, background, scenarios, errors }. Parse errors are
+ * findings; parsing never throws.
+ */
+function parseGherkin(text) {
+  const source = String(text || '');
+  const doc = { feature: null, background: null, scenarios: [], errors: [] };
+
+  let tags = [];
+  let container = null;      // feature | background | scenario | examples
+  let scenario = null;
+  let rule = null;
+  let lastStep = null;
+  let docString = null;      // { delimiter, lines } while inside a doc string
+
+  let offset = 0;
+  source.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    const start = offset + (rawLine.length - rawLine.trimStart().length);
+    const position = { line: lineNumber, start, end: start + line.length };
+    offset += rawLine.length + 1;
+
+    if (docString) {
+      if (line.startsWith(docString.delimiter)) {
+        lastStep.docString = docString.lines.join('\n');
+        docString = null;
+      } else {
+        docString.lines.push(rawLine.replace(/\r$/, '').replace(/^\s{0,6}/, ''));
+      }
+      return;
+    }
+    if (!line || line.startsWith('#')) return;
+
+    if (line.startsWith('@')) {
+      tags.push(...line.split(/\s+/).filter(tag => tag.startsWith('@')));
+      return;
+    }
+
+    const keyword = line.match(KEYWORD_LINE);
+    if (keyword) {
+      const kind = KEYWORDS[keyword[1].toLowerCase()];
+      const name = keyword[2].trim();
+      lastStep = null;
+
+      if (kind === 'feature') {
+        doc.feature = { name, description: '', tags, ...position };
+        container = 'feature';
+      } else if (kind === 'rule') {
+        rule = name;
+        container = 'feature';
+      } else if (kind === 'background') {
+        doc.background = { name, description: '', steps: [], ...position };
+        container = 'background';
+      } else if (kind === 'examples') {
+        if (!scenario) {
+          doc.errors.push(finding('unexpected-line', '"Examples:" must follow a Scenario Outline', position));
+        } else {
+          scenario.examples.push({ name, tags, header: null, rows: [], ...position });
+          container = 'examples';
+        }
+      } else {
+        scenario = { keyword: keyword[1], name, outline: kind === 'outline', rule, tags, description: '', steps: [], examples: [], ...position };
+        doc.scenarios.push(scenario);
+        container = 'scenario';
+      }
+      tags = [];
+      return;
+    }
+
+    const step = line.match(STEP_LINE);
+    if (step) {
+      if (container !== 'background' && container !== 'scenario') {
+        if (doc.feature || container === 'examples') {
+          doc.errors.push(finding('step-outside-scenario', `"${line}" is not inside a Background or Scenario`, position));
+        }
+        // A pasted scenario without a header is read as one implicit scenario
+        scenario = { keyword: null, name: null, outline: false, rule, tags, description: '', steps: [], examples: [], implicit: true, ...position };
+        doc.scenarios.push(scenario);
+        container = 'scenario';
+        tags = [];
+      }
+      const steps = container === 'background' ? doc.background.steps : scenario.steps;
+      const keywordText = step[1] === '*' ? '*' : step[1].charAt(0).toUpperCase() + step[1].slice(1).toLowerCase();
+      const previous = steps[steps.length - 1];
+      const type = STEP_TYPES[keywordText.toLowerCase()] || (previous ? previous.type : 'context');
+      lastStep = { keyword: keywordText, type, text: step[2].trim(), ...position };
+      steps.push(lastStep);
+      return;
+    }
+
+    if (line.startsWith('|')) {
+      const cells = splitRow(line);
+      if (container === 'examples') {
+        const examples = scenario.examples[scenario.examples.length - 1];
+        if (!examples.header) {
+          examples.header = cells;
+        } else {
+          if (cells.length !== examples.header.length) {
+            doc.errors.push(finding('examples-row-width', `Examples row has ${cells.length} cells, the header has ${examples.header.length}`, position));
+          }
+          examples.rows.push(cells);
+        }
+      } else if (lastStep) {
+        lastStep.dataTable = [...(lastStep.dataTable || []), cells];
+      } else {
+        doc.errors.push(finding('unexpected-line', 'Table row without a step or Examples header above it', position));
+      }
+      return;
+    }
+
+    if (DOC_STRING.test(line) && lastStep) {
+      docString = { delimiter: line.slice(0, 3), lines: [] };
+      return;
+    }
+
+    // Free text: a description right after a header, otherwise a stray line
+    const described = container === 'feature' ? doc.feature
+      : container === 'background' && doc.background.steps.length === 0 ? doc.background
+        : container === 'scenario' && scenario.steps.length === 0 ? scenario
+          : null;
+    if (described) {
+      described.description = described.description ? `${described.description}\n${line}` : line;
+    } else if (!container) {
+      doc.errors.push(finding('unexpected-line', `"${line}" is not Gherkin; start with "Feature:" or "Scenario:"`, position));
+    } else {
+      doc.errors.push(finding('unexpected-line', `"${line}" is not a step; start it with Given, When, Then, And or But`, position));
+    }
+  });
+
+  if (docString) {
+    doc.errors.push(finding('unexpected-line', 'Doc string is never closed', { line: lastStep.line, start: lastStep.start, end: source.length }));
+  }
+  return doc;
+}
+
+function scenarioLabel(scenario) {
+  return scenario.name ? `"${scenario.name}"` : 'The scenario';
+}
+
+function checkScenario(scenario, findings) {
+  const label = scenarioLabel(scenario);
+  const at = { line: scenario.line, start: scenario.start, end: scenario.end };
+
+  if (scenario.steps.length === 0) {
+    findings.push(finding('empty-scenario', `${label} has no steps`, at));
+    return;
+  }
+
+  const types = scenario.steps.map(step => step.type);
+  if (!types.includes('outcome')) findings.push(finding('missing-outcome', `${label} has no Then step, so it verifies nothing`, at));
+  if (!types.includes('action')) findings.push(finding('missing-action', `${label} has no When step describing the behaviour under test`, at));
+
+  let seenOutcome = false;
+  let reportedOrder = false;
+  scenario.steps.forEach((step, i) => {
+    const position = { line: step.line, start: step.start, end: step.end };
+    if (step.type === 'outcome') seenOutcome = true;
+    if (step.type === 'action' && seenOutcome && STEP_TYPES[step.keyword.toLowerCase()]) {
+      findings.push(finding('multiple-behaviours', `${label} has a When after a Then; split it into one scenario per behaviour`, position));
+      seenOutcome = false;
+    }
+    if (!reportedOrder && step.type === 'context' && i > 0 && scenario.steps.slice(0, i).some(s => s.type !== 'context')) {
+      findings.push(finding('step-order', `"${step.keyword} ${step.text}" sets up context after the scenario has acted`, position));
+      reportedOrder = true;
+    }
+    const imperative = step.text.match(IMPERATIVE);
+    if (imperative) {
+      findings.push(finding('imperative-step', `"${step.keyword} ${step.text}" describes UI mechanics ("${imperative[0]}"); say what the user achieves instead`, {
+        ...position, excerpt: imperative[0]
+      }));
+    }
+  });
+
+  if (scenario.steps.length > MAX_SCENARIO_STEPS) {
+    findings.push(finding('long-scenario', `${label} has ${scenario.steps.length} steps; keep scenarios to ${MAX_SCENARIO_STEPS} or fewer`, at));
+  }
+
+  if (!scenario.outline) return;
+  if (scenario.examples.length === 0) {
+    findings.push(finding('missing-examples', `${label} is a Scenario Outline without an Examples table`, at));
+    return;
+  }
+
+  const columns = new Set(scenario.examples.flatMap(examples => examples.header || []));
+  const stepText = scenario.steps.map(step => [step.text, step.docString || '', ...(step.dataTable || []).flat()].join(' ')).join('\n');
+  const placeholders = new Set([...stepText.matchAll(PLACEHOLDER)].map(match => match[1]));
+  placeholders.forEach(name => {
+    if (!columns.has(name)) findings.push(finding('undefined-placeholder', `<${name}> is used in ${label} but no Examples column defines it`, at));
+  });
+  scenario.examples.forEach(examples => {
+    const position = { line: examples.line, start: examples.start, end: examples.end };
+    (examples.header || []).filter(column => !placeholders.has(column)).forEach(column => {
+      findings.push(finding('unused-example-column', `Examples column "${column}" is not used by any step`, position));
+    });
+  });
+  const rows = scenario.examples.reduce((sum, examples) => sum + examples.rows.length, 0);
+  if (rows <= 1) findings.push(finding('single-example', `${label} has ${rows} Examples row; use a plain Scenario`, at));
+}
+
+/**
+ * Validates a parsed document. `requireFeature` is set for whole .feature files; a single
+ * pasted scenario does not need a Feature header.
+ */
+function validateGherkin(doc, { requireFeature = false } = {}) {
+  const findings = [...doc.errors];
+
+  if (requireFeature && !doc.feature) {
+    findings.push(finding('missing-feature', 'No "Feature:" header', { line: 1 }));
+  }
+
+  if (doc.background) {
+    const at = { line: doc.background.line, start: doc.background.start, end: doc.background.end };
+    doc.background.steps.filter(step => step.type !== 'context').forEach(step => {
+      findings.push(finding('background-action', `"${step.keyword} ${step.text}" is an action or outcome; keep only Given steps in the Background`, {
+        line: step.line, start: step.start, end: step.end
+      }));
+    });
+    if (doc.scenarios.length === 1) {
+      findings.push(finding('background-single-scenario', 'The Background serves a single scenario; move its steps into that scenario', at));
+    }
+  }
+
+  const names = doc.scenarios.filter(s => s.name).map(s => s.name.toLowerCase());
+  doc.scenarios.forEach(scenario => {
+    if (scenario.name && names.filter(name => name === scenario.name.toLowerCase()).length > 1) {
+      findings.push(finding('duplicate-scenario-name', `More than one scenario is named "${scenario.name}"`, {
+        line: scenario.line, start: scenario.start, end: scenario.end
+      }));
+    }
+    checkScenario(scenario, findings);
+  });
+
+  if (!doc.background && doc.scenarios.length > 1) {
+    const first = doc.scenarios[0].steps[0];
+    const shared = first && first.type === 'context' && doc.scenarios.every(s => s.steps[0] && s.steps[0].text === first.text);
+    if (shared) {
+      findings.push(finding('repeated-setup', `Every scenario starts with "Given ${first.text}"; move it to a Background`, {
+        line: first.line, start: first.start, end: first.end
+      }));
+    }
+  }
+
+  // Same-rule findings are reported once per scenario, so order by position for readers
+  findings.sort((a, b) => a.start - b.start);
+  const count = (severity) => findings.filter(f => f.severity === severity).length;
+  return { findings, summary: { errors: count('error'), warnings: count('warning'), info: count('info') } };
+}
+
+/**
+ * Parses and validates Gherkin: { structure, smells: { findings, summary } }, mirroring the
+ * numbered-steps test-case analysis.
+ */
+function analyzeGherkin(text, options = {}) {
+  const { errors, ...structure } = parseGherkin(text);
+  return { structure, smells: validateGherkin({ ...structure, errors }, options) };
+}
+
+// --- Rendering ---
+
+function renderTable(rows, indent) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column] ?? '').length)));
+  return rows.map(row => `${indent}| ${row.map((cell, column) => String(cell ?? '').padEnd(widths[column])).join(' | ')} |`);
+}
+
+function renderSteps(steps, indent) {
+  return steps.flatMap(step => {
+    const text = typeof step === 'string' ? step.trim() : `${step.keyword} ${step.text}`;
+    return [`${indent}${text}`, ...(step.dataTable ? renderTable(step.dataTable, `${indent}  `) : [])];
+  });
+}
+
+const renderTags = (tags, indent) => (tags && tags.length ? [`${indent}${tags.map(t => (t.startsWith('@') ? t : `@${t}`)).join(' ')}`] : []);
+
+/**
+ * Renders a feature ({ name, description, tags, background, scenarios }) as .feature text.
+ * Steps are strings that already start with their keyword ("Given ...").
+ */
+function renderFeature({ name, description, tags, background, scenarios }) {
+  const lines = [...renderTags(tags, ''), `Feature: ${name}`];
+  if (description) lines.push(...description.split('\n').map(line => `  ${line.trim()}`));
+
+  if (background && background.length) {
+    lines.push('', '  Background:', ...renderSteps(background, '    '));
+  }
+
+  scenarios.forEach(scenario => {
+    const outline = scenario.examples && scenario.examples.header && scenario.examples.header.length > 0;
+    lines.push('', ...renderTags(scenario.tags, '  '), `  ${outline ? 'Scenario Outline' : 'Scenario'}: ${scenario.name}`);
+    lines.push(...renderSteps(scenario.steps, '    '));
+    if (outline) {
+      lines.push('', '    Examples:', ...renderTable([scenario.examples.header, ...scenario.examples.rows], '      '));
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function featureFileName(name) {
+  const slug = String(name || 'feature').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'feature'}.feature`;
+}
+
+// The rule catalogue, for clients that want to explain or filter findings
+function listGherkinRules() {
+  return Object.entries(RULES).map(([id, rule]) => ({ id, ...rule }));
+}
+
+module.exports = {
+  isGherkin,
+  parseGherkin,
+  validateGherkin,
+  analyzeGherkin,
+  renderFeature,
+  featureFileName,
+  listGherkinRules
+};
@@ -0,0 +1,722 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getUsageContext } = require('./usageTracker');
+const { getLLM } = require('./llmProvider');
+
+/**
+ * Server-side history of LLM runs: every evaluation, generation, refinement, multi-agent review
+ * and batch analysis, with its input, output, provider/model, prompt versions and timing.
+ *
+ * The same store keeps artifacts: a story or test case with an identity and a chain of versions
+ * (original, manual edits, applied refinements), each with the evaluation it got. It also keeps
+ * the projects that runs, artifacts and usage are scoped to (see projects.js), the user
+ * accounts that sign in to the API (see auth.js) and the API keys scripts call it with (see apiKeys.js).
+ *
+ * Records go to SQLite by default (HISTORY_DB_PATH). HISTORY_STORE=memory keeps them in-process
+ * only, and HISTORY_STORE=off disables recording. Any object with the same methods as
+ * MemoryHistoryStore can be installed with setHistoryStore.
+ */
+
+const KINDS = ['evaluation', 'generation', 'refinement', 'review', 'analysis'];
+// How an artifact version came about
+const VERSION_SOURCES = ['original', 'edit', 'refinement'];
+const DEFAULT_DB_PATH = path.join(__dirname, '../data/history.db');
+const DEFAULT_MEMORY_RECORDS = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const PREVIEW_LENGTH = 200;
+
+// Request fields that hold the artifact a run was about, in the order they are looked for
+const ARTIFACT_FIELDS = ['userStory', 'testCase', 'feature', 'description', 'artifact'];
+
+const artifactText = (input) => {
+  const field = ARTIFACT_FIELDS.find(name => typeof input[name] === 'string' && input[name].trim());
+  if (field) return input[field];
+  if (Array.isArray(input.stories)) return `${input.stories.length} stories`;
+  return '';
+};
+
+// The list view of a record: everything but the full input and output
+function summarizeRecord(record) {
+  const { input, output, ...rest } = record;
+  const text = artifactText(input);
+  return {
+    ...rest,
+    preview: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text,
+    score: output && typeof output.totalScore === 'number' ? output.totalScore : null,
+    grade: output && typeof output.grade === 'string' ? output.grade : null
+  };
+}
+
+// Filters shared by both stores: kind, endpoint, artifactType, team, project, user, apiKey, since/until (ISO) and q (text in the input)
+function matchesFilters(record, { kind, endpoint, artifactType, team, project, user, apiKey, since, until, q }) {
+  if (kind && record.kind !== kind) return false;
+  if (endpoint && record.endpoint !== endpoint) return false;
+  if (artifactType && record.artifactType !== artifactType) return false;
+  if (team && record.team !== team) return false;
+  if (project && record.project !== project) return false;
+  if (user && record.user !== user) return false;
+  if (apiKey && record.apiKey !== apiKey) return false;
+  if (since && record.createdAt < since) return false;
+  if (until && record.createdAt > until) return false;
+  if (q && !JSON.stringify(record.input).toLowerCase().includes(q.toLowerCase())) return false;
+  return true;
+}
+
+const pageOf = ({ limit, offset }) => ({
+  limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+  offset: Math.max(parseInt(offset, 10) || 0, 0)
+});
+
+// A version as the API returns it: its evaluation's score and grade lifted out for the version chain
+const withScore = (version) => ({
+  ...version,
+  score: version.evaluation && typeof version.evaluation.totalScore === 'number' ? version.evaluation.totalScore : null,
+  grade: version.evaluation && typeof version.evaluation.grade === 'string' ? version.evaluation.grade : null
+});
+
+// The list view of an artifact: its latest version's score instead of every version
+function summarizeArtifact(artifact) {
+  const { versions, ...rest } = artifact;
+  const latest = versions[versions.length - 1];
+  return {
+    ...rest,
+    versions: versions.length,
+    latest: latest ? { version: latest.version, score: latest.score, grade: latest.grade, preview: latest.content.slice(0, PREVIEW_LENGTH) } : null
+  };
+}
+
+const matchesArtifactFilters = (artifact, { type, project, team }) =>
+  (!type || artifact.type === type) && (!project || artifact.project === project) && (!team || artifact.team === team);
+
+class MemoryHistoryStore {
+  constructor({ maxRecords = DEFAULT_MEMORY_RECORDS } = {}) {
+    this.maxRecords = maxRecords;
+    this.records = [];
+    this.artifacts = new Map();
+    this.projects = new Map();
+    this.users = new Map();
+    this.apiKeys = new Map();
+    this.apiKeyCounts = new Map();
+  }
+
+  save(record) {
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) this.records.splice(0, this.records.length - this.maxRecords);
+    return record;
+  }
+
+  list(filters = {}) {
+    const { limit, offset } = pageOf(filters);
+    const matching = this.records.filter(record => matchesFilters(record, filters)).reverse();
+    return { records: matching.slice(offset, offset + limit).map(summarizeRecord), total: matching.length, limit, offset };
+  }
+
+  get(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  delete(id) {
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+    this.records.splice(index, 1);
+    return true;
+  }
+
+  stats() {
+    return { backing: 'memory', records: this.records.length, maxRecords: this.maxRecords, artifacts: this.artifacts.size, projects: this.projects.size, users: this.users.size, apiKeys: this.apiKeys.size };
+  }
+
+  createArtifact(artifact) {
+    this.artifacts.set(artifact.id, { ...artifact, versions: [] });
+    return this.getArtifact(artifact.id);
+  }
+
+  // Appends the next version to an artifact's chain; null when the artifact does not exist
+  addArtifactVersion(artifactId, version) {
+    const artifact = this.artifacts.get(artifactId);
+    if (!artifact) return null;
+    const added = { ...version, version: artifact.versions.length + 1 };
+    artifact.versions.push(added);
+    artifact.updatedAt = added.createdAt;
+    return withScore(added);
+  }
+
+  setVersionEvaluation(artifactId, versionNumber, evaluation, evaluatedAt) {
+    const artifact = this.artifacts.get(artifactId);
+    const version = artifact && artifact.versions.find(v => v.version === versionNumber);
+    if (!version) return null;
+    Object.assign(version, { evaluation, evaluatedAt });
+    artifact.updatedAt = evaluatedAt;
+    return withScore(version);
+  }
+
+  getArtifact(id) {
+    const artifact = this.artifacts.get(id);
+    return artifact ? { ...artifact, versions: artifact.versions.map(withScore) } : null;
+  }
+
+  listArtifacts(filters = {}) {
+    const { limit, offset } = pageOf(filters);
+    const matching = [...this.artifacts.keys()].map(id => this.getArtifact(id))
+      .filter(artifact => matchesArtifactFilters(artifact, filters))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return { artifacts: matching.slice(offset, offset + limit).map(summarizeArtifact), total: matching.length, limit, offset };
+  }
+
+  deleteArtifact(id) {
+    return this.artifacts.delete(id);
+  }
+
+  // Creates or replaces a project
+  saveProject(project) {
+    this.projects.set(project.id, project);
+    return project;
+  }
+
+  getProject(id) {
+    return this.projects.get(id) || null;
+  }
+
+  listProjects() {
+    return [...this.projects.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  deleteProject(id) {
+    return this.projects.delete(id);
+  }
+
+  // Creates or replaces a user account
+  saveUser(user) {
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  getUser(id) {
+    return this.users.get(id) || null;
+  }
+
+  // The account with this username, or the one an identity provider knows by `subject`
+  findUser({ username, provider, subject }) {
+    return [...this.users.values()].find(user => (username
+      ? user.username === username
+      : user.provider === provider && user.subject === subject)) || null;
+  }
+
+  listUsers() {
+    return [...this.users.values()].sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  deleteUser(id) {
+    return this.users.delete(id);
+  }
+
+  // Creates or replaces an API key (its hash, never the key itself)
+  saveApiKey(apiKey) {
+    this.apiKeys.set(apiKey.id, apiKey);
+    return apiKey;
+  }
+
+  getApiKey(id) {
+    return this.apiKeys.get(id) || null;
+  }
+
+  // Newest first; only one user's keys when `userId` is given
+  listApiKeys({ userId } = {}) {
+    return [...this.apiKeys.values()]
+      .filter(apiKey => !userId || apiKey.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Counts a request made with a key in the quota window starting at `windowStart`; returns the window's count
+  countApiKeyRequest(id, windowStart, at) {
+    const key = `${id}|${windowStart}`;
+    const requests = (this.apiKeyCounts.get(key) || 0) + 1;
+    this.apiKeyCounts.set(key, requests);
+    const apiKey = this.apiKeys.get(id);
+    if (apiKey) apiKey.lastUsedAt = at;
+    return requests;
+  }
+
+  apiKeyRequests(id, windowStart) {
+    return this.apiKeyCounts.get(`${id}|${windowStart}`) || 0;
+  }
+}
+
+/**
+ * Schema migrations, applied in order; PRAGMA user_version records how many have run.
+ * Append new migrations, never edit an applied one.
+ */
+const MIGRATIONS = [
+  `CREATE TABLE records (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    artifact_type TEXT,
+    input TEXT NOT NULL,
+    output TEXT NOT NULL,
+    provider TEXT,
+    model TEXT,
+    prompts TEXT,
+    usage TEXT,
+    team TEXT,
+    project TEXT,
+    cached INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX records_created_at ON records (created_at);
+  CREATE INDEX records_kind ON records (kind, created_at);
+  CREATE INDEX records_endpoint ON records (endpoint, created_at);`,
+  `CREATE TABLE artifacts (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    title TEXT,
+    project TEXT,
+    team TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE artifact_versions (
+    artifact_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    source TEXT NOT NULL,
+    notes TEXT,
+    evaluation TEXT,
+    created_at TEXT NOT NULL,
+    evaluated_at TEXT,
+    PRIMARY KEY (artifact_id, version)
+  );
+  CREATE INDEX artifacts_updated_at ON artifacts (updated_at);`,
+  `CREATE TABLE projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    settings TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );`,
+  `ALTER TABLE records ADD COLUMN username TEXT;
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    email TEXT,
+    role TEXT NOT NULL,
+    password_hash TEXT,
+    provider TEXT NOT NULL,
+    subject TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_login_at TEXT
+  );
+  CREATE UNIQUE INDEX users_identity ON users (provider, subject);`,
+  `ALTER TABLE records ADD COLUMN api_key TEXT;
+  CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL,
+    user_id TEXT,
+    project TEXT,
+    scopes TEXT NOT NULL,
+    quota TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    expires_at TEXT,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE TABLE api_key_requests (
+    key_id TEXT NOT NULL,
+    window_start TEXT NOT NULL,
+    requests INTEGER NOT NULL,
+    PRIMARY KEY (key_id, window_start)
+  );`,
+  'ALTER TABLE artifacts ADD COLUMN owner TEXT;'
+];
+
+const JSON_COLUMNS = ['input', 'output', 'prompts', 'usage'];
+
+const fromRow = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  endpoint: row.endpoint,
+  artifactType: row.artifact_type,
+  input: JSON.parse(row.input),
+  output: JSON.parse(row.output),
+  provider: row.provider,
+  model: row.model,
+  prompts: row.prompts ? JSON.parse(row.prompts) : null,
+  usage: row.usage ? JSON.parse(row.usage) : null,
+  team: row.team,
+  project: row.project,
+  user: row.username,
+  apiKey: row.api_key,
+  cached: row.cached === 1,
+  durationMs: row.duration_ms,
+  createdAt: row.created_at
+});
+
+const artifactFromRow = (row) => ({
+  id: row.id,
+  type: row.type,
+  title: row.title,
+  project: row.project,
+  team: row.team,
+  owner: row.owner,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// A project's rubrics, knowledge base and integrations are stored together as `settings`
+const PROJECT_SETTINGS = ['rubrics', 'knowledgeBase', 'integrations'];
+
+const projectFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  ...JSON.parse(row.settings),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const userFromRow = (row) => ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name,
+  email: row.email,
+  role: row.role,
+  passwordHash: row.password_hash,
+  provider: row.provider,
+  subject: row.subject,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  lastLoginAt: row.last_login_at
+});
+
+const apiKeyFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  keyHash: row.key_hash,
+  userId: row.user_id,
+  project: row.project,
+  scopes: JSON.parse(row.scopes),
+  quota: row.quota ? JSON.parse(row.quota) : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at
+});
+
+const versionFromRow = (row) => withScore({
+  version: row.version,
+  content: row.content,
+  source: row.source,
+  notes: row.notes ? JSON.parse(row.notes) : null,
+  evaluation: row.evaluation ? JSON.parse(row.evaluation) : null,
+  createdAt: row.created_at,
+  evaluatedAt: row.evaluated_at
+});
+
+class SqliteHistoryStore {
+  constructor({ file = DEFAULT_DB_PATH } = {}) {
+    // Required here so a missing native module only matters when SQLite is actually used
+    const Database = require('better-sqlite3');
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this._migrate();
+  }
+
+  _migrate() {
+    const applied = this.db.pragma('user_version', { simple: true });
+    MIGRATIONS.slice(applied).forEach((sql, i) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${applied + i + 1}`);
+      })();
+    });
+  }
+
+  save(record) {
+    const row = { ...record };
+    JSON_COLUMNS.forEach(column => { row[column] = record[column] === null || record[column] === undefined ? null : JSON.stringify(record[column]); });
+    this.db.prepare(`INSERT INTO records (id, kind, endpoint, artifact_type, input, output, provider, model, prompts, usage, team, project, username, api_key, cached, duration_ms, created_at)
+      VALUES (@id, @kind, @endpoint, @artifactType, @input, @output, @provider, @model, @prompts, @usage, @team, @project, @user, @apiKey, @cached, @durationMs, @createdAt)`)
+      .run({ user: null, apiKey: null, ...row, cached: record.cached ? 1 : 0 });
+    return record;
+  }
+
+  list(filters = {}) {
+    const { limit, offset } = pageOf(filters);
+    const clauses = [];
+    const params = {};
+    [['kind', 'kind'], ['endpoint', 'endpoint'], ['artifactType', 'artifact_type'], ['team', 'team'], ['project', 'project'], ['user', 'username'], ['apiKey', 'api_key']].forEach(([filter, column]) => {
+      if (filters[filter]) { clauses.push(`${column} = @${filter}`); params[filter] = filters[filter]; }
+    });
+    if (filters.since) { clauses.push('created_at >= @since'); params.since = filters.since; }
+    if (filters.until) { clauses.push('created_at <= @until'); params.until = filters.until; }
+    if (filters.q) { clauses.push('input LIKE @q'); params.q = `%${filters.q}%`; }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM records ${where}`).get(params).total;
+    const rows = this.db.prepare(`SELECT * FROM records ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`).all({ ...params, limit, offset });
+    return { records: rows.map(fromRow).map(summarizeRecord), total, limit, offset };
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM records WHERE id = ?').get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  delete(id) {
+    return this.db.prepare('DELETE FROM records WHERE id = ?').run(id).changes > 0;
+  }
+
+  stats() {
+    return {
+      backing: 'sqlite',
+      file: this.file,
+      records: this.db.prepare('SELECT COUNT(*) AS total FROM records').get().total,
+      artifacts: this.db.prepare('SELECT COUNT(*) AS total FROM artifacts').get().total,
+      projects: this.db.prepare('SELECT COUNT(*) AS total FROM projects').get().total,
+      users: this.db.prepare('SELECT COUNT(*) AS total FROM users').get().total,
+      apiKeys: this.db.prepare('SELECT COUNT(*) AS total FROM api_keys').get().total,
+      schemaVersion: this.db.pragma('user_version', { simple: true })
+    };
+  }
+
+  createArtifact(artifact) {
+    this.db.prepare(`INSERT INTO artifacts (id, type, title, project, team, owner, created_at, updated_at)
+      VALUES (@id, @type, @title, @project, @team, @owner, @createdAt, @updatedAt)`).run({ owner: null, ...artifact });
+    return this.getArtifact(artifact.id);
+  }
+
+  addArtifactVersion(artifactId, version) {
+    return this.db.transaction(() => {
+      if (!this.db.prepare('SELECT 1 FROM artifacts WHERE id = ?').get(artifactId)) return null;
+      const next = this.db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM artifact_versions WHERE artifact_id = ?').get(artifactId).next;
+      this.db.prepare(`INSERT INTO artifact_versions (artifact_id, version, content, source, notes, evaluation, created_at, evaluated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        artifactId, next, version.content, version.source,
+        version.notes ? JSON.stringify(version.notes) : null,
+        version.evaluation ? JSON.stringify(version.evaluation) : null,
+        version.createdAt, version.evaluatedAt || null
+      );
+      this.db.prepare('UPDATE artifacts SET updated_at = ? WHERE id = ?').run(version.createdAt, artifactId);
+      return versionFromRow(this.db.prepare('SELECT * FROM artifact_versions WHERE artifact_id = ? AND version = ?').get(artifactId, next));
+    })();
+  }
+
+  setVersionEvaluation(artifactId, versionNumber, evaluation, evaluatedAt) {
+    return this.db.transaction(() => {
+      const changed = this.db.prepare('UPDATE artifact_versions SET evaluation = ?, evaluated_at = ? WHERE artifact_id = ? AND version = ?')
+        .run(JSON.stringify(evaluation), evaluatedAt, artifactId, versionNumber).changes;
+      if (!changed) return null;
+      this.db.prepare('UPDATE artifacts SET updated_at = ? WHERE id = ?').run(evaluatedAt, artifactId);
+      return versionFromRow(this.db.prepare('SELECT * FROM artifact_versions WHERE artifact_id = ? AND version = ?').get(artifactId, versionNumber));
+    })();
+  }
+
+  getArtifact(id) {
+    const row = this.db.prepare('SELECT * FROM artifacts WHERE id = ?').get(id);
+    if (!row) return null;
+    const versions = this.db.prepare('SELECT * FROM artifact_versions WHERE artifact_id = ? ORDER BY version').all(id);
+    return { ...artifactFromRow(row), versions: versions.map(versionFromRow) };
+  }
+
+  listArtifacts(filters = {}) {
+    const { limit, offset } = pageOf(filters);
+    const clauses = [];
+    const params = {};
+    ['type', 'project', 'team'].forEach(column => {
+      if (filters[column]) { clauses.push(`${column} = @${column}`); params[column] = filters[column]; }
+    });
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM artifacts ${where}`).get(params).total;
+    const ids = this.db.prepare(`SELECT id FROM artifacts ${where} ORDER BY updated_at DESC, rowid DESC LIMIT @limit OFFSET @offset`).all({ ...params, limit, offset });
+    return { artifacts: ids.map(({ id }) => summarizeArtifact(this.getArtifact(id))), total, limit, offset };
+  }
+
+  deleteArtifact(id) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM artifact_versions WHERE artifact_id = ?').run(id);
+      return this.db.prepare('DELETE FROM artifacts WHERE id = ?').run(id).changes > 0;
+    })();
+  }
+
+  saveProject(project) {
+    const settings = Object.fromEntries(PROJECT_SETTINGS.map(key => [key, project[key]]));
+    this.db.prepare(`INSERT INTO projects (id, name, description, settings, created_at, updated_at)
+      VALUES (@id, @name, @description, @settings, @createdAt, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET name = excluded.name, description = excluded.description,
+        settings = excluded.settings, updated_at = excluded.updated_at`)
+      .run({ ...project, settings: JSON.stringify(settings) });
+    return this.getProject(project.id);
+  }
+
+  getProject(id) {
+    const row = this.db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+    return row ? projectFromRow(row) : null;
+  }
+
+  listProjects() {
+    return this.db.prepare('SELECT * FROM projects ORDER BY name').all().map(projectFromRow);
+  }
+
+  deleteProject(id) {
+    return this.db.prepare('DELETE FROM projects WHERE id = ?').run(id).changes > 0;
+  }
+
+  saveUser(user) {
+    this.db.prepare(`INSERT INTO users (id, username, display_name, email, role, password_hash, provider, subject, created_at, updated_at, last_login_at)
+      VALUES (@id, @username, @displayName, @email, @role, @passwordHash, @provider, @subject, @createdAt, @updatedAt, @lastLoginAt)
+      ON CONFLICT (id) DO UPDATE SET username = excluded.username, display_name = excluded.display_name, email = excluded.email,
+        role = excluded.role, password_hash = excluded.password_hash, updated_at = excluded.updated_at, last_login_at = excluded.last_login_at`)
+      .run({ lastLoginAt: null, ...user });
+    return this.getUser(user.id);
+  }
+
+  getUser(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? userFromRow(row) : null;
+  }
+
+  findUser({ username, provider, subject }) {
+    const row = username
+      ? this.db.prepare('SELECT * FROM users WHERE username = ?').get(username)
+      : this.db.prepare('SELECT * FROM users WHERE provider = ? AND subject = ?').get(provider, subject);
+    return row ? userFromRow(row) : null;
+  }
+
+  listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY username').all().map(userFromRow);
+  }
+
+  deleteUser(id) {
+    return this.db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+  }
+
+  saveApiKey(apiKey) {
+    this.db.prepare(`INSERT INTO api_keys (id, name, key_hash, user_id, project, scopes, quota, created_at, updated_at, expires_at, last_used_at, revoked_at)
+      VALUES (@id, @name, @keyHash, @userId, @project, @scopes, @quota, @createdAt, @updatedAt, @expiresAt, @lastUsedAt, @revokedAt)
+      ON CONFLICT (id) DO UPDATE SET name = excluded.name, key_hash = excluded.key_hash, scopes = excluded.scopes, quota = excluded.quota,
+        updated_at = excluded.updated_at, expires_at = excluded.expires_at, revoked_at = excluded.revoked_at`)
+      .run({
+        expiresAt: null, lastUsedAt: null, revokedAt: null,
+        ...apiKey,
+        scopes: JSON.stringify(apiKey.scopes),
+        quota: apiKey.quota ? JSON.stringify(apiKey.quota) : null
+      });
+    return this.getApiKey(apiKey.id);
+  }
+
+  getApiKey(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? apiKeyFromRow(row) : null;
+  }
+
+  listApiKeys({ userId } = {}) {
+    const rows = userId
+      ? this.db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC').all(userId)
+      : this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC').all();
+    return rows.map(apiKeyFromRow);
+  }
+
+  countApiKeyRequest(id, windowStart, at) {
+    return this.db.transaction(() => {
+      this.db.prepare(`INSERT INTO api_key_requests (key_id, window_start, requests) VALUES (?, ?, 1)
+        ON CONFLICT (key_id, window_start) DO UPDATE SET requests = requests + 1`).run(id, windowStart);
+      this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(at, id);
+      return this.apiKeyRequests(id, windowStart);
+    })();
+  }
+
+  apiKeyRequests(id, windowStart) {
+    const row = this.db.prepare('SELECT requests FROM api_key_requests WHERE key_id = ? AND window_start = ?').get(id, windowStart);
+    return row ? row.requests : 0;
+  }
+}
+
+let sharedStore;
+
+function createHistoryStore() {
+  const backing = (process.env.HISTORY_STORE || 'sqlite').trim().toLowerCase();
+  if (['off', 'none', 'false', '0'].includes(backing)) return null;
+  if (backing === 'memory') {
+    return new MemoryHistoryStore({ maxRecords: parseInt(process.env.HISTORY_MAX_RECORDS || DEFAULT_MEMORY_RECORDS, 10) });
+  }
+  try {
+    const file = (process.env.HISTORY_DB_PATH || '').trim();
+    return new SqliteHistoryStore({ file: file ? path.resolve(file) : DEFAULT_DB_PATH });
+  } catch (e) {
+    // e.g. a read-only filesystem on serverless hosts, or better-sqlite3 not built for this platform
+    console.error(`[${new Date().toISOString()}] [History] SQLite unavailable (${e.message}); keeping history in memory`);
+    return new MemoryHistoryStore();
+  }
+}
+
+// The configured store, or null when history is disabled
+function getHistoryStore() {
+  if (sharedStore === undefined) sharedStore = createHistoryStore();
+  return sharedStore;
+}
+
+// Replaces the store, e.g. with another database behind the same methods
+function setHistoryStore(store) {
+  sharedStore = store;
+}
+
+/**
+ * Records a finished run. `input` is the request body (minus transport flags such as noCache);
+ * provider and model come from the LLM calls the request made, or the endpoint's provider when
+ * the result was cached. Never throws: a failed write is logged and the response goes out anyway.
+ */
+function recordRun({ kind, endpoint, artifactType = null, input, output, project = null, user = null, apiKey = null, startedAt }) {
+  const store = getHistoryStore();
+  if (!store) return null;
+
+  try {
+    const context = getUsageContext();
+    const calls = context ? context.calls : [];
+    const lastCall = calls[calls.length - 1];
+    const provider = lastCall ? null : getLLM(endpoint);
+    const { noCache, ...body } = input || {};
+    const { usage, ...result } = output || {};
+
+    return store.save({
+      id: crypto.randomUUID(),
+      kind,
+      endpoint,
+      artifactType,
+      input: body,
+      output: result,
+      provider: lastCall ? lastCall.provider : provider ? provider.name : null,
+      model: lastCall ? lastCall.model : provider ? provider.model : null,
+      prompts: result.prompts || null,
+      usage: calls.length ? {
+        calls: calls.length,
+        promptTokens: calls.reduce((sum, call) => sum + (call.promptTokens || 0), 0),
+        completionTokens: calls.reduce((sum, call) => sum + (call.completionTokens || 0), 0),
+        cost: calls.some(call => call.cost === null) ? null : parseFloat(calls.reduce((sum, call) => sum + call.cost, 0).toFixed(6))
+      } : null,
+      team: context ? context.team : null,
+      project,
+      user,
+      apiKey,
+      cached: !!(result.cache && result.cache.hit),
+      durationMs: startedAt ? Date.now() - startedAt : null,
+      createdAt: new Date().toISOString()
+    });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] [History] Failed to record ${endpoint} run:`, e.message);
+    return null;
+  }
+}
+
+module.exports = { MemoryHistoryStore, SqliteHistoryStore, getHistoryStore, setHistoryStore, recordRun, summarizeRecord, summarizeArtifact, KINDS, VERSION_SOURCES };
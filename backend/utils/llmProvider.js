@@ -0,0 +1,268 @@
+/**
+ * Pluggable LLM provider layer.
+ *
+ * Every route and agent talks to a provider through `complete()`, which returns a
+ * normalized `{ content, finishReason, usage, model, provider }` object regardless of
+ * which backend served the request. Passing `onDelta` streams the content as it arrives. Providers are chosen per environment with
+ * LLM_PROVIDER and can be overridden per endpoint with LLM_PROVIDER_<ENDPOINT>
+ * (e.g. LLM_PROVIDER_EVALUATE_TEST_CASE=ollama, MODEL_EVALUATE_TEST_CASE=llama3.1).
+ *
+ * LLM_PROVIDER=replay serves recorded fixtures offline; LLM_RECORD=true records them
+ * from whichever live provider is selected (see llmReplay.js).
+ *
+ * Calls from every endpoint share one concurrency/rate-limit queue (see llmScheduler.js),
+ * which also owns retries, so the SDK clients are created with their own retries disabled.
+ */
+
+const { ReplayProvider, RecordingProvider, isRecordingEnabled } = require('./llmReplay');
+const { MeteredProvider } = require('./usageTracker');
+const { ScheduledProvider } = require('./llmScheduler');
+
+const PROVIDER_DEFAULTS = {
+  groq: { model: 'llama-3.1-8b-instant' },
+  openai: { model: 'gpt-4o-mini', baseURL: 'https://api.openai.com/v1' },
+  ollama: { model: 'llama3.1', baseURL: 'http://localhost:11434/v1' },
+  replay: { model: 'replay' }
+};
+
+// Aliases accepted in LLM_PROVIDER for convenience
+const PROVIDER_ALIASES = {
+  'openai-compatible': 'openai',
+  local: 'ollama',
+  llamacpp: 'ollama',
+  'llama.cpp': 'ollama'
+};
+
+const ENDPOINTS = [
+  'evaluate',
+  'evaluateTestCase',
+  'evaluateAcceptanceCriteria',
+  'generateUserStories',
+  'splitStory',
+  'analyzeConsistency',
+  'generateTestCases',
+  'generateTestCasesFromImage',
+  'deepEval',
+  'agentic'
+];
+
+/**
+ * Provider backed by any client exposing the OpenAI `chat.completions.create` API
+ * (groq-sdk, openai, and OpenAI-compatible local servers such as Ollama or llama.cpp).
+ */
+class ChatCompletionsProvider {
+  constructor({ name, client, model }) {
+    this.name = name;
+    this.client = client;
+    this.model = model;
+  }
+
+  async complete({ messages, temperature, maxTokens, json = false, model, onDelta = null }) {
+    const params = {
+      model: model || this.model,
+      messages,
+      max_tokens: maxTokens
+    };
+    if (temperature !== undefined) params.temperature = temperature;
+    if (json) params.response_format = { type: 'json_object' };
+
+    if (onDelta) return this._stream(params, onDelta);
+
+    const completion = await this.client.chat.completions.create(params);
+
+    if (!completion || !completion.choices || !completion.choices[0]) {
+      throw new Error(`Invalid response structure from ${this.name} API`);
+    }
+
+    const choice = completion.choices[0];
+    return {
+      content: choice.message?.content || '',
+      finishReason: choice.finish_reason || null,
+      usage: normalizeUsage(completion.usage),
+      model: completion.model || params.model,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Streams the completion, calling `onDelta(text, contentSoFar)` for every chunk, and
+   * resolves to the same normalized shape as a non-streamed call.
+   */
+  async _stream(params, onDelta) {
+    const streamParams = { ...params, stream: true };
+    // Groq reports usage on the final chunk (x_groq.usage); OpenAI-compatible servers only when asked
+    if (this.name !== 'groq') streamParams.stream_options = { include_usage: true };
+
+    const stream = await this.client.chat.completions.create(streamParams);
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let model = params.model;
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices && chunk.choices[0];
+      const delta = choice?.delta?.content || '';
+      if (chunk.model) model = chunk.model;
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage || chunk.x_groq?.usage) usage = chunk.usage || chunk.x_groq.usage;
+      if (delta) {
+        content += delta;
+        onDelta(delta, content);
+      }
+    }
+
+    return {
+      content,
+      finishReason,
+      usage: normalizeUsage(usage),
+      model,
+      provider: this.name
+    };
+  }
+}
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+function resolveProviderName(name) {
+  const key = (name || 'groq').trim().toLowerCase();
+  return PROVIDER_ALIASES[key] || key;
+}
+
+// "evaluateTestCase" -> "EVALUATE_TEST_CASE"
+function toEnvSuffix(endpoint) {
+  return endpoint.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readEnv(key, endpoint) {
+  if (endpoint) {
+    const scoped = process.env[`${key}_${toEnvSuffix(endpoint)}`];
+    if (scoped && scoped.trim() !== '') return scoped.trim();
+  }
+  const value = process.env[key];
+  return value && value.trim() !== '' ? value.trim() : undefined;
+}
+
+/**
+ * Resolves the provider configuration for an endpoint from the environment.
+ */
+function getProviderConfig(endpoint = null) {
+  const name = resolveProviderName(readEnv('LLM_PROVIDER', endpoint));
+  const defaults = PROVIDER_DEFAULTS[name] || {};
+
+  let apiKey;
+  let baseURL;
+  if (name === 'groq') {
+    apiKey = readEnv('GROQ_API_KEY', endpoint);
+    baseURL = readEnv('GROQ_BASE_URL', endpoint);
+  } else if (name === 'openai') {
+    apiKey = readEnv('OPENAI_API_KEY', endpoint);
+    baseURL = readEnv('OPENAI_BASE_URL', endpoint) || defaults.baseURL;
+  } else if (name === 'ollama') {
+    // Local servers ignore the key, but the OpenAI client refuses to start without one
+    apiKey = readEnv('OLLAMA_API_KEY', endpoint) || 'ollama';
+    baseURL = readEnv('OLLAMA_BASE_URL', endpoint) || defaults.baseURL;
+  }
+
+  return {
+    name,
+    model: readEnv('MODEL', endpoint) || defaults.model,
+    apiKey: apiKey || '',
+    baseURL
+  };
+}
+
+function createClient(config) {
+  if (config.name === 'groq') {
+    const groqModule = require('groq-sdk');
+    const Groq = groqModule.default || groqModule;
+    return new Groq({ apiKey: config.apiKey, maxRetries: 0, ...(config.baseURL ? { baseURL: config.baseURL } : {}) });
+  }
+
+  if (config.name === 'openai' || config.name === 'ollama') {
+    const openaiModule = require('openai');
+    const OpenAI = openaiModule.OpenAI || openaiModule.default || openaiModule;
+    return new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL, maxRetries: 0 });
+  }
+
+  throw new Error(`Unknown LLM provider '${config.name}'. Use one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+}
+
+/**
+ * Builds a provider instance from a resolved configuration.
+ */
+function createProvider(config, endpoint = null) {
+  if (config.name === 'replay') {
+    return new ReplayProvider({ model: config.model, endpoint });
+  }
+  if (!config.apiKey) {
+    throw new Error(`API key for provider '${config.name}' is not configured`);
+  }
+  return new ChatCompletionsProvider({ name: config.name, client: createClient(config), model: config.model });
+}
+
+const providerCache = new Map();
+const endpointCache = new Map();
+
+/**
+ * Returns the provider configured for an endpoint, or null if it cannot be initialized.
+ * Endpoints sharing the same provider/key/base URL share a single client; each endpoint gets
+ * its own metering wrapper so usage is attributed to it (see usageTracker.js). The scheduler
+ * wraps the meter, so time spent queued is not counted as LLM latency.
+ */
+function getLLM(endpoint = null) {
+  const config = getProviderConfig(endpoint);
+  const recording = isRecordingEnabled() && config.name !== 'replay';
+  // Replay and recording label fixtures by endpoint, so those instances are not shared
+  const scope = (recording || config.name === 'replay') ? (endpoint || 'default') : '';
+  const cacheKey = [config.name, config.model, config.baseURL || '', config.apiKey, scope].join('|');
+  const endpointKey = `${endpoint || 'default'}|${cacheKey}`;
+
+  if (endpointCache.has(endpointKey)) return endpointCache.get(endpointKey);
+
+  if (!providerCache.has(cacheKey)) {
+    let provider = null;
+    try {
+      provider = createProvider(config, endpoint);
+      if (recording) provider = new RecordingProvider(provider, { endpoint });
+      console.log(`[${new Date().toISOString()}] LLM provider ready for ${endpoint || 'default'}: ${config.name} (${config.model})`);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to initialize LLM provider for ${endpoint || 'default'}:`, err.message);
+    }
+    providerCache.set(cacheKey, provider);
+  }
+
+  const base = providerCache.get(cacheKey);
+  const wrapped = base ? new ScheduledProvider(new MeteredProvider(base, { endpoint })) : null;
+  endpointCache.set(endpointKey, wrapped);
+  return wrapped;
+}
+
+/**
+ * Summarizes the provider selected for each endpoint (without secrets) for diagnostics.
+ */
+function describeProviders() {
+  const summary = { default: describeConfig(getProviderConfig()) };
+  ENDPOINTS.forEach(endpoint => {
+    summary[endpoint] = describeConfig(getProviderConfig(endpoint));
+  });
+  return summary;
+}
+
+function describeConfig(config) {
+  return {
+    provider: config.name,
+    model: config.model,
+    baseURL: config.baseURL || null,
+    apiKeyConfigured: !!config.apiKey,
+    recording: isRecordingEnabled() && config.name !== 'replay'
+  };
+}
+
+module.exports = { getLLM, getProviderConfig, createProvider, describeProviders, ENDPOINTS };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Record/replay support for the LLM provider layer.
+ *
+ * Recording wraps a live provider and writes every prompt -> response pair to a fixture
+ * file named after the prompt hash. The replay provider serves those fixtures back without
+ * any network access, so the whole API can be exercised offline with reproducible results.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/llm');
+
+function getFixturesDir() {
+  const dir = (process.env.LLM_FIXTURES_DIR || '').trim();
+  return dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Hashes the parts of a request that determine the model output. The model name is
+ * deliberately excluded so fixtures recorded against one model replay under any other.
+ * Self-consistency samples send the same prompt several times; their `sample` index keeps
+ * each one's response in its own fixture, so replayed samples still differ.
+ */
+function hashRequest({ messages, json = false, temperature = null, sample = null }) {
+  const canonical = JSON.stringify({
+    messages: (messages || []).map(m => ({ role: m.role, content: m.content })),
+    json: !!json,
+    temperature: temperature === undefined ? null : temperature,
+    sample
+  });
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function fixturePath(hash) {
+  return path.join(getFixturesDir(), `${hash}.json`);
+}
+
+function readFixture(hash) {
+  const file = fixturePath(hash);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeFixture(fixture) {
+  const dir = getFixturesDir();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(fixturePath(fixture.hash), JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Serves recorded responses by prompt hash. Unknown prompts fail loudly rather than
+ * falling through to a live API.
+ */
+class ReplayProvider {
+  constructor({ model, endpoint = null }) {
+    this.name = 'replay';
+    this.model = model;
+    this.endpoint = endpoint;
+  }
+
+  async complete(request) {
+    const hash = hashRequest(request);
+    const fixture = readFixture(hash);
+
+    if (!fixture) {
+      const err = new Error(`No recorded LLM response for prompt hash ${hash} (endpoint: ${this.endpoint || 'default'}). Record it first with LLM_RECORD=true.`);
+      err.code = 'REPLAY_MISS';
+      err.status = 404;
+      throw err;
+    }
+
+    console.log(`[${new Date().toISOString()}] [Replay] Serving fixture ${hash.substring(0, 12)} for ${fixture.endpoint || 'default'}`);
+    // Streaming callers get the whole recorded content as a single chunk
+    if (request.onDelta && fixture.response.content) {
+      request.onDelta(fixture.response.content, fixture.response.content);
+    }
+    return {
+      ...fixture.response,
+      model: fixture.model || this.model,
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * Wraps a live provider and records each completion as a fixture.
+ */
+class RecordingProvider {
+  constructor(inner, { endpoint = null } = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.model = inner.model;
+    this.endpoint = endpoint;
+  }
+
+  async complete(request) {
+    const response = await this.inner.complete(request);
+    const hash = hashRequest(request);
+
+    try {
+      writeFixture({
+        hash,
+        endpoint: this.endpoint,
+        provider: response.provider,
+        model: response.model,
+        recordedAt: new Date().toISOString(),
+        request: {
+          messages: request.messages,
+          temperature: request.temperature,
+          maxTokens: request.maxTokens,
+          json: !!request.json,
+          sample: request.sample === undefined ? null : request.sample
+        },
+        response: {
+          content: response.content,
+          finishReason: response.finishReason,
+          usage: response.usage
+        }
+      });
+      console.log(`[${new Date().toISOString()}] [Record] Saved fixture ${hash.substring(0, 12)} for ${this.endpoint || 'default'}`);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] [Record] Failed to write fixture:`, err.message);
+    }
+
+    return response;
+  }
+}
+
+function isRecordingEnabled() {
+  return ['1', 'true', 'yes'].includes((process.env.LLM_RECORD || '').trim().toLowerCase());
+}
+
+module.exports = { ReplayProvider, RecordingProvider, hashRequest, isRecordingEnabled, getFixturesDir };
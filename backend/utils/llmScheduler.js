@@ -0,0 +1,349 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Process-wide scheduler for LLM calls.
+ *
+ * Every provider returned by getLLM() runs its completions through one shared queue that caps
+ * the number of calls in flight (LLM_MAX_CONCURRENCY), optionally meters them with a token
+ * bucket (LLM_RATE_LIMIT_RPM / LLM_RATE_LIMIT_BURST), and retries rate-limited or overloaded
+ * calls with exponential backoff. A 429 pauses the whole queue until the provider's
+ * `retry-after` has passed, so concurrent requests stop hammering the API together.
+ *
+ * Waiting calls are served by priority, then arrival order. Requests run as `interactive`
+ * unless they send `X-Priority: bulk` (spreadsheet uploads), so single evaluations jump ahead
+ * of bulk traffic.
+ */
+
+const PRIORITIES = { interactive: 0, bulk: 1 };
+const DEFAULT_PRIORITY = 'interactive';
+
+const DEFAULTS = {
+  maxConcurrency: 4,
+  rateLimitRpm: 0, // 0 disables the token bucket
+  maxRetries: 3,
+  retryBaseMs: 1000,
+  retryMaxMs: 30000,
+  maxQueue: 500,
+  queueTimeoutMs: 120000
+};
+
+/**
+ * Raised when a call cannot be served: still rate limited after every retry (429), or the
+ * queue is full or took too long (503). Routes answer with `status` and a Retry-After header.
+ */
+class SchedulerError extends Error {
+  constructor(message, { code, status, retryAfterMs = null, cause = null } = {}) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+  }
+
+  get retryAfterSeconds() {
+    return this.retryAfterMs !== null ? Math.max(1, Math.ceil(this.retryAfterMs / 1000)) : null;
+  }
+
+  toResponse() {
+    return {
+      error: this.code === 'RATE_LIMITED'
+        ? 'Rate limit exceeded. Please try again in a moment.'
+        : 'The server is handling too many AI requests. Please try again in a moment.',
+      details: this.message,
+      code: this.code,
+      retryAfterSeconds: this.retryAfterSeconds
+    };
+  }
+}
+
+function readInt(key, fallback) {
+  const value = parseInt(process.env[key], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// --- Request priority ---
+
+const priorityContext = new AsyncLocalStorage();
+
+function resolvePriority(value) {
+  const key = (value || '').toString().trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(PRIORITIES, key) ? key : DEFAULT_PRIORITY;
+}
+
+/**
+ * Express middleware: runs the request under the priority named by its X-Priority header.
+ */
+function requestPriority(req, res, next) {
+  const priority = resolvePriority(req.headers['x-priority']);
+  req.priority = priority;
+  priorityContext.run(priority, next);
+}
+
+function getCurrentPriority() {
+  return priorityContext.getStore() || DEFAULT_PRIORITY;
+}
+
+// --- Retry classification ---
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+  return headers[name] || headers[name.toLowerCase()];
+}
+
+/**
+ * Delay requested by a rate-limited response, in ms (retry-after-ms, then retry-after as
+ * seconds or an HTTP date), or null when the provider did not say.
+ */
+function parseRetryAfter(error) {
+  const headers = error && (error.headers || (error.response && error.response.headers));
+  const ms = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(ms)) return Math.max(0, ms);
+
+  const value = getHeader(headers, 'retry-after');
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function isRateLimited(error) {
+  return error.status === 429 || /rate limit/i.test(error.message || '');
+}
+
+// Overloaded or unreachable providers are worth another try; client errors are not
+function isRetryable(error) {
+  if (isRateLimited(error)) return true;
+  if (typeof error.status === 'number') return error.status >= 500;
+  return /connection|ECONNRESET|ETIMEDOUT|socket hang up/i.test(`${error.name} ${error.message}`);
+}
+
+// --- Scheduler ---
+
+class LLMScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.queue = [];
+    this.active = 0;
+    this.sequence = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.tokens = this._burst();
+    this.refilledAt = Date.now();
+    this.stats = { completed: 0, failed: 0, retried: 0, rateLimited: 0, rejected: 0, totalWaitMs: 0 };
+  }
+
+  _burst() {
+    const { rateLimitRpm, rateLimitBurst, maxConcurrency } = this.options;
+    return rateLimitBurst || Math.max(1, Math.min(rateLimitRpm, maxConcurrency));
+  }
+
+  /**
+   * Queues `task` (an async function, re-invoked on retry) and resolves with its result.
+   * `canRetry()` lets a caller veto retries, e.g. once a stream has emitted content.
+   */
+  schedule(task, { priority = getCurrentPriority(), canRetry = () => true } = {}) {
+    if (this.queue.length >= this.options.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(new SchedulerError(`LLM queue is full (${this.options.maxQueue} calls waiting)`, {
+        code: 'QUEUE_FULL', status: 503, retryAfterMs: 5000
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        task, canRetry, resolve, reject,
+        priority: PRIORITIES[resolvePriority(priority)],
+        seq: this.sequence++,
+        enqueuedAt: Date.now(),
+        attempt: 0
+      };
+      job.timeout = setTimeout(() => this._expire(job), this.options.queueTimeoutMs);
+      this._enqueue(job);
+      this._drain();
+    });
+  }
+
+  _enqueue(job) {
+    // Stable insert: lower priority value first, then arrival order (retries keep their place)
+    const at = this.queue.findIndex(other => other.priority > job.priority || (other.priority === job.priority && other.seq > job.seq));
+    if (at === -1) this.queue.push(job);
+    else this.queue.splice(at, 0, job);
+  }
+
+  _expire(job) {
+    const index = this.queue.indexOf(job);
+    if (index === -1) return;
+    this.queue.splice(index, 1);
+    this.stats.rejected++;
+    job.reject(new SchedulerError(`LLM call waited more than ${this.options.queueTimeoutMs}ms in the queue`, {
+      code: 'QUEUE_TIMEOUT', status: 503, retryAfterMs: Math.max(this.pausedUntil - Date.now(), 5000)
+    }));
+  }
+
+  _refill() {
+    const { rateLimitRpm } = this.options;
+    if (!rateLimitRpm) return;
+    const now = Date.now();
+    this.tokens = Math.min(this._burst(), this.tokens + ((now - this.refilledAt) * rateLimitRpm) / 60000);
+    this.refilledAt = now;
+  }
+
+  // Ms until the next call may start, or 0 if one can start now
+  _waitTime() {
+    const now = Date.now();
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+    if (!this.options.rateLimitRpm) return 0;
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 60000) / this.options.rateLimitRpm);
+  }
+
+  _drain() {
+    while (this.queue.length > 0 && this.active < this.options.maxConcurrency) {
+      const wait = this._waitTime();
+      if (wait > 0) {
+        this._wakeIn(wait);
+        return;
+      }
+      if (this.options.rateLimitRpm) this.tokens -= 1;
+      this._start(this.queue.shift());
+    }
+  }
+
+  _wakeIn(ms) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, ms);
+  }
+
+  async _start(job) {
+    clearTimeout(job.timeout);
+    if (job.attempt === 0) this.stats.totalWaitMs += Date.now() - job.enqueuedAt;
+    this.active++;
+    job.attempt++;
+
+    try {
+      const result = await job.task();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this._handleFailure(job, error);
+    } finally {
+      this.active--;
+      this._drain();
+    }
+  }
+
+  _handleFailure(job, error) {
+    const rateLimited = isRateLimited(error);
+    const retryAfterMs = parseRetryAfter(error);
+    if (rateLimited) {
+      this.stats.rateLimited++;
+      // Hold every queued call until the provider's window reopens
+      const backoff = retryAfterMs !== null ? retryAfterMs : this._backoff(job.attempt);
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + backoff);
+    }
+
+    if (!isRetryable(error) || job.attempt > this.options.maxRetries || !job.canRetry()) {
+      this.stats.failed++;
+      job.reject(rateLimited
+        ? new SchedulerError(`LLM provider is still rate limiting after ${job.attempt} attempts: ${error.message}`, {
+          code: 'RATE_LIMITED', status: 429, retryAfterMs: retryAfterMs !== null ? retryAfterMs : this._backoff(job.attempt), cause: error
+        })
+        : error);
+      return;
+    }
+
+    this.stats.retried++;
+    const delay = rateLimited ? 0 : (retryAfterMs !== null ? retryAfterMs : this._backoff(job.attempt));
+    console.warn(`[${new Date().toISOString()}] [Scheduler] LLM call failed (${error.status || error.message}), retry ${job.attempt}/${this.options.maxRetries}${delay ? ` in ${delay}ms` : ' when the rate limit clears'}`);
+    setTimeout(() => {
+      job.timeout = setTimeout(() => this._expire(job), this.options.queueTimeoutMs);
+      this._enqueue(job);
+      this._drain();
+    }, delay);
+  }
+
+  // Exponential backoff with full jitter
+  _backoff(attempt) {
+    const { retryBaseMs, retryMaxMs } = this.options;
+    return Math.round(Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1)));
+  }
+
+  getStats() {
+    const started = this.stats.completed + this.stats.failed;
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      queuedByPriority: Object.fromEntries(Object.entries(PRIORITIES).map(([name, value]) => [
+        name, this.queue.filter(job => job.priority === value).length
+      ])),
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+      maxConcurrency: this.options.maxConcurrency,
+      rateLimitRpm: this.options.rateLimitRpm || null,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      retried: this.stats.retried,
+      rateLimited: this.stats.rateLimited,
+      rejected: this.stats.rejected,
+      avgQueueWaitMs: started ? Math.round(this.stats.totalWaitMs / started) : 0
+    };
+  }
+}
+
+let scheduler = null;
+
+function getScheduler() {
+  if (!scheduler) {
+    scheduler = new LLMScheduler({
+      maxConcurrency: Math.max(1, readInt('LLM_MAX_CONCURRENCY', DEFAULTS.maxConcurrency)),
+      rateLimitRpm: readInt('LLM_RATE_LIMIT_RPM', DEFAULTS.rateLimitRpm),
+      rateLimitBurst: readInt('LLM_RATE_LIMIT_BURST', 0),
+      maxRetries: readInt('LLM_MAX_RETRIES', DEFAULTS.maxRetries),
+      retryBaseMs: readInt('LLM_RETRY_BASE_MS', DEFAULTS.retryBaseMs),
+      maxQueue: Math.max(1, readInt('LLM_QUEUE_MAX', DEFAULTS.maxQueue)),
+      queueTimeoutMs: Math.max(1000, readInt('LLM_QUEUE_TIMEOUT_MS', DEFAULTS.queueTimeoutMs))
+    });
+  }
+  return scheduler;
+}
+
+/**
+ * Wraps a provider so its completions wait their turn in the shared scheduler.
+ */
+class ScheduledProvider {
+  constructor(inner, { scheduler: target = null } = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.model = inner.model;
+    this.scheduler = target;
+  }
+
+  complete(request) {
+    // A streamed call cannot be retried once the caller has seen part of its content
+    let emitted = false;
+    const scheduled = request.onDelta
+      ? { ...request, onDelta: (...args) => { emitted = true; return request.onDelta(...args); } }
+      : request;
+
+    return (this.scheduler || getScheduler()).schedule(
+      () => this.inner.complete(scheduled),
+      { canRetry: () => !emitted }
+    );
+  }
+}
+
+module.exports = {
+  LLMScheduler,
+  ScheduledProvider,
+  SchedulerError,
+  getScheduler,
+  requestPriority,
+  getCurrentPriority,
+  parseRetryAfter,
+  PRIORITIES
+};
@@ -1,7 +1,7 @@
 const crypto = require('crypto');
 function uuidv4() { return crypto.randomUUID(); }
 
-async function logTrace(name, inputText, outputData, scores = null) {
+async function logTrace(name, inputText, outputData, scores = null, metadata = {}) {
   const secretKey = (process.env.LANGFUSE_SECRET_KEY || "").trim();
   const publicKey = (process.env.LANGFUSE_PUBLIC_KEY || "").trim();
   const baseUrl = (process.env.LANGFUSE_BASE_URL || "https://cloud.langfuse.com").trim().replace(/\/$/, '');
@@ -38,7 +38,7 @@ async function logTrace(name, inputText, outputData, scores = null) {
         name: name,
         input: { text: typeof inputText === 'string' ? inputText.substring(0, 1000) : JSON.stringify(inputText).substring(0, 500) },
         output: typeof outputData === 'object' ? safeStringify(outputData) : { text: String(outputData) },
-        metadata: { source: "qa-evaluator", version: "1.1", traceName: name }
+        metadata: { source: "qa-evaluator", version: "1.1", traceName: name, ...metadata }
       }
     };
 
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * OpenID Connect sign-in (authorization code flow).
+ *
+ * An identity provider is an adapter with this shape:
+ *   { id, label, authorizationUrl({ state, nonce, redirectUri }), authenticate({ code, nonce, redirectUri }) }
+ * where `authenticate` exchanges the code and resolves with the verified ID token claims
+ * ({ sub, name, email, preferred_username, roles, ... }). OidcAdapter implements it for any
+ * standards-compliant issuer (Keycloak, Entra ID, Okta, Auth0, a local mock issuer, ...);
+ * other adapters can be added with registerIdentityProvider.
+ *
+ * OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET configure the default provider, `oidc`.
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+// JWS algorithms accepted for ID tokens, with the digest crypto.verify needs
+const ALGORITHMS = { RS256: 'sha256', RS384: 'sha384', RS512: 'sha512', ES256: 'sha256', ES384: 'sha384' };
+
+class OidcError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString());
+// Issuers are compared without trailing slashes: providers differ on whether `iss` ends with one
+const withoutTrailingSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+class OidcAdapter {
+  constructor({ id = 'oidc', label = 'Single sign-on', issuer, clientId, clientSecret = '', scopes = 'openid profile email', timeout = 10000 }) {
+    this.id = id;
+    this.label = label;
+    this.issuer = withoutTrailingSlash(issuer);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes;
+    this.timeout = timeout;
+    this.discovered = null;
+    this.keys = null;
+  }
+
+  // The issuer's discovery document, cached for an hour
+  async discover() {
+    if (this.discovered && Date.now() - this.discovered.at < DISCOVERY_TTL_MS) return this.discovered.config;
+    const { data } = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: this.timeout });
+    if (!data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+      throw new OidcError(`${this.issuer} is not an OpenID Connect issuer`, 502);
+    }
+    this.discovered = { config: data, at: Date.now() };
+    return data;
+  }
+
+  async authorizationUrl({ state, nonce, redirectUri }) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const params = new URLSearchParams({ response_type: 'code', client_id: this.clientId, redirect_uri: redirectUri, scope: this.scopes, state, nonce });
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${params}`;
+  }
+
+  async authenticate({ code, nonce, redirectUri }) {
+    const { token_endpoint: endpoint } = await this.discover();
+    let tokens;
+    try {
+      const params = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, client_id: this.clientId });
+      if (this.clientSecret) params.set('client_secret', this.clientSecret);
+      ({ data: tokens } = await axios.post(endpoint, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: this.timeout
+      }));
+    } catch (e) {
+      const reason = e.response && e.response.data ? e.response.data.error_description || e.response.data.error : e.message;
+      throw new OidcError(`Code exchange with ${this.issuer} failed: ${reason}`);
+    }
+    if (!tokens || !tokens.id_token) throw new OidcError(`${this.issuer} returned no ID token`);
+    return this.verifyIdToken(tokens.id_token, nonce);
+  }
+
+  // The issuer's signing key with this key id; the key set is re-fetched once for an unknown id (key rotation)
+  async signingKey(kid) {
+    const find = () => (this.keys || []).find(key => key.kid === kid || (!kid && this.keys.length === 1));
+    if (!find()) {
+      const { jwks_uri: uri } = await this.discover();
+      const { data } = await axios.get(uri, { timeout: this.timeout });
+      this.keys = Array.isArray(data.keys) ? data.keys : [];
+    }
+    const jwk = find();
+    if (!jwk) throw new OidcError(`No signing key '${kid}' at ${this.issuer}`);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Checks the ID token's signature, issuer, audience, expiry and nonce; resolves with its claims
+  async verifyIdToken(idToken, nonce) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) throw new OidcError('ID token is malformed');
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (e) {
+      throw new OidcError('ID token is malformed');
+    }
+    const digest = ALGORITHMS[header.alg];
+    if (!digest) throw new OidcError(`ID token algorithm ${header.alg} is not accepted`);
+
+    const key = await this.signingKey(header.kid);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    const valid = header.alg.startsWith('ES')
+      ? crypto.verify(digest, signed, { key, dsaEncoding: 'ieee-p1363' }, signature)
+      : crypto.verify(digest, signed, key, signature);
+    if (!valid) throw new OidcError('ID token signature is invalid');
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (typeof claims.iss !== 'string' || withoutTrailingSlash(claims.iss) !== this.issuer) throw new OidcError(`ID token was issued by ${claims.iss}, not ${this.issuer}`);
+    if (!audiences.includes(this.clientId)) throw new OidcError('ID token was issued for another client');
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) throw new OidcError('ID token has expired');
+    if (claims.nonce !== nonce) throw new OidcError('ID token nonce does not match the sign-in request');
+    return claims;
+  }
+}
+
+const providers = new Map();
+
+// Adds (or replaces) an identity provider users can sign in with
+function registerIdentityProvider(adapter) {
+  providers.set(adapter.id, adapter);
+}
+
+let configured = false;
+
+// Registers the provider configured through OIDC_* variables, once
+function configureFromEnv() {
+  if (configured) return;
+  configured = true;
+  const issuer = (process.env.OIDC_ISSUER || '').trim();
+  const clientId = (process.env.OIDC_CLIENT_ID || '').trim();
+  if (!issuer || !clientId) return;
+  registerIdentityProvider(new OidcAdapter({
+    issuer,
+    clientId,
+    clientSecret: (process.env.OIDC_CLIENT_SECRET || '').trim(),
+    label: (process.env.OIDC_LABEL || '').trim() || undefined,
+    scopes: (process.env.OIDC_SCOPES || '').trim() || undefined
+  }));
+}
+
+function getIdentityProvider(id) {
+  configureFromEnv();
+  return providers.get(id) || null;
+}
+
+function listIdentityProviders() {
+  configureFromEnv();
+  return [...providers.values()].map(({ id, label }) => ({ id, label }));
+}
+
+module.exports = { OidcAdapter, OidcError, registerIdentityProvider, getIdentityProvider, listIdentityProviders };
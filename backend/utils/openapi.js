@@ -0,0 +1,229 @@
+const { OPERATIONS, COMPONENT_SCHEMAS } = require('./openapiOperations');
+const { version } = require('../package.json');
+
+/**
+ * OpenAPI 3.1 document for the API, generated from the Express app itself.
+ *
+ * The paths and methods come from the router, so every route is listed, including ones added
+ * later. What each route accepts and returns is put together from:
+ *  - the middleware on it: requireRole (auth.js) marks the role and API key scope it needs, and
+ *    request validators declare the body fields they check with documentBody, next to the checks
+ *  - its entry in openapiOperations.js: summary, tags, query parameters, the fields its handler
+ *    checks itself and the response body
+ * A route without an entry is still listed, with `x-undocumented: true`; undocumentedRoutes()
+ * names them so the startup log does too.
+ */
+
+const METHODS = ['get', 'post', 'put', 'delete'];
+const STATUS_TEXT = { 200: 'OK', 201: 'Created', 204: 'No content' };
+
+/**
+ * Declares the request body fields a validator middleware checks: a JSON Schema `properties`
+ * map plus `required`, or a function returning one when the limits are read at runtime.
+ * Returns the middleware.
+ */
+function documentBody(middleware, schema) {
+  middleware.openapi = { ...middleware.openapi, body: schema };
+  return middleware;
+}
+
+// Declares the error responses a middleware can send, e.g. { 503: 'History is disabled' }
+function documentResponses(middleware, responses) {
+  middleware.openapi = { ...middleware.openapi, responses };
+  return middleware;
+}
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+// Every route on the app as { method, path, handlers }, in registration order
+function listRoutes(app) {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => METHODS
+      .filter(method => layer.route.methods[method])
+      .map(method => ({ method, path: layer.route.path, handlers: layer.route.stack.map(l => l.handle) })));
+}
+
+const routeKey = ({ method, path }) => `${method.toUpperCase()} ${path}`;
+
+// `/artifacts/:id/versions/:version` -> `/artifacts/{id}/versions/{version}`
+const openApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+// The description of a route: its own entry, or a `/stream` route's JSON sibling re-served as SSE
+function operationFor(key) {
+  if (OPERATIONS[key]) return OPERATIONS[key];
+  const json = key.endsWith('/stream') && OPERATIONS[key.slice(0, -'/stream'.length)];
+  if (!json) return null;
+  return {
+    ...json,
+    operationId: `${json.operationId}Stream`,
+    summary: `${json.summary} (Server-Sent Events)`,
+    description: 'Streams `progress` and `partial` events while the run works, then one `result` event with the same body as '
+      + `the JSON route, or an \`error\` event. ${json.description || ''}`.trim(),
+    stream: true
+  };
+}
+
+// Merges object-schema fragments ({ properties, required }) into one object schema
+function mergeBody(fragments) {
+  if (!fragments.length) return null;
+  const properties = Object.assign({}, ...fragments.map(f => f.properties || {}));
+  const required = [...new Set(fragments.flatMap(f => f.required || []))];
+  return { type: 'object', ...(required.length ? { required } : {}), properties };
+}
+
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+function buildOperation(route, spec) {
+  const fragments = route.handlers.map(handle => handle.openapi).filter(Boolean);
+  const access = fragments.find(f => f.access);
+  const { role, scope } = access ? access.access : {};
+  const body = mergeBody([...fragments.filter(f => f.body).map(f => resolve(f.body)), ...(spec && spec.body ? [resolve(spec.body)] : [])]);
+  const pathParams = [...route.path.matchAll(/:([A-Za-z0-9_]+)/g)].map(([, name]) => name);
+
+  const operation = {
+    operationId: spec ? spec.operationId : `${route.method}${route.path.replace(/[/:-]+(\w)?/g, (m, c) => (c ? c.toUpperCase() : ''))}`,
+    summary: spec ? spec.summary : routeKey(route),
+    ...(spec && spec.description ? { description: spec.description } : {}),
+    tags: spec ? spec.tags : ['Other'],
+    ...(spec ? {} : { 'x-undocumented': true })
+  };
+  if (role) operation['x-required-role'] = role;
+  if (scope) operation['x-api-key-scope'] = scope;
+
+  operation.parameters = [
+    ...pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...Object.entries((spec && resolve(spec.query)) || {}).map(([name, schema]) => {
+      const { description, ...rest } = schema;
+      return { name, in: 'query', ...(description ? { description } : {}), schema: rest };
+    }),
+    // projectScope, usageContext and requestPriority read these on every route an API key can call
+    ...(scope ? ['ProjectId', 'TeamId', 'Priority'].map(name => ({ $ref: `#/components/parameters/${name}` })) : [])
+  ];
+  if (!operation.parameters.length) delete operation.parameters;
+
+  if (body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+  }
+
+  const status = (spec && spec.status) || 200;
+  const responses = {};
+  if (status === 204) {
+    responses[204] = { description: STATUS_TEXT[204] };
+  } else if (spec && spec.stream) {
+    responses[200] = {
+      description: 'Server-Sent Events: `progress`, `partial`, then `result` or `error`',
+      content: { 'text/event-stream': { schema: { type: 'string' }, 'x-result-schema': spec.response || {} } }
+    };
+  } else {
+    const content = spec && spec.content ? spec.content : { 'application/json': { schema: (spec && spec.response) || {} } };
+    responses[status] = { description: (spec && spec.responseDescription) || STATUS_TEXT[status] || 'OK', content };
+  }
+
+  if (body || (spec && spec.badRequest)) responses[400] = errorResponse('BadRequest');
+  if (role) {
+    responses[401] = errorResponse('Unauthorized');
+    responses[403] = errorResponse('Forbidden');
+  }
+  if (pathParams.length) responses[404] = errorResponse('NotFound');
+  else if (spec && spec.llm) responses[404] = errorResponse('ReplayMiss');
+  if (spec && spec.conflict) responses[409] = errorResponse('Conflict');
+  if (scope || (spec && spec.llm)) responses[429] = errorResponse('TooManyRequests');
+  if (spec && spec.llm) responses[502] = errorResponse('ModelOutputInvalid');
+  fragments.filter(f => f.responses).forEach(f => Object.entries(f.responses).forEach(([code, description]) => {
+    responses[code] = { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  }));
+  Object.entries((spec && spec.errors) || {}).forEach(([code, description]) => {
+    responses[code] = { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  });
+  responses[500] = errorResponse('ServerError');
+  operation.responses = responses;
+
+  if (role) operation.security = scope ? [{ sessionToken: [] }, { apiKey: [] }] : [{ sessionToken: [] }];
+  return operation;
+}
+
+const jsonError = (description, schema = 'Error', headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+const COMPONENTS = {
+  securitySchemes: {
+    sessionToken: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'A session token from POST /auth/login or an OpenID Connect sign-in. Required when AUTH_MODE=required.'
+    },
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'An API key (`qak_...`). It can only call operations with an `x-api-key-scope` it has.'
+    }
+  },
+  parameters: {
+    ProjectId: { name: 'X-Project-Id', in: 'header', schema: { type: 'string' }, description: 'Scopes the request to a project: its rubrics, knowledge base, integrations and history' },
+    TeamId: { name: 'X-Team-Id', in: 'header', schema: { type: 'string', default: 'default' }, description: 'Team the request\'s LLM usage is attributed to' },
+    Priority: { name: 'X-Priority', in: 'header', schema: { enum: ['interactive', 'bulk'], default: 'interactive' }, description: 'bulk queues the request\'s LLM calls behind interactive traffic' }
+  },
+  responses: {
+    BadRequest: jsonError('The request is invalid'),
+    Unauthorized: jsonError('Not signed in, or the session or API key is invalid, revoked or expired'),
+    Forbidden: jsonError('The user\'s role is too low, or the API key lacks the scope (or is bound to another project)'),
+    NotFound: jsonError('Not found'),
+    Conflict: jsonError('Conflicts with the current state'),
+    TooManyRequests: jsonError('An API key quota is used up, or the LLM provider is rate limiting', 'Error', {
+      'Retry-After': { description: 'Seconds until a retry may succeed', schema: { type: 'integer' } },
+      'X-RateLimit-Limit': { description: 'The API key\'s quota', schema: { type: 'integer' } },
+      'X-RateLimit-Remaining': { description: 'Requests left in the quota window', schema: { type: 'integer' } },
+      'X-RateLimit-Reset': { description: 'When the quota window resets (Unix seconds)', schema: { type: 'integer' } }
+    }),
+    ReplayMiss: jsonError('LLM_PROVIDER=replay has no recorded response for a prompt (`code`: REPLAY_MISS)'),
+    ModelOutputInvalid: jsonError('The model\'s response did not match its contract, even after a corrective retry', 'ModelOutputError'),
+    ServerError: jsonError('The request failed')
+  },
+  schemas: COMPONENT_SCHEMAS
+};
+
+/**
+ * Builds the OpenAPI document for `app`. `serverUrl` is the API's public base URL.
+ */
+function buildOpenApiDocument(app, { serverUrl } = {}) {
+  const paths = {};
+  listRoutes(app).forEach(route => {
+    const path = openApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route, operationFor(routeKey(route))) };
+  });
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'US Evaluator API',
+      version,
+      description: 'Evaluates and generates user stories, acceptance criteria and test cases with an LLM, and keeps their history. '
+        + 'Operations marked with `x-required-role` need a session with that role when AUTH_MODE=required; '
+        + 'those with an `x-api-key-scope` can also be called with an API key that has the scope.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags: [...new Set(Object.values(OPERATIONS).flatMap(op => op.tags)), 'Other'].map(name => ({ name })),
+    paths,
+    components: COMPONENTS
+  };
+}
+
+// Routes on the app with no entry in openapiOperations.js, as "METHOD /path"
+function undocumentedRoutes(app) {
+  return listRoutes(app).map(routeKey).filter(key => !operationFor(key));
+}
+
+// "operationId" -> "METHOD /path" for every route, for the root endpoint's index
+function listEndpoints(app) {
+  return Object.fromEntries(listRoutes(app).map(route => {
+    const spec = operationFor(routeKey(route));
+    return [spec ? spec.operationId : routeKey(route), routeKey(route)];
+  }));
+}
+
+module.exports = { buildOpenApiDocument, documentBody, documentResponses, undocumentedRoutes, listEndpoints };
@@ -0,0 +1,675 @@
+const schemas = require('./schemas');
+const { ARTIFACT_TYPES, rubricSchema } = require('./rubricRegistry');
+const { KINDS, VERSION_SOURCES } = require('./historyStore');
+const { GROUP_BY_OPTIONS } = require('./usageTracker');
+const { SPLIT_PATTERNS, PATTERN_IDS } = require('./storySplitting');
+const { DEPENDENCY_TYPES, CONFLICT_TYPES } = require('./storyConsistency');
+const { EXAMPLE_QUALITIES, INTEGRATION_FIELDS } = require('./projects');
+const { ROLES } = require('./auth');
+const { SCOPES, QUOTA_WINDOWS } = require('./apiKeys');
+
+/**
+ * What each route does, takes and returns, for the OpenAPI document (see openapi.js), keyed by
+ * "METHOD /express/path". Body fields checked by validator middleware are declared with the
+ * validator in app.js; `body` here holds the rest. Other keys:
+ *   status      success status (default 200; 204 has no body)
+ *   response    JSON Schema of the success body, or `content` for other media types
+ *   query       query parameters as { name: schema }
+ *   llm         the route calls the model: adds the 429 (rate limited), 502 (invalid model output) and, in replay mode, 404 (no recorded response) responses
+ *   badRequest / conflict   add the 400 / 409 response; `errors` adds others as { status: description }
+ * `/stream` variants reuse their JSON route's entry.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const text = (description, extra = {}) => ({ type: 'string', ...extra, description });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const object = (properties, required) => ({ type: 'object', ...(required ? { required } : {}), properties });
+const page = (itemName, items) => object({ [itemName]: arrayOf(items), total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } });
+const paging = {
+  limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+  offset: { type: 'integer', minimum: 0, default: 0 }
+};
+const dateQuery = (description) => ({ type: 'string', format: 'date-time', description });
+const finding = object({ ruleId: { type: 'string' }, severity: { enum: ['error', 'warning', 'info'] }, message: { type: 'string' }, start: { type: 'integer' }, end: { type: 'integer' } });
+const findingSummary = object({ errors: { type: 'integer' }, warnings: { type: 'integer' }, info: { type: 'integer' } });
+const ruleList = arrayOf(object({ id: { type: 'string' }, severity: { type: 'string' }, description: { type: 'string' } }));
+const noCache = { type: 'boolean', description: 'Skip the evaluation cache (so does `Cache-Control: no-cache`)' };
+const runDeepEval = { type: 'boolean', description: 'Also score the evaluation with the DeepEval metrics' };
+// Who may change an artifact (requireArtifactAccess in app.js)
+const ARTIFACT_ACCESS = 'With AUTH_MODE=required, only the artifact\'s owner and admins can change it.';
+// What the pipelines add to every LLM-backed response
+const runExtras = { ragContext: arrayOf(ref('RagExample')), prompts: ref('PromptVersions'), usage: ref('Usage') };
+const withRunExtras = (contract, extra = {}) => ({ allOf: [contract, object({ ...runExtras, ...extra })] });
+// The generation contracts pin `category` to the categories a request asked for; any string here
+const anyCategory = (contract, key) => {
+  contract.properties[key].items.properties.category = { type: 'string' };
+  return contract;
+};
+const projectBody = (required) => ({
+  ...(required ? { required } : {}),
+  properties: {
+    id: text('Defaults to a slug of the name', { pattern: '^[a-z0-9][a-z0-9-]{0,62}$' }),
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: nullable({ type: 'string', maxLength: 1000 }),
+    rubrics: object(Object.fromEntries(ARTIFACT_TYPES.map(type => [type, nullable(text(`Rubric id for ${type} evaluations`))]))),
+    knowledgeBase: object({
+      namespace: nullable(text('Pinecone namespace searched instead of the shared index', { maxLength: 100 })),
+      examples: arrayOf(object({
+        type: { enum: ARTIFACT_TYPES },
+        quality: { enum: EXAMPLE_QUALITIES },
+        text: { type: 'string', minLength: 1, maxLength: 5000 },
+        explanation: { type: 'string', maxLength: 2000 }
+      }, ['type', 'quality', 'text']))
+    }),
+    integrations: object(Object.fromEntries(Object.entries(INTEGRATION_FIELDS)
+      .map(([name, fields]) => [name, nullable(object(Object.fromEntries(fields.map(field => [field, { type: 'string', maxLength: 200 }]))))])))
+  }
+});
+const userBody = (required) => ({
+  ...(required ? { required } : {}),
+  properties: {
+    username: text('2 to 64 lowercase letters, digits or . _ @ -', { pattern: '^[a-z0-9][a-z0-9._@-]{1,63}$' }),
+    password: { type: 'string', minLength: 8 },
+    role: { enum: ROLES, default: 'viewer' },
+    displayName: nullable({ type: 'string', maxLength: 100 }),
+    email: nullable({ type: 'string', format: 'email' })
+  }
+});
+const apiKeyBody = (required) => ({
+  ...(required ? { required } : {}),
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: { type: 'array', minItems: 1, items: { enum: SCOPES } },
+    project: nullable(text('Project the key is bound to; every request made with it is scoped to the project')),
+    quota: nullable(object({ limit: { type: 'integer', minimum: 1, maximum: 1000000 }, window: { enum: QUOTA_WINDOWS } }, ['limit', 'window'])),
+    expiresAt: nullable({ type: 'string', format: 'date-time' })
+  }
+});
+
+const COMPONENT_SCHEMAS = {
+  Error: object({
+    error: { type: 'string' },
+    details: { type: 'string' },
+    validationErrors: arrayOf(text('"/path message"'))
+  }, ['error']),
+  ModelOutputError: object({
+    error: { type: 'string' },
+    details: { type: 'string' },
+    schema: text('The contract the output was checked against'),
+    validationErrors: arrayOf({ type: 'string' }),
+    attempts: { type: 'integer' }
+  }, ['error']),
+  Usage: object({
+    calls: { type: 'integer' },
+    promptTokens: { type: 'integer' },
+    completionTokens: { type: 'integer' },
+    totalTokens: { type: 'integer' },
+    llmLatencyMs: { type: 'integer' },
+    cost: { type: 'number' },
+    currency: { type: 'string' },
+    models: arrayOf({ type: 'string' }),
+    breakdown: arrayOf({ type: 'object' }),
+    latencyMs: { type: 'integer' }
+  }),
+  PromptVersions: { type: 'object', description: 'Prompt template name -> version used', additionalProperties: { type: 'integer' } },
+  RagExample: object({ id: { type: 'string' }, quality: { type: 'string' }, text: { type: 'string' }, relevanceScore: text('Similarity to the input, e.g. "0.850"') }),
+  TextSpan: {
+    ...object({ text: { type: 'string' }, start: nullable({ type: 'integer' }), end: nullable({ type: 'integer' }) }),
+    description: 'A quoted part of the story; start and end are null when it was not found in the text'
+  },
+  CacheStatus: object({ hit: { type: 'boolean' }, key: { type: 'string' }, bypassed: { type: 'boolean' } }),
+  LintResult: object({
+    findings: arrayOf(finding),
+    summary: findingSummary,
+    passed: { type: 'boolean' },
+    parts: object({ role: nullable(ref('TextSpan')), goal: nullable(ref('TextSpan')), benefit: nullable(ref('TextSpan')), hasAcceptanceCriteria: { type: 'boolean' } })
+  }),
+  RubricDefinition: rubricSchema,
+  RubricSummary: {
+    allOf: [rubricSchema, object({ maxScore: { type: 'number' }, isDefault: { type: 'boolean' } })]
+  },
+  Evaluation: object({
+    totalScore: { type: 'number' },
+    grade: { type: 'string' },
+    parameters: arrayOf(object({ name: { type: 'string' }, score: { type: 'integer' }, findings: { type: 'string' } }, ['name', 'score', 'findings'])),
+    recommendations: arrayOf({ type: 'string' }),
+    rubric: ref('RubricSummary'),
+    metrics: nullable(schemas.deepEvalSchema),
+    consistency: text('Agreement across samples when `samples` > 1', { type: 'object' }),
+    cache: ref('CacheStatus'),
+    ...runExtras
+  }, ['totalScore', 'grade', 'parameters', 'recommendations']),
+  UserStoryEvaluation: {
+    allOf: [ref('Evaluation'), object({ investOverview: { type: 'string' }, lint: ref('LintResult') })]
+  },
+  TestCaseEvaluation: {
+    allOf: [ref('Evaluation'), object({
+      format: { enum: ['steps', 'gherkin'] },
+      structure: text('The parsed test case (steps) or feature (Gherkin)', { type: 'object' }),
+      smells: object({ findings: arrayOf(finding), summary: findingSummary }),
+      linkedStory: text('The story the test case was judged against, when one was sent')
+    })]
+  },
+  AcceptanceCriteriaEvaluation: object({
+    source: text('Where the criteria came from: the request, or parsed from the story', { enum: ['request', 'story'] }),
+    criteria: arrayOf(object({
+      index: { type: 'integer' },
+      text: { type: 'string' },
+      measurable: { type: 'integer' },
+      unambiguous: { type: 'integer' },
+      independent: { type: 'integer' },
+      issues: arrayOf({ type: 'string' }),
+      suggestedRewrite: nullable({ type: 'string' }),
+      vagueTerms: arrayOf({ type: 'string' }),
+      storyReference: nullable(ref('TextSpan')),
+      verdict: { enum: ['pass', 'needs-work', 'fail'] }
+    })),
+    completeness: object({ score: { type: 'integer' }, findings: { type: 'string' } }),
+    missingCriteria: arrayOf(object({ text: { type: 'string' }, reason: { type: 'string' }, storyReference: nullable(ref('TextSpan')) })),
+    summary: object({ text: { type: 'string' }, pass: { type: 'integer' }, needsWork: { type: 'integer' }, fail: { type: 'integer' }, missing: { type: 'integer' } }),
+    prompts: ref('PromptVersions'),
+    cache: ref('CacheStatus'),
+    usage: ref('Usage')
+  }),
+  UserStoryGeneration: withRunExtras(schemas.userStoryGenerationSchema),
+  TestCaseGeneration: {
+    oneOf: [
+      withRunExtras(anyCategory(schemas.testCaseGenerationSchema([]), 'testCases')),
+      withRunExtras(anyCategory(schemas.gherkinGenerationSchema([]), 'features'), { format: { const: 'gherkin' } })
+    ],
+    description: '`testCases` grouped by category, or with `format: gherkin` one rendered .feature file (`content`, `fileName`, `smells`) per category'
+  },
+  MockupTestCases: withRunExtras(schemas.mockupTestCasesSchema),
+  StorySplit: withRunExtras(schemas.storySplittingSchema(PATTERN_IDS.map(id => SPLIT_PATTERNS[id].name)), { lint: ref('LintResult') }),
+  ConsistencyAnalysis: object({
+    graph: object({
+      nodes: arrayOf(object({ id: { type: 'string' }, title: { type: 'string' } })),
+      edges: arrayOf(object({ from: { type: 'string' }, to: { type: 'string' }, type: { enum: DEPENDENCY_TYPES }, reason: { type: 'string' } })),
+      cycles: arrayOf(arrayOf({ type: 'string' })),
+      order: arrayOf(text('Story ids in an order that respects the dependencies'))
+    }),
+    conflicts: arrayOf(object({
+      type: { enum: CONFLICT_TYPES },
+      stories: arrayOf({ type: 'string' }),
+      description: { type: 'string' },
+      severity: { enum: ['error', 'warning'] },
+      suggestion: { type: 'string' }
+    })),
+    summary: object({ stories: { type: 'integer' }, dependencies: { type: 'integer' }, independent: { type: 'integer' }, conflicts: { type: 'integer' }, errors: { type: 'integer' }, warnings: { type: 'integer' }, cycles: { type: 'integer' } }),
+    prompts: ref('PromptVersions'),
+    usage: ref('Usage')
+  }),
+  Duplicates: object({
+    method: text('How texts were compared: embeddings, or the local fallback', { enum: ['embedding', 'local'] }),
+    threshold: { type: 'number' },
+    clusters: arrayOf(object({
+      id: { type: 'string' },
+      representative: object({ index: { type: 'integer' }, id: nullable({ type: 'string' }) }),
+      members: arrayOf(object({ index: { type: 'integer' }, id: nullable({ type: 'string' }), similarity: { type: 'number' }, exact: { type: 'boolean' } }))
+    })),
+    summary: object({ items: { type: 'integer' }, clusters: { type: 'integer' }, duplicates: { type: 'integer' }, unique: { type: 'integer' } })
+  }),
+  TraceabilityItem: object({
+    id: { type: 'string' },
+    text: { type: 'string' },
+    acceptanceCriteria: arrayOf({ type: 'string' }),
+    storyIds: arrayOf(text('For test cases: the stories it tests')),
+    criterionIds: arrayOf(text('For test cases: the criteria it tests, e.g. "S1-AC2"'))
+  }, ['id', 'text']),
+  TraceabilityMatrix: object({
+    stories: arrayOf(object({ id: { type: 'string' }, title: nullable({ type: 'string' }), text: { type: 'string' }, criteria: arrayOf({ type: 'object' }), storyLevelTests: arrayOf({ type: 'string' }) })),
+    testCases: arrayOf(object({ id: { type: 'string' }, title: nullable({ type: 'string' }), kind: { type: 'string' }, source: { type: 'string' }, storyIds: arrayOf({ type: 'string' }), criterionIds: arrayOf({ type: 'string' }), unresolved: arrayOf({ type: 'string' }) })),
+    summary: object({ stories: { type: 'integer' }, criteria: { type: 'integer' }, covered: { type: 'integer' }, partial: { type: 'integer' }, uncovered: { type: 'integer' }, coveragePercent: { type: 'number' }, storiesWithoutCriteria: arrayOf({ type: 'string' }), orphanTestCases: arrayOf({ type: 'string' }), unresolvedReferences: arrayOf(object({ testCase: { type: 'string' }, ids: arrayOf({ type: 'string' }) })) })
+  }),
+  GherkinValidation: object({
+    valid: text('True when there are no error findings', { type: 'boolean' }),
+    findings: arrayOf(finding),
+    summary: findingSummary,
+    structure: object({ feature: nullable({ type: 'object' }), background: nullable({ type: 'object' }), scenarios: arrayOf({ type: 'object' }) })
+  }),
+  Refinement: withRunExtras(schemas.refinementSchema),
+  MultiAgentReview: withRunExtras(schemas.multiAgentReviewSchema),
+  HistoryRecord: object({
+    id: { type: 'string' },
+    kind: { enum: KINDS },
+    endpoint: { type: 'string' },
+    artifactType: nullable({ enum: ARTIFACT_TYPES }),
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    prompts: ref('PromptVersions'),
+    usage: ref('Usage'),
+    team: { type: 'string' },
+    project: nullable({ type: 'string' }),
+    user: nullable(text('Username of who made the run')),
+    apiKey: nullable(text('Id of the API key the run was made with')),
+    cached: { type: 'boolean' },
+    durationMs: { type: 'integer' },
+    createdAt: { type: 'string', format: 'date-time' },
+    preview: { type: 'string' },
+    score: nullable({ type: 'number' }),
+    grade: nullable({ type: 'string' })
+  }),
+  HistoryRecordDetail: { allOf: [ref('HistoryRecord'), object({ input: text('The request body', { type: 'object' }), output: text('The response body', { type: 'object' }) })] },
+  ArtifactVersion: object({
+    version: { type: 'integer' },
+    content: { type: 'string' },
+    source: { enum: VERSION_SOURCES },
+    notes: nullable(arrayOf({ type: 'string' })),
+    evaluation: nullable({ type: 'object' }),
+    createdAt: { type: 'string', format: 'date-time' },
+    evaluatedAt: nullable({ type: 'string', format: 'date-time' }),
+    score: nullable({ type: 'number' }),
+    grade: nullable({ type: 'string' })
+  }),
+  Artifact: object({
+    id: { type: 'string' },
+    type: { enum: ARTIFACT_TYPES },
+    title: nullable({ type: 'string' }),
+    project: nullable({ type: 'string' }),
+    team: { type: 'string' },
+    owner: { ...nullable({ type: 'string' }), description: 'Username of the creator; null when created without signing in' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    versions: arrayOf(ref('ArtifactVersion'))
+  }),
+  ArtifactDiff: object({
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+    text: arrayOf(object({ op: { enum: ['equal', 'insert', 'delete'] }, text: { type: 'string' } })),
+    scores: object({
+      total: object({ from: nullable({ type: 'number' }), to: nullable({ type: 'number' }), delta: nullable({ type: 'number' }) }),
+      grade: object({ from: nullable({ type: 'string' }), to: nullable({ type: 'string' }) }),
+      criteria: arrayOf(object({ name: { type: 'string' }, from: nullable({ type: 'number' }), to: nullable({ type: 'number' }), delta: nullable({ type: 'number' }) }))
+    }),
+    findings: object({ resolved: arrayOf({ type: 'object' }), introduced: arrayOf({ type: 'object' }), unchanged: { type: 'integer' } })
+  }),
+  Project: {
+    allOf: [{ type: 'object', ...projectBody(['id', 'name']) }, object({ createdAt: { type: 'string', format: 'date-time' }, updatedAt: { type: 'string', format: 'date-time' } })]
+  },
+  User: object({
+    id: { type: 'string' },
+    username: { type: 'string' },
+    displayName: { type: 'string' },
+    email: nullable({ type: 'string' }),
+    role: { enum: ROLES },
+    provider: text('"local", or the identity provider the account signs in with'),
+    subject: nullable({ type: 'string' }),
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    lastLoginAt: nullable({ type: 'string', format: 'date-time' })
+  }),
+  Session: object({ token: text('Send as `Authorization: Bearer <token>`'), expiresAt: { type: 'string', format: 'date-time' }, user: ref('User') }),
+  ApiKey: {
+    allOf: [{ type: 'object', ...apiKeyBody() }, object({
+      id: { type: 'string' },
+      userId: nullable({ type: 'string' }),
+      status: { enum: ['active', 'revoked', 'expired'] },
+      usage: nullable(object({ requests: { type: 'integer' }, limit: { type: 'integer' }, resetsAt: { type: 'string', format: 'date-time' } })),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+      revokedAt: nullable({ type: 'string', format: 'date-time' })
+    })]
+  },
+  ApiKeyWithSecret: { allOf: [ref('ApiKey'), object({ secret: text('The key (`qak_...`). Only returned here; store it now') }, ['secret'])] }
+};
+
+const OPERATIONS = {
+  // --- Meta ---
+  'GET /': { operationId: 'index', tags: ['Meta'], summary: 'List the endpoints', response: object({ message: { type: 'string' }, docs: { type: 'string' }, openapi: { type: 'string' }, endpoints: { type: 'object', additionalProperties: { type: 'string' } } }) },
+  'GET /health': { operationId: 'health', tags: ['Meta'], summary: 'Health check: the configured providers and the LLM queue', response: { type: 'object' } },
+  'GET /openapi.json': { operationId: 'openapi', tags: ['Meta'], summary: 'This OpenAPI document', response: { type: 'object' } },
+  'GET /docs': { operationId: 'docs', tags: ['Meta'], summary: 'Interactive API documentation', content: { 'text/html': { schema: { type: 'string' } } } },
+
+  // --- Evaluation ---
+  'POST /evaluate': {
+    operationId: 'evaluate', tags: ['Evaluation'], summary: 'Evaluate a user story against its rubric', llm: true,
+    body: { properties: { runDeepEval, noCache } },
+    response: ref('UserStoryEvaluation')
+  },
+  'POST /evaluate-test-case': {
+    operationId: 'evaluateTestCase', tags: ['Evaluation'], summary: 'Evaluate a test case (numbered steps or Gherkin)', llm: true,
+    body: { properties: { runDeepEval, noCache } },
+    response: ref('TestCaseEvaluation')
+  },
+  'POST /evaluate-acceptance-criteria': {
+    operationId: 'evaluateAcceptanceCriteria', tags: ['Evaluation'], summary: 'Review each acceptance criterion against its story', llm: true,
+    description: 'Without `acceptanceCriteria`, the criteria are parsed from the story; a story with none is a 400.',
+    body: { properties: { noCache } },
+    badRequest: true,
+    response: ref('AcceptanceCriteriaEvaluation')
+  },
+  'POST /lint': { operationId: 'lint', tags: ['Evaluation'], summary: 'Rule-based story lint (no LLM call)', response: ref('LintResult') },
+  'GET /lint/rules': {
+    operationId: 'listLintRules', tags: ['Evaluation'], summary: 'The story lint rules, test case smells and Gherkin rules',
+    response: object({ rules: ruleList, testCaseSmells: ruleList, gherkinRules: ruleList })
+  },
+  'POST /gherkin/validate': {
+    operationId: 'validateGherkin', tags: ['Evaluation'], summary: 'Parse and check a Gherkin feature (no LLM call)',
+    body: {
+      required: ['content'],
+      properties: {
+        content: { type: 'string', maxLength: 100000, description: 'The .feature text' },
+        requireFeature: { type: 'boolean', default: true, description: 'false accepts a lone scenario' }
+      }
+    },
+    response: ref('GherkinValidation')
+  },
+  'POST /traceability/matrix': {
+    operationId: 'traceabilityMatrix', tags: ['Evaluation'], summary: 'Acceptance criteria coverage by test cases (no LLM call)',
+    response: ref('TraceabilityMatrix')
+  },
+  'POST /traceability/uncovered': {
+    operationId: 'uncoveredCriteria', tags: ['Evaluation'], summary: 'The acceptance criteria still needing tests',
+    body: {
+      properties: {
+        format: { enum: ['csv', 'json'], default: 'csv' },
+        includePartial: { type: 'boolean', default: true, description: 'Include criteria covered by only some kinds of test' }
+      }
+    },
+    content: {
+      'text/csv': { schema: { type: 'string' } },
+      'application/json': { schema: object({ criteria: arrayOf({ type: 'object' }) }) }
+    }
+  },
+  'POST /duplicates': {
+    operationId: 'findDuplicates', tags: ['Evaluation'], summary: 'Cluster duplicate and near-duplicate stories or test cases',
+    response: ref('Duplicates')
+  },
+  'POST /analyze-consistency': {
+    operationId: 'analyzeConsistency', tags: ['Evaluation'], summary: 'Dependencies and conflicts across a batch of stories', llm: true,
+    response: ref('ConsistencyAnalysis')
+  },
+
+  // --- Generation ---
+  'POST /generate-user-stories': {
+    operationId: 'generateUserStories', tags: ['Generation'], summary: 'Generate user stories for a feature or epic', llm: true,
+    response: ref('UserStoryGeneration')
+  },
+  'POST /split-story': {
+    operationId: 'splitStory', tags: ['Generation'], summary: 'Propose SPIDR splits for an oversized story', llm: true,
+    body: { properties: { noCache } },
+    response: ref('StorySplit')
+  },
+  'GET /split-story/patterns': {
+    operationId: 'listSplitPatterns', tags: ['Generation'], summary: 'The SPIDR splitting patterns',
+    response: object({ patterns: arrayOf(object({ id: { enum: PATTERN_IDS }, name: { type: 'string' }, description: { type: 'string' } })) })
+  },
+  'POST /generate-test-cases': {
+    operationId: 'generateTestCases', tags: ['Generation'], summary: 'Generate test cases (or Gherkin features) for a feature', llm: true,
+    body: {
+      properties: {
+        categories: arrayOf(text('e.g. Positive, Negative, Edge Case, Validation, Security, Performance, Boundary')),
+        totalCount: { type: 'integer', minimum: 1 }
+      }
+    },
+    response: ref('TestCaseGeneration')
+  },
+  'POST /generate-test-cases-from-image': {
+    operationId: 'generateTestCasesFromImage', tags: ['Generation'], summary: 'Generate test cases from a description of a mockup', llm: true,
+    body: {
+      properties: {
+        description: { type: 'string', minLength: 3, description: 'What the mockup or screenshot shows' },
+        feature: text('Accepted in place of `description`')
+      }
+    },
+    response: ref('MockupTestCases')
+  },
+
+  // --- Agentic ---
+  'POST /agentic/refine': {
+    operationId: 'refine', tags: ['Agentic'], summary: 'Rewrite an artifact to resolve its findings', llm: true,
+    body: {
+      required: ['artifact'],
+      properties: { artifact: { type: 'string' }, type: { enum: ARTIFACT_TYPES }, findings: arrayOf({}), grade: { type: 'string' } }
+    },
+    errors: { 503: 'The agentic engine is not initialized' },
+    response: ref('Refinement')
+  },
+  'POST /agentic/multi-agent-eval': {
+    operationId: 'multiAgentEval', tags: ['Agentic'], summary: 'Product owner, QA and security reviews of an artifact', llm: true,
+    body: { required: ['artifact'], properties: { artifact: { type: 'string' }, type: { enum: ARTIFACT_TYPES } } },
+    errors: { 503: 'The agentic engine is not initialized' },
+    response: ref('MultiAgentReview')
+  },
+  'POST /agentic/chat': {
+    operationId: 'chat', tags: ['Agentic'], summary: 'Ask about an artifact and its evaluation', llm: true,
+    body: {
+      required: ['artifact', 'userQuestion'],
+      properties: { artifact: { type: 'string' }, type: { enum: ARTIFACT_TYPES }, evaluation: { type: 'object' }, userQuestion: { type: 'string' } }
+    },
+    errors: { 503: 'The agentic engine is not initialized' },
+    response: object({ response: { type: 'string' }, prompts: ref('PromptVersions') })
+  },
+
+  // --- Integrations ---
+  'POST /integration/jira/stories': {
+    operationId: 'jiraStories', tags: ['Integrations'], summary: 'Import the latest stories and tasks from a Jira project',
+    description: '`domain`, `email` and `projectKey` default to the X-Project-Id project\'s Jira settings.',
+    body: {
+      required: ['apiToken'],
+      properties: { domain: text('e.g. company.atlassian.net'), email: { type: 'string' }, apiToken: { type: 'string' }, projectKey: { type: 'string' } }
+    },
+    response: object({ stories: arrayOf(object({ key: { type: 'string' }, summary: { type: 'string' }, description: { type: 'string' }, status: { type: 'string' } })) })
+  },
+  'POST /integration/azure/work-items': {
+    operationId: 'azureWorkItems', tags: ['Integrations'], summary: 'Import the latest user stories and tasks from Azure DevOps',
+    description: '`organization` and `project` default to the X-Project-Id project\'s Azure DevOps settings.',
+    body: {
+      required: ['personalAccessToken'],
+      properties: { organization: { type: 'string' }, project: { type: 'string' }, personalAccessToken: { type: 'string' } }
+    },
+    response: object({ workItems: arrayOf(object({ id: { type: 'integer' }, title: { type: 'string' }, description: { type: 'string' }, status: { type: 'string' } })) })
+  },
+
+  // --- Operations ---
+  'GET /test-langfuse': { operationId: 'testLangfuse', tags: ['Diagnostics'], summary: 'Check the Langfuse connection', response: { type: 'object' } },
+  'GET /test-groq': {
+    operationId: 'testGroq', tags: ['Diagnostics'], summary: 'Check the LLM provider connection (kept for existing tooling)',
+    query: { endpoint: { type: 'string', description: 'Check the provider routed to this endpoint' } },
+    response: { type: 'object' }
+  },
+  'GET /test-llm': {
+    operationId: 'testLlm', tags: ['Diagnostics'], summary: 'Check the LLM provider connection',
+    query: { endpoint: { type: 'string', description: 'Check the provider routed to this endpoint' } },
+    response: { type: 'object' }
+  },
+  'GET /cache/stats': {
+    operationId: 'cacheStats', tags: ['Diagnostics'], summary: 'Evaluation cache statistics',
+    response: object({ enabled: { type: 'boolean' }, entries: { type: 'integer' }, maxEntries: { type: 'integer' }, ttlSeconds: { type: 'integer' }, hits: { type: 'integer' }, misses: { type: 'integer' }, backing: { type: 'string' } })
+  },
+  'DELETE /cache': { operationId: 'clearCache', tags: ['Diagnostics'], summary: 'Clear the evaluation cache', response: object({ cleared: { type: 'integer' } }) },
+  'GET /queue/stats': { operationId: 'queueStats', tags: ['Diagnostics'], summary: 'LLM scheduler statistics: calls in flight, queued, retried and rate limited', response: { type: 'object' } },
+  'GET /usage': {
+    operationId: 'usage', tags: ['Usage'], summary: 'Token usage and cost, totalled and grouped',
+    query: {
+      team: { type: 'string' },
+      project: { type: 'string' },
+      since: dateQuery('Only calls at or after this time'),
+      until: dateQuery('Only calls before this time'),
+      groupBy: { enum: GROUP_BY_OPTIONS }
+    },
+    badRequest: true,
+    response: object({
+      currency: { type: 'string' },
+      filters: { type: 'object' },
+      groupBy: { type: 'string' },
+      totals: { type: 'object' },
+      groups: arrayOf(object({ key: { type: 'string' }, calls: { type: 'integer' }, promptTokens: { type: 'integer' }, completionTokens: { type: 'integer' }, totalTokens: { type: 'integer' }, cost: { type: 'number' }, avgLatencyMs: { type: 'number' } }))
+    })
+  },
+  'GET /usage/pricing': {
+    operationId: 'usagePricing', tags: ['Usage'], summary: 'The price table cost is calculated with',
+    response: object({ currency: { type: 'string' }, unit: { type: 'string' }, prices: { type: 'object', additionalProperties: object({ input: { type: 'number' }, output: { type: 'number' } }) } })
+  },
+
+  // --- History ---
+  'GET /history': {
+    operationId: 'listHistory', tags: ['History'], summary: 'Recorded runs, newest first',
+    query: {
+      kind: { enum: KINDS },
+      endpoint: { type: 'string' },
+      artifactType: { enum: ARTIFACT_TYPES },
+      team: { type: 'string' },
+      project: { type: 'string' },
+      user: { type: 'string', description: 'Username' },
+      apiKey: { type: 'string', description: 'API key id' },
+      since: dateQuery('Only runs at or after this time'),
+      until: dateQuery('Only runs before this time'),
+      q: { type: 'string', description: 'Text anywhere in the request body' },
+      ...paging
+    },
+    badRequest: true,
+    response: page('records', ref('HistoryRecord'))
+  },
+  'GET /history/stats': {
+    operationId: 'historyStats', tags: ['History'], summary: 'The history store and its record counts',
+    response: object({ backing: { enum: ['sqlite', 'memory'] }, file: { type: 'string' }, records: { type: 'integer' }, artifacts: { type: 'integer' }, projects: { type: 'integer' }, users: { type: 'integer' }, apiKeys: { type: 'integer' }, schemaVersion: { type: 'integer' } })
+  },
+  'GET /history/:id': { operationId: 'getHistoryRecord', tags: ['History'], summary: 'One run with its full input and output', response: ref('HistoryRecordDetail') },
+  'DELETE /history/:id': { operationId: 'deleteHistoryRecord', tags: ['History'], summary: 'Delete a run', status: 204 },
+
+  // --- Artifacts ---
+  'POST /artifacts': {
+    operationId: 'createArtifact', tags: ['Artifacts'], summary: 'Save a story or test case as version 1',
+    body: { required: ['type'], properties: { type: { enum: ARTIFACT_TYPES }, title: nullable({ type: 'string', maxLength: 200 }) } },
+    status: 201,
+    response: ref('Artifact')
+  },
+  'GET /artifacts': {
+    operationId: 'listArtifacts', tags: ['Artifacts'], summary: 'Saved artifacts with their latest version',
+    query: { type: { enum: ARTIFACT_TYPES }, project: { type: 'string' }, team: { type: 'string' }, ...paging },
+    badRequest: true,
+    response: page('artifacts', object({
+      id: { type: 'string' }, type: { enum: ARTIFACT_TYPES }, title: nullable({ type: 'string' }), project: nullable({ type: 'string' }), team: { type: 'string' },
+      owner: nullable({ type: 'string' }),
+      versions: text('Number of versions', { type: 'integer' }),
+      latest: object({ version: { type: 'integer' }, score: nullable({ type: 'number' }), grade: nullable({ type: 'string' }), preview: { type: 'string' } })
+    }))
+  },
+  'GET /artifacts/:id': { operationId: 'getArtifact', tags: ['Artifacts'], summary: 'An artifact with all its versions', response: ref('Artifact') },
+  'DELETE /artifacts/:id': {
+    operationId: 'deleteArtifact', tags: ['Artifacts'], summary: 'Delete an artifact and its versions', status: 204,
+    description: ARTIFACT_ACCESS
+  },
+  'POST /artifacts/:id/versions': {
+    operationId: 'addArtifactVersion', tags: ['Artifacts'], summary: 'Add a version (default source: edit)', status: 201,
+    description: ARTIFACT_ACCESS,
+    response: ref('ArtifactVersion')
+  },
+  'PUT /artifacts/:id/versions/:version/evaluation': {
+    operationId: 'setVersionEvaluation', tags: ['Artifacts'], summary: 'Attach or replace the evaluation of a version',
+    description: ARTIFACT_ACCESS,
+    body: { required: ['evaluation'], properties: { evaluation: text('The evaluation response, at most 200000 characters as JSON', { type: 'object' }) } },
+    response: ref('ArtifactVersion')
+  },
+  'GET /artifacts/:id/diff': {
+    operationId: 'diffArtifact', tags: ['Artifacts'], summary: 'Text diff, score deltas and resolved findings between two versions',
+    query: {
+      from: { type: 'integer', description: 'Default: the version before `to`' },
+      to: { type: 'integer', description: 'Default: the latest version' }
+    },
+    response: ref('ArtifactDiff')
+  },
+
+  // --- Projects ---
+  'GET /projects': { operationId: 'listProjects', tags: ['Projects'], summary: 'All projects', response: object({ projects: arrayOf(ref('Project')) }) },
+  'POST /projects': { operationId: 'createProject', tags: ['Projects'], summary: 'Create a project', body: projectBody(['name']), status: 201, conflict: true, response: ref('Project') },
+  'GET /projects/:id': { operationId: 'getProject', tags: ['Projects'], summary: 'One project', response: ref('Project') },
+  'PUT /projects/:id': {
+    operationId: 'updateProject', tags: ['Projects'], summary: 'Update a project; fields left out keep their value',
+    body: projectBody(), response: ref('Project')
+  },
+  'DELETE /projects/:id': { operationId: 'deleteProject', tags: ['Projects'], summary: 'Delete a project (its history keeps the project id)', status: 204 },
+
+  // --- Accounts ---
+  'GET /auth/config': {
+    operationId: 'authConfig', tags: ['Accounts'], summary: 'Whether sign-in is required, the roles and the identity providers',
+    response: object({ mode: { enum: ['off', 'required'] }, roles: arrayOf({ enum: ROLES }), providers: arrayOf(object({ id: { type: 'string' }, label: { type: 'string' } })) })
+  },
+  'POST /auth/login': {
+    operationId: 'login', tags: ['Accounts'], summary: 'Sign in with a local account',
+    body: { required: ['username', 'password'], properties: { username: { type: 'string' }, password: { type: 'string' } } },
+    errors: { 401: 'Wrong username or password' },
+    response: ref('Session')
+  },
+  'GET /auth/me': {
+    operationId: 'me', tags: ['Accounts'], summary: 'The signed-in user',
+    errors: { 401: 'Not signed in' },
+    response: object({ user: ref('User') })
+  },
+  'GET /auth/oidc/:provider/login': {
+    operationId: 'oidcLogin', tags: ['Accounts'], summary: 'Start an OpenID Connect sign-in (browser redirect)',
+    query: { redirect: { type: 'string', format: 'uri', description: 'Frontend URL to return to; its origin must be in AUTH_REDIRECT_ORIGINS' } },
+    status: 302,
+    content: {},
+    responseDescription: 'Redirect to the identity provider',
+    badRequest: true,
+    errors: { 502: 'The identity provider could not be reached' }
+  },
+  'GET /auth/oidc/:provider/callback': {
+    operationId: 'oidcCallback', tags: ['Accounts'], summary: 'Complete an OpenID Connect sign-in (called by the identity provider)',
+    query: { code: { type: 'string' }, state: { type: 'string' }, error: { type: 'string' }, error_description: { type: 'string' } },
+    status: 302,
+    content: {},
+    responseDescription: 'Redirect to the frontend with `#session=<token>` or `#authError=<message>`',
+    badRequest: true
+  },
+  'GET /auth/users': { operationId: 'listUsers', tags: ['Accounts'], summary: 'All accounts', response: object({ users: arrayOf(ref('User')) }) },
+  'POST /auth/users': { operationId: 'createUser', tags: ['Accounts'], summary: 'Create a local account', body: userBody(['username', 'password']), status: 201, conflict: true, response: ref('User') },
+  'PUT /auth/users/:id': {
+    operationId: 'updateUser', tags: ['Accounts'], summary: 'Change an account\'s role, name, email or password',
+    body: userBody(), conflict: true, response: ref('User')
+  },
+  'DELETE /auth/users/:id': { operationId: 'deleteUser', tags: ['Accounts'], summary: 'Delete an account (not the last admin)', status: 204, conflict: true },
+
+  // --- API keys ---
+  'GET /auth/api-keys': {
+    operationId: 'listApiKeys', tags: ['API keys'], summary: 'Your API keys (admins: everyone\'s)',
+    query: { user: { type: 'string', description: 'Admins: only this user id\'s keys' } },
+    response: object({ apiKeys: arrayOf(ref('ApiKey')) })
+  },
+  'POST /auth/api-keys': {
+    operationId: 'createApiKey', tags: ['API keys'], summary: 'Create an API key', body: apiKeyBody(['name', 'scopes']), status: 201,
+    errors: { 503: 'The history store is off' },
+    response: ref('ApiKeyWithSecret')
+  },
+  'GET /auth/api-keys/:id': { operationId: 'getApiKey', tags: ['API keys'], summary: 'One API key with its current usage', response: ref('ApiKey') },
+  'PUT /auth/api-keys/:id': {
+    operationId: 'updateApiKey', tags: ['API keys'], summary: 'Change a key\'s name, scopes, quota or expiry',
+    body: { properties: apiKeyBody().properties }, response: ref('ApiKey')
+  },
+  'POST /auth/api-keys/:id/rotate': {
+    operationId: 'rotateApiKey', tags: ['API keys'], summary: 'Replace a key\'s secret; the old one stops working', conflict: true,
+    response: ref('ApiKeyWithSecret')
+  },
+  'DELETE /auth/api-keys/:id': { operationId: 'revokeApiKey', tags: ['API keys'], summary: 'Revoke a key (it stays listed)', status: 204 },
+
+  // --- Prompts and rubrics ---
+  'GET /prompts': {
+    operationId: 'listPrompts', tags: ['Prompts and rubrics'], summary: 'Prompt templates and their versions',
+    response: object({ prompts: arrayOf(object({ name: { type: 'string' }, description: { type: 'string' }, activeVersion: { type: 'integer' }, versions: arrayOf({ type: 'integer' }), variables: arrayOf({ type: 'string' }) })) })
+  },
+  'GET /prompts/:name': {
+    operationId: 'getPrompt', tags: ['Prompts and rubrics'], summary: 'One version of a prompt template',
+    query: { version: { type: 'integer', description: 'Default: the active version' } },
+    response: object({ name: { type: 'string' }, version: { type: 'integer' }, template: { type: 'string' }, variables: arrayOf({ type: 'string' }) })
+  },
+  'GET /rubrics': {
+    operationId: 'listRubrics', tags: ['Prompts and rubrics'], summary: 'The rubrics evaluations can be scored against',
+    query: { type: { enum: ARTIFACT_TYPES } },
+    badRequest: true,
+    response: object({ rubrics: arrayOf(ref('RubricSummary')) })
+  },
+  'GET /rubrics/:id': { operationId: 'getRubric', tags: ['Prompts and rubrics'], summary: 'A rubric with its criteria and instructions', response: ref('RubricDefinition') },
+  'PUT /rubrics/:id': {
+    operationId: 'saveRubric', tags: ['Prompts and rubrics'], summary: 'Create or replace a rubric',
+    description: 'Writes the rubric to RUBRICS_DIR. The built-in rubrics cannot be replaced.',
+    body: { required: rubricSchema.required.filter(name => name !== 'id'), properties: rubricSchema.properties },
+    response: ref('RubricSummary'),
+    errors: { 409: 'The id is a built-in rubric', 503: 'RUBRICS_DIR is not set' }
+  }
+};
+
+module.exports = { OPERATIONS, COMPONENT_SCHEMAS };
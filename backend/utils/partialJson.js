@@ -0,0 +1,87 @@
+const { repairJsonString } = require('../jsonRepair');
+
+/**
+ * Pulls completed objects out of a JSON array while the response is still streaming.
+ *
+ * `push(contentSoFar)` scans only the text added since the previous call and returns the
+ * items of the `arrayKey` array whose closing brace has arrived. Items are best-effort
+ * previews; the full response is still repaired and schema-validated once it completes.
+ */
+class PartialArrayParser {
+  constructor(arrayKey) {
+    this.arrayKey = arrayKey;
+    this.opener = new RegExp(`"${arrayKey}"\\s*:\\s*\\[`);
+    this.reset();
+  }
+
+  reset() {
+    this.pos = 0;
+    this.inArray = false;
+    this.closed = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;
+    this.count = 0;
+  }
+
+  push(text) {
+    // A new attempt (or a truncation retry) starts the content over
+    if (text.length < this.pos) this.reset();
+    if (this.closed) return [];
+
+    if (!this.inArray) {
+      const match = this.opener.exec(text);
+      if (!match) return [];
+      this.inArray = true;
+      this.pos = match.index + match[0].length;
+    }
+
+    const items = [];
+    for (; this.pos < text.length; this.pos++) {
+      const ch = text[this.pos];
+
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (ch === '\\') this.escaped = true;
+        else if (ch === '"') this.inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        this.inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (this.depth === 0 && ch === '{') this.itemStart = this.pos;
+        this.depth++;
+      } else if (ch === '}' || ch === ']') {
+        if (this.depth === 0) {
+          this.closed = true;
+          this.pos++;
+          break;
+        }
+        this.depth--;
+        if (this.depth === 0 && ch === '}' && this.itemStart >= 0) {
+          const item = parseItem(text.slice(this.itemStart, this.pos + 1));
+          if (item) items.push({ index: this.count++, item });
+          this.itemStart = -1;
+        }
+      }
+    }
+    return items;
+  }
+}
+
+function parseItem(fragment) {
+  try {
+    return JSON.parse(fragment);
+  } catch (e) {
+    // Models occasionally emit raw newlines or trailing commas; fall back to the full repair
+    try {
+      return JSON.parse(repairJsonString(fragment));
+    } catch (repairError) {
+      return null;
+    }
+  }
+}
+
+module.exports = { PartialArrayParser };
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getHistoryStore } = require('./historyStore');
+const { getRubric, ARTIFACT_TYPES } = require('./rubricRegistry');
+const { localVectors, cosineSimilarity } = require('./duplicateDetection');
+
+/**
+ * Projects (workspaces): what evaluations, generations, artifacts and usage are scoped to.
+ *
+ * A project owns the rubric each artifact type is scored against when a request does not pick
+ * one, a knowledge base (reference examples that calibrate scoring ahead of the shared RAG index,
+ * and optionally its own Pinecone namespace) and its Jira / Azure DevOps settings. Integration
+ * tokens are never stored; they are still sent with each integration request.
+ *
+ * Requests pick a project with the X-Project-Id header. `projectScope` loads it once per request;
+ * code deep inside the pipelines reads it with getCurrentProject().
+ */
+
+const VALID_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const EXAMPLE_QUALITIES = ['good', 'poor'];
+const MAX_EXAMPLES = 200;
+const INTEGRATION_FIELDS = { jira: ['domain', 'email', 'projectKey'], azure: ['organization', 'project'] };
+
+class ProjectError extends Error {
+  constructor(message, { status = 400, validationErrors = [] } = {}) {
+    super(message);
+    this.name = 'ProjectError';
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+
+  toResponse() {
+    return { error: this.message, ...(this.validationErrors.length ? { validationErrors: this.validationErrors } : {}) };
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const optionalString = (value, max) => value === undefined || value === null || (typeof value === 'string' && value.length <= max);
+
+// "Project Alpha (FinTech)" -> "project-alpha-fintech"
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+
+// Validation errors for a project body, as "/path message" strings like the rubric registry's
+function validateProject(body) {
+  const errors = [];
+  if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) errors.push('/name must be a string of 1 to 100 characters');
+  if (!optionalString(body.description, 1000)) errors.push('/description must be a string of at most 1000 characters');
+
+  if (body.rubrics !== undefined && body.rubrics !== null) {
+    if (!isPlainObject(body.rubrics)) {
+      errors.push('/rubrics must be an object keyed by artifact type');
+    } else {
+      Object.entries(body.rubrics).forEach(([type, id]) => {
+        if (!ARTIFACT_TYPES.includes(type)) return errors.push(`/rubrics/${type} is not an artifact type (${ARTIFACT_TYPES.join(', ')})`);
+        if (id === null || id === '') return;
+        try {
+          const rubric = getRubric(id);
+          if (rubric.appliesTo !== type) errors.push(`/rubrics/${type} rubric '${id}' applies to ${rubric.appliesTo}`);
+        } catch (e) {
+          errors.push(`/rubrics/${type} rubric '${id}' does not exist`);
+        }
+      });
+    }
+  }
+
+  const knowledgeBase = body.knowledgeBase;
+  if (knowledgeBase !== undefined && knowledgeBase !== null) {
+    if (!isPlainObject(knowledgeBase)) {
+      errors.push('/knowledgeBase must be an object');
+    } else {
+      if (!optionalString(knowledgeBase.namespace, 100)) errors.push('/knowledgeBase/namespace must be a string of at most 100 characters');
+      const examples = knowledgeBase.examples;
+      if (examples !== undefined && examples !== null) {
+        if (!Array.isArray(examples) || examples.length > MAX_EXAMPLES) {
+          errors.push(`/knowledgeBase/examples must be an array of at most ${MAX_EXAMPLES} examples`);
+        } else {
+          examples.forEach((example, i) => {
+            const at = `/knowledgeBase/examples/${i}`;
+            if (!isPlainObject(example)) return errors.push(`${at} must be an object`);
+            if (!ARTIFACT_TYPES.includes(example.type)) errors.push(`${at}/type must be one of: ${ARTIFACT_TYPES.join(', ')}`);
+            if (!EXAMPLE_QUALITIES.includes(example.quality)) errors.push(`${at}/quality must be one of: ${EXAMPLE_QUALITIES.join(', ')}`);
+            if (typeof example.text !== 'string' || !example.text.trim() || example.text.length > 5000) errors.push(`${at}/text must be a string of 1 to 5000 characters`);
+            if (!optionalString(example.explanation, 2000)) errors.push(`${at}/explanation must be a string of at most 2000 characters`);
+          });
+        }
+      }
+    }
+  }
+
+  const integrations = body.integrations;
+  if (integrations !== undefined && integrations !== null) {
+    if (!isPlainObject(integrations)) {
+      errors.push('/integrations must be an object');
+    } else {
+      Object.entries(integrations).forEach(([name, settings]) => {
+        if (!INTEGRATION_FIELDS[name]) return errors.push(`/integrations/${name} is not a supported integration (${Object.keys(INTEGRATION_FIELDS).join(', ')})`);
+        if (settings === null) return;
+        if (!isPlainObject(settings)) return errors.push(`/integrations/${name} must be an object`);
+        Object.keys(settings).forEach(field => {
+          if (!INTEGRATION_FIELDS[name].includes(field)) errors.push(`/integrations/${name}/${field} is not a ${name} setting (tokens are not stored)`);
+          else if (!optionalString(settings[field], 200)) errors.push(`/integrations/${name}/${field} must be a string of at most 200 characters`);
+        });
+      });
+    }
+  }
+  return errors;
+}
+
+// Keeps only the known integration fields that have a value
+const normalizeIntegrations = (integrations = {}) => Object.fromEntries(Object.keys(INTEGRATION_FIELDS)
+  .filter(name => integrations[name])
+  .map(name => [name, Object.fromEntries(INTEGRATION_FIELDS[name].filter(field => integrations[name][field]).map(field => [field, integrations[name][field].trim()]))]));
+
+/**
+ * Builds the stored project from a request body. On update the body replaces the project's
+ * settings; fields it leaves out keep their current value.
+ */
+function buildProject(id, body, existing = null) {
+  const errors = validateProject({ ...existing, ...body });
+  if (errors.length) throw new ProjectError('Project is invalid', { validationErrors: errors });
+
+  const merged = { ...existing, ...body };
+  const now = new Date().toISOString();
+  const knowledgeBase = merged.knowledgeBase || {};
+  return {
+    id,
+    name: merged.name.trim(),
+    description: merged.description || null,
+    rubrics: Object.fromEntries(ARTIFACT_TYPES.map(type => [type, (merged.rubrics || {})[type] || null])),
+    knowledgeBase: {
+      namespace: knowledgeBase.namespace || null,
+      examples: (knowledgeBase.examples || []).map(example => ({
+        id: example.id || crypto.randomUUID().slice(0, 8),
+        type: example.type,
+        quality: example.quality,
+        text: example.text.trim(),
+        explanation: example.explanation || ''
+      }))
+    },
+    integrations: normalizeIntegrations(merged.integrations || {}),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+function requireStore() {
+  const store = getHistoryStore();
+  if (!store) throw new ProjectError('Projects need the history store (HISTORY_STORE is off)', { status: 503 });
+  return store;
+}
+
+function listProjects() {
+  return requireStore().listProjects();
+}
+
+function getProject(id) {
+  const project = requireStore().getProject(id);
+  if (!project) throw new ProjectError(`Project '${id}' not found`, { status: 404 });
+  return project;
+}
+
+// Creates a project; its id is the given one or a slug of its name
+function createProject(body) {
+  const store = requireStore();
+  const id = body.id || slugify(String(body.name || ''));
+  if (!VALID_ID.test(id)) {
+    throw new ProjectError('Project id must be lowercase letters, digits and dashes (at most 63 characters)', { validationErrors: [`/id '${id}' is not a valid id`] });
+  }
+  if (store.getProject(id)) throw new ProjectError(`Project '${id}' already exists`, { status: 409 });
+  const { id: ignored, ...settings } = body;
+  return store.saveProject(buildProject(id, settings));
+}
+
+function updateProject(id, body) {
+  const existing = getProject(id);
+  const { id: ignored, createdAt, updatedAt, ...settings } = body;
+  return requireStore().saveProject(buildProject(id, settings, existing));
+}
+
+function deleteProject(id) {
+  if (!requireStore().deleteProject(id)) throw new ProjectError(`Project '${id}' not found`, { status: 404 });
+}
+
+// --- Request scope ---
+
+const projectStorage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: loads the project named by X-Project-Id into `req.project` (null without
+ * the header) and makes it available to getCurrentProject() for the rest of the request. An
+ * unknown project is a 404. With history disabled no project can be looked up, so the id is kept
+ * as a bare `{ id }`; rubrics mapped in rubrics.json under `projects.<id>` still apply to it.
+ * An API key bound to a project scopes its requests to that project, header or not.
+ */
+function projectScope(req, res, next) {
+  const header = (req.headers['x-project-id'] || '').toString().trim();
+  const bound = req.apiKey && req.apiKey.project;
+  if (bound && header && header !== bound) {
+    return res.status(403).json({ error: `This API key is bound to project '${bound}'` });
+  }
+  const id = bound || header;
+  if (!id) {
+    req.project = null;
+    return next();
+  }
+  const store = getHistoryStore();
+  const project = store ? store.getProject(id) : { id };
+  if (!project) return res.status(404).json({ error: `Project '${id}' not found` });
+  req.project = project;
+  projectStorage.run(project, next);
+}
+
+function getCurrentProject() {
+  return projectStorage.getStore() || null;
+}
+
+/**
+ * Runs `fn` scoped to the project with id `id` (or unscoped when `id` is empty), as projectScope
+ * does for a request; for callers outside Express such as the CLI. `fn` receives the project.
+ */
+function withProject(id, fn) {
+  if (!id) return fn(null);
+  const store = getHistoryStore();
+  const project = store ? store.getProject(id) : { id };
+  if (!project) throw new ProjectError(`Project '${id}' not found`, { status: 404 });
+  return projectStorage.run(project, () => fn(project));
+}
+
+// --- Knowledge base ---
+
+/**
+ * The project's reference examples for `type` closest to `text` (TF-IDF similarity), shaped like
+ * ragEngine.retrieve results so the two can be merged.
+ */
+function projectExamples(project, text, type, topK = 3) {
+  const examples = ((project && project.knowledgeBase && project.knowledgeBase.examples) || []).filter(example => example.type === type);
+  if (examples.length === 0) return [];
+  const [query, ...vectors] = localVectors([text, ...examples.map(example => example.text)]);
+  return examples
+    .map((example, i) => ({ example, score: cosineSimilarity(query, vectors[i]) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ example, score }) => ({
+      id: example.id,
+      score: score.toFixed(3),
+      type: example.type,
+      quality: example.quality,
+      text: example.text,
+      explanation: example.explanation,
+      source: 'project'
+    }));
+}
+
+// Identifies a project's knowledge base in evaluation cache keys, so editing it invalidates cached results
+function knowledgeBaseKey(project) {
+  const knowledgeBase = project && project.knowledgeBase;
+  if (!knowledgeBase || (!knowledgeBase.namespace && knowledgeBase.examples.length === 0)) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(knowledgeBase)).digest('hex').slice(0, 16);
+}
+
+// --- Integrations ---
+
+// Fills the non-secret fields of an integration request from the project's settings
+function withIntegrationDefaults(project, name, body) {
+  const settings = (project && project.integrations && project.integrations[name]) || {};
+  const filled = { ...body };
+  INTEGRATION_FIELDS[name].forEach(field => {
+    if (!filled[field] && settings[field]) filled[field] = settings[field];
+  });
+  return filled;
+}
+
+module.exports = {
+  ProjectError,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  projectScope,
+  getCurrentProject,
+  withProject,
+  projectExamples,
+  knowledgeBaseKey,
+  withIntegrationDefaults,
+  EXAMPLE_QUALITIES,
+  INTEGRATION_FIELDS
+};
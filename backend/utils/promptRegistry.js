@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned prompt template registry.
+ *
+ * Templates live outside the code in `prompts/<name>/v<N>.txt` and use `{{variable}}`
+ * placeholders. `prompts/prompts.json` describes each prompt and pins its active version;
+ * PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_USER_STORY_EVALUATION=2) overrides the pin per
+ * environment. Files are re-read when they change on disk, so wording can be edited or rolled
+ * back without redeploying code. PROMPTS_DIR points the registry at another directory.
+ */
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '../prompts');
+const MANIFEST_FILE = 'prompts.json';
+const VALID_NAME = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Raised for unknown prompts/versions and for variables that do not match the template.
+ */
+class PromptError extends Error {
+  constructor(message, { prompt, version = null, status = 500 } = {}) {
+    super(message);
+    this.name = 'PromptError';
+    this.prompt = prompt;
+    this.version = version;
+    this.status = status;
+  }
+
+  toResponse() {
+    return {
+      error: this.status === 404 ? this.message : 'The prompt template for this endpoint is misconfigured.',
+      details: this.message,
+      prompt: this.prompt,
+      version: this.version
+    };
+  }
+}
+
+function getPromptsDir() {
+  const dir = (process.env.PROMPTS_DIR || '').trim();
+  return dir ? path.resolve(dir) : DEFAULT_PROMPTS_DIR;
+}
+
+// Parsed files keyed by path, invalidated when the file's mtime changes
+const fileCache = new Map();
+
+function readCached(file, parse) {
+  const mtimeMs = fs.statSync(file).mtimeMs;
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.value;
+
+  const value = parse(fs.readFileSync(file, 'utf8'));
+  fileCache.set(file, { mtimeMs, value });
+  return value;
+}
+
+function readManifest() {
+  const file = path.join(getPromptsDir(), MANIFEST_FILE);
+  if (!fs.existsSync(file)) return {};
+  return readCached(file, JSON.parse);
+}
+
+// "userStoryEvaluation" -> "USER_STORY_EVALUATION"
+function toEnvSuffix(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function extractVariables(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+/**
+ * Lists the versions available on disk for a prompt, in ascending order.
+ */
+function listVersions(name) {
+  if (!VALID_NAME.test(name)) return [];
+  const dir = path.join(getPromptsDir(), name);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => f.match(/^v(\d+)\.txt$/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Resolves the version used for a prompt: env override, then the manifest pin, then the latest file.
+ */
+function getActiveVersion(name) {
+  const versions = listVersions(name);
+  if (versions.length === 0) {
+    throw new PromptError(`Unknown prompt '${name}'`, { prompt: name, status: 404 });
+  }
+
+  const override = (process.env[`PROMPT_VERSION_${toEnvSuffix(name)}`] || '').trim();
+  const pinned = override || (readManifest()[name] || {}).active;
+  return pinned ? parseInt(String(pinned).replace(/^v/i, ''), 10) : versions[versions.length - 1];
+}
+
+function getTemplate(name, version = null) {
+  if (!VALID_NAME.test(name)) {
+    throw new PromptError(`Unknown prompt '${name}'`, { prompt: name, status: 404 });
+  }
+  const resolved = version ? parseInt(String(version).replace(/^v/i, ''), 10) : getActiveVersion(name);
+  const file = path.join(getPromptsDir(), name, `v${resolved}.txt`);
+
+  if (!fs.existsSync(file)) {
+    throw new PromptError(`Prompt '${name}' has no version ${resolved}`, { prompt: name, version: resolved, status: 404 });
+  }
+
+  const template = readCached(file, text => text);
+  return { name, version: resolved, template, variables: extractVariables(template) };
+}
+
+/**
+ * Renders a prompt with its variables. Every placeholder must be supplied and every supplied
+ * variable must appear in the template, so a template edit cannot silently drop an input.
+ * Returns `{ name, version, text }`.
+ */
+function renderPrompt(name, variables = {}, { version = null } = {}) {
+  const { version: resolved, template, variables: expected } = getTemplate(name, version);
+
+  const missing = expected.filter(v => variables[v] === undefined || variables[v] === null);
+  const unexpected = Object.keys(variables).filter(v => !expected.includes(v));
+  if (missing.length > 0 || unexpected.length > 0) {
+    const problems = [];
+    if (missing.length > 0) problems.push(`missing ${missing.join(', ')}`);
+    if (unexpected.length > 0) problems.push(`not used by the template: ${unexpected.join(', ')}`);
+    throw new PromptError(`Prompt '${name}' v${resolved} variables do not match (${problems.join('; ')})`, { prompt: name, version: resolved });
+  }
+
+  // Single pass, so placeholder-like text inside a value is never substituted again
+  const text = template.replace(PLACEHOLDER, (match, variable) => String(variables[variable]));
+  return { name, version: resolved, text };
+}
+
+/**
+ * Summarizes every registered prompt for diagnostics and the /prompts endpoint.
+ */
+function listPrompts() {
+  const dir = getPromptsDir();
+  if (!fs.existsSync(dir)) return [];
+  const manifest = readManifest();
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && listVersions(entry.name).length > 0)
+    .map(entry => {
+      const { version, variables } = getTemplate(entry.name);
+      return {
+        name: entry.name,
+        description: (manifest[entry.name] || {}).description || null,
+        activeVersion: version,
+        versions: listVersions(entry.name),
+        variables
+      };
+    });
+}
+
+module.exports = { renderPrompt, getTemplate, getActiveVersion, listPrompts, listVersions, getPromptsDir, PromptError };
@@ -17,37 +17,38 @@ function getIndex() {
   return pineconeIndex;
 }
 
-async function getEmbedding(text) {
-  const url = "https://api-inference.huggingface.co/pipeline/feature-extraction/sentence-transformers/all-MiniLM-L6-v2";
-  let embedding = new Array(768).fill(0.1); 
-  
+const EMBEDDING_URL = "https://api-inference.huggingface.co/pipeline/feature-extraction/sentence-transformers/all-MiniLM-L6-v2";
+
+// Embeds a batch of texts; resolves to one vector per text, or null when the service is unavailable
+async function requestEmbeddings(texts, timeoutMs) {
   try {
-    // 3 second aggressive timeout to prevent backend hang!
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3000);
-    
-    const res = await fetch(url, {
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    const res = await fetch(EMBEDDING_URL, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ inputs: [text] }),
+      body: JSON.stringify({ inputs: texts }),
       signal: controller.signal
     });
-    
+
     clearTimeout(timeoutId);
+    if (!res.ok) return null;
 
-    if (res.ok) {
-        const data = await res.json();
-        if (Array.isArray(data) && Array.isArray(data[0])) {
-            if (Array.isArray(data[0][0])) {
-                embedding = data[0][0];
-            } else {
-                embedding = data[0];
-            }
-        }
-    }
+    const data = await res.json();
+    if (!Array.isArray(data) || data.length !== texts.length) return null;
+    // Some models nest each sentence vector one level deeper
+    const vectors = data.map(v => (Array.isArray(v) && Array.isArray(v[0]) ? v[0] : v));
+    return vectors.every(v => Array.isArray(v) && v.length > 0 && typeof v[0] === 'number') ? vectors : null;
   } catch (err) {
-    // Suppress timeouts
+    return null; // Suppress timeouts
   }
+}
+
+async function getEmbedding(text) {
+  // 3 second aggressive timeout to prevent backend hang!
+  const vectors = await requestEmbeddings([text], 3000);
+  let embedding = vectors ? vectors[0] : new Array(768).fill(0.1);
 
   const targetDim = parseInt(process.env.PINECONE_DIMENSION || '768');
   if (embedding.length < targetDim) {
@@ -56,10 +57,25 @@ async function getEmbedding(text) {
   return embedding.slice(0, targetDim);
 }
 
-async function retrieve(queryText, entryType = null, topK = 3) {
+/**
+ * Embeds many texts for comparing them with each other (not for Pinecone, so no padding).
+ * Resolves to null unless every batch succeeds, so callers never mix real vectors with fallbacks.
+ */
+async function getEmbeddings(texts, { batchSize = 64, timeoutMs = 10000 } = {}) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = await requestEmbeddings(texts.slice(i, i + batchSize), timeoutMs);
+    if (!batch) return null;
+    vectors.push(...batch);
+  }
+  return vectors;
+}
+
+async function retrieve(queryText, entryType = null, topK = 3, namespace = null) {
   let retrieved = [];
   try {
-    const index = getIndex();
+    const shared = getIndex();
+    const index = shared && namespace ? shared.namespace(namespace) : shared;
     if (index) {
       const queryEmbedding = await getEmbedding(queryText);
       const filterDict = entryType ? { type: { "$eq": entryType } } : undefined;
@@ -123,4 +139,4 @@ function formatRagContext(examples, entryType) {
   return lines.join("\n");
 }
 
-module.exports = { retrieve, formatRagContext, getEmbedding };
+module.exports = { retrieve, formatRagContext, getEmbedding, getEmbeddings };
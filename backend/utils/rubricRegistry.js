@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateAgainst } = require('./structuredOutput');
+
+/**
+ * Scoring rubrics for the evaluation endpoints.
+ *
+ * A rubric is a JSON file in `rubrics/<id>.json` naming its criteria (with optional
+ * descriptions and weights), the integer score scale and the grade bands. The evaluation
+ * prompt, the response schema, the total/grade calculation and the UI's score colors are all
+ * derived from it, so teams can score against their own definition of quality.
+ *
+ * A request picks a rubric with `rubric` (an id, or an inline rubric object); otherwise the
+ * project's rubric is used (the project's own `rubrics.<type>`, or `projects.<id>.<type>` in
+ * `rubrics/rubrics.json`; project taken from the X-Project-Id header), then the default for the artifact's format (`formats`,
+ * e.g. Gherkin test cases), then the default for the artifact type. Files are re-read when
+ * they change on disk.
+ *
+ * The rubrics shipped in `rubrics/` are read-only. Rubrics saved through the API go to
+ * RUBRICS_DIR, a writable directory read before the built-in one (so it may also hold its own
+ * rubrics.json); without it rubrics cannot be saved. Built-in ids cannot be replaced.
+ */
+
+const BUILT_IN_RUBRICS_DIR = path.join(__dirname, '../rubrics');
+const MANIFEST_FILE = 'rubrics.json';
+const VALID_ID = /^[A-Za-z0-9_-]+$/;
+const ARTIFACT_TYPES = ['user_story', 'test_case'];
+
+const rubricSchema = {
+  type: 'object',
+  required: ['id', 'name', 'appliesTo', 'scale', 'criteria', 'grades'],
+  properties: {
+    id: { type: 'string', pattern: VALID_ID.source },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    appliesTo: { enum: ARTIFACT_TYPES },
+    scale: {
+      type: 'object',
+      required: ['min', 'max'],
+      properties: {
+        min: { type: 'integer', minimum: 0 },
+        max: { type: 'integer', minimum: 1, maximum: 100 }
+      }
+    },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 80 },
+          description: { type: 'string' },
+          weight: { type: 'number', exclusiveMinimum: 0 }
+        }
+      }
+    },
+    grades: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['grade', 'min'],
+        properties: {
+          grade: { type: 'string', minLength: 1, maxLength: 8 },
+          min: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    instructions: { type: 'string' }
+  }
+};
+
+/**
+ * Raised for unknown rubrics (404) and for rubric definitions that fail validation (400).
+ */
+class RubricError extends Error {
+  constructor(message, { rubric = null, status = 400, validationErrors = [] } = {}) {
+    super(message);
+    this.name = 'RubricError';
+    this.rubric = rubric;
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+
+  toResponse() {
+    return {
+      error: this.message,
+      rubric: this.rubric,
+      ...(this.validationErrors.length ? { validationErrors: this.validationErrors } : {})
+    };
+  }
+}
+
+// The writable directory for saved rubrics, or null when RUBRICS_DIR is unset
+function getRubricsDir() {
+  const dir = (process.env.RUBRICS_DIR || '').trim();
+  return dir ? path.resolve(dir) : null;
+}
+
+// Directories searched for rubrics, RUBRICS_DIR first
+function rubricDirs() {
+  const custom = getRubricsDir();
+  return custom && custom !== BUILT_IN_RUBRICS_DIR ? [custom, BUILT_IN_RUBRICS_DIR] : [BUILT_IN_RUBRICS_DIR];
+}
+
+// The first `<name>` file in the rubric directories, or null
+function findFile(name) {
+  return rubricDirs().map(dir => path.join(dir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+const isBuiltIn = (id) => fs.existsSync(path.join(BUILT_IN_RUBRICS_DIR, `${id}.json`));
+
+// Parsed files keyed by path, invalidated when the file's mtime changes
+const fileCache = new Map();
+
+function readJson(file) {
+  const mtimeMs = fs.statSync(file).mtimeMs;
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.value;
+
+  const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fileCache.set(file, { mtimeMs, value });
+  return value;
+}
+
+function readManifest() {
+  const file = findFile(MANIFEST_FILE);
+  return file ? readJson(file) : {};
+}
+
+/**
+ * Checks a rubric definition and returns its problems (empty when valid).
+ */
+function validateRubric(rubric) {
+  const errors = validateAgainst(rubricSchema, rubric);
+  if (errors.length > 0) return errors;
+
+  if (rubric.scale.min >= rubric.scale.max) errors.push('/scale min must be lower than max');
+  const names = rubric.criteria.map(c => c.name);
+  names.filter((name, i) => names.indexOf(name) !== i).forEach(name => errors.push(`/criteria lists "${name}" more than once`));
+  const bands = rubric.grades.map(g => g.min);
+  if (bands.some((min, i) => i > 0 && min >= bands[i - 1])) errors.push('/grades must be ordered from the highest band down');
+  const lowestTotal = rubric.criteria.reduce((sum, c) => sum + (c.weight || 1) * rubric.scale.min, 0);
+  if (bands[bands.length - 1] > lowestTotal) {
+    errors.push(`/grades lowest band must start at or below the lowest possible total (${lowestTotal})`);
+  }
+  return errors;
+}
+
+// Adds derived fields: default weights, the maximum total and a fingerprint for cache keys
+function compile(rubric) {
+  const criteria = rubric.criteria.map(c => ({ ...c, weight: c.weight || 1 }));
+  const maxScore = criteria.reduce((sum, c) => sum + c.weight * rubric.scale.max, 0);
+  const hash = crypto.createHash('sha256').update(JSON.stringify(rubric)).digest('hex').substring(0, 16);
+  return { ...rubric, criteria, maxScore: parseFloat(maxScore.toFixed(2)), hash };
+}
+
+function loadRubric(id) {
+  if (!VALID_ID.test(id)) throw new RubricError(`Unknown rubric '${id}'`, { rubric: id, status: 404 });
+  const file = findFile(`${id}.json`);
+  if (id === 'rubrics' || !file) throw new RubricError(`Unknown rubric '${id}'`, { rubric: id, status: 404 });
+
+  const rubric = readJson(file);
+  const errors = validateRubric(rubric);
+  if (errors.length > 0) {
+    throw new RubricError(`Rubric '${id}' is invalid`, { rubric: id, status: 500, validationErrors: errors });
+  }
+  if (rubric.id !== id) {
+    throw new RubricError(`Rubric file '${id}.json' declares id '${rubric.id}'`, { rubric: id, status: 500 });
+  }
+  return compile(rubric);
+}
+
+function getRubric(id) {
+  return loadRubric(id);
+}
+
+// The rubric used for an artifact type when neither the request nor its project picks one
+function getDefaultRubricId(type) {
+  return (readManifest().defaults || {})[type] || null;
+}
+
+// The rubric used for artifacts written in `format` (e.g. 'gherkin'), if one is configured
+function getFormatRubricId(format) {
+  return (format && (readManifest().formats || {})[format]) || null;
+}
+
+/**
+ * Resolves the rubric for an evaluation of `type`: the request's own choice (id or inline
+ * object), then the project's rubric, then the default for the artifact's format, then the
+ * default for the type. `project` is the request's project ({ id, rubrics? }) or null.
+ */
+function resolveRubric(type, { rubric = null, project = null, format = null } = {}) {
+  let resolved;
+  if (rubric && typeof rubric === 'object') {
+    const inline = { id: 'inline', appliesTo: type, ...rubric };
+    const errors = validateRubric(inline);
+    if (errors.length > 0) throw new RubricError('Inline rubric is invalid', { rubric: inline.id, validationErrors: errors });
+    resolved = compile(inline);
+  } else {
+    const manifest = readManifest();
+    const projectRubric = project && (((project.rubrics || {})[type]) || ((manifest.projects || {})[project.id] || {})[type]);
+    const id = rubric || projectRubric || getFormatRubricId(format) || getDefaultRubricId(type);
+    if (!id) throw new RubricError(`No default rubric is configured for ${type}`, { status: 500 });
+    resolved = loadRubric(id);
+  }
+
+  if (resolved.appliesTo !== type) {
+    throw new RubricError(`Rubric '${resolved.id}' applies to ${resolved.appliesTo}, not ${type}`, { rubric: resolved.id });
+  }
+  return resolved;
+}
+
+/**
+ * Writes a rubric definition to RUBRICS_DIR (creating or replacing `<id>.json`). Built-in
+ * rubrics cannot be replaced; copy one under a new id instead.
+ */
+function saveRubric(id, rubric) {
+  const definition = { ...rubric, id };
+  const errors = validateRubric(definition);
+  if (errors.length > 0) throw new RubricError(`Rubric '${id}' is invalid`, { rubric: id, validationErrors: errors });
+  if (id === 'rubrics') throw new RubricError(`'${id}' is a reserved rubric id`, { rubric: id });
+  if (isBuiltIn(id)) throw new RubricError(`Rubric '${id}' is built in and cannot be replaced; save it under a new id`, { rubric: id, status: 409 });
+
+  const dir = getRubricsDir();
+  if (!dir) throw new RubricError('Saving rubrics needs RUBRICS_DIR set to a writable directory', { rubric: id, status: 503 });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(definition, null, 2) + '\n');
+  return compile(definition);
+}
+
+/**
+ * Lists the registered rubrics (optionally only those for one artifact type).
+ */
+function listRubrics(type = null) {
+  const defaults = readManifest().defaults || {};
+  const ids = new Set(rubricDirs()
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir))
+    .filter(file => file.endsWith('.json') && file !== MANIFEST_FILE)
+    .map(file => file.replace(/\.json$/, '')));
+
+  return [...ids]
+    .map(id => {
+      try {
+        const rubric = loadRubric(id);
+        return summarizeRubric(rubric, { isDefault: defaults[rubric.appliesTo] === id });
+      } catch (err) {
+        return { id, error: err.message };
+      }
+    })
+    .filter(rubric => !type || rubric.appliesTo === type);
+}
+
+/**
+ * The rubric fields a client needs to render a result (scores, totals, grade colors).
+ */
+function summarizeRubric(rubric, extra = {}) {
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    description: rubric.description || null,
+    appliesTo: rubric.appliesTo,
+    scale: rubric.scale,
+    maxScore: rubric.maxScore,
+    criteria: rubric.criteria.map(c => ({ name: c.name, weight: c.weight })),
+    grades: rubric.grades,
+    ...extra
+  };
+}
+
+// --- Derived behaviour ---
+
+/**
+ * Weighted total of a result's criterion scores.
+ */
+function computeTotal(rubric, parameters) {
+  const total = parameters.reduce((sum, p, i) => {
+    const criterion = rubric.criteria.find(c => c.name === p.name) || rubric.criteria[i] || { weight: 1 };
+    return sum + (Number(p.score) || 0) * criterion.weight;
+  }, 0);
+  return parseFloat(total.toFixed(2));
+}
+
+function gradeFor(rubric, total) {
+  const band = rubric.grades.find(g => total >= g.min) || rubric.grades[rubric.grades.length - 1];
+  return band.grade;
+}
+
+/**
+ * Variables for the rubric-driven evaluation prompts.
+ */
+function promptVariables(rubric) {
+  const criteriaList = rubric.criteria.map(c => {
+    const weight = c.weight !== 1 ? ` (weight ${c.weight})` : '';
+    return `    - ${c.name}${weight}${c.description ? `: ${c.description}` : ''}`;
+  }).join('\n');
+  const responseFormat = rubric.criteria
+    .map(c => `        { "name": ${JSON.stringify(c.name)}, "score": number, "findings": "string" }`)
+    .join(',\n');
+
+  return {
+    rubricName: rubric.name,
+    scaleMin: rubric.scale.min,
+    scaleMax: rubric.scale.max,
+    criteriaList,
+    responseFormat,
+    rubricInstructions: rubric.instructions || ''
+  };
+}
+
+module.exports = {
+  resolveRubric,
+  getRubric,
+  getDefaultRubricId,
+  getFormatRubricId,
+  saveRubric,
+  listRubrics,
+  summarizeRubric,
+  validateRubric,
+  computeTotal,
+  gradeFor,
+  promptVariables,
+  getRubricsDir,
+  RubricError,
+  ARTIFACT_TYPES,
+  rubricSchema
+};
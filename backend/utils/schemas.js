@@ -0,0 +1,422 @@
+/**
+ * JSON-Schema contracts for every LLM-backed endpoint.
+ *
+ * Each response is validated against its contract after JSON repair; violations are fed
+ * back to the model for a bounded corrective retry (see structuredOutput.js).
+ */
+
+const scoreSchema = (min = 1, max = 5) => ({ type: 'integer', minimum: min, maximum: max });
+
+/**
+ * Evaluation contract: one entry per criterion, in order, with an integer score on the scale.
+ */
+function evaluationSchema(criteria, { min = 1, max = 5, extraProperties = {}, extraRequired = [] } = {}) {
+  return {
+    type: 'object',
+    required: ['parameters', 'recommendations', ...extraRequired],
+    properties: {
+      totalScore: { type: 'number' },
+      parameters: {
+        type: 'array',
+        minItems: criteria.length,
+        maxItems: criteria.length,
+        items: criteria.map(name => ({
+          type: 'object',
+          required: ['name', 'score', 'findings'],
+          properties: {
+            name: { const: name },
+            score: scoreSchema(min, max),
+            findings: { type: 'string', minLength: 1 }
+          }
+        })),
+        additionalItems: false
+      },
+      recommendations: { type: 'array', items: { type: 'string' } },
+      ...extraProperties
+    }
+  };
+}
+
+// Evaluation contracts follow the request's rubric (see rubricRegistry.js); compiled once per rubric
+const rubricSchemas = new Map();
+
+function forRubric(kind, rubric, build) {
+  const key = `${kind}:${rubric.hash}`;
+  if (!rubricSchemas.has(key)) {
+    rubricSchemas.set(key, build(rubric.criteria.map(c => c.name), { min: rubric.scale.min, max: rubric.scale.max }));
+  }
+  return rubricSchemas.get(key);
+}
+
+const userStoryEvaluationSchema = (rubric) => forRubric('userStory', rubric, (criteria, scale) => evaluationSchema(criteria, {
+  ...scale,
+  extraProperties: {
+    investOverview: { type: 'string', minLength: 1 },
+    grade: { type: 'string' }
+  },
+  extraRequired: ['investOverview']
+}));
+
+const testCaseEvaluationSchema = (rubric) => forRubric('testCase', rubric, (criteria, scale) => evaluationSchema(criteria, scale));
+
+const userStoryGenerationSchema = {
+  type: 'object',
+  required: ['summary', 'userStories'],
+  properties: {
+    summary: { type: 'string' },
+    userStories: {
+      type: 'array',
+      minItems: 3,
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'acceptanceCriteria', 'storyPoints'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          acceptanceCriteria: { type: 'array', minItems: 1, items: { type: 'string' } },
+          storyPoints: { type: 'number', minimum: 0 },
+          analysis: {
+            type: 'object',
+            required: ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable'],
+            properties: {
+              independent: scoreSchema(),
+              negotiable: scoreSchema(),
+              valuable: scoreSchema(),
+              estimable: scoreSchema(),
+              small: scoreSchema(),
+              testable: scoreSchema(),
+              investOverview: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Generation contract: categories must use exactly the strings the prompt asked for.
+ */
+function testCaseGenerationSchema(categories) {
+  return {
+    type: 'object',
+    required: ['testCases'],
+    properties: {
+      summary: { type: 'string' },
+      testCases: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['category', 'cases'],
+          properties: {
+            category: { enum: categories },
+            cases: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['name', 'steps', 'expectedResult'],
+                properties: {
+                  name: { type: 'string', minLength: 1 },
+                  steps: { type: 'string', minLength: 1 },
+                  expectedResult: { type: 'string', minLength: 1 },
+                  analysis: {
+                    type: 'object',
+                    properties: {
+                      clarity: scoreSchema(),
+                      traceability: scoreSchema(),
+                      coverage: scoreSchema(),
+                      justification: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// A Gherkin step: a sentence starting with its keyword
+const gherkinStepSchema = { type: 'string', pattern: '^(Given|When|Then|And|But) \\S' };
+
+/**
+ * Gherkin generation contract: one feature per requested category, written as structured
+ * scenarios that the pipeline renders into .feature files.
+ */
+function gherkinGenerationSchema(categories) {
+  return {
+    type: 'object',
+    required: ['features'],
+    properties: {
+      summary: { type: 'string' },
+      features: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['category', 'name', 'scenarios'],
+          properties: {
+            category: { enum: categories },
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            background: { type: 'array', items: gherkinStepSchema },
+            scenarios: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['name', 'steps'],
+                properties: {
+                  name: { type: 'string', minLength: 1 },
+                  tags: { type: 'array', items: { type: 'string' } },
+                  steps: { type: 'array', minItems: 2, items: gherkinStepSchema },
+                  examples: {
+                    type: 'object',
+                    required: ['header', 'rows'],
+                    properties: {
+                      header: { type: 'array', items: { type: 'string', minLength: 1 } },
+                      rows: { type: 'array', items: { type: 'array', items: { type: ['string', 'number', 'boolean'] } } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Story-splitting contract: one split per SPIDR pattern used, each with at least two child stories
+ * in the same shape as generated stories.
+ */
+function storySplittingSchema(patterns) {
+  return {
+    type: 'object',
+    required: ['assessment', 'splits', 'recommendedPattern'],
+    properties: {
+      assessment: {
+        type: 'object',
+        required: ['oversized', 'reasons'],
+        properties: {
+          oversized: { type: 'boolean' },
+          reasons: { type: 'string', minLength: 1 }
+        }
+      },
+      splits: {
+        type: 'array',
+        minItems: 1,
+        maxItems: patterns.length,
+        items: {
+          type: 'object',
+          required: ['pattern', 'rationale', 'stories'],
+          properties: {
+            pattern: { enum: patterns },
+            rationale: { type: 'string', minLength: 1 },
+            stories: {
+              type: 'array',
+              minItems: 2,
+              items: {
+                type: 'object',
+                required: ['name', 'description', 'acceptanceCriteria', 'storyPoints'],
+                properties: {
+                  name: { type: 'string', minLength: 1 },
+                  description: { type: 'string', minLength: 10 },
+                  acceptanceCriteria: { type: 'array', minItems: 1, items: { type: 'string' } },
+                  storyPoints: { type: 'number', minimum: 0 }
+                }
+              }
+            }
+          }
+        }
+      },
+      recommendedPattern: { enum: patterns }
+    }
+  };
+}
+
+/**
+ * Consistency-analysis contract for one chunk of a batch: dependencies and conflicts between
+ * stories, every id drawn from the batch.
+ */
+function consistencyAnalysisSchema(storyIds, dependencyTypes, conflictTypes) {
+  const storyId = { enum: storyIds };
+  return {
+    type: 'object',
+    required: ['dependencies', 'conflicts', 'summary'],
+    properties: {
+      dependencies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['from', 'to', 'type', 'reason'],
+          properties: {
+            from: storyId,
+            to: storyId,
+            type: { enum: dependencyTypes },
+            reason: { type: 'string', minLength: 1 }
+          }
+        }
+      },
+      conflicts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'stories', 'description', 'severity', 'suggestion'],
+          properties: {
+            type: { enum: conflictTypes },
+            stories: { type: 'array', minItems: 2, items: storyId },
+            description: { type: 'string', minLength: 1 },
+            severity: { enum: ['error', 'warning'] },
+            suggestion: { type: 'string' }
+          }
+        }
+      },
+      summary: { type: 'string' }
+    }
+  };
+}
+
+/**
+ * Acceptance-criteria contract: one review per criterion, in order, plus the story-level
+ * completeness score and the criteria the story still needs.
+ */
+function acceptanceCriteriaEvaluationSchema(count) {
+  return {
+    type: 'object',
+    required: ['criteria', 'completeness', 'missingCriteria', 'summary'],
+    properties: {
+      criteria: {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: Array.from({ length: count }, (_, i) => ({
+          type: 'object',
+          required: ['index', 'measurable', 'unambiguous', 'independent', 'issues', 'storyReference'],
+          properties: {
+            index: { const: i + 1 },
+            measurable: scoreSchema(),
+            unambiguous: scoreSchema(),
+            independent: scoreSchema(),
+            issues: { type: 'array', items: { type: 'string', minLength: 1 } },
+            suggestedRewrite: { type: 'string' },
+            storyReference: { type: 'string' }
+          }
+        })),
+        additionalItems: false
+      },
+      completeness: {
+        type: 'object',
+        required: ['score', 'findings'],
+        properties: {
+          score: scoreSchema(),
+          findings: { type: 'string', minLength: 1 }
+        }
+      },
+      missingCriteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['text', 'reason', 'storyReference'],
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            reason: { type: 'string', minLength: 1 },
+            storyReference: { type: 'string' }
+          }
+        }
+      },
+      summary: { type: 'string', minLength: 1 }
+    }
+  };
+}
+
+const mockupTestCasesSchema = {
+  type: 'object',
+  required: ['testCases'],
+  properties: {
+    summary: { type: 'string' },
+    testCases: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'steps', 'expectedResult'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          precondition: { type: 'string' },
+          steps: { type: 'string', minLength: 1 },
+          expectedResult: { type: 'string', minLength: 1 },
+          postcondition: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const DEEPEVAL_METRICS = ['Faithfulness', 'Hallucination', 'Contextual Precision', 'Contextual Recall', 'Answer Relevancy', 'Answer Correctness'];
+
+const deepEvalSchema = {
+  type: 'object',
+  required: DEEPEVAL_METRICS,
+  properties: Object.fromEntries(DEEPEVAL_METRICS.map(metric => [metric, {
+    type: 'object',
+    required: ['score', 'passed', 'reason'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      passed: { type: 'boolean' },
+      reason: { type: 'string' }
+    }
+  }]))
+};
+
+const refinementSchema = {
+  type: 'object',
+  required: ['refinedContent', 'improvementsMade', 'estimatedNewGrade'],
+  properties: {
+    refinedContent: { type: 'string', minLength: 1 },
+    improvementsMade: { type: 'array', items: { type: 'string' } },
+    estimatedNewGrade: { type: 'string' }
+  }
+};
+
+const reviewSchema = {
+  type: 'object',
+  required: ['verdict', 'feedback'],
+  properties: {
+    verdict: { enum: ['Pass', 'Fail', 'Needs Work'] },
+    feedback: { type: 'string' }
+  }
+};
+
+const multiAgentReviewSchema = {
+  type: 'object',
+  required: ['poReview', 'qaReview', 'secReview', 'consensus'],
+  properties: {
+    poReview: reviewSchema,
+    qaReview: reviewSchema,
+    secReview: reviewSchema,
+    consensus: { type: 'string' }
+  }
+};
+
+module.exports = {
+  evaluationSchema,
+  userStoryEvaluationSchema,
+  testCaseEvaluationSchema,
+  userStoryGenerationSchema,
+  testCaseGenerationSchema,
+  gherkinGenerationSchema,
+  acceptanceCriteriaEvaluationSchema,
+  storySplittingSchema,
+  consistencyAnalysisSchema,
+  mockupTestCasesSchema,
+  deepEvalSchema,
+  refinementSchema,
+  multiAgentReviewSchema
+};
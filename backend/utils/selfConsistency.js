@@ -0,0 +1,151 @@
+/**
+ * Self-consistency scoring.
+ *
+ * A single evaluation at temperature 0 hides how sure the model is: the same story can land
+ * on either side of a grade boundary between runs. In multi-sample mode the pipeline runs the
+ * evaluation N times at a non-zero temperature and this module folds the samples into one
+ * consensus result: the per-criterion median becomes the score, and the spread across samples
+ * becomes the confidence reported alongside it.
+ */
+
+const DEFAULT_MAX_SAMPLES = 7;
+const DEFAULT_SAMPLE_TEMPERATURE = 0.7;
+
+// Criteria whose sample scores span this share of the rubric's scale (2 points on 1-5) are flagged
+const UNSTABLE_SPREAD = 0.4;
+// ...as are criteria where fewer than this share of samples agree with the median
+const UNSTABLE_AGREEMENT = 0.5;
+
+// Two-sided 95% Student's t critical values by degrees of freedom
+const T_95 = [null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262];
+
+function getMaxSamples() {
+  const value = parseInt(process.env.EVAL_MAX_SAMPLES, 10);
+  return Number.isFinite(value) && value >= 1 ? value : DEFAULT_MAX_SAMPLES;
+}
+
+function getSampleTemperature() {
+  const value = parseFloat(process.env.EVAL_SAMPLE_TEMPERATURE);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SAMPLE_TEMPERATURE;
+}
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Sample standard deviation (0 for a single sample)
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function confidenceInterval(values, [lower, upper]) {
+  const m = mean(values);
+  if (values.length < 2) return [round(m), round(m)];
+  const t = T_95[values.length - 1] || 1.96;
+  const margin = (t * stdDev(values)) / Math.sqrt(values.length);
+  return [round(Math.max(lower, m - margin)), round(Math.min(upper, m + margin))];
+}
+
+function confidenceLevel(confidence, unstableCount) {
+  if (confidence >= 0.8 && unstableCount === 0) return 'high';
+  if (confidence >= 0.6) return 'medium';
+  return 'low';
+}
+
+/**
+ * Folds N schema-valid evaluation results into a consensus result.
+ *
+ * `finalize(result)` recomputes the rubric's total and grade from the criterion scores;
+ * `scoreRange` is the per-criterion scale and `totalRange` the range of possible totals. The
+ * consensus keeps the narrative fields (overview, recommendations) of the sample closest to
+ * the median total, replaces each criterion's score with the median and its findings with
+ * those of a sample that scored it that way, and adds a `consistency` report.
+ */
+function aggregateSamples(samples, { finalize, scoreRange = [1, 5], totalRange = null, temperature = null, failedSamples = 0 } = {}) {
+  samples.forEach(sample => finalize(sample));
+  const unstableSpread = Math.max(1, Math.round(UNSTABLE_SPREAD * (scoreRange[1] - scoreRange[0])));
+
+  const names = samples[0].parameters.map(p => p.name);
+  const criteria = names.map((name, index) => {
+    const scores = samples.map(sample => Number(sample.parameters[index].score) || 0);
+    const med = median(scores);
+    const agreement = scores.filter(score => score === med).length / scores.length;
+    const spread = Math.max(...scores) - Math.min(...scores);
+    return {
+      name,
+      median: med,
+      scores,
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      spread,
+      stdDev: round(stdDev(scores)),
+      agreement: round(agreement),
+      unstable: spread >= unstableSpread || agreement < UNSTABLE_AGREEMENT
+    };
+  });
+
+  const totals = samples.map(sample => sample.totalScore);
+  const consensus = { parameters: criteria.map(c => ({ name: c.name, score: c.median })) };
+  finalize(consensus);
+  const consensusTotal = consensus.totalScore;
+  const representative = samples.reduce((best, sample) =>
+    Math.abs(sample.totalScore - consensusTotal) < Math.abs(best.totalScore - consensusTotal) ? sample : best
+  );
+
+  const result = {
+    ...representative,
+    parameters: criteria.map((criterion, index) => {
+      // Findings should explain the consensus score, so borrow them from a sample that gave it
+      const closest = samples.reduce((best, sample) =>
+        Math.abs(sample.parameters[index].score - criterion.median) < Math.abs(best.parameters[index].score - criterion.median) ? sample : best
+      );
+      return {
+        ...closest.parameters[index],
+        score: criterion.median,
+        consistency: { scores: criterion.scores, spread: criterion.spread, agreement: criterion.agreement, unstable: criterion.unstable }
+      };
+    })
+  };
+  finalize(result);
+
+  const grades = samples.map(sample => sample.grade).filter(Boolean);
+  const gradeCounts = grades.reduce((counts, grade) => ({ ...counts, [grade]: (counts[grade] || 0) + 1 }), {});
+  const gradeAgreement = grades.length ? round((gradeCounts[result.grade] || 0) / grades.length) : null;
+
+  const confidence = round(mean(criteria.map(c => c.agreement)));
+  const unstableCriteria = criteria.filter(c => c.unstable).map(c => c.name);
+
+  result.consistency = {
+    samples: samples.length,
+    failedSamples,
+    temperature,
+    confidence,
+    confidenceLevel: confidenceLevel(gradeAgreement !== null ? Math.min(confidence, gradeAgreement) : confidence, unstableCriteria.length),
+    gradeAgreement,
+    grades: grades.length ? gradeCounts : null,
+    totalScore: {
+      median: median(totals),
+      mean: round(mean(totals)),
+      stdDev: round(stdDev(totals)),
+      min: Math.min(...totals),
+      max: Math.max(...totals),
+      ci95: confidenceInterval(totals, totalRange || [scoreRange[0] * names.length, scoreRange[1] * names.length])
+    },
+    criteria,
+    unstableCriteria
+  };
+
+  return result;
+}
+
+module.exports = { aggregateSamples, getMaxSamples, getSampleTemperature };
@@ -0,0 +1,44 @@
+/**
+ * Minimal Server-Sent Events writer for POST routes.
+ *
+ * Browsers' EventSource only supports GET, so clients read these streams with fetch();
+ * the wire format is standard `event:` / `data:` frames either way.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (nginx, Render) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  // Comment frames keep idle connections open while the model is thinking
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,241 @@
+/**
+ * Cross-story consistency checks for a batch of user stories.
+ *
+ * "Independent" is scored per story, so nothing notices when two stories in one upload depend on
+ * each other or contradict each other. The checks here need no model: stories that name other
+ * stories ("depends on US-3"), numeric limits that disagree ("at least 8 characters" against "at
+ * least 10 characters") and dependency cycles. The consistency pipeline adds the model's findings
+ * and builds the graph with `buildDependencyGraph`.
+ */
+
+const { parseStory } = require('./storyLinter');
+
+const DEPENDENCY_TYPES = ['depends-on', 'requires-data', 'shares-component', 'extends', 'related'];
+const CONFLICT_TYPES = ['rule', 'persona', 'limit', 'scope', 'terminology', 'cycle'];
+
+// Wording before a story id that makes the mentioning story the dependent one
+const DEPENDS_WORDS = /\b(?:depends?\s+on|dependent\s+on|requires?|after|blocked\s+by|builds?\s+on|once|extends?|following)\s*$/i;
+
+// Units a limit can be stated in, singular and plural mapped to one key
+const UNITS = {
+  character: 'characters', characters: 'characters', chars: 'characters',
+  digit: 'digits', digits: 'digits',
+  attempt: 'attempts', attempts: 'attempts', tries: 'attempts',
+  second: 'seconds', seconds: 'seconds', minute: 'minutes', minutes: 'minutes', mins: 'minutes',
+  hour: 'hours', hours: 'hours', day: 'days', days: 'days', week: 'weeks', weeks: 'weeks',
+  item: 'items', items: 'items', user: 'users', users: 'users', file: 'files', files: 'files',
+  kb: 'KB', mb: 'MB', gb: 'GB', '%': '%', percent: '%'
+};
+const MAX_WORDS = /(?:at\s+most|no\s+more\s+than|maximum(?:\s+of)?|max(?:imum)?\.?|up\s+to|within|less\s+than|fewer\s+than|under|not\s+exceed(?:ing)?)/;
+const MIN_WORDS = /(?:at\s+least|minimum(?:\s+of)?|min\.?|more\s+than|over|no\s+less\s+than)/;
+const LIMIT = new RegExp(`(?:(${MAX_WORDS.source})|(${MIN_WORDS.source}))?\\s*(\\d+(?:\\.\\d+)?)\\s*(${Object.keys(UNITS).join('|')})(?![a-z])`, 'gi');
+const SUBJECT_STOP_WORDS = new Set(['a', 'an', 'the', 'be', 'is', 'are', 'must', 'should', 'shall', 'will', 'can', 'of', 'to', 'for', 'with', 'has', 'have', 'after', 'than', 'and', 'or', 'i', 'it', 'my', 'their', 'within', 'in', 'on']);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// The noun a limit applies to: the nearest content word before it, e.g. "password" in "password must be at least 8 characters"
+function limitSubject(text, index) {
+  const words = text.slice(Math.max(0, index - 60), index).toLowerCase().match(/[a-z]+/g) || [];
+  for (let i = words.length - 1; i >= 0 && i >= words.length - 5; i--) {
+    if (!SUBJECT_STOP_WORDS.has(words[i]) && !MAX_WORDS.test(words[i]) && !MIN_WORDS.test(words[i])) return words[i];
+  }
+  return null;
+}
+
+/**
+ * Numeric limits stated in a story: [{ subject, bound: 'min'|'max'|'exact', value, unit, text, start, end }].
+ * Limits without a recognizable subject are left out, since they cannot be compared across stories.
+ */
+function extractLimits(text) {
+  const story = String(text || '');
+  const limits = [];
+  for (const match of story.matchAll(LIMIT)) {
+    const subject = limitSubject(story, match.index);
+    if (!subject) continue;
+    limits.push({
+      subject,
+      bound: match[1] ? 'max' : match[2] ? 'min' : 'exact',
+      value: Number(match[3]),
+      unit: UNITS[match[4].toLowerCase()],
+      text: match[0].trim(),
+      start: match.index + (match[0].length - match[0].trimStart().length),
+      end: match.index + match[0].length
+    });
+  }
+  return limits;
+}
+
+// A story's persona, goal and limits, as the checks and the prompt use them
+function describeStory(story) {
+  const parts = parseStory(story.text);
+  return {
+    id: story.id,
+    persona: parts.role ? parts.role.text.trim() : null,
+    goal: parts.goal ? parts.goal.text.trim() : null,
+    limits: extractLimits(story.text)
+  };
+}
+
+/**
+ * Dependencies stated in the stories themselves: a story that names another story's id.
+ * "Depends on US-3", "after US-3" and the like make it `depends-on`; a bare mention is `related`.
+ */
+function findReferencedDependencies(stories) {
+  const edges = [];
+  stories.forEach(story => {
+    stories.forEach(other => {
+      if (other.id === story.id) return;
+      const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(other.id)}(?![\\w-])`, 'gi');
+      const match = [...String(story.text).matchAll(pattern)][0];
+      if (!match) return;
+      const before = story.text.slice(Math.max(0, match.index - 30), match.index);
+      edges.push({
+        from: story.id,
+        to: other.id,
+        type: DEPENDS_WORDS.test(before) ? 'depends-on' : 'related',
+        reason: `Mentions ${other.id}`,
+        source: 'reference'
+      });
+    });
+  });
+  return edges;
+}
+
+const describeLimit = (limit) => `${limit.bound === 'max' ? 'at most ' : limit.bound === 'min' ? 'at least ' : ''}${limit.value} ${limit.unit}`;
+
+/**
+ * Limits on the same subject and unit that disagree across stories: different values for the same
+ * bound, or a minimum above another story's maximum. One conflict per subject and unit.
+ */
+function findLimitConflicts(described) {
+  const groups = new Map();
+  described.forEach(story => story.limits.forEach(limit => {
+    const key = `${limit.subject}|${limit.unit}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ story: story.id, ...limit });
+  }));
+
+  const conflicts = [];
+  for (const limits of groups.values()) {
+    if (new Set(limits.map(l => l.story)).size < 2) continue;
+    const disagree = limits.some(a => limits.some(b => a.story !== b.story && (
+      (a.bound === b.bound && a.value !== b.value) ||
+      (a.bound === 'min' && b.bound === 'max' && a.value > b.value)
+    )));
+    if (!disagree) continue;
+    const { subject, unit } = limits[0];
+    conflicts.push({
+      type: 'limit',
+      stories: [...new Set(limits.map(l => l.story))],
+      description: `The ${subject} limit in ${unit} differs: ${limits.map(l => `${l.story} says ${describeLimit(l)}`).join('; ')}`,
+      severity: 'error',
+      suggestion: `Agree on one ${subject} limit and use it in every story`,
+      source: 'rule'
+    });
+  }
+  return conflicts;
+}
+
+// Dependency cycles (A depends on B depends on A), each as the list of story ids around it
+function findCycles(ids, edges) {
+  const next = new Map(ids.map(id => [id, []]));
+  edges.filter(e => e.type !== 'related').forEach(e => next.get(e.from).push(e.to));
+
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+  const path = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    path.push(id);
+    for (const to of next.get(id)) {
+      if (state.get(to) === 'active') {
+        const cycle = path.slice(path.indexOf(to));
+        const key = [...cycle].sort().join('|');
+        if (!seen.has(key)) { seen.add(key); cycles.push(cycle); }
+      } else if (!state.has(to)) {
+        visit(to);
+      }
+    }
+    path.pop();
+    state.set(id, 'done');
+  };
+  ids.forEach(id => { if (!state.has(id)) visit(id); });
+  return cycles;
+}
+
+// A story cannot depend on itself, and a conflict needs two different stories
+function consistencyCheck(data) {
+  const errors = [];
+  data.dependencies.forEach((dep, i) => {
+    if (dep.from === dep.to) errors.push(`/dependencies/${i} has the same story "${dep.from}" as from and to`);
+  });
+  data.conflicts.forEach((conflict, i) => {
+    if (new Set(conflict.stories).size < 2) errors.push(`/conflicts/${i} must name at least two different stories`);
+  });
+  return errors;
+}
+
+// Each dependency cycle as a conflict: the stories in it cannot be built in any order
+const cycleConflicts = (cycles) => cycles.map(cycle => ({
+  type: 'cycle',
+  stories: cycle,
+  description: `Dependency cycle: ${[...cycle, cycle[0]].join(' -> ')}`,
+  severity: 'error',
+  suggestion: 'Split or re-scope one of these stories so the cycle is broken',
+  source: 'graph'
+}));
+
+/**
+ * The dependency graph for the batch: nodes with what they depend on and what they block,
+ * de-duplicated edges (a story's own reference wins over the model's reading), cycles and a
+ * build order in which every story comes after the stories it depends on (cycles broken by
+ * upload order). Stories with no edges at all are `independent`.
+ */
+function buildDependencyGraph(stories, edgeLists) {
+  const ids = stories.map(s => s.id);
+  const known = new Set(ids);
+  const edges = [];
+  const byPair = new Map();
+  edgeLists.flat().forEach(edge => {
+    if (!known.has(edge.from) || !known.has(edge.to) || edge.from === edge.to) return;
+    const key = `${edge.from}|${edge.to}`;
+    if (byPair.has(key)) return;
+    byPair.set(key, edge);
+    edges.push(edge);
+  });
+
+  const directed = edges.filter(e => e.type !== 'related');
+  const nodes = stories.map(story => ({
+    id: story.id,
+    persona: story.persona,
+    goal: story.goal,
+    dependsOn: directed.filter(e => e.from === story.id).map(e => e.to),
+    blocks: directed.filter(e => e.to === story.id).map(e => e.from),
+    independent: !edges.some(e => e.from === story.id || e.to === story.id)
+  }));
+
+  const order = [];
+  const placed = new Set();
+  while (order.length < ids.length) {
+    const ready = nodes.find(n => !placed.has(n.id) && n.dependsOn.every(id => placed.has(id)))
+      || nodes.find(n => !placed.has(n.id));
+    placed.add(ready.id);
+    order.push(ready.id);
+  }
+
+  return { nodes, edges, cycles: findCycles(ids, edges), order };
+}
+
+module.exports = {
+  extractLimits,
+  describeStory,
+  findReferencedDependencies,
+  findLimitConflicts,
+  findCycles,
+  consistencyCheck,
+  cycleConflicts,
+  buildDependencyGraph,
+  DEPENDENCY_TYPES,
+  CONFLICT_TYPES
+};
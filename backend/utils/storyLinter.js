@@ -0,0 +1,157 @@
+/**
+ * Rule-based user story linter.
+ *
+ * Much of what the INVEST prompt flags is mechanical: a missing "As a / I want / so that"
+ * part, no acceptance criteria, vague words like "fast" or "user-friendly". These rules catch
+ * that deterministically, without an LLM call, so `/lint` works with no API key and
+ * `/evaluate` can return the findings next to the model's scores.
+ *
+ * Each finding carries a rule id, a severity (`error`, `warning` or `info`) and the
+ * character offsets (`start` inclusive, `end` exclusive) of the text it is about. Findings
+ * about something missing point at the place it would go.
+ */
+
+const RULES = {
+  'missing-role': { severity: 'error', description: 'The story names who it is for ("As a <role>")' },
+  'missing-goal': { severity: 'error', description: 'The story states what the role wants ("I want to <goal>")' },
+  'missing-benefit': { severity: 'warning', description: 'The story says why ("so that <benefit>")' },
+  'vague-role': { severity: 'warning', description: 'The role is a specific persona, not "a user" or "the system"' },
+  'vague-term': { severity: 'warning', description: 'No unmeasurable words like "fast", "easy" or "user-friendly"' },
+  'missing-acceptance-criteria': { severity: 'warning', description: 'The story lists acceptance criteria' },
+  'compound-goal': { severity: 'info', description: 'The goal asks for one thing; "and"/"or" often joins two stories' },
+  'long-story': { severity: 'info', description: 'The story statement fits in one short sentence' }
+};
+
+const VAGUE_ROLES = ['user', 'users', 'someone', 'somebody', 'anyone', 'person', 'people', 'everyone', 'system', 'the system'];
+
+// Words that sound like requirements but cannot be tested as written
+const VAGUE_TERMS = [
+  'fast', 'faster', 'quick', 'quickly', 'slow', 'easy', 'easily', 'simple', 'simply', 'user-friendly', 'user friendly',
+  'intuitive', 'efficient', 'efficiently', 'seamless', 'seamlessly', 'robust', 'scalable', 'flexible', 'modern',
+  'nice', 'better', 'improved', 'optimal', 'optimized', 'appropriate', 'adequate', 'reasonable', 'as needed',
+  'as appropriate', 'etc', 'and so on', 'and/or', 'several', 'various'
+];
+
+const LONG_STORY_WORDS = 50;
+
+const ROLE = /\bas\s+(?:an?|the|one)\s+([^,\n]+?)(?=\s*,|\s+I\s+(?:want|need|would like|wish|can|should)\b|\r?\n|$)/i;
+const GOAL = /\bI\s+(?:want|need|would like|wish|can|should be able)(?:\s+to)?\s+([^\n]*?)(?=\s*,?\s*so\s+that\b|\.(?:\s|$)|\r?\n|$)/i;
+const BENEFIT = /\bso\s+that\b\s*([^\n]*?)(?=\.(?:\s|$)|\r?\n|$)/i;
+const ACCEPTANCE_CRITERIA = /\b(?:acceptance\s+criteria|AC\s*:)|^\s*(?:given|when|then)\b/im;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const VAGUE_TERM_PATTERN = new RegExp(`\\b(?:${VAGUE_TERMS.map(escapeRegExp).join('|')})\\b`, 'gi');
+
+/**
+ * Finds the unmeasurable words in a text: [{ term, start, end }].
+ */
+function findVagueTerms(text) {
+  return [...String(text || '').matchAll(VAGUE_TERM_PATTERN)].map(match => ({
+    term: match[0], start: match.index, end: match.index + match[0].length
+  }));
+}
+
+function finding(ruleId, message, start, end, extra = {}) {
+  return { ruleId, severity: RULES[ruleId].severity, message, start, end, ...extra };
+}
+
+// Locates a capture group of a regex match as { text, start, end }
+function locate(match, group = 1) {
+  if (!match || !match[group]) return null;
+  const start = match.index + match[0].lastIndexOf(match[group]);
+  return { text: match[group], start, end: start + match[group].length };
+}
+
+/**
+ * Splits a story into its parts: role, goal, benefit and where the acceptance criteria start.
+ */
+function parseStory(text) {
+  const criteriaMatch = ACCEPTANCE_CRITERIA.exec(text);
+  const statementEnd = criteriaMatch ? criteriaMatch.index : text.length;
+  const statement = text.slice(0, statementEnd);
+
+  return {
+    statement: { text: statement, start: 0, end: statementEnd },
+    role: locate(ROLE.exec(statement)),
+    goal: locate(GOAL.exec(statement)),
+    benefit: locate(BENEFIT.exec(statement)),
+    acceptanceCriteria: criteriaMatch ? { start: criteriaMatch.index } : null
+  };
+}
+
+/**
+ * Lints a user story. `acceptanceCriteria` (an array, e.g. from a Jira field) counts as the
+ * story's criteria when the text itself has none.
+ *
+ * Returns { findings, summary: { errors, warnings, info }, passed, parts }.
+ */
+function lintUserStory(text, { acceptanceCriteria = null } = {}) {
+  const story = String(text || '');
+  const parts = parseStory(story);
+  const findings = [];
+
+  if (!parts.role) {
+    findings.push(finding('missing-role', 'No role: start with "As a <specific persona>"', 0, 0));
+  } else if (VAGUE_ROLES.includes(parts.role.text.trim().toLowerCase())) {
+    findings.push(finding('vague-role', `"${parts.role.text}" does not say who benefits; name a specific persona`, parts.role.start, parts.role.end, {
+      excerpt: parts.role.text
+    }));
+  }
+
+  if (!parts.goal) {
+    const at = parts.role ? parts.role.end : 0;
+    findings.push(finding('missing-goal', 'No goal: say what the role wants with "I want to <action>"', at, at));
+  } else {
+    const conjunction = /\b(?:and\/or|and|or)\b/i.exec(parts.goal.text);
+    if (conjunction) {
+      const start = parts.goal.start + conjunction.index;
+      findings.push(finding('compound-goal', `The goal joins several wants with "${conjunction[0]}"; consider splitting the story`, start, start + conjunction[0].length, {
+        excerpt: parts.goal.text
+      }));
+    }
+  }
+
+  if (!parts.benefit) {
+    const at = parts.goal ? parts.goal.end : parts.statement.end;
+    findings.push(finding('missing-benefit', 'No benefit: add "so that <value to the role>"', at, at));
+  }
+
+  for (const { term, start, end } of findVagueTerms(story)) {
+    findings.push(finding('vague-term', `"${term}" is not measurable; state a concrete target (e.g. "within 2 seconds")`, start, end, {
+      excerpt: term
+    }));
+  }
+
+  const hasCriteria = parts.acceptanceCriteria || (Array.isArray(acceptanceCriteria) && acceptanceCriteria.some(c => String(c).trim()));
+  if (!hasCriteria) {
+    findings.push(finding('missing-acceptance-criteria', 'No acceptance criteria: add "Acceptance Criteria:" or Given/When/Then lines', story.length, story.length));
+  }
+
+  const words = parts.statement.text.trim().split(/\s+/).filter(Boolean).length;
+  if (words > LONG_STORY_WORDS) {
+    findings.push(finding('long-story', `The story statement is ${words} words; keep it under ${LONG_STORY_WORDS} and move detail into acceptance criteria`, 0, parts.statement.end));
+  }
+
+  findings.sort((a, b) => a.start - b.start);
+  const count = (severity) => findings.filter(f => f.severity === severity).length;
+  const summary = { errors: count('error'), warnings: count('warning'), info: count('info') };
+
+  return {
+    findings,
+    summary,
+    passed: summary.errors === 0,
+    parts: {
+      role: parts.role,
+      goal: parts.goal,
+      benefit: parts.benefit,
+      hasAcceptanceCriteria: !!hasCriteria
+    }
+  };
+}
+
+// The rule catalogue, for clients that want to explain or filter findings
+function listLintRules() {
+  return Object.entries(RULES).map(([id, rule]) => ({ id, ...rule }));
+}
+
+module.exports = { lintUserStory, listLintRules, parseStory, findVagueTerms };
@@ -0,0 +1,58 @@
+/**
+ * SPIDR story-splitting patterns.
+ *
+ * An oversized story or epic is split along one named pattern at a time, so each proposal is a
+ * coherent alternative the team can compare, rather than one rewrite that hides how the work was
+ * cut. The catalogue drives the prompt, the schema's pattern enum and the `patterns` option.
+ */
+
+const SPLIT_PATTERNS = {
+  spike: {
+    name: 'Spike',
+    description: 'Split off a time-boxed research story that removes the uncertainty blocking an estimate, then the build story it unlocks'
+  },
+  paths: {
+    name: 'Paths',
+    description: 'One story per path through the workflow: the happy path first, then alternative and error paths'
+  },
+  interfaces: {
+    name: 'Interfaces',
+    description: 'One story per interface or channel (web, mobile, API, import) or per level of UI polish'
+  },
+  data: {
+    name: 'Data',
+    description: 'Start with a subset of the data types, formats or sources, then add the rest in later stories'
+  },
+  rules: {
+    name: 'Rules',
+    description: 'Implement the core behaviour with the simplest business rules first, then add each rule or constraint as its own story'
+  }
+};
+
+const PATTERN_IDS = Object.keys(SPLIT_PATTERNS);
+
+// The prompt's pattern list, e.g. "- Paths: One story per path ..."
+function describePatterns(patternIds) {
+  return patternIds.map(id => `- ${SPLIT_PATTERNS[id].name}: ${SPLIT_PATTERNS[id].description}`).join('\n  ');
+}
+
+// Each requested pattern appears once, and the recommendation is one of the proposed splits
+const splitCheck = (patternNames) => (data) => {
+  const errors = [];
+  const seen = data.splits.map(split => split.pattern);
+  patternNames.forEach(pattern => {
+    const occurrences = seen.filter(p => p === pattern).length;
+    if (occurrences > 1) errors.push(`/splits lists the "${pattern}" pattern ${occurrences} times; propose one split per pattern`);
+  });
+  if (data.recommendedPattern && !seen.includes(data.recommendedPattern)) {
+    errors.push(`/recommendedPattern "${data.recommendedPattern}" is not one of the proposed splits`);
+  }
+  return errors;
+};
+
+// The pattern catalogue, for clients that let the user choose patterns
+function listSplitPatterns() {
+  return PATTERN_IDS.map(id => ({ id, ...SPLIT_PATTERNS[id] }));
+}
+
+module.exports = { SPLIT_PATTERNS, PATTERN_IDS, describePatterns, splitCheck, listSplitPatterns };
@@ -0,0 +1,155 @@
+const Ajv = require('ajv');
+const { repairJsonString } = require('../jsonRepair');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+/**
+ * Raised when the model keeps returning output that does not satisfy the endpoint contract.
+ */
+class SchemaValidationError extends Error {
+  constructor(message, { schemaName, validationErrors = [], attempts = 0, rawContent = '' } = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.validationErrors = validationErrors;
+    this.attempts = attempts;
+    this.rawContent = rawContent;
+  }
+
+  toResponse() {
+    return {
+      error: 'The model response did not match the expected format. Please try again.',
+      details: this.message,
+      schema: this.schemaName,
+      validationErrors: this.validationErrors,
+      attempts: this.attempts
+    };
+  }
+}
+
+function getValidator(schema) {
+  if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+  return validators.get(schema);
+}
+
+function formatErrors(errors) {
+  return (errors || []).map(err => {
+    const at = err.instancePath || '(root)';
+    if (err.keyword === 'const') return `${at} must be exactly ${JSON.stringify(err.params.allowedValue)}`;
+    if (err.keyword === 'enum') return `${at} must be one of ${err.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    if (err.keyword === 'required') return `${at} is missing required property "${err.params.missingProperty}"`;
+    return `${at} ${err.message}`;
+  });
+}
+
+// Valid JSON is used as is: repair strips markup such as <tags> and **, which would mangle
+// legitimate content like Gherkin <placeholders>, so it only runs when strict parsing fails
+function parseModelJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    return JSON.parse(repairJsonString(content));
+  }
+}
+
+/**
+ * Validates a parsed value against a schema plus an optional semantic check.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+function validateAgainst(schema, data, check = null) {
+  const validate = getValidator(schema);
+  const errors = validate(data) ? [] : formatErrors(validate.errors);
+  if (errors.length === 0 && check) errors.push(...(check(data) || []));
+  return errors;
+}
+
+function buildCorrection(errors) {
+  return `Your previous response did not satisfy the required JSON format. Fix these problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON object with the same structure as requested. Do not add commentary or markdown.`;
+}
+
+// Corrective re-prompts after an invalid response (LLM_SCHEMA_RETRIES, default 1)
+const configuredRetries = parseInt(process.env.LLM_SCHEMA_RETRIES, 10);
+const DEFAULT_RETRIES = Number.isFinite(configuredRetries) ? Math.max(configuredRetries, 0) : 1;
+
+/**
+ * Requests JSON from a provider, repairs and validates it, and re-prompts with the
+ * validation errors up to `maxRetries` times before giving up with a SchemaValidationError.
+ *
+ * If the first completion is truncated and `retryMaxTokens` is given, the same request is
+ * repeated once with the larger token budget before validation.
+ *
+ * `sample` is the index of a self-consistency sample. Live providers ignore it; record/replay
+ * keeps one fixture per sample with it.
+ *
+ * `onProgress(event)` receives `{ phase: 'llm' | 'repair', status, attempt }` events, and
+ * `onDelta(text, contentSoFar, attempt)` streams the raw completion as it is generated.
+ */
+async function completeJson(provider, {
+  prompt,
+  messages,
+  schema,
+  schemaName = 'response',
+  check = null,
+  temperature,
+  maxTokens,
+  retryMaxTokens = null,
+  maxRetries = DEFAULT_RETRIES,
+  sample = null,
+  onProgress = null,
+  onDelta = null
+}) {
+  const conversation = messages ? [...messages] : [{ role: 'user', content: prompt }];
+  const emit = (event) => { if (onProgress) onProgress(event); };
+  let lastErrors = [];
+  let lastContent = '';
+  let completion = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const streamTo = onDelta ? (text, soFar) => onDelta(text, soFar, attempt) : null;
+
+    emit({ phase: 'llm', status: 'started', attempt, maxTokens });
+    completion = await provider.complete({ messages: conversation, temperature, maxTokens, json: true, sample, onDelta: streamTo });
+
+    if (completion.finishReason === 'length' && retryMaxTokens && attempt === 1) {
+      console.log(`[${new Date().toISOString()}] [${schemaName}] Response was truncated! Retrying with ${retryMaxTokens} tokens...`);
+      emit({ phase: 'llm', status: 'truncated', attempt, maxTokens: retryMaxTokens });
+      completion = await provider.complete({ messages: conversation, temperature, maxTokens: retryMaxTokens, json: true, sample, onDelta: streamTo });
+    }
+    emit({ phase: 'llm', status: 'done', attempt, finishReason: completion.finishReason });
+
+    emit({ phase: 'repair', status: 'started', attempt });
+    lastContent = completion.content || '';
+    let data;
+    try {
+      data = parseModelJson(lastContent);
+      lastErrors = validateAgainst(schema, data, check);
+    } catch (parseError) {
+      lastErrors = [`Response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (lastErrors.length === 0) {
+      if (attempt > 1) {
+        console.log(`[${new Date().toISOString()}] [${schemaName}] Valid after ${attempt} attempts`);
+      }
+      emit({ phase: 'repair', status: 'done', attempt });
+      return { data, completion, attempts: attempt };
+    }
+
+    console.warn(`[${new Date().toISOString()}] [${schemaName}] Attempt ${attempt} failed validation:`, lastErrors.slice(0, 5));
+    emit({ phase: 'repair', status: 'invalid', attempt, errors: lastErrors.slice(0, 5), willRetry: attempt <= maxRetries });
+
+    conversation.push({ role: 'assistant', content: lastContent });
+    conversation.push({ role: 'user', content: buildCorrection(lastErrors.slice(0, 20)) });
+  }
+
+  throw new SchemaValidationError(
+    `Model output failed ${schemaName} validation after ${maxRetries + 1} attempt(s)`,
+    { schemaName, validationErrors: lastErrors, attempts: maxRetries + 1, rawContent: lastContent }
+  );
+}
+
+module.exports = { completeJson, validateAgainst, SchemaValidationError };
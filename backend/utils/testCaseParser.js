@@ -0,0 +1,225 @@
+/**
+ * Structural parser and smell detector for manual test cases.
+ *
+ * Well-written test cases follow a labelled shape ("Test Case:", "Precondition:", "Steps:",
+ * "Test Data:", "Expected Result:"), so the sections can be extracted without asking the model
+ * whether they exist. The parsed structure is then checked for test-case smells: no expected
+ * result, an expected result bundling many separate checks, input steps without test data and
+ * steps that perform several actions.
+ *
+ * Smells use the same finding shape as the story linter: rule id, severity and the character
+ * offsets (`start` inclusive, `end` exclusive) of the text they are about.
+ */
+
+const SMELLS = {
+  'no-steps': { severity: 'error', description: 'The test case lists the steps to perform' },
+  'no-expected-result': { severity: 'error', description: 'The test case states the expected result' },
+  'vague-expected-result': { severity: 'warning', description: 'The expected result is verifiable, not "works" or "as expected"' },
+  'multiple-assertions': { severity: 'warning', description: 'The expected result checks a few related outcomes, not many unrelated ones' },
+  'missing-test-data': { severity: 'warning', description: 'Steps that enter or select input say what value to use' },
+  'non-atomic-step': { severity: 'warning', description: 'Each step performs one action' },
+  'missing-preconditions': { severity: 'info', description: 'The test case states its preconditions' },
+  'missing-title': { severity: 'info', description: 'The test case has a title' }
+};
+
+// Section labels, matched at the start of a line (optionally bulleted or in markdown bold)
+const SECTION_LABELS = {
+  title: ['test case', 'title', 'test case name', 'name', 'scenario'],
+  preconditions: ['preconditions', 'precondition', 'pre-conditions', 'pre-condition', 'prerequisites', 'setup'],
+  steps: ['steps', 'test steps', 'steps to reproduce', 'procedure'],
+  testData: ['test data', 'data', 'inputs', 'input'],
+  expectedResult: ['expected results', 'expected result', 'expected outcome', 'expected']
+};
+
+// Expected results with more separate checks than this are likely several test cases
+const MAX_ASSERTIONS = 4;
+
+const ACTION_VERBS = [
+  'click', 'tap', 'enter', 'type', 'fill', 'select', 'choose', 'navigate', 'go', 'open', 'submit', 'press', 'upload',
+  'download', 'log in', 'login', 'log out', 'logout', 'sign in', 'save', 'delete', 'remove', 'add', 'verify', 'check',
+  'confirm', 'close', 'refresh', 'scroll', 'search', 'drag', 'set', 'create', 'edit', 'update', 'send'
+];
+const INPUT_VERBS = ['enter', 'type', 'fill', 'input', 'select', 'choose', 'upload', 'set'];
+const VAGUE_OUTCOMES = [
+  'works', 'working', 'correctly', 'properly', 'as expected', 'successfully', 'appropriate', 'appropriately',
+  'when needed'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const alternation = (words) => words.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|');
+
+const LABEL_TO_SECTION = Object.fromEntries(
+  Object.entries(SECTION_LABELS).flatMap(([section, labels]) => labels.map(label => [label, section]))
+);
+const SECTION_PATTERN = new RegExp(`^[ \\t]*(?:[-*#>]+[ \\t]*)?(?:\\*\\*)?(${alternation(Object.keys(LABEL_TO_SECTION))})(?:\\*\\*)?[ \\t]*:(?:\\*\\*)?[ \\t]*`, 'gim');
+const LIST_ITEM = /^[ \t]*(?:(?:step[ \t]*)?\d+[.):]|[-*•])[ \t]+/i;
+const COMPOUND_ACTION = new RegExp(`\\b(?:and then|then|and|,)\\s+(?:${alternation(ACTION_VERBS)})\\b`, 'i');
+const INPUT_STEP = new RegExp(`\\b(?:${alternation(INPUT_VERBS)})\\b`, 'i');
+// A concrete value: quoted text, an email, a number or "field: value"
+const CONCRETE_VALUE = /["'‘“][^"'’”]+["'’”]|\b[\w.+-]+@[\w-]+\.[\w.]+\b|\d|:\s*\S/;
+const VAGUE_OUTCOME = new RegExp(`\\b(?:${alternation(VAGUE_OUTCOMES)})\\b`, 'gi');
+
+function smell(ruleId, message, start, end, extra = {}) {
+  return { ruleId, severity: SMELLS[ruleId].severity, message, start, end, ...extra };
+}
+
+// Splits a block of text into items with offsets: list items, else lines, else sentences
+function splitItems(text, offset, { sentences = false } = {}) {
+  const lines = [];
+  let cursor = 0;
+  for (const line of text.split('\n')) {
+    if (line.trim()) lines.push({ line, start: offset + cursor });
+    cursor += line.length + 1;
+  }
+
+  const isList = lines.some(({ line }) => LIST_ITEM.test(line));
+  const items = [];
+  for (const { line, start } of lines) {
+    const marker = line.match(LIST_ITEM);
+    if (isList && !marker && items.length > 0) {
+      // Continuation of the previous list item
+      const previous = items[items.length - 1];
+      previous.text = `${previous.text} ${line.trim()}`;
+      previous.end = start + line.length;
+      continue;
+    }
+    const body = marker ? line.slice(marker[0].length) : line;
+    const bodyStart = start + (marker ? marker[0].length : 0) + (body.length - body.trimStart().length);
+    items.push({ text: body.trim(), start: bodyStart, end: bodyStart + body.trim().length });
+  }
+
+  if (!sentences || isList) return items;
+  return items.flatMap(item => {
+    const parts = [];
+    // Sentence ends are punctuation followed by whitespace, so "test@example.com" stays whole
+    const sentence = /\S[\s\S]*?(?:[.;!?](?=\s|$)|$)/g;
+    let match;
+    while ((match = sentence.exec(item.text)) !== null) {
+      const trimmed = match[0].trim().replace(/[.;!?]$/, '').trim();
+      if (!trimmed) continue;
+      const start = item.start + match.index + match[0].indexOf(trimmed.charAt(0));
+      parts.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+    return parts;
+  });
+}
+
+/**
+ * Extracts the labelled sections of a test case into structured fields. Unlabelled text
+ * before the first section becomes the title when it is a single line, and a bare numbered
+ * list is read as the steps.
+ */
+function parseTestCase(text) {
+  const source = String(text || '');
+  const labels = [...source.matchAll(SECTION_PATTERN)].map(match => ({
+    section: LABEL_TO_SECTION[match[1].toLowerCase()],
+    label: match[1],
+    start: match.index,
+    contentStart: match.index + match[0].length
+  }));
+
+  const sections = {};
+  labels.forEach((label, i) => {
+    const end = i + 1 < labels.length ? labels[i + 1].start : source.length;
+    const raw = source.slice(label.contentStart, end);
+    const content = raw.trim();
+    // Keep the first occurrence of each section
+    if (sections[label.section]) return;
+    const start = label.contentStart + (raw.length - raw.trimStart().length);
+    sections[label.section] = { label: label.label, text: content, start, end: start + content.length };
+  });
+
+  const preamble = source.slice(0, labels.length ? labels[0].start : source.length);
+  if (!sections.title && preamble.trim() && !preamble.trim().includes('\n') && labels.length) {
+    const start = preamble.indexOf(preamble.trim());
+    sections.title = { label: null, text: preamble.trim(), start, end: start + preamble.trim().length };
+  }
+  if (!sections.steps && !labels.length && source.split('\n').filter(line => LIST_ITEM.test(line)).length >= 2) {
+    sections.steps = { label: null, text: source, start: 0, end: source.length };
+  }
+
+  const list = (section, options) => (sections[section] ? splitItems(sections[section].text, sections[section].start, options) : []);
+  const expected = sections.expectedResult;
+
+  return {
+    structured: labels.length > 0,
+    title: sections.title ? sections.title.text : null,
+    preconditions: list('preconditions', { sentences: true }),
+    steps: list('steps').map((step, i) => ({ index: i + 1, ...step })),
+    testData: list('testData'),
+    expectedResult: expected ? { text: expected.text, start: expected.start, end: expected.end, assertions: list('expectedResult', { sentences: true }) } : null,
+    sections: Object.fromEntries(Object.entries(sections).map(([name, s]) => [name, { label: s.label, start: s.start, end: s.end }]))
+  };
+}
+
+/**
+ * Checks a parsed test case for smells.
+ */
+function detectSmells(text, structure) {
+  const source = String(text || '');
+  const findings = [];
+
+  if (!structure.title) findings.push(smell('missing-title', 'No title: start with "Test Case: <what is verified>"', 0, 0));
+  if (structure.preconditions.length === 0) {
+    findings.push(smell('missing-preconditions', 'No preconditions: add "Precondition:" with the required state and data', 0, 0));
+  }
+
+  if (structure.steps.length === 0) {
+    const at = structure.expectedResult ? structure.sections.expectedResult.start : source.length;
+    findings.push(smell('no-steps', 'No steps: add "Steps:" as a numbered list of actions', at, at));
+  }
+
+  structure.steps.forEach(step => {
+    const compound = COMPOUND_ACTION.exec(step.text);
+    if (compound) {
+      const start = step.start + compound.index;
+      findings.push(smell('non-atomic-step', `Step ${step.index} performs more than one action; split it at "${compound[0].trim()}"`, start, start + compound[0].length, {
+        step: step.index
+      }));
+    }
+    if (structure.testData.length === 0 && INPUT_STEP.test(step.text) && !CONCRETE_VALUE.test(step.text)) {
+      findings.push(smell('missing-test-data', `Step ${step.index} enters input without saying which value to use`, step.start, step.end, {
+        step: step.index
+      }));
+    }
+  });
+
+  if (!structure.expectedResult) {
+    findings.push(smell('no-expected-result', 'No expected result: add "Expected Result:" with verifiable outcomes', source.length, source.length));
+  } else {
+    const { assertions } = structure.expectedResult;
+    if (assertions.length > MAX_ASSERTIONS) {
+      findings.push(smell('multiple-assertions', `The expected result checks ${assertions.length} separate outcomes; split it into focused test cases`, structure.expectedResult.start, structure.expectedResult.end, {
+        assertions: assertions.length
+      }));
+    }
+  }
+
+  // Vague outcomes anywhere outside the steps ("make sure it works" often is the whole test case)
+  const stepsSection = structure.sections.steps;
+  for (const match of source.matchAll(VAGUE_OUTCOME)) {
+    if (stepsSection && stepsSection.label && match.index >= stepsSection.start && match.index < stepsSection.end) continue;
+    findings.push(smell('vague-expected-result', `"${match[0]}" is not verifiable; state the observable result`, match.index, match.index + match[0].length, {
+      excerpt: match[0]
+    }));
+  }
+
+  findings.sort((a, b) => a.start - b.start);
+  const count = (severity) => findings.filter(f => f.severity === severity).length;
+  return { findings, summary: { errors: count('error'), warnings: count('warning'), info: count('info') } };
+}
+
+/**
+ * Parses a test case and checks it for smells: { structure, smells: { findings, summary } }.
+ */
+function analyzeTestCase(text) {
+  const structure = parseTestCase(text);
+  return { structure, smells: detectSmells(text, structure) };
+}
+
+// The smell catalogue, for clients that want to explain or filter findings
+function listTestCaseSmells() {
+  return Object.entries(SMELLS).map(([id, rule]) => ({ id, ...rule }));
+}
+
+module.exports = { analyzeTestCase, parseTestCase, detectSmells, listTestCaseSmells };
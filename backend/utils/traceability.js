@@ -0,0 +1,212 @@
+/**
+ * Story-to-test traceability.
+ *
+ * Stories carry an id (e.g. "US-12") and acceptance criteria, which get ids of their own: the
+ * story id plus the criterion's position ("US-12-AC2"), unless the criterion brings its own id.
+ * Test cases reference stories and criteria either in fields (`storyIds`, `criterionIds`) or in
+ * their text ("Covers US-12 AC2", "US-12/AC-2", "US-12-AC2"). Each test case is classified as a
+ * positive, negative or boundary test, and the matrix records which kinds cover each criterion.
+ *
+ * A criterion is `covered` when it has a positive test and a negative or boundary test,
+ * `partial` when it has some tests but not that combination, and `uncovered` without tests.
+ */
+
+const { extractAcceptanceCriteria } = require('./acceptanceCriteria');
+
+const COVERAGE_KINDS = ['positive', 'negative', 'boundary'];
+
+// Test case categories used by the generator (and common spreadsheet values) mapped to kinds
+const CATEGORY_KINDS = {
+  positive: 'positive',
+  'positive test cases': 'positive',
+  'happy path': 'positive',
+  performance: 'positive',
+  'performance test cases': 'positive',
+  negative: 'negative',
+  'negative test cases': 'negative',
+  validation: 'negative',
+  'validation test cases': 'negative',
+  security: 'negative',
+  'security test cases': 'negative',
+  boundary: 'boundary',
+  'edge case': 'boundary',
+  'boundary value analysis': 'boundary',
+  'boundary value test cases': 'boundary'
+};
+
+const TAG_KINDS = { '@positive': 'positive', '@happy': 'positive', '@negative': 'negative', '@error': 'negative', '@boundary': 'boundary', '@edge': 'boundary' };
+
+// Wording that gives a test case's kind away when nothing else does; boundary is checked first
+const BOUNDARY_WORDS = /\b(?:boundary|boundaries|edge case|maximum|minimum|max|min|limit|limits|exactly|at least|at most|longest|shortest|zero|one character|off[- ]by[- ]one)\b/i;
+const NEGATIVE_WORDS = /\b(?:invalid|incorrect|wrong|reject|rejected|rejects|error|errors|fail|fails|failed|denied|unauthori[sz]ed|forbidden|expired|not allowed|cannot|can't|blocked|locked out)\b/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Classifies a test case as positive, negative or boundary: an explicit `kind`, then its
+ * category, then Gherkin tags in the text, then its wording. Returns { kind, source }.
+ */
+function classifyTestCase(testCase) {
+  if (COVERAGE_KINDS.includes(testCase.kind)) return { kind: testCase.kind, source: 'kind' };
+
+  const category = String(testCase.category || '').trim().toLowerCase();
+  if (CATEGORY_KINDS[category]) return { kind: CATEGORY_KINDS[category], source: 'category' };
+
+  const text = String(testCase.text || '');
+  const tag = (text.match(/@[\w-]+/g) || []).map(t => t.toLowerCase()).find(t => TAG_KINDS[t]);
+  if (tag) return { kind: TAG_KINDS[tag], source: 'tag' };
+
+  if (BOUNDARY_WORDS.test(text)) return { kind: 'boundary', source: 'text' };
+  if (NEGATIVE_WORDS.test(text)) return { kind: 'negative', source: 'text' };
+  return { kind: 'positive', source: 'text' };
+}
+
+/**
+ * Gives every story's acceptance criteria ids. Criteria come from the story's
+ * `acceptanceCriteria` (strings, or { id, text }) or, without them, from its text.
+ */
+function indexStories(stories) {
+  return stories.map(story => {
+    const given = Array.isArray(story.acceptanceCriteria) && story.acceptanceCriteria.length > 0
+      ? story.acceptanceCriteria
+      : extractAcceptanceCriteria(story.text).map(c => c.text);
+    const criteria = given.map((criterion, i) => (typeof criterion === 'string'
+      ? { id: `${story.id}-AC${i + 1}`, number: i + 1, text: criterion }
+      : { id: criterion.id || `${story.id}-AC${i + 1}`, number: i + 1, text: criterion.text }));
+    return { id: story.id, title: story.title || null, text: story.text, criteria };
+  });
+}
+
+/**
+ * Finds the stories and criteria a test case references, in its fields and its text. Ids that
+ * match no story or criterion are returned as `unresolved`.
+ */
+function resolveReferences(testCase, stories) {
+  const storyIds = new Set();
+  const criterionIds = new Set();
+  const unresolved = [];
+  const criteriaById = new Map(stories.flatMap(story => story.criteria.map(c => [c.id.toLowerCase(), { story, criterion: c }])));
+  const storiesById = new Map(stories.map(story => [story.id.toLowerCase(), story]));
+
+  (testCase.criterionIds || []).forEach(id => {
+    const match = criteriaById.get(String(id).toLowerCase());
+    if (match) {
+      criterionIds.add(match.criterion.id);
+      storyIds.add(match.story.id);
+    } else {
+      unresolved.push(String(id));
+    }
+  });
+  (testCase.storyIds || []).forEach(id => {
+    const story = storiesById.get(String(id).toLowerCase());
+    if (story) storyIds.add(story.id);
+    else unresolved.push(String(id));
+  });
+
+  // Explicit criterion ids in the text, then story ids optionally followed by "AC<n>"
+  const text = String(testCase.text || '');
+  for (const [key, { story, criterion }] of criteriaById) {
+    if (new RegExp(`(?<![\\w-])${escapeRegExp(key)}(?!\\w)`, 'i').test(text)) {
+      criterionIds.add(criterion.id);
+      storyIds.add(story.id);
+    }
+  }
+  stories.forEach(story => {
+    const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(story.id)}(?![\\w])(?:[\\s/#:.,-]*AC[\\s-]?(\\d+))?`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      storyIds.add(story.id);
+      if (!match[1]) continue;
+      const criterion = story.criteria.find(c => c.number === Number(match[1]));
+      if (criterion) criterionIds.add(criterion.id);
+      else unresolved.push(`${story.id}-AC${match[1]}`);
+    }
+  });
+
+  return { storyIds: [...storyIds], criterionIds: [...criterionIds], unresolved: [...new Set(unresolved)] };
+}
+
+const criterionStatus = (coverage) => {
+  const has = (kind) => coverage[kind].length > 0;
+  if (!COVERAGE_KINDS.some(has)) return 'uncovered';
+  return has('positive') && (has('negative') || has('boundary')) ? 'covered' : 'partial';
+};
+
+/**
+ * Builds the traceability matrix for stories ({ id, text, title?, acceptanceCriteria? }) and test
+ * cases ({ id, text, storyIds?, criterionIds?, category?, kind? }).
+ *
+ * Returns { stories: [{ id, criteria: [{ id, text, coverage: { positive, negative, boundary },
+ * status, missing }], storyLevelTests }], testCases, summary }. Coverage lists test case ids;
+ * `missing` lists the kinds a criterion still needs; `storyLevelTests` reference the story but
+ * none of its criteria.
+ */
+function buildMatrix({ stories, testCases }) {
+  const indexed = indexStories(stories);
+
+  const traced = testCases.map(testCase => ({
+    id: testCase.id,
+    title: testCase.title || null,
+    ...classifyTestCase(testCase),
+    ...resolveReferences(testCase, indexed)
+  }));
+
+  const matrix = indexed.map(story => {
+    const criteria = story.criteria.map(criterion => {
+      const coverage = Object.fromEntries(COVERAGE_KINDS.map(kind => [kind, traced
+        .filter(tc => tc.kind === kind && tc.criterionIds.includes(criterion.id))
+        .map(tc => tc.id)]));
+      const status = criterionStatus(coverage);
+      return {
+        id: criterion.id,
+        text: criterion.text,
+        coverage,
+        status,
+        missing: COVERAGE_KINDS.filter(kind => coverage[kind].length === 0)
+      };
+    });
+    const storyLevelTests = traced
+      .filter(tc => tc.storyIds.includes(story.id) && !story.criteria.some(c => tc.criterionIds.includes(c.id)))
+      .map(tc => tc.id);
+    return { id: story.id, title: story.title, text: story.text, criteria, storyLevelTests };
+  });
+
+  const allCriteria = matrix.flatMap(story => story.criteria);
+  const count = (status) => allCriteria.filter(c => c.status === status).length;
+  const summary = {
+    stories: matrix.length,
+    criteria: allCriteria.length,
+    covered: count('covered'),
+    partial: count('partial'),
+    uncovered: count('uncovered'),
+    coveragePercent: allCriteria.length ? Math.round(((count('covered') + count('partial')) / allCriteria.length) * 100) : 0,
+    storiesWithoutCriteria: matrix.filter(story => story.criteria.length === 0).map(story => story.id),
+    orphanTestCases: traced.filter(tc => tc.storyIds.length === 0).map(tc => tc.id),
+    unresolvedReferences: traced.filter(tc => tc.unresolved.length > 0).map(tc => ({ testCase: tc.id, ids: tc.unresolved }))
+  };
+
+  return { stories: matrix, testCases: traced, summary };
+}
+
+/**
+ * The criteria that still need tests: uncovered ones and, unless `includePartial` is false,
+ * partially covered ones. Rows of { storyId, criterionId, criterion, status, missing }.
+ */
+function uncoveredCriteria(matrix, { includePartial = true } = {}) {
+  return matrix.stories.flatMap(story => story.criteria
+    .filter(c => c.status === 'uncovered' || (includePartial && c.status === 'partial'))
+    .map(c => ({ storyId: story.id, criterionId: c.id, criterion: c.text, status: c.status, missing: c.missing })));
+}
+
+const csvField = (value) => {
+  const text = String(value === null || value === undefined ? '' : value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The uncovered criteria as CSV, one row per criterion
+function uncoveredToCsv(rows) {
+  const header = ['storyId', 'criterionId', 'criterion', 'status', 'missing'];
+  const lines = rows.map(row => [row.storyId, row.criterionId, row.criterion, row.status, row.missing.join(' ')].map(csvField).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = { buildMatrix, classifyTestCase, resolveReferences, indexStories, uncoveredCriteria, uncoveredToCsv, COVERAGE_KINDS };
@@ -0,0 +1,280 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Token usage and cost accounting.
+ *
+ * Every provider returned by getLLM() is wrapped in a MeteredProvider, which times each
+ * completion and records its tokens, model and cost. Records are attached to the request
+ * currently being served (via AsyncLocalStorage, so no route has to thread them through)
+ * and appended to a process-wide ledger that /usage aggregates by team, endpoint, model or day.
+ *
+ * Prices are USD per 1M tokens. Defaults below can be overridden with LLM_PRICING (inline
+ * JSON) or LLM_PRICING_FILE (path to a JSON file) using the same shape. Keys are tried as
+ * `provider:model`, then `model`, then `provider:*`.
+ */
+
+const DEFAULT_PRICES = {
+  'groq:llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'groq:llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'groq:openai/gpt-oss-20b': { input: 0.10, output: 0.50 },
+  'groq:openai/gpt-oss-120b': { input: 0.15, output: 0.75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  // Local and replayed completions cost nothing
+  'ollama:*': { input: 0, output: 0 },
+  'replay:*': { input: 0, output: 0 }
+};
+
+const DEFAULT_TEAM = 'default';
+const DEFAULT_MAX_RECORDS = 50000;
+
+let priceTable = null;
+
+function getPriceTable() {
+  if (priceTable) return priceTable;
+
+  let overrides = {};
+  const file = (process.env.LLM_PRICING_FILE || '').trim();
+  const inline = (process.env.LLM_PRICING || '').trim();
+  try {
+    if (file) overrides = { ...overrides, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) };
+    if (inline) overrides = { ...overrides, ...JSON.parse(inline) };
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] [Usage] Ignoring invalid pricing override:`, err.message);
+  }
+
+  priceTable = { ...DEFAULT_PRICES, ...overrides };
+  return priceTable;
+}
+
+function findPrice(provider, model) {
+  const table = getPriceTable();
+  return table[`${provider}:${model}`] || table[model] || table[`${provider}:*`] || null;
+}
+
+/**
+ * Cost in USD for a completion, or null when the model has no configured price.
+ */
+function computeCost(provider, model, promptTokens, completionTokens) {
+  const price = findPrice(provider, model);
+  if (!price) return null;
+  const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+  return parseFloat(cost.toFixed(6));
+}
+
+// --- Ledger ---
+
+const ledger = [];
+
+function appendToLedger(record) {
+  ledger.push(record);
+  const max = parseInt(process.env.USAGE_MAX_RECORDS || DEFAULT_MAX_RECORDS, 10);
+  if (ledger.length > max) ledger.splice(0, ledger.length - max);
+
+  const logFile = (process.env.USAGE_LOG_FILE || '').trim();
+  if (logFile) {
+    fs.appendFile(path.resolve(logFile), JSON.stringify(record) + '\n', (err) => {
+      if (err) console.error(`[${new Date().toISOString()}] [Usage] Failed to append usage log:`, err.message);
+    });
+  }
+}
+
+// Reloads a previous process's records so aggregates survive restarts when USAGE_LOG_FILE is set
+function loadLedger() {
+  const logFile = (process.env.USAGE_LOG_FILE || '').trim();
+  if (!logFile || !fs.existsSync(path.resolve(logFile))) return;
+
+  fs.readFileSync(path.resolve(logFile), 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try { ledger.push(JSON.parse(line)); } catch (e) { /* skip partial line */ }
+  });
+  console.log(`[${new Date().toISOString()}] [Usage] Loaded ${ledger.length} usage records from ${logFile}`);
+}
+
+loadLedger();
+
+// --- Request context ---
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Express middleware: opens a usage context for the request. The team comes from the
+ * X-Team-Id header (falling back to "default"), the project from X-Project-Id.
+ */
+function usageContext(req, res, next) {
+  const team = (req.headers['x-team-id'] || '').toString().trim() || DEFAULT_TEAM;
+  const project = (req.headers['x-project-id'] || '').toString().trim() || null;
+  const context = { team, project, route: req.path, startedAt: Date.now(), calls: [] };
+  req.usage = context;
+  requestContext.run(context, next);
+}
+
+function getUsageContext() {
+  return requestContext.getStore() || null;
+}
+
+/**
+ * Summarizes the LLM calls made while serving the current request.
+ */
+function summarizeCalls(calls) {
+  const sum = (key) => calls.reduce((total, call) => total + (call[key] || 0), 0);
+  const unpriced = calls.some(call => call.cost === null);
+  return {
+    calls: calls.length,
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    totalTokens: sum('totalTokens'),
+    llmLatencyMs: sum('latencyMs'),
+    cost: parseFloat(sum('cost').toFixed(6)),
+    currency: 'USD',
+    ...(unpriced ? { unpricedModels: [...new Set(calls.filter(c => c.cost === null).map(c => c.model))] } : {}),
+    models: [...new Set(calls.map(call => `${call.provider}:${call.model}`))],
+    breakdown: calls.map(({ endpoint, provider, model, promptTokens, completionTokens, latencyMs, cost }) => ({
+      endpoint, provider, model, promptTokens, completionTokens, latencyMs, cost
+    }))
+  };
+}
+
+/**
+ * Adds a `usage` summary for the current request to a JSON response body. Responses that
+ * made no LLM calls (diagnostics, cache hits) are left untouched.
+ */
+function attachUsage(body) {
+  const context = getUsageContext();
+  if (!context || context.calls.length === 0) return body;
+  if (!body || typeof body !== 'object' || Array.isArray(body) || body.usage !== undefined) return body;
+  return { ...body, usage: { ...summarizeCalls(context.calls), latencyMs: Date.now() - context.startedAt } };
+}
+
+/**
+ * Express middleware: stamps the usage summary into every JSON response served after it.
+ */
+function usageResponse(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(attachUsage(body));
+  next();
+}
+
+/**
+ * Wraps a provider so every completion is timed and metered.
+ */
+class MeteredProvider {
+  constructor(inner, { endpoint = null } = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.model = inner.model;
+    this.endpoint = endpoint;
+  }
+
+  async complete(request) {
+    const startedAt = Date.now();
+    const response = await this.inner.complete(request);
+    const usage = response.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const context = getUsageContext();
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      team: context ? context.team : DEFAULT_TEAM,
+      project: context ? context.project : null,
+      route: context ? context.route : null,
+      endpoint: this.endpoint || 'default',
+      provider: response.provider || this.name,
+      model: response.model || this.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      latencyMs: Date.now() - startedAt,
+      cost: computeCost(response.provider || this.name, response.model || this.model, usage.promptTokens, usage.completionTokens)
+    };
+
+    if (context) context.calls.push(record);
+    appendToLedger(record);
+    return response;
+  }
+}
+
+// --- Aggregation ---
+
+const GROUP_KEYS = {
+  team: r => r.team,
+  project: r => r.project || 'none',
+  endpoint: r => r.endpoint,
+  route: r => r.route || 'unknown',
+  model: r => `${r.provider}:${r.model}`,
+  day: r => r.timestamp.substring(0, 10)
+};
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.completionTokens += record.completionTokens || 0;
+  totals.totalTokens += record.totalTokens || 0;
+  totals.cost += record.cost || 0;
+  totals.latencyMs += record.latencyMs || 0;
+}
+
+function finishTotals(totals) {
+  return {
+    calls: totals.calls,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    totalTokens: totals.totalTokens,
+    cost: parseFloat(totals.cost.toFixed(6)),
+    avgLatencyMs: totals.calls ? Math.round(totals.latencyMs / totals.calls) : 0
+  };
+}
+
+/**
+ * Aggregates ledger records, optionally filtered by team, project and time window and grouped
+ * by one of: team, project, endpoint, route, model, day.
+ */
+function aggregateUsage({ team = null, project = null, since = null, until = null, groupBy = 'team' } = {}) {
+  const from = since ? new Date(since).getTime() : -Infinity;
+  const to = until ? new Date(until).getTime() : Infinity;
+  const keyOf = GROUP_KEYS[groupBy] || GROUP_KEYS.team;
+
+  const totals = emptyTotals();
+  const groups = new Map();
+
+  ledger.forEach(record => {
+    const at = new Date(record.timestamp).getTime();
+    if (at < from || at > to) return;
+    if (team && record.team !== team) return;
+    if (project && record.project !== project) return;
+
+    addToTotals(totals, record);
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, emptyTotals());
+    addToTotals(groups.get(key), record);
+  });
+
+  return {
+    currency: 'USD',
+    filters: { team, project, since, until },
+    groupBy: GROUP_KEYS[groupBy] ? groupBy : 'team',
+    totals: finishTotals(totals),
+    groups: [...groups.entries()]
+      .map(([key, value]) => ({ key, ...finishTotals(value) }))
+      .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+  };
+}
+
+module.exports = {
+  MeteredProvider,
+  usageContext,
+  usageResponse,
+  attachUsage,
+  getUsageContext,
+  aggregateUsage,
+  computeCost,
+  getPriceTable,
+  GROUP_BY_OPTIONS: Object.keys(GROUP_KEYS)
+};
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { loadArtifacts, artifactLabel, InputError, TYPES } = require('../lib/artifacts');
+const { createHttpEvaluator, createLocalEvaluator } = require('../lib/evaluators');
+const { thresholdFailures, summarize, exitCode } = require('../lib/gate');
+const { REPORTERS } = require('../lib/reporters');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: qa-eval <file or directory>... [options]
+
+Evaluates user stories and test cases in Markdown, text, CSV and .feature files, and exits
+non-zero when one falls below the thresholds.
+
+Options:
+  --type <type>          ${TYPES.join(' or ')} (default: test_case for .feature files, else user_story)
+  --min-grade <grade>    Fail artifacts graded below this, e.g. B
+  --min-score <score>    Fail artifacts scoring below this total
+  --format <format>      ${Object.keys(REPORTERS).join(', ')} (default: table)
+  -o, --output <file>    Write the report to a file instead of stdout
+  --url <url>            Backend URL (default: $QA_EVAL_URL or http://localhost:5000)
+  --api-key <key>        API key with the evaluate scope (default: $QA_EVAL_API_KEY)
+  --token <token>        Session token, instead of an API key (default: $QA_EVAL_TOKEN)
+  --project <id>         Evaluate with a project's rubrics and knowledge base
+  --rubric <id>          Rubric to score with (default: the project's or the default one)
+  --local                Run the backend's evaluation pipeline in this process instead of calling the API
+  --no-cache             Re-evaluate even when the result is cached
+  --concurrency <n>      Artifacts evaluated at once (default: 2)
+  --column <name>        CSV column holding the text (default: userStory / testCase, Description, Summary)
+  --id-column <name>     CSV column naming each row (default: storyId, id or Key)
+  --verbose              Show progress and, with --local, the backend's logs on stderr
+  -h, --help             Show this help
+  --version              Show the version
+
+Exit codes: 0 all artifacts passed, 1 one is below the thresholds, 2 one could not be
+evaluated or the options are invalid.`;
+
+const OPTIONS = {
+  type: { type: 'string' },
+  'min-grade': { type: 'string' },
+  'min-score': { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  output: { type: 'string', short: 'o' },
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  token: { type: 'string' },
+  project: { type: 'string' },
+  rubric: { type: 'string' },
+  local: { type: 'boolean', default: false },
+  'no-cache': { type: 'boolean', default: false },
+  concurrency: { type: 'string', default: '2' },
+  column: { type: 'string' },
+  'id-column': { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', default: false }
+};
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new InputError(err.message);
+  }
+  const { values, positionals } = parsed;
+  const options = {
+    paths: positionals,
+    type: values.type || null,
+    minGrade: values['min-grade'] || null,
+    minScore: values['min-score'] !== undefined ? Number(values['min-score']) : null,
+    format: values.format,
+    output: values.output || null,
+    url: values.url || process.env.QA_EVAL_URL || 'http://localhost:5000',
+    apiKey: values['api-key'] || process.env.QA_EVAL_API_KEY || null,
+    token: values.token || process.env.QA_EVAL_TOKEN || null,
+    project: values.project || null,
+    rubric: values.rubric || null,
+    local: values.local,
+    noCache: values['no-cache'],
+    concurrency: Number(values.concurrency),
+    column: values.column || null,
+    idColumn: values['id-column'] || null,
+    verbose: values.verbose,
+    help: values.help,
+    version: values.version
+  };
+  if (options.help || options.version) return options;
+
+  if (!options.paths.length) throw new InputError('Give at least one file or directory to evaluate');
+  if (!REPORTERS[options.format]) throw new InputError(`--format must be one of: ${Object.keys(REPORTERS).join(', ')}`);
+  if (options.minScore !== null && !Number.isFinite(options.minScore)) throw new InputError('--min-score must be a number');
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) throw new InputError('--concurrency must be a positive integer');
+  return options;
+}
+
+// Runs `fn` over `items` with at most `limit` in flight, keeping the results in order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function evaluateArtifact(evaluate, artifact, thresholds) {
+  const started = Date.now();
+  const base = { artifact, label: artifactLabel(artifact), grade: null, score: null, maxScore: null, failures: [], error: null };
+  try {
+    const evaluation = await evaluate(artifact);
+    const failures = thresholdFailures(evaluation, thresholds);
+    return {
+      ...base,
+      status: failures.length ? 'fail' : 'pass',
+      grade: evaluation.grade,
+      score: evaluation.totalScore,
+      maxScore: evaluation.rubric ? evaluation.rubric.maxScore : null,
+      failures,
+      evaluation,
+      durationMs: Date.now() - started
+    };
+  } catch (err) {
+    return { ...base, status: 'error', error: err.message, durationMs: Date.now() - started };
+  }
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) { process.stdout.write(`${USAGE}\n`); return 0; }
+  if (options.version) { process.stdout.write(`${version}\n`); return 0; }
+
+  const artifacts = loadArtifacts(options.paths, options);
+  if (!artifacts.length) throw new InputError(`No stories or test cases found in ${options.paths.join(', ')}`);
+
+  const evaluate = options.local ? createLocalEvaluator(options) : createHttpEvaluator(options);
+  let done = 0;
+  const results = await mapWithConcurrency(artifacts, options.concurrency, async (artifact) => {
+    const result = await evaluateArtifact(evaluate, artifact, options);
+    done += 1;
+    if (options.verbose) process.stderr.write(`[${done}/${artifacts.length}] ${result.status} ${result.label}\n`);
+    return result;
+  });
+
+  const summary = { ...summarize(results), thresholds: { minGrade: options.minGrade, minScore: options.minScore } };
+  const report = REPORTERS[options.format](results, summary);
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+    process.stderr.write(`${summary.passed}/${summary.total} passed; report written to ${options.output}\n`);
+  } else {
+    process.stdout.write(report);
+  }
+  return exitCode(summary);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write(`qa-eval: ${err.message}\n${err instanceof InputError ? 'Run qa-eval --help for usage.\n' : ''}`);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Turns the paths given on the command line into artifacts to evaluate.
+ *
+ * Directories are searched recursively. Each file becomes one or more artifacts:
+ *  - Markdown and text: the whole file, or one artifact per `## ` section when it has several
+ *  - CSV: one artifact per row, read from a `userStory` / `testCase` column (the columns the
+ *    bulk evaluators use) or a Jira-style `Description` / `Summary` column
+ *  - .feature: the whole file, as a Gherkin test case
+ * Without --type, .feature files and CSVs with only a test case column are test cases and
+ * everything else is a user story.
+ */
+
+const EXTENSIONS = ['.md', '.markdown', '.txt', '.csv', '.feature'];
+const TYPES = ['user_story', 'test_case'];
+
+const TEXT_COLUMNS = {
+  user_story: ['userStory', 'user story', 'story', 'description', 'summary'],
+  test_case: ['testCase', 'test case', 'steps', 'description', 'summary']
+};
+const ID_COLUMNS = ['storyId', 'testCaseId', 'id', 'key', 'issue key'];
+const CRITERIA_COLUMNS = ['acceptanceCriteria', 'acceptance criteria'];
+
+class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+// Files under `target` with a known extension, sorted; dot directories and node_modules are skipped
+function listFiles(target) {
+  const stat = fs.statSync(target, { throwIfNoEntry: false });
+  if (!stat) throw new InputError(`${target} does not exist`);
+  if (stat.isFile()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const child = path.join(target, entry.name);
+      if (entry.isDirectory()) return listFiles(child);
+      return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [child] : [];
+    });
+}
+
+// Parses RFC 4180 CSV: quoted fields may hold commas, newlines and "" escapes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Index of the first header matching one of `names`, ignoring case and surrounding spaces
+function findColumn(header, names) {
+  const normalized = header.map(h => h.trim().toLowerCase());
+  for (const name of names) {
+    const index = normalized.indexOf(name.toLowerCase());
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function csvArtifacts(file, content, { type, column, idColumn }) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+  const rowType = type || (findColumn(header, ['testCase']) !== -1 && findColumn(header, ['userStory']) === -1 ? 'test_case' : 'user_story');
+  const textIndex = findColumn(header, column ? [column] : TEXT_COLUMNS[rowType]);
+  if (textIndex === -1) {
+    throw new InputError(`${file}: no ${column ? `'${column}'` : TEXT_COLUMNS[rowType].map(c => `'${c}'`).join(' or ')} column (has: ${header.join(', ')})`);
+  }
+  const idIndex = findColumn(header, idColumn ? [idColumn] : ID_COLUMNS);
+  if (idColumn && idIndex === -1) throw new InputError(`${file}: no '${idColumn}' column`);
+  const criteriaIndex = rowType === 'user_story' ? findColumn(header, CRITERIA_COLUMNS) : -1;
+
+  return rows.map((cells, i) => {
+    const criteria = criteriaIndex !== -1 ? (cells[criteriaIndex] || '').trim() : '';
+    const text = (cells[textIndex] || '').trim();
+    return {
+      file,
+      name: (idIndex !== -1 && (cells[idIndex] || '').trim()) || `row ${i + 2}`,
+      line: null,
+      type: rowType,
+      text: criteria ? `${text}\n\nAcceptance Criteria:\n${criteria}` : text
+    };
+  }).filter(artifact => artifact.text);
+}
+
+// One artifact per `## ` section when there are several, else the whole file (YAML front matter dropped)
+function markdownArtifacts(file, content, type) {
+  const frontMatter = content.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n/);
+  const offset = frontMatter ? frontMatter[0].split('\n').length - 1 : 0;
+  const lines = content.slice(frontMatter ? frontMatter[0].length : 0).split(/\r?\n/);
+  const starts = lines.flatMap((line, i) => (/^##\s+\S/.test(line) ? [i] : []));
+
+  if (starts.length < 2) {
+    const title = lines.findIndex(line => line.trim());
+    const isHeading = title !== -1 && /^#{1,6}\s+\S/.test(lines[title]);
+    const text = (isHeading ? lines.slice(title + 1) : lines).join('\n').trim();
+    return text ? [{ file, name: null, line: null, type, text }] : [];
+  }
+  return starts.map((start, i) => ({
+    file,
+    name: lines[start].replace(/^##\s+/, '').trim(),
+    line: start + 1 + offset,
+    type,
+    text: lines.slice(start + 1, starts[i + 1]).join('\n').trim()
+  })).filter(artifact => artifact.text);
+}
+
+/**
+ * Reads every artifact under `paths`. `type` forces user_story or test_case; `column` and
+ * `idColumn` pick the CSV columns holding the text and the artifact's id.
+ */
+function loadArtifacts(paths, { type = null, column = null, idColumn = null } = {}) {
+  if (type && !TYPES.includes(type)) throw new InputError(`--type must be one of: ${TYPES.join(', ')}`);
+  const files = [...new Set(paths.flatMap(listFiles))];
+  return files.flatMap(file => {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') return csvArtifacts(file, content, { type, column, idColumn });
+    if (extension === '.feature') {
+      return content.trim() ? [{ file, name: null, line: null, type: type || 'test_case', text: content.trim() }] : [];
+    }
+    return markdownArtifacts(file, content, type || 'user_story');
+  });
+}
+
+// How an artifact is named in reports: the file, plus its section heading or CSV row id
+const artifactLabel = (artifact) => (artifact.name ? `${artifact.file}${artifact.line ? '#' : ':'}${artifact.name}` : artifact.file);
+
+module.exports = { loadArtifacts, artifactLabel, InputError, TYPES };
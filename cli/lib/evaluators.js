@@ -0,0 +1,115 @@
+const path = require('path');
+const { InputError } = require('./artifacts');
+
+/**
+ * Two ways to evaluate an artifact, both returning the API's evaluation body:
+ *  - over HTTP, against a running backend (the default). Requests are sent with X-Priority: bulk
+ *    so interactive users are served first, and are recorded in the run history as usual
+ *  - locally, by loading the backend's evaluation pipeline into this process (--local). It uses
+ *    the backend's .env and LLM provider settings; runs are not recorded in the history
+ */
+
+const BACKEND_DIR = path.join(__dirname, '../../backend');
+const ROUTES = {
+  user_story: { path: '/evaluate', field: 'userStory' },
+  test_case: { path: '/evaluate-test-case', field: 'testCase' }
+};
+const MAX_RETRIES = 3;
+// A 429 asking for a longer wait than this is a used-up API key quota, not a passing rate limit
+const MAX_RETRY_WAIT_SECONDS = 60;
+
+class EvaluationError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'EvaluationError';
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Evaluates through the API at `url`. `apiKey` (X-API-Key) or `token` (a session token) sign the
+ * requests in; `project` sends X-Project-Id.
+ */
+function createHttpEvaluator({ url, apiKey, token, project, rubric, noCache }) {
+  const base = url.replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Priority': 'bulk',
+    ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(project ? { 'X-Project-Id': project } : {})
+  };
+
+  return async (artifact) => {
+    const route = ROUTES[artifact.type];
+    const body = JSON.stringify({ [route.field]: artifact.text, ...(rubric ? { rubric } : {}), ...(noCache ? { noCache: true } : {}) });
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetch(`${base}${route.path}`, { method: 'POST', headers, body });
+      } catch (err) {
+        throw new EvaluationError(`Could not reach ${base} (${(err.cause && err.cause.code) || err.message})`);
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) return data;
+
+      const retryAfter = parseInt(res.headers.get('retry-after') || '', 10);
+      if (res.status === 429 && attempt < MAX_RETRIES && !(retryAfter > MAX_RETRY_WAIT_SECONDS)) {
+        await sleep((retryAfter || 2 ** attempt) * 1000);
+        continue;
+      }
+      const details = data.validationErrors ? `: ${data.validationErrors.join('; ')}` : '';
+      throw new EvaluationError(`${res.status} ${data.error || res.statusText}${details}`, { status: res.status });
+    }
+  };
+}
+
+// Backend modules log progress with console.log; keep stdout for the report
+function quietBackendLogs(verbose) {
+  const toStderr = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = toStderr;
+  console.info = toStderr;
+  console.warn = toStderr;
+}
+
+/**
+ * Evaluates in this process with the backend's pipeline. The backend's dependencies must be
+ * installed (npm install in backend/).
+ */
+function createLocalEvaluator({ project, rubric, noCache, verbose }) {
+  quietBackendLogs(verbose);
+  let backend;
+  try {
+    require(require.resolve('dotenv', { paths: [BACKEND_DIR] })).config({ path: path.join(BACKEND_DIR, '.env') });
+    backend = {
+      ...require(path.join(BACKEND_DIR, 'utils/evaluationPipeline')),
+      ...require(path.join(BACKEND_DIR, 'utils/llmProvider')),
+      ...require(path.join(BACKEND_DIR, 'utils/projects')),
+      ...require(path.join(BACKEND_DIR, 'utils/gherkinParser'))
+    };
+  } catch (err) {
+    throw new InputError(`--local needs the backend's dependencies (run npm install in backend/): ${err.message}`);
+  }
+  if (!backend.getLLM()) {
+    throw new InputError('No LLM provider could be initialized: set LLM_PROVIDER and its API key in backend/.env or the environment');
+  }
+
+  return async (artifact) => {
+    // The API's validators reject these before the pipeline runs; here the CLI does
+    const maxLength = artifact.type === 'test_case' && backend.isGherkin(artifact.text) ? 8000 : 2000;
+    if (artifact.text.length < 10) throw new EvaluationError('Text must be at least 10 characters long');
+    if (artifact.text.length > maxLength) throw new EvaluationError(`Text must not exceed ${maxLength} characters`);
+
+    try {
+      return await backend.withProject(project, (scoped) => (artifact.type === 'test_case'
+        ? backend.evaluateTestCase({ testCase: artifact.text, rubric, project: scoped, bypassCache: noCache })
+        : backend.evaluateUserStory({ userStory: artifact.text, rubric, project: scoped, bypassCache: noCache })));
+    } catch (err) {
+      throw new EvaluationError(err.message, { status: err.status || null });
+    }
+  };
+}
+
+module.exports = { createHttpEvaluator, createLocalEvaluator, EvaluationError };
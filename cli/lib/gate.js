@@ -0,0 +1,48 @@
+/**
+ * The merge gate: why an evaluation falls below the --min-grade / --min-score thresholds.
+ *
+ * Grades are compared by their position in the rubric's grade bands (ordered from the highest
+ * down), so custom rubrics with their own grade names work too.
+ */
+
+/**
+ * Reasons `evaluation` fails the thresholds; empty when it passes. A --min-grade the artifact's
+ * rubric does not define is a failure too, since it cannot be checked.
+ */
+function thresholdFailures(evaluation, { minGrade = null, minScore = null } = {}) {
+  const failures = [];
+  if (minGrade) {
+    const bands = ((evaluation.rubric && evaluation.rubric.grades) || []).map(band => band.grade);
+    const wanted = bands.indexOf(minGrade);
+    if (wanted === -1) {
+      failures.push(`rubric has no grade ${minGrade} (grades: ${bands.join(', ')})`);
+    } else if (bands.indexOf(evaluation.grade) === -1 || bands.indexOf(evaluation.grade) > wanted) {
+      failures.push(`grade ${evaluation.grade} is below ${minGrade}`);
+    }
+  }
+  if (minScore !== null && !(evaluation.totalScore >= minScore)) {
+    failures.push(`score ${evaluation.totalScore} is below ${minScore}`);
+  }
+  return failures;
+}
+
+// Counts of results by status
+function summarize(results) {
+  return {
+    total: results.length,
+    passed: results.filter(r => r.status === 'pass').length,
+    failed: results.filter(r => r.status === 'fail').length,
+    errors: results.filter(r => r.status === 'error').length
+  };
+}
+
+/**
+ * Process exit code for a run: 2 when an artifact could not be evaluated, 1 when one is below
+ * the thresholds, else 0.
+ */
+function exitCode(summary) {
+  if (summary.errors) return 2;
+  return summary.failed ? 1 : 0;
+}
+
+module.exports = { thresholdFailures, summarize, exitCode };
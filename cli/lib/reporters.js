@@ -0,0 +1,85 @@
+/**
+ * Report formats. Each takes the per-artifact results and the run summary and returns the text
+ * to print or write:
+ *  - table: one line per artifact, for a terminal
+ *  - json: the results with each full evaluation, for scripts
+ *  - junit: JUnit XML, one test suite per file, which CI servers show as test results
+ */
+
+const scoreText = (result) => (result.score === null ? '-' : `${result.score}/${result.maxScore}`);
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+function table(results, summary) {
+  const rows = results.map(result => [
+    result.status === 'pass' ? 'pass' : result.status.toUpperCase(),
+    result.grade || '-',
+    scoreText(result),
+    result.label,
+    result.error || result.failures.join('; ')
+  ]);
+  const header = ['STATUS', 'GRADE', 'SCORE', 'ARTIFACT', ''];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = (row) => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ').trimEnd();
+  return [
+    line(header),
+    ...rows.map(line),
+    '',
+    `${summary.total} artifact${summary.total === 1 ? '' : 's'}: ${summary.passed} passed, ${summary.failed} below threshold, ${summary.errors} not evaluated`,
+    ''
+  ].join('\n');
+}
+
+function json(results, summary) {
+  return `${JSON.stringify({
+    summary,
+    results: results.map(({ artifact, ...result }) => ({ file: artifact.file, name: artifact.name, line: artifact.line, type: artifact.type, ...result }))
+  }, null, 2)}\n`;
+}
+
+const xml = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+// The body of a failure: the score, each criterion's score and findings, and the recommendations
+function failureDetails(result) {
+  const { evaluation } = result;
+  return [
+    `Score ${scoreText(result)} (grade ${result.grade})`,
+    ...(evaluation.parameters || []).map(p => `${p.name}: ${p.score} - ${p.findings}`),
+    ...((evaluation.recommendations || []).length ? ['', 'Recommendations:', ...evaluation.recommendations.map(r => `- ${r}`)] : [])
+  ].join('\n');
+}
+
+function junit(results, summary) {
+  const byFile = new Map();
+  results.forEach(result => byFile.set(result.artifact.file, [...(byFile.get(result.artifact.file) || []), result]));
+  const totalTime = results.reduce((sum, r) => sum + r.durationMs, 0);
+
+  const suites = [...byFile].map(([file, fileResults]) => {
+    const counts = { failures: fileResults.filter(r => r.status === 'fail').length, errors: fileResults.filter(r => r.status === 'error').length };
+    const cases = fileResults.map(result => {
+      const open = `    <testcase classname="${xml(file)}" name="${xml(result.artifact.name || file)}" time="${seconds(result.durationMs)}"`;
+      if (result.status === 'pass') return `${open}/>`;
+      const body = result.status === 'error'
+        ? `      <error message="${xml(result.error)}" type="EvaluationError"/>`
+        : `      <failure message="${xml(result.failures.join('; '))}" type="threshold">${xml(failureDetails(result))}</failure>`;
+      return `${open}>\n${body}\n    </testcase>`;
+    });
+    const time = fileResults.reduce((sum, r) => sum + r.durationMs, 0);
+    return [
+      `  <testsuite name="${xml(file)}" tests="${fileResults.length}" failures="${counts.failures}" errors="${counts.errors}" time="${seconds(time)}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="qa-eval" tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" time="${seconds(totalTime)}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+const REPORTERS = { table, json, junit };
+
+module.exports = { REPORTERS };
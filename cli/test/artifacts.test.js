@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadArtifacts, artifactLabel, InputError } = require('../lib/artifacts');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-eval-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+const write = (name, content) => {
+  const file = path.join(dir, `${++fileCount}-${name}`);
+  fs.writeFileSync(file, content);
+  return file;
+};
+const load = (name, content, options) => loadArtifacts([write(name, content)], options);
+
+test('CSV rows become user stories named by their id column', () => {
+  const artifacts = load('stories.csv', 'storyId,userStory\nUS-1,As a buyer I want to pay\nUS-2,As a seller I want to list\n');
+  assert.deepStrictEqual(artifacts.map(a => [a.name, a.type, a.text]), [
+    ['US-1', 'user_story', 'As a buyer I want to pay'],
+    ['US-2', 'user_story', 'As a seller I want to list']
+  ]);
+});
+
+test('quoted CSV fields keep commas, escaped quotes and line breaks', () => {
+  const [artifact] = load('quoted.csv', 'id,userStory\nUS-1,"As a buyer, I want to see ""Paid""\nso that I know"\n');
+  assert.strictEqual(artifact.text, 'As a buyer, I want to see "Paid"\nso that I know');
+});
+
+test('CRLF line endings and a byte order mark are handled', () => {
+  const artifacts = load('crlf.csv', '\uFEFFstoryId,userStory\r\nUS-1,"line one\r\nline two"\r\nUS-2,second\r\n');
+  assert.deepStrictEqual(artifacts.map(a => [a.name, a.text]), [['US-1', 'line one\r\nline two'], ['US-2', 'second']]);
+});
+
+test('empty CSVs, blank lines and blank rows give no artifacts', () => {
+  assert.deepStrictEqual(load('empty.csv', ''), []);
+  assert.deepStrictEqual(load('header.csv', 'id,userStory\n'), []);
+  assert.deepStrictEqual(load('blank.csv', 'id,userStory\n\n , \nUS-1,\n').map(a => a.name), []);
+});
+
+test('rows without an id are named by their line in the file', () => {
+  const artifacts = load('noid.csv', 'userStory\nfirst\nsecond');
+  assert.deepStrictEqual(artifacts.map(a => a.name), ['row 2', 'row 3']);
+});
+
+test('columns are matched ignoring case and spaces, and acceptance criteria are appended', () => {
+  const [artifact] = load('jira.csv', 'Issue Key, Description ,Acceptance Criteria\nPROJ-1,As a buyer I want to pay,Card is charged\n');
+  assert.strictEqual(artifact.name, 'PROJ-1');
+  assert.strictEqual(artifact.text, 'As a buyer I want to pay\n\nAcceptance Criteria:\nCard is charged');
+});
+
+test('a CSV with only a test case column holds test cases', () => {
+  const [artifact] = load('cases.csv', 'testCaseId,testCase\nTC-1,Open the page\n');
+  assert.strictEqual(artifact.type, 'test_case');
+  assert.strictEqual(artifact.name, 'TC-1');
+});
+
+test('a missing text or id column is an input error', () => {
+  assert.throws(() => load('nocol.csv', 'id,title\n1,x\n'), InputError);
+  assert.throws(() => load('noidcol.csv', 'userStory\nx\n', { idColumn: 'Key' }), /no 'Key' column/);
+  assert.throws(() => loadArtifacts([path.join(dir, 'missing.md')]), /does not exist/);
+  assert.throws(() => loadArtifacts([dir], { type: 'epic' }), /--type must be one of/);
+});
+
+test('Markdown with several ## sections gives one artifact per section with its line', () => {
+  const file = write('stories.md', '---\ntitle: x\n---\n# Backlog\n\n## Pay\nAs a buyer I want to pay\n\n## Empty\n\n## List\nAs a seller I want to list\n');
+  const artifacts = loadArtifacts([file]);
+  assert.deepStrictEqual(artifacts.map(a => [a.name, a.line, a.text]), [['Pay', 6, 'As a buyer I want to pay'], ['List', 11, 'As a seller I want to list']]);
+  assert.strictEqual(artifactLabel(artifacts[0]), `${file}#Pay`);
+});
+
+test('a single-story Markdown file drops its title; empty and .feature files are read whole', () => {
+  assert.deepStrictEqual(load('one.md', '# Pay\r\nAs a buyer I want to pay\r\n').map(a => [a.name, a.text]), [[null, 'As a buyer I want to pay']]);
+  assert.deepStrictEqual(load('blank.md', '\n\n'), []);
+  assert.deepStrictEqual(load('login.feature', 'Feature: Login\n').map(a => [a.type, a.text]), [['test_case', 'Feature: Login']]);
+  assert.deepStrictEqual(load('empty.feature', ''), []);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { thresholdFailures, summarize, exitCode } = require('../lib/gate');
+
+const rubric = { grades: [{ grade: 'A' }, { grade: 'B' }, { grade: 'C' }, { grade: 'D' }] };
+const evaluation = (grade, totalScore = 20) => ({ grade, totalScore, rubric });
+
+test('no thresholds means no failures', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('D', 0)), []);
+  assert.deepStrictEqual(thresholdFailures(evaluation('D', 0), { minGrade: null, minScore: null }), []);
+});
+
+test('the grade passes at the minimum band and above, and fails one band below', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('A'), { minGrade: 'B' }), []);
+  assert.deepStrictEqual(thresholdFailures(evaluation('B'), { minGrade: 'B' }), []);
+  assert.deepStrictEqual(thresholdFailures(evaluation('C'), { minGrade: 'B' }), ['grade C is below B']);
+  assert.deepStrictEqual(thresholdFailures(evaluation('D'), { minGrade: 'A' }), ['grade D is below A']);
+  assert.deepStrictEqual(thresholdFailures(evaluation('D'), { minGrade: 'D' }), []);
+});
+
+test('custom grade names are ranked by their band order', () => {
+  const custom = { grades: [{ grade: 'Ready' }, { grade: 'Needs work' }, { grade: 'Rewrite' }] };
+  assert.deepStrictEqual(thresholdFailures({ grade: 'Needs work', totalScore: 5, rubric: custom }, { minGrade: 'Ready' }), ['grade Needs work is below Ready']);
+  assert.deepStrictEqual(thresholdFailures({ grade: 'Ready', totalScore: 5, rubric: custom }, { minGrade: 'Needs work' }), []);
+});
+
+test('a minimum grade the rubric does not define fails, listing the grades', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('A'), { minGrade: 'E' }), ['rubric has no grade E (grades: A, B, C, D)']);
+  assert.deepStrictEqual(thresholdFailures({ grade: 'A', totalScore: 20 }, { minGrade: 'A' }), ['rubric has no grade A (grades: )']);
+});
+
+test('an evaluation grade outside the rubric fails the grade threshold', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('F'), { minGrade: 'D' }), ['grade F is below D']);
+});
+
+test('the score passes at the minimum and fails below it or when missing', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('A', 20), { minScore: 20 }), []);
+  assert.deepStrictEqual(thresholdFailures(evaluation('A', 19.5), { minScore: 20 }), ['score 19.5 is below 20']);
+  assert.deepStrictEqual(thresholdFailures(evaluation('A', 0), { minScore: 0 }), []);
+  assert.deepStrictEqual(thresholdFailures({ grade: 'A', rubric }, { minScore: 0 }), ['score undefined is below 0']);
+});
+
+test('grade and score failures are both reported', () => {
+  assert.deepStrictEqual(thresholdFailures(evaluation('C', 10), { minGrade: 'B', minScore: 15 }), ['grade C is below B', 'score 10 is below 15']);
+});
+
+test('the exit code is 2 with errors, 1 with failures, else 0', () => {
+  const results = (...statuses) => statuses.map(status => ({ status }));
+  assert.deepStrictEqual(summarize(results('pass', 'fail', 'error', 'pass')), { total: 4, passed: 2, failed: 1, errors: 1 });
+  assert.strictEqual(exitCode(summarize(results('pass', 'fail', 'error'))), 2);
+  assert.strictEqual(exitCode(summarize(results('pass', 'fail'))), 1);
+  assert.strictEqual(exitCode(summarize(results('pass'))), 0);
+  assert.strictEqual(exitCode(summarize([])), 0);
+});
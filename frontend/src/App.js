@@ -1,12 +1,21 @@
 import React, { useState } from 'react';
 import UserStoryEvaluator from './components/UserStoryEvaluator';
 import TestCaseEvaluator from './components/TestCaseEvaluator';
+import AcceptanceCriteriaEvaluator from './components/AcceptanceCriteriaEvaluator';
 import UserStoryGenerator from './components/UserStoryGenerator';
 import TestCaseGenerator from './components/TestCaseGenerator';
+import StorySplitter from './components/StorySplitter';
 import BulkUserStoryEvaluator from './components/BulkUserStoryEvaluator';
 import BulkTestCaseEvaluator from './components/BulkTestCaseEvaluator';
 import AnalyticInsights from './components/AnalyticInsights';
 import DailyTracker from './components/DailyTracker';
+import TraceabilityMatrix from './components/TraceabilityMatrix';
+import ProjectSettings from './components/ProjectSettings';
+import ApiKeys from './components/ApiKeys';
+import { getActiveProject, setActiveProject } from './utils/api';
+import { useProjects } from './utils/projects';
+import { useAuth } from './utils/auth';
+import Login from './components/Login';
 
 const NAV_GROUPS = [
   {
@@ -21,6 +30,8 @@ const NAV_GROUPS = [
     items: [
       { id: 'us-eval', label: 'User Story', color: '#8b5cf6' },
       { id: 'tc-eval', label: 'Test Case',  color: '#f43f5e' },
+      { id: 'ac-eval', label: 'Acceptance Criteria', color: '#14b8a6' },
+      { id: 'us-split', label: 'Story Splitting', color: '#a855f7' },
     ]
   },
   {
@@ -34,7 +45,15 @@ const NAV_GROUPS = [
     title: 'ANALYTICS',
     items: [
       { id: 'roi', label: 'ROI Showcase', color: '#ec4899' },
-      { id: 'tracker', label: 'Daily Tracker', color: '#10b981' }
+      { id: 'tracker', label: 'Daily Tracker', color: '#10b981' },
+      { id: 'trace', label: 'Traceability', color: '#6366f1' }
+    ]
+  },
+  {
+    title: 'WORKSPACE',
+    items: [
+      { id: 'projects', label: 'Projects', color: '#64748b' },
+      { id: 'api-keys', label: 'API Keys', color: '#64748b' }
     ]
   }
 ];
@@ -45,12 +64,29 @@ const RocketIcon = () => (
   </svg>
 );
 
-const App = () => {
+const Workbench = ({ user, onSignOut }) => {
   const [activeTab, setActiveTab] = useState('us-eval');
   const isSidebarOpen = true;
   const [initialStory, setInitialStory] = useState('');
   const [initialTestCase, setInitialTestCase] = useState('');
+  const [initialCriteria, setInitialCriteria] = useState(null);
+  const [initialSplitStory, setInitialSplitStory] = useState('');
+  const [initialBulkStories, setInitialBulkStories] = useState(null);
+  const [initialGenerated, setInitialGenerated] = useState(null);
   const [serverBusy, setServerBusy] = useState(false);
+  const [activeProject, setProject] = useState(getActiveProject);
+  const { projects, reload: reloadProjects } = useProjects();
+
+  // Scopes every request to the chosen project; the open tab is remounted so nothing from the previous project carries over
+  const chooseProject = (id) => {
+    setActiveProject(id);
+    setProject(id);
+  };
+
+  const handleProjectDeleted = (id) => {
+    if (id === activeProject) chooseProject(null);
+    reloadProjects();
+  };
 
   const handleAnalyzeStory = (story) => {
     setInitialStory(story);
@@ -62,17 +98,42 @@ const App = () => {
     setActiveTab('tc-eval');
   };
 
+  const handleCheckCriteria = (story, acceptanceCriteria) => {
+    setInitialCriteria({ story, acceptanceCriteria });
+    setActiveTab('ac-eval');
+  };
+
+  const handleSplitStory = (story) => {
+    setInitialSplitStory(story);
+    setActiveTab('us-split');
+  };
+
+  const handleBulkEvaluate = (stories) => {
+    setInitialBulkStories(stories);
+    setActiveTab('bulk-us');
+  };
+
+  const handleOpenInGenerator = (generated) => {
+    setInitialGenerated(generated);
+    setActiveTab('us-gen');
+  };
+
   const renderContent = () => {
     switch (activeTab) {
-      case 'us-gen': return <UserStoryGenerator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeStory} />;
+      case 'us-gen': return <UserStoryGenerator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeStory} onCheckCriteria={handleCheckCriteria} initialResults={initialGenerated} />;
       case 'tc-gen': return <TestCaseGenerator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeTestCase} />;
-      case 'us-eval': return <UserStoryEvaluator setServerBusy={setServerBusy} initialValue={initialStory || ''} />;
+      case 'us-eval': return <UserStoryEvaluator setServerBusy={setServerBusy} initialValue={initialStory || ''} onSplit={handleSplitStory} />;
       case 'tc-eval': return <TestCaseEvaluator setServerBusy={setServerBusy} initialValue={initialTestCase || ''} />;
-      case 'bulk-us': return <BulkUserStoryEvaluator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeStory} />;
+      case 'ac-eval': return <AcceptanceCriteriaEvaluator setServerBusy={setServerBusy} initialValue={initialCriteria} />;
+      case 'us-split': return <StorySplitter setServerBusy={setServerBusy} initialValue={initialSplitStory} onBulkEvaluate={handleBulkEvaluate} onOpenInGenerator={handleOpenInGenerator} />;
+      case 'bulk-us': return <BulkUserStoryEvaluator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeStory} initialItems={initialBulkStories} />;
       case 'bulk-tc': return <BulkTestCaseEvaluator setServerBusy={setServerBusy} onAnalyze={handleAnalyzeTestCase} />;
       case 'roi': return <AnalyticInsights />;
       case 'tracker': return <DailyTracker />;
-      default: return <UserStoryEvaluator setServerBusy={setServerBusy} initialValue={initialStory || ''} />;
+      case 'trace': return <TraceabilityMatrix setServerBusy={setServerBusy} />;
+      case 'projects': return <ProjectSettings projects={projects} activeProject={activeProject} onSaved={reloadProjects} onDeleted={handleProjectDeleted} />;
+      case 'api-keys': return <ApiKeys projects={projects} />;
+      default: return <UserStoryEvaluator setServerBusy={setServerBusy} initialValue={initialStory || ''} onSplit={handleSplitStory} />;
     }
   };
 
@@ -183,11 +244,27 @@ const App = () => {
             <h2 style={{ fontSize: '1rem', fontWeight: 800, color: '#1a1a2e', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
               {activeLabel} 
               <span style={{ color: '#94a3b8', fontWeight: 500, marginLeft: 4 }}>
-                {activeTab.includes('-gen') ? 'GENERATOR' : activeTab.includes('bulk-') ? 'UPLOAD' : (activeTab === 'roi' || activeTab === 'tracker' ? 'DASHBOARD' : 'EVALUATOR')}
+                {activeTab.includes('-gen') ? 'GENERATOR' : activeTab.includes('bulk-') ? 'UPLOAD' : (activeTab === 'roi' || activeTab === 'tracker' ? 'DASHBOARD' : activeTab === 'projects' || activeTab === 'api-keys' ? 'SETTINGS' : 'EVALUATOR')}
               </span>
             </h2>
           </div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+            <select
+              value={projects.some(p => p.id === activeProject) ? activeProject : ''}
+              onChange={(e) => chooseProject(e.target.value || null)}
+              title="Project that evaluations and generations are scoped to"
+              style={{ padding: '6px 10px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.78rem', fontWeight: 700, color: '#1e293b', background: '#fff', cursor: 'pointer' }}
+            >
+              <option value="">No project</option>
+              {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            {user && (
+              <span title={user.email || user.username} style={{ fontSize: '0.78rem', fontWeight: 700, color: '#475569' }}>
+                {user.displayName || user.username}
+                <span style={{ marginLeft: 6, fontSize: '0.65rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase' }}>{user.role}</span>
+                <button onClick={onSignOut} style={{ marginLeft: 10, background: 'none', border: 'none', color: '#6366f1', fontSize: '0.72rem', fontWeight: 800, cursor: 'pointer' }}>SIGN OUT</button>
+              </span>
+            )}
             <span style={{ 
               fontSize: '0.65rem', fontWeight: 900, background: '#f5f3ff', color: '#6366f1', 
               padding: '6px 12px', borderRadius: 20, border: '1px solid #e0deff' 
@@ -196,7 +273,7 @@ const App = () => {
         </header>
 
         <div style={{ flex: 1, overflowY: 'auto', padding: '32px' }}>
-          <div className="content-fade-in" style={{ maxWidth: '1600px', margin: '0 auto' }}>
+          <div key={activeProject || 'none'} className="content-fade-in" style={{ maxWidth: '1600px', margin: '0 auto' }}>
             {renderContent()}
           </div>
         </div>
@@ -205,4 +282,13 @@ const App = () => {
   );
 };
 
+// Shows the sign-in screen while the backend requires an account and nobody is signed in
+const App = () => {
+  const { config, required, user, error, signIn, signInWith, signOut } = useAuth();
+
+  if (!config) return null;
+  if (required && !user) return <Login providers={config.providers} error={error} onSignIn={signIn} onSignInWith={signInWith} />;
+  return <Workbench key={user ? user.id : 'anonymous'} user={user} onSignOut={signOut} />;
+};
+
 export default App;
@@ -0,0 +1,300 @@
+import React, { useState } from 'react';
+import StreamProgress, { applyProgress } from './StreamProgress';
+import { streamEvents } from '../utils/api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const ChevronIcon = ({ isOpen }) => (
+  <svg
+    width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"
+    style={{ transform: isOpen ? 'rotate(180deg)' : 'rotate(0deg)', transition: 'transform 0.2s' }}
+  >
+    <path d="m6 9 6 6 6-6"/>
+  </svg>
+);
+
+const SectionHeader = ({ title, icon, isCollapsed, onToggle }) => (
+  <div
+    onClick={onToggle}
+    style={{
+      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+      padding: '14px 20px', background: '#f8fafc', borderRadius: 12,
+      cursor: 'pointer', marginBottom: 12, border: '1px solid #e2e8f0', transition: 'all 0.2s'
+    }}
+  >
+    <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+      <span style={{ display: 'flex', alignItems: 'center' }}>{icon}</span>
+      <span style={{ fontWeight: 800, fontSize: '0.85rem', color: '#1a1a2e', textTransform: 'uppercase', letterSpacing: '0.04em' }}>{title}</span>
+    </div>
+    <ChevronIcon isOpen={!isCollapsed} />
+  </div>
+);
+
+const EVALUATION_STEPS = [
+  { id: 'parse', label: 'Criteria' },
+  { id: 'llm', label: 'LLM Review' },
+  { id: 'repair', label: 'Validation' },
+];
+
+const VERDICTS = {
+  pass: { label: 'PASS', bg: '#ecfdf5', border: '#a7f3d0', text: '#10b981' },
+  'needs-work': { label: 'NEEDS WORK', bg: '#fffbeb', border: '#fde68a', text: '#d97706' },
+  fail: { label: 'FAIL', bg: '#fef2f2', border: '#fecaca', text: '#ef4444' },
+};
+
+const SCORE_LABELS = [['measurable', 'Measurable'], ['unambiguous', 'Unambiguous'], ['independent', 'Independent']];
+
+const scoreColor = (score) => (score >= 4 ? '#10b981' : score >= 3 ? '#f59e0b' : '#ef4444');
+
+// One criterion per line; list markers are dropped. An empty box lets the server read them from the story.
+const parseCriteriaInput = (text) => text
+  .split('\n')
+  .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s+/, '').trim())
+  .filter(Boolean);
+
+const AcceptanceCriteriaEvaluator = ({ setServerBusy, initialValue }) => {
+  const [userStory, setUserStory] = useState(initialValue?.story || '');
+  const [criteriaText, setCriteriaText] = useState((initialValue?.acceptanceCriteria || []).join('\n'));
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [collapsed, setCollapsed] = useState({ criteria: false, missing: false });
+  const [phases, setPhases] = useState({});
+  const [partialReviews, setPartialReviews] = useState([]);
+
+  React.useEffect(() => {
+    if (initialValue) {
+      setUserStory(initialValue.story || '');
+      setCriteriaText((initialValue.acceptanceCriteria || []).join('\n'));
+      setResults(null);
+    }
+  }, [initialValue]);
+
+  const handleEvaluate = async (bypassCache = false) => {
+    if (!userStory.trim()) return;
+    setLoading(true); setError(null); setResults(null);
+    setPhases({}); setPartialReviews([]);
+    if (setServerBusy) setServerBusy(true);
+
+    const acceptanceCriteria = parseCriteriaInput(criteriaText);
+    try {
+      const data = await streamEvents(`${BACKEND_URL}/evaluate-acceptance-criteria/stream`, {
+        userStory, noCache: bypassCache,
+        ...(acceptanceCriteria.length > 0 ? { acceptanceCriteria } : {})
+      }, (event, payload) => {
+        if (event === 'progress') {
+          setPhases(prev => applyProgress(prev, payload));
+          if (payload.phase === 'llm' && payload.status !== 'done') setPartialReviews([]);
+        } else if (event === 'partial' && typeof payload.item.index === 'number') {
+          setPartialReviews(prev => [...prev.slice(0, payload.index), payload.item]);
+        }
+      }, (retriesLeft) => {
+        setError(`Server waking up... (${retriesLeft} retries left)`);
+      });
+
+      setError(null);
+      setResults(data);
+    } catch (err) {
+      setError(err.data ? (err.data.error || 'Evaluation failed') : 'Connection failed. Please check backend status.');
+    } finally {
+      setLoading(false);
+      if (setServerBusy) setServerBusy(false);
+    }
+  };
+
+  // Suggested criteria are added to the list, so the next run reviews them like the others
+  const addCriterion = (text) => {
+    const current = criteriaText.trim() ? criteriaText.trim() : (results?.criteria || []).map(c => c.text).join('\n');
+    setCriteriaText(current ? `${current}\n${text}` : text);
+  };
+
+  const summaryTiles = results ? [
+    ['Pass', results.summary.pass, '#10b981'],
+    ['Needs Work', results.summary.needsWork, '#f59e0b'],
+    ['Fail', results.summary.fail, '#ef4444'],
+    ['Completeness', `${results.completeness.score}/5`, scoreColor(results.completeness.score)],
+  ] : [];
+
+  return (
+    <div style={{ animation: 'fadeIn 0.4s ease' }}>
+      <div style={{ background: '#fff', borderRadius: 20, padding: 24, boxShadow: '0 4px 20px rgba(0,0,0,0.03)', border: '1px solid #e5e7f0' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+             <div style={{ width: 32, height: 32, borderRadius: 8, background: '#f0fdfa', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#14b8a6" strokeWidth="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/></svg>
+             </div>
+             <h3 style={{ fontSize: '0.95rem', fontWeight: 800, color: '#1a1a2e', margin: 0, textTransform: 'uppercase' }}>Story & Acceptance Criteria</h3>
+             <span style={{ fontSize: '0.7rem', color: '#94a3b8', background: '#f8fafc', padding: '2px 8px', borderRadius: 10, border: '1px solid #e2e8f0' }}>{userStory.length}/2000</span>
+          </div>
+          <button onClick={() => { setUserStory(''); setCriteriaText(''); setResults(null); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+          <textarea
+            className="qa-textarea"
+            value={userStory}
+            onChange={(e) => setUserStory(e.target.value)}
+            placeholder="As a [user type], I want [goal] so that [reason]..."
+            style={{ minHeight: 180 }}
+          />
+          <textarea
+            className="qa-textarea"
+            value={criteriaText}
+            onChange={(e) => setCriteriaText(e.target.value)}
+            placeholder={'One acceptance criterion per line.\nLeave empty to use the "Acceptance Criteria:" section of the story.'}
+            style={{ minHeight: 180 }}
+          />
+        </div>
+
+        <div style={{ marginTop: 20, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <span style={{ fontSize: '0.78rem', fontWeight: 600, color: '#64748b' }}>
+            {parseCriteriaInput(criteriaText).length > 0 ? `${parseCriteriaInput(criteriaText).length} criteria` : 'Criteria will be read from the story'}
+          </span>
+          <button
+            className="btn-primary"
+            onClick={() => handleEvaluate()}
+            disabled={loading || !userStory.trim()}
+            style={{ padding: '12px 32px', fontSize: '0.9rem', minWidth: 180 }}
+          >
+            {loading ? 'REVIEWING...' : 'EVALUATE CRITERIA'}
+          </button>
+        </div>
+        {error && <div style={{ marginTop: 16, color: '#ef4444', fontSize: '0.82rem', fontWeight: 600, background: '#fef2f2', padding: '10px 14px', borderRadius: 8, border: '1px solid #fecaca' }}>{error}</div>}
+        {loading && <StreamProgress steps={EVALUATION_STEPS} phases={phases} />}
+      </div>
+
+      {loading && partialReviews.length > 0 && (
+        <div style={{ marginTop: 24, background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
+          <p style={{ fontSize: '0.75rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase', margin: '0 0 12px', letterSpacing: '0.04em' }}>
+            Reviewing criteria ({partialReviews.length}/{phases.parse?.criteria || partialReviews.length})
+          </p>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            {partialReviews.map((p, i) => (
+              <div key={i} style={{ display: 'flex', gap: 16, padding: '10px 14px', borderRadius: 12, background: '#f8fafc', border: '1px solid #e2e8f0', fontSize: '0.78rem', animation: 'fadeIn 0.3s ease' }}>
+                <span style={{ fontWeight: 900, color: '#64748b' }}>AC{p.index}</span>
+                {SCORE_LABELS.map(([key, label]) => (
+                  <span key={key} style={{ fontWeight: 700, color: '#475569' }}>{label} <span style={{ color: scoreColor(p[key]) }}>{p[key]}/5</span></span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {results && (
+        <div style={{ marginTop: 32 }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 16, marginBottom: 24 }}>
+            {summaryTiles.map(([label, value, color]) => (
+              <div key={label} style={{ background: '#fff', padding: 20, borderRadius: 20, border: '1px solid #e5e7f0', textAlign: 'center' }}>
+                <p style={{ fontSize: '0.65rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 8 }}>{label}</p>
+                <p style={{ fontSize: '1.8rem', fontWeight: 950, color, margin: 0 }}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ marginBottom: 24, padding: '14px 20px', background: '#f0fdfa', borderRadius: 12, border: '1px solid #99f6e4', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16 }}>
+            <p style={{ margin: 0, fontSize: '0.85rem', color: '#115e59', fontWeight: 700, lineHeight: 1.6 }}>
+              Summary: <span style={{ fontWeight: 500 }}>{results.summary.text} {results.completeness.findings}</span>
+            </p>
+            {results.cache?.hit && (
+              <button
+                onClick={() => handleEvaluate(true)}
+                disabled={loading}
+                title={`Cached result from ${new Date(results.cache.cachedAt).toLocaleString()}`}
+                style={{ padding: '4px 12px', borderRadius: 20, border: '1px solid #99f6e4', background: '#fff', color: '#0f766e', fontSize: '0.65rem', fontWeight: 800, cursor: 'pointer', whiteSpace: 'nowrap' }}
+              >
+                CACHED · RE-RUN
+              </button>
+            )}
+          </div>
+
+          <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0', marginBottom: 24 }}>
+            <SectionHeader
+              title={`Criteria Review · ${results.criteria.length} criteria${results.source === 'story' ? ' from the story' : ''}`}
+              isCollapsed={collapsed.criteria}
+              onToggle={() => setCollapsed({...collapsed, criteria: !collapsed.criteria})}
+              icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#14b8a6" strokeWidth="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/></svg>}
+            />
+            {!collapsed.criteria && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+                {results.criteria.map((c) => {
+                  const verdict = VERDICTS[c.verdict];
+                  return (
+                    <div key={c.index} style={{ padding: 16, borderRadius: 14, background: '#f8fafc', border: `1px solid ${verdict.border}` }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12, marginBottom: 10 }}>
+                        <p style={{ margin: 0, fontSize: '0.85rem', fontWeight: 700, color: '#1e293b', lineHeight: 1.5 }}>
+                          <span style={{ color: '#94a3b8', marginRight: 8 }}>AC{c.index}</span>{c.text}
+                        </p>
+                        <span style={{ fontSize: '0.6rem', fontWeight: 900, padding: '3px 8px', borderRadius: 6, background: verdict.bg, color: verdict.text, whiteSpace: 'nowrap' }}>{verdict.label}</span>
+                      </div>
+                      <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+                        {SCORE_LABELS.map(([key, label]) => (
+                          <div key={key} style={{ flex: 1, textAlign: 'center', background: '#fff', padding: '6px 0', borderRadius: 8, border: '1px solid #e2e8f0' }}>
+                            <p style={{ margin: 0, fontSize: '0.6rem', fontWeight: 800, color: '#94a3b8', textTransform: 'uppercase' }}>{label}</p>
+                            <p style={{ margin: 0, fontSize: '0.8rem', fontWeight: 900, color: scoreColor(c[key]) }}>{c[key]}/5</p>
+                          </div>
+                        ))}
+                      </div>
+                      {c.vagueTerms.length > 0 && (
+                        <p style={{ fontSize: '0.75rem', color: '#d97706', fontWeight: 700, margin: '0 0 6px' }}>
+                          Unmeasurable wording: {c.vagueTerms.map(t => `"${t}"`).join(', ')}
+                        </p>
+                      )}
+                      {c.issues.length > 0 && (
+                        <ul style={{ margin: '0 0 6px', paddingLeft: 18 }}>
+                          {c.issues.map((issue, i) => <li key={i} style={{ fontSize: '0.78rem', color: '#475569', lineHeight: 1.5 }}>{issue}</li>)}
+                        </ul>
+                      )}
+                      {c.suggestedRewrite && (
+                        <p style={{ fontSize: '0.78rem', color: '#0f766e', margin: '0 0 6px', lineHeight: 1.5 }}>
+                          <strong style={{ fontSize: '0.65rem', textTransform: 'uppercase', marginRight: 6 }}>Rewrite:</strong>{c.suggestedRewrite}
+                        </p>
+                      )}
+                      <p style={{ fontSize: '0.72rem', color: '#64748b', margin: 0 }}>
+                        <strong style={{ textTransform: 'uppercase', fontSize: '0.62rem', marginRight: 6 }}>Verifies:</strong>
+                        {c.storyReference ? `"${c.storyReference.text}"${c.storyReference.start === null ? ' (not found in the story)' : ''}` : 'nothing in the story'}
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
+            <SectionHeader
+              title={`Missing Criteria · ${results.missingCriteria.length} suggested`}
+              isCollapsed={collapsed.missing}
+              onToggle={() => setCollapsed({...collapsed, missing: !collapsed.missing})}
+              icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#14b8a6" strokeWidth="2.5"><path d="M12 5v14"/><path d="M5 12h14"/></svg>}
+            />
+            {!collapsed.missing && (results.missingCriteria.length > 0 ? (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+                {results.missingCriteria.map((m, i) => (
+                  <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16, padding: 14, borderRadius: 12, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+                    <div>
+                      <p style={{ margin: '0 0 4px', fontSize: '0.85rem', fontWeight: 700, color: '#1e293b' }}>{m.text}</p>
+                      <p style={{ margin: 0, fontSize: '0.75rem', color: '#64748b', lineHeight: 1.5 }}>
+                        {m.reason}{m.storyReference ? ` · for "${m.storyReference.text}"` : ''}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => addCriterion(m.text)}
+                      style={{ padding: '6px 14px', background: '#f0fdfa', color: '#0f766e', border: '1px solid #99f6e4', borderRadius: 8, fontSize: '0.7rem', fontWeight: 800, cursor: 'pointer', whiteSpace: 'nowrap' }}
+                    >
+                      ADD
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p style={{ fontSize: '0.8rem', color: '#94a3b8', textAlign: 'center', padding: 20 }}>The criteria cover the story; nothing to add.</p>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AcceptanceCriteriaEvaluator;
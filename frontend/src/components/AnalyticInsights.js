@@ -6,10 +6,13 @@ import {
 } from 'recharts';
 import { db } from '../firebase';
 import { collection, onSnapshot, query, orderBy } from 'firebase/firestore';
+import { fetchWithRetry, getActiveProject } from '../utils/api';
+import { useProjects } from '../utils/projects';
 
-/* Dynamic Mock Database of Projects/Teams */
-/* Dynamic Mock Database of Projects/Teams */
-const projectDatabase = {
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+/* Team-wide benchmark; project views compute their KPIs from the project's recorded evaluations */
+const benchmarkData = {
   "Global": {
     draftTime: [
       { phase: 'User Story', manual: 25, ai: 2, savings: 92 },
@@ -99,74 +102,6 @@ const projectDatabase = {
       { id: 'C-102', user: 'App', task: 'DeepEval Embedding', type: 'Vector', usage: '1.5k', cost: '$0.02', provider: 'Pinecone' },
       { id: 'C-103', user: 'App', task: 'Agent Deliberation', type: 'Token', usage: '8.4k', cost: '$0.15', provider: 'Groq' },
     ]
-  },
-  "Project Alpha (FinTech)": {
-    draftTime: [
-      { phase: 'User Story', manual: 30, ai: 2.5, savings: 91.6 },
-      { phase: 'Test Case', manual: 25, ai: 2, savings: 92 },
-      { phase: 'Review/Edit', manual: 15, ai: 4, savings: 73.3 },
-      { phase: 'Rework Cycle', manual: 20, ai: 2.5, savings: 87.5 },
-    ],
-    quality: [
-      { name: 'Factual Accuracy', manual: 80, ai: 96 },
-      { name: 'Answer Relevancy', manual: 70, ai: 93 },
-      { name: 'RAG Precision', manual: 60, ai: 94 },
-      { name: 'Recall', manual: 65, ai: 89 },
-      { name: 'Hallucination', manual: 75, ai: 98 },
-    ],
-    kpis: { 
-      humanTimeHrs: 460, 
-      aiTimeHrs: 40, 
-      timeSavedHrs: 420, 
-      costSaved: 32000, 
-      totalAiCost: 120,
-      efficiencyUplift: 280, 
-      outputMultiplier: 10.2 
-    },
-    advancedMetrics: { agenticAcceptance: 92, agenticRefinements: 1.2, multiAgentConsensus: 96, deepEvalCatchRate: 48, ragContextUtil: 95, hallucinationDrop: 82 },
-    monthlyTrends: [
-      { month: 'Mar', cost: 16000, time: 230, efficiency: 220 },
-      { month: 'Apr', cost: 24000, time: 310, efficiency: 250 },
-      { month: 'May', cost: 32000, time: 420, efficiency: 280 },
-    ],
-    searchHistory: [
-      { id: 'A-501', user: 'Mike', task: 'FinTech Compliance US', type: 'User Story', manualTime: 40, aiTime: 3.2, cost: 0.14, efficiency: 92 },
-      { id: 'A-502', user: 'Jessica', task: 'Stock API Test Plan', type: 'Test Case', manualTime: 35, aiTime: 2.8, cost: 0.09, efficiency: 92 },
-    ]
-  },
-  "Project Beta (Healthcare)": {
-    draftTime: [
-      { phase: 'User Story', manual: 40, ai: 3, savings: 92.5 },
-      { phase: 'Test Case', manual: 35, ai: 2.5, savings: 92.8 },
-      { phase: 'Review/Edit', manual: 20, ai: 5, savings: 75 },
-      { phase: 'Rework Cycle', manual: 25, ai: 3, savings: 88 },
-    ],
-    quality: [
-      { name: 'Factual Accuracy', manual: 85, ai: 98 },
-      { name: 'Answer Relevancy', manual: 75, ai: 95 },
-      { name: 'RAG Precision', manual: 65, ai: 96 },
-      { name: 'Recall', manual: 70, ai: 92 },
-      { name: 'Hallucination', manual: 80, ai: 99 },
-    ],
-    kpis: { 
-      humanTimeHrs: 750, 
-      aiTimeHrs: 70, 
-      timeSavedHrs: 680, 
-      costSaved: 54000, 
-      totalAiCost: 210,
-      efficiencyUplift: 350, 
-      outputMultiplier: 14.8 
-    },
-    advancedMetrics: { agenticAcceptance: 84, agenticRefinements: 1.8, multiAgentConsensus: 89, deepEvalCatchRate: 38, ragContextUtil: 86, hallucinationDrop: 74 },
-    monthlyTrends: [
-      { month: 'Mar', cost: 26000, time: 340, efficiency: 280 },
-      { month: 'Apr', cost: 41000, time: 510, efficiency: 320 },
-      { month: 'May', cost: 54000, time: 680, efficiency: 350 },
-    ],
-    searchHistory: [
-      { id: 'B-201', user: 'David', task: 'Patient Portal US', type: 'User Story', manualTime: 55, aiTime: 4.5, cost: 0.18, efficiency: 91.8 },
-      { id: 'B-202', user: 'Sofia', task: 'HIPAA Validation Tests', type: 'Test Case', manualTime: 48, aiTime: 3.9, cost: 0.12, efficiency: 91.8 },
-    ]
   }
 };
 
@@ -347,7 +282,7 @@ const SectionHeader = ({ icon, title, sub }) => (
 
 const AnalyticInsights = () => {
   const [searchQuery, setSearchQuery] = useState('');
-  const [activeProject, setActiveProject] = useState('Global');
+  const [activeProject, setActiveProject] = useState(() => getActiveProject() || 'Global');
   const [activeMonth, setActiveMonth] = useState('Consolidated');
   const [hoveredMetric, setHoveredMetric] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -356,6 +291,9 @@ const AnalyticInsights = () => {
   const [modalTitle, setModalTitle] = useState('');
   const [modalData, setModalData] = useState([]);
   const [liveData, setLiveData] = useState([]);
+  const [usageSummary, setUsageSummary] = useState(null);
+  const [projectEvents, setProjectEvents] = useState([]);
+  const { projects } = useProjects();
 
   // Subscribe to live Firestore telemetry for global team ROI
   useEffect(() => {
@@ -372,17 +310,56 @@ const AnalyticInsights = () => {
     }
   }, []);
 
+  // Metered token spend recorded by the backend, grouped by model
+  useEffect(() => {
+    const scope = activeProject === 'Global' ? '' : `&project=${encodeURIComponent(activeProject)}`;
+    fetchWithRetry(`${BACKEND_URL}/usage?groupBy=model${scope}`, {}, 1)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => setUsageSummary(data))
+      .catch(e => console.warn("Usage ledger unavailable", e));
+  }, [activeProject]);
+
+  // A project's evaluations from the backend history, shaped like the Firestore telemetry events
+  useEffect(() => {
+    setProjectEvents([]);
+    if (activeProject === 'Global') return;
+    fetchWithRetry(`${BACKEND_URL}/history?project=${encodeURIComponent(activeProject)}&kind=evaluation&limit=200`, {}, 1)
+      .then(res => (res.ok ? res.json() : { records: [] }))
+      .then(data => setProjectEvents(data.records.map(r => ({
+        id: r.id,
+        artifactPreview: r.preview,
+        type: r.artifactType === 'user_story' ? 'User Story' : r.artifactType === 'test_case' ? 'Test Case' : 'Acceptance Criteria',
+        timeSaved: r.artifactType === 'user_story' ? 45 : 30,
+        aiCost: r.usage && r.usage.cost ? r.usage.cost : 0,
+        grade: r.grade,
+        user: r.user
+      }))))
+      .catch(e => console.warn("Project history unavailable", e));
+  }, [activeProject]);
+
+  // Global uses the live team telemetry; a project uses its own recorded evaluations
+  const trackedData = activeProject === 'Global' ? liveData : projectEvents;
+
+  // Actual AI spend: the backend ledger when reachable, otherwise the cost stamped on each tracked evaluation
+  const meteredAiCost = usageSummary && usageSummary.totals.calls > 0
+    ? usageSummary.totals.cost
+    : trackedData.reduce((sum, el) => sum + (el.aiCost || 0), 0);
+
+  const usageCostHistory = usageSummary && usageSummary.groups.length > 0
+    ? usageSummary.groups.map(g => ({ id: g.key.split(':').pop(), user: 'App', task: `${g.calls} LLM calls`, type: 'Token', usage: `${(g.totalTokens / 1000).toFixed(1)}k`, cost: g.cost, provider: g.key.split(':')[0] }))
+    : null;
+
   // Filter projects based on search
-  const availableProjects = Object.keys(projectDatabase).filter(p => p.toLowerCase().includes(searchQuery.toLowerCase()));
-  const currentData = projectDatabase[activeProject] || projectDatabase['Global'];
+  const availableProjects = [{ id: 'Global', name: 'Global' }, ...projects].filter(p => p.name.toLowerCase().includes(searchQuery.toLowerCase()));
+  const activeProjectName = activeProject === 'Global' ? 'Global' : ((projects.find(p => p.id === activeProject) || {}).name || activeProject);
+  const currentData = benchmarkData['Global'];
 
   // Calculate Display KPIs based on month dropdown and live data
   const getDisplayKpis = () => {
-    // If we are on Global and have live data, calculate REAL KPIs!
-    if (activeProject === 'Global' && activeMonth === 'Consolidated' && liveData.length > 0) {
-      const totalEvents = liveData.length;
-      const timeSavedHrs = liveData.reduce((sum, el) => sum + (el.timeSaved || 0), 0) / 60;
-      const manualTimeHrs = liveData.reduce((sum, el) => sum + (el.timeSaved === 45 ? 50 : 35), 0) / 60;
+    // Projects, and Global once it has live data, calculate REAL KPIs!
+    if (activeMonth === 'Consolidated' && (activeProject !== 'Global' || liveData.length > 0)) {
+      const timeSavedHrs = trackedData.reduce((sum, el) => sum + (el.timeSaved || 0), 0) / 60;
+      const manualTimeHrs = trackedData.reduce((sum, el) => sum + (el.timeSaved === 45 ? 50 : 35), 0) / 60;
       const aiTimeHrs = manualTimeHrs - timeSavedHrs;
       const costSaved = timeSavedHrs * 65; // Estimated $65/hr fully loaded cost
       
@@ -391,7 +368,7 @@ const AnalyticInsights = () => {
         aiTimeHrs: Math.round(aiTimeHrs) || 1,
         timeSavedHrs: Math.round(timeSavedHrs),
         costSaved: Math.round(costSaved),
-        totalAiCost: Math.round(totalEvents * 0.12),
+        totalAiCost: parseFloat(meteredAiCost.toFixed(2)),
         efficiencyUplift: Math.round((timeSavedHrs / (aiTimeHrs || 1)) * 100),
         outputMultiplier: parseFloat((manualTimeHrs / (aiTimeHrs || 1)).toFixed(1))
       };
@@ -427,8 +404,8 @@ const AnalyticInsights = () => {
   const displayKpis = getDisplayKpis();
   
   // Replace search history with Live Data if applicable
-  const displayHistory = (activeProject === 'Global' && liveData.length > 0) 
-    ? liveData.map(d => ({ id: d.id.substring(0, 8), user: 'Team Member', task: d.artifactPreview, type: d.type, manualTime: d.timeSaved === 45 ? 50 : 35, aiTime: d.timeSaved === 45 ? 5 : 5, cost: 0.12, efficiency: d.grade === 'A' ? 98 : d.grade === 'B' ? 92 : 85 }))
+  const displayHistory = (activeProject !== 'Global' || liveData.length > 0)
+    ? trackedData.map(d => ({ id: d.id.substring(0, 8), user: d.user || 'Team Member', task: d.artifactPreview, type: d.type, manualTime: d.timeSaved === 45 ? 50 : 35, aiTime: d.timeSaved === 45 ? 5 : 5, cost: d.aiCost ?? 0, efficiency: d.grade === 'A' ? 98 : d.grade === 'B' ? 92 : 85 }))
     : currentData.searchHistory;
 
   // Filtered Data for Charts
@@ -495,16 +472,16 @@ const AnalyticInsights = () => {
         <div style={{ display: 'flex', gap: 10, marginBottom: 32, flexWrap: 'wrap' }}>
           {availableProjects.length > 0 ? availableProjects.map(p => (
             <button 
-              key={p} 
-              onClick={() => { setActiveProject(p); setSearchQuery(''); }}
+              key={p.id} 
+              onClick={() => { setActiveProject(p.id); setActiveMonth('Consolidated'); setSearchQuery(''); }}
               style={{ 
                 padding: '8px 16px', borderRadius: 20, fontWeight: 700, fontSize: '0.8rem', cursor: 'pointer', transition: 'all 0.2s',
-                background: activeProject === p ? '#4f46e5' : '#fff',
-                color: activeProject === p ? '#fff' : '#64748b',
-                border: `1px solid ${activeProject === p ? '#4f46e5' : '#e2e8f0'}`
+                background: activeProject === p.id ? '#4f46e5' : '#fff',
+                color: activeProject === p.id ? '#fff' : '#64748b',
+                border: `1px solid ${activeProject === p.id ? '#4f46e5' : '#e2e8f0'}`
               }}
             >
-              {p}
+              {p.name}
             </button>
           )) : <span style={{ fontSize: '0.85rem', color: '#94a3b8', fontWeight: 600 }}>No projects found matching "{searchQuery}"</span>}
         </div>
@@ -515,8 +492,11 @@ const AnalyticInsights = () => {
         <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
           <span style={{ fontSize: '0.75rem', fontWeight: 800, color: '#94a3b8', textTransform: 'uppercase' }}>Active View:</span>
           <span style={{ background: '#ecfdf5', color: '#059669', padding: '4px 12px', borderRadius: 8, fontSize: '0.8rem', fontWeight: 800, border: '1px solid #a7f3d0' }}>
-            {activeProject}
+            {activeProjectName}
           </span>
+          {activeProject !== 'Global' && (
+            <span style={{ fontSize: '0.72rem', color: '#94a3b8', fontWeight: 600 }}>KPIs from {trackedData.length} recorded evaluations; charts show the team benchmark</span>
+          )}
         </div>
 
         {/* Month Filter */}
@@ -531,7 +511,7 @@ const AnalyticInsights = () => {
             }}
           >
             <option value="Consolidated">Consolidated (All-Time)</option>
-            {currentData.monthlyTrends.map(m => (
+            {activeProject === 'Global' && currentData.monthlyTrends.map(m => (
               <option key={m.month} value={m.month}>{m.month} (Isolated)</option>
             ))}
           </select>
@@ -708,7 +688,7 @@ const AnalyticInsights = () => {
           icon={<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><path d="M21 12V7a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 7v10a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 17v-5"/><path d="M12 22V12"/><path d="m21 7-9 5-9-5"/></svg>} 
           trend="MINIMAL" 
           description="Total expenditure on LLM API tokens (OpenAI, Groq) and Vector Database operations."
-          onClick={() => { setModalTitle('AI Expenses'); setModalData(currentData.costHistory); setIsModalOpen(true); }}
+          onClick={() => { setModalTitle('AI Expenses'); setModalData(usageCostHistory || (activeProject === 'Global' ? currentData.costHistory : [])); setIsModalOpen(true); }}
         />
         <MetricCard 
           title="Efficiency Uplift" 
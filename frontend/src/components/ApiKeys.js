@@ -0,0 +1,184 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchWithRetry } from '../utils/api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const SCOPES = [
+  { id: 'evaluate', label: 'Evaluate', hint: 'evaluation, lint, traceability and duplicate endpoints' },
+  { id: 'generate', label: 'Generate', hint: 'story, split and test case generation' },
+  { id: 'agentic', label: 'Agentic', hint: 'refinement, multi-agent review and chat' },
+  { id: 'integrations', label: 'Integrations', hint: 'Jira and Azure DevOps imports' },
+];
+const STATUS_COLORS = { active: '#10b981', revoked: '#ef4444', expired: '#f59e0b' };
+const EMPTY_KEY = { name: '', scopes: ['evaluate'], project: '', quotaLimit: '', quotaWindow: 'day' };
+
+const inputStyle = { width: '100%', padding: '8px 10px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.82rem', color: '#1e293b', boxSizing: 'border-box' };
+const linkButton = { background: 'none', border: 'none', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'Never');
+
+/**
+ * Creates and manages API keys for CI jobs and scripts: which endpoints a key may call (scopes),
+ * the project it is bound to and its request quota. The secret is shown once, after create or rotate.
+ */
+const ApiKeys = ({ projects }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [form, setForm] = useState(EMPTY_KEY);
+  const [secret, setSecret] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetchWithRetry(`${BACKEND_URL}/auth/api-keys`, {}, 1);
+      const data = await res.json();
+      if (!res.ok) { setErrors([data.error || 'Could not load API keys.']); return; }
+      setApiKeys(data.apiKeys);
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggleScope = (scope) => setForm(prev => ({
+    ...prev,
+    scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope]
+  }));
+
+  const handleCreate = async () => {
+    setSaving(true); setErrors([]); setSecret(null);
+    try {
+      const res = await fetchWithRetry(`${BACKEND_URL}/auth/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          scopes: form.scopes,
+          project: form.project || null,
+          quota: form.quotaLimit ? { limit: Number(form.quotaLimit), window: form.quotaWindow } : null,
+        }),
+      }, 1);
+      const data = await res.json();
+      if (!res.ok) { setErrors(data.validationErrors || [data.error || 'Could not create the API key.']); return; }
+      setSecret({ name: data.name, value: data.secret });
+      setForm(EMPTY_KEY);
+      load();
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (!window.confirm(`Rotate "${apiKey.name}"? Anything using the current secret stops working.`)) return;
+    setErrors([]);
+    try {
+      const res = await fetchWithRetry(`${BACKEND_URL}/auth/api-keys/${apiKey.id}/rotate`, { method: 'POST' }, 1);
+      const data = await res.json();
+      if (!res.ok) { setErrors([data.error || 'Could not rotate the API key.']); return; }
+      setSecret({ name: data.name, value: data.secret });
+      load();
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? This cannot be undone.`)) return;
+    setErrors([]);
+    try {
+      const res = await fetchWithRetry(`${BACKEND_URL}/auth/api-keys/${apiKey.id}`, { method: 'DELETE' }, 1);
+      if (!res.ok) { setErrors([`Could not revoke the API key (${res.status}).`]); return; }
+      load();
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    }
+  };
+
+  const projectName = (id) => (projects.find(p => p.id === id) || {}).name || id;
+
+  return (
+    <div style={{ animation: 'fadeIn 0.4s ease', display: 'grid', gridTemplateColumns: '320px 1fr', gap: 24, alignItems: 'start' }}>
+      <div className="section-card" style={{ padding: 20 }}>
+        <h3 style={{ margin: '0 0 16px', fontSize: '1rem', fontWeight: 900, color: '#1a1a2e' }}>New API Key</h3>
+        <label style={{ display: 'block', marginBottom: 12 }}>
+          <span className="field-label" style={{ display: 'block', marginBottom: 4 }}>Name</span>
+          <input style={inputStyle} value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Nightly CI" />
+        </label>
+
+        <span className="field-label" style={{ display: 'block', marginBottom: 4 }}>Scopes</span>
+        {SCOPES.map(scope => (
+          <label key={scope.id} title={scope.hint} style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: '0.82rem', color: '#475569', marginBottom: 6, cursor: 'pointer' }}>
+            <input type="checkbox" checked={form.scopes.includes(scope.id)} onChange={() => toggleScope(scope.id)} />
+            {scope.label}
+          </label>
+        ))}
+
+        <label style={{ display: 'block', margin: '12px 0' }}>
+          <span className="field-label" style={{ display: 'block', marginBottom: 4 }}>Project</span>
+          <select style={inputStyle} value={form.project} onChange={e => setForm({ ...form, project: e.target.value })}>
+            <option value="">Any (from X-Project-Id)</option>
+            {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </label>
+
+        <span className="field-label" style={{ display: 'block', marginBottom: 4 }}>Quota (optional)</span>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 100px', gap: 8, marginBottom: 16 }}>
+          <input style={inputStyle} type="number" min="1" value={form.quotaLimit} onChange={e => setForm({ ...form, quotaLimit: e.target.value })} placeholder="Unlimited" />
+          <select style={inputStyle} value={form.quotaWindow} onChange={e => setForm({ ...form, quotaWindow: e.target.value })}>
+            <option value="hour">/ hour</option>
+            <option value="day">/ day</option>
+            <option value="month">/ month</option>
+          </select>
+        </div>
+
+        <button className="btn-primary" onClick={handleCreate} disabled={saving || !form.name.trim() || form.scopes.length === 0} style={{ width: '100%', background: '#6366f1' }}>
+          {saving ? 'CREATING...' : 'CREATE KEY'}
+        </button>
+      </div>
+
+      <div className="section-card" style={{ padding: 24 }}>
+        {secret && (
+          <div style={{ padding: '12px 16px', marginBottom: 16, borderRadius: 10, background: '#ecfdf5', border: '1px solid #a7f3d0' }}>
+            <p style={{ margin: '0 0 6px', fontSize: '0.8rem', fontWeight: 800, color: '#047857' }}>Secret for "{secret.name}". Copy it now; it will not be shown again.</p>
+            <code style={{ display: 'block', fontSize: '0.8rem', color: '#1e293b', wordBreak: 'break-all', userSelect: 'all' }}>{secret.value}</code>
+          </div>
+        )}
+        {errors.length > 0 && (
+          <div className="banner-error" style={{ marginBottom: 12 }}>
+            {errors.map(e => <div key={e} style={{ fontSize: '0.8rem' }}>{e}</div>)}
+          </div>
+        )}
+
+        {apiKeys.length === 0 && <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: 0 }}>No API keys yet.</p>}
+        {apiKeys.map(apiKey => (
+          <div key={apiKey.id} style={{ padding: '12px 14px', marginBottom: 8, borderRadius: 10, border: '1px solid #e2e8f0', background: apiKey.status === 'active' ? '#fff' : '#f8fafc' }}>
+            <div style={{ display: 'flex', gap: 10, alignItems: 'center' }}>
+              <span style={{ fontSize: '0.85rem', fontWeight: 800, color: '#1e293b' }}>{apiKey.name}</span>
+              <span style={{ fontSize: '0.7rem', color: '#94a3b8', fontWeight: 700 }}>qak_{apiKey.id}_…</span>
+              <span className="chip" style={{ color: STATUS_COLORS[apiKey.status] }}>{apiKey.status}</span>
+              <span style={{ flex: 1 }} />
+              {apiKey.status !== 'revoked' && (
+                <>
+                  <button onClick={() => handleRotate(apiKey)} style={{ ...linkButton, color: '#6366f1' }}>ROTATE</button>
+                  <button onClick={() => handleRevoke(apiKey)} style={{ ...linkButton, color: '#ef4444' }}>REVOKE</button>
+                </>
+              )}
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, marginTop: 6, fontSize: '0.75rem', color: '#64748b' }}>
+              <span>Scopes: {apiKey.scopes.join(', ')}</span>
+              <span>Project: {apiKey.project ? projectName(apiKey.project) : 'Any'}</span>
+              <span>Quota: {apiKey.usage ? `${apiKey.usage.requests} / ${apiKey.usage.limit} per ${apiKey.quota.window}` : 'Unlimited'}</span>
+              <span>Last used: {formatDate(apiKey.lastUsedAt)}</span>
+              {apiKey.expiresAt && <span>Expires: {formatDate(apiKey.expiresAt)}</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -1,18 +1,12 @@
 import React, { useState } from 'react';
 import * as XLSX from 'xlsx';
 import { fetchWithRetry } from '../utils/api';
+import { rubricFor, scoreColor } from '../utils/rubric';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 const ITEMS_PER_PAGE = 5;
 const REQUIRED_COLUMNS = ['testCase'];
 
-const scoreColor = (s) => {
-  if (s >= 22) return '#10b981';
-  if (s >= 16) return '#3b82f6';
-  if (s >= 11) return '#f59e0b';
-  return '#ef4444';
-};
-
 function BulkTestCaseEvaluator({ setServerBusy, onAnalyze }) {
   const [file, setFile]             = useState(null);
   const [items, setItems]           = useState([]);
@@ -98,7 +92,8 @@ function BulkTestCaseEvaluator({ setServerBusy, onAnalyze }) {
         try {
           const res = await fetchWithRetry(`${BACKEND_URL}/evaluate-test-case`, {
             method: 'POST', 
-            headers: { 'Content-Type': 'application/json' },
+            // Queued behind interactive evaluations on the backend
+            headers: { 'Content-Type': 'application/json', 'X-Priority': 'bulk' },
             body: JSON.stringify({ testCase: tc, runDeepEval }),
           }, 8, 12000, (retriesLeft) => {
             setError(`Server initializing... (${retriesLeft} attempts remaining)`);
@@ -191,11 +186,11 @@ function BulkTestCaseEvaluator({ setServerBusy, onAnalyze }) {
                   <span style={{ 
                     fontSize: '0.7rem', 
                     fontWeight: 900, 
-                    color: scoreColor(r.totalScore), 
-                    background: `${scoreColor(r.totalScore)}15`, 
+                    color: scoreColor(r.totalScore, rubricFor(r, 'test_case')), 
+                    background: `${scoreColor(r.totalScore, rubricFor(r, 'test_case'))}15`, 
                     padding: '4px 12px', 
                     borderRadius: 20,
-                    border: `1px solid ${scoreColor(r.totalScore)}40`
+                    border: `1px solid ${scoreColor(r.totalScore, rubricFor(r, 'test_case'))}40`
                   }}>
                     {r.totalScore} POINTS
                   </span>
@@ -225,21 +220,23 @@ function BulkTestCaseEvaluator({ setServerBusy, onAnalyze }) {
                     }}>
                       <p style={{ fontSize: '0.65rem', fontWeight: 900, color: '#0d9488', textTransform: 'uppercase', marginBottom: 12, letterSpacing: '0.05em' }}>TC ANALYSIS</p>
                       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 10 }}>
-                        {['Clarity', 'Requirements Traceability', 'Accuracy', 'Completeness', 'Coverage'].map((name) => {
+                        {rubricFor(r, 'test_case').criteria.map(({ name }) => {
+                          const rubric = rubricFor(r, 'test_case');
                           const param = r.parameters?.find(p => p.name === name || p.name.includes(name.split(' ')[0]));
                           const score = param?.score || 0;
+                          const strong = score >= rubric.scale.max * 0.8;
                           return (
                             <div key={name} style={{ 
                               textAlign: 'center', 
                               padding: '8px', 
                               background: '#f0fdfa', 
                               borderRadius: 10,
-                              border: `1px solid ${score >= 4 ? '#10b98140' : '#ccfbf1'}`
+                              border: `1px solid ${strong ? '#10b98140' : '#ccfbf1'}`
                             }}>
                               <div style={{ fontSize: '0.55rem', fontWeight: 900, color: '#5eead4', marginBottom: 4, textTransform: 'uppercase', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
                                 {name.replace('Requirements ', '')}
                               </div>
-                              <div style={{ fontSize: '0.9rem', fontWeight: 950, color: score >= 4 ? '#10b981' : '#0d9488' }}>{score}/5</div>
+                              <div style={{ fontSize: '0.9rem', fontWeight: 950, color: strong ? '#10b981' : '#0d9488' }}>{score}/{rubric.scale.max}</div>
                             </div>
                           );
                         })}
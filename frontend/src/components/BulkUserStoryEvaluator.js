@@ -1,19 +1,14 @@
 import React, { useState } from 'react';
 import * as XLSX from 'xlsx';
 import { fetchWithRetry } from '../utils/api';
+import { rubricFor, scoreColor } from '../utils/rubric';
+import ConsistencyReport from './ConsistencyReport';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 const ITEMS_PER_PAGE = 5;
 const REQUIRED_COLUMNS = ['userStory'];
 
-const scoreColor = (s) => {
-  if (s >= 27) return '#10b981';
-  if (s >= 22) return '#3b82f6';
-  if (s >= 16) return '#f59e0b';
-  return '#ef4444';
-};
-
-function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
+function BulkUserStoryEvaluator({ setServerBusy, onAnalyze, initialItems }) {
   const [file, setFile]             = useState(null);
   const [items, setItems]           = useState([]);
   const [results, setResults]       = useState([]);
@@ -22,6 +17,49 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
   const [currentPage, setCurrentPage] = useState(1);
   const [validationError, setValidationError] = useState(null);
   const [runDeepEval, setRunDeepEval] = useState(false);
+  const [duplicates, setDuplicates] = useState(null);
+  const [collapseDuplicates, setCollapseDuplicates] = useState(true);
+  const [consistency, setConsistency] = useState(null);
+
+  // Stories handed over from another screen (e.g. a story split) replace the uploaded file
+  React.useEffect(() => {
+    if (initialItems?.length) {
+      setItems(initialItems);
+      setFile(null); setResults([]); setError(null); setValidationError(null); setCurrentPage(1);
+    }
+  }, [initialItems]);
+
+  // Clusters near-duplicate stories as soon as items load, so they can be collapsed before paying for them
+  React.useEffect(() => {
+    setDuplicates(null); setConsistency(null);
+    const texts = items.map(item => item.userStory?.toString().trim() || '');
+    if (texts.filter(Boolean).length < 2) return;
+    let cancelled = false;
+    fetchWithRetry(`${BACKEND_URL}/duplicates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: texts.map((text, idx) => ({ id: `row-${idx + 2}`, text })) }),
+    }, 3, 5000)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (!cancelled && data) setDuplicates(data); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [items]);
+
+  const collapsedRows = new Set(collapseDuplicates && duplicates ? duplicates.clusters.flatMap(c => c.members.map(m => m.index)) : []);
+  const evaluationTotal = items.length - collapsedRows.size;
+
+  // Cluster details carried on a result: its cluster id and, for a collapsed cluster's representative, the rows it stands for
+  const duplicateInfo = (idx) => {
+    const cluster = duplicates?.clusters.find(c => c.representative.index === idx || c.members.some(m => m.index === idx));
+    if (!cluster) return {};
+    const member = cluster.members.find(m => m.index === idx);
+    return {
+      duplicateCluster: cluster.id,
+      ...(member ? { duplicateOf: cluster.representative.index + 2, similarity: member.similarity } : {}),
+      ...(!member && collapseDuplicates ? { collapsedDuplicates: cluster.members.map(m => ({ rowNumber: m.index + 2, similarity: m.similarity, userStory: items[m.index].userStory })) } : {}),
+    };
+  };
 
   const validateExcel = (data) => {
     if (!data?.length) return 'Excel file is empty';
@@ -80,14 +118,14 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
   const handleEvaluateAll = async () => {
     if (!items.length) { setError('Please upload a file first'); return; }
     setLoading(true); setError(null);
-    setResults([]);
+    setResults([]); setConsistency(null);
     
+    const queue = items.map((item, idx) => ({ item, idx })).filter(({ idx }) => !collapsedRows.has(idx));
     const concurrency = 2;
-    for (let i = 0; i < items.length; i += concurrency) {
-      const batch = items.slice(i, i + concurrency);
+    for (let i = 0; i < queue.length; i += concurrency) {
+      const batch = queue.slice(i, i + concurrency);
       
-      const batchPromises = batch.map(async (item, batchIdx) => {
-        const idx = i + batchIdx;
+      const batchPromises = batch.map(async ({ item, idx }) => {
         const us = item.userStory?.toString().trim();
         
         if (!us) return { ...item, error: 'Empty', rowNumber: idx + 2 };
@@ -95,7 +133,8 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
         try {
           const res = await fetchWithRetry(`${BACKEND_URL}/evaluate`, {
             method: 'POST', 
-            headers: { 'Content-Type': 'application/json' },
+            // Queued behind interactive evaluations on the backend
+            headers: { 'Content-Type': 'application/json', 'X-Priority': 'bulk' },
             body: JSON.stringify({ userStory: us, runDeepEval }),
           }, 8, 12000, (retriesLeft) => {
             setError(`Server initializing... (${retriesLeft} attempts remaining)`);
@@ -105,7 +144,7 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
           const data = await res.json();
           if (res.ok) {
             import('../utils/analyticsTracker').then(({ trackEvaluation }) => trackEvaluation('User Story', us, data));
-            return { ...item, ...data, evaluationDone: true, rowNumber: idx + 2 };
+            return { ...item, ...data, ...duplicateInfo(idx), evaluationDone: true, rowNumber: idx + 2 };
           }
           return { ...item, error: data.error || 'Evaluation failed', rowNumber: idx + 2 };
         } catch (err) {
@@ -122,6 +161,16 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
     if (setServerBusy) setServerBusy(false);
   };
 
+  // A story's id in the consistency check: its storyId column when the file has one, else its row
+  const storyIdOf = (r) => r.storyId?.toString().trim() || `Row ${r.rowNumber}`;
+  const consistencyStories = results.filter(r => r.evaluationDone).map(r => ({ id: storyIdOf(r), text: r.userStory.toString() }));
+  const consistencyFor = (r) => {
+    if (!consistency) return null;
+    const node = consistency.graph.nodes.find(n => n.id === storyIdOf(r));
+    const conflicts = consistency.conflicts.filter(c => c.stories.includes(storyIdOf(r)));
+    return node && (node.dependsOn.length || conflicts.length) ? { dependsOn: node.dependsOn, conflicts } : null;
+  };
+
   const itemsPerPage = ITEMS_PER_PAGE;
   const totalPages = Math.ceil((results || []).length / itemsPerPage);
   const paginatedResults = (results || []).slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
@@ -157,7 +206,7 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
             <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#6366f1" strokeWidth="1.5" style={{ marginBottom: 12 }}><path d="M4 14.899A7 7 0 1 1 15.71 8h1.79a4.5 4.5 0 0 1 2.5 8.242"/><path d="M12 12v9"/><path d="m8 17 4 4 4-4"/></svg>
             <p style={{ margin: 0, fontSize: '0.9rem', fontWeight: 700, color: '#1e293b' }}>Click to upload or drag and drop</p>
             <p style={{ margin: '4px 0 0 0', fontSize: '0.7rem', color: '#94a3b8' }}>Excel (.xlsx, .xls) or CSV</p>
-            {items.length > 0 && <p style={{ marginTop: 12, fontSize: '0.75rem', color: '#0369a1', fontWeight: 700 }}>File: {items.length} items loaded</p>}
+            {items.length > 0 && <p style={{ marginTop: 12, fontSize: '0.75rem', color: '#0369a1', fontWeight: 700 }}>{file ? 'File' : 'Story split'}: {items.length} items loaded</p>}
           </div>
 
           {validationError && (
@@ -167,9 +216,26 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
             </div>
           )}
 
+          {duplicates?.clusters.length > 0 && (
+            <div style={{ marginTop: 16, padding: '12px 16px', background: '#fff7ed', borderRadius: 12, border: '1px solid #fed7aa' }}>
+              <p style={{ margin: '0 0 8px', fontSize: '0.78rem', color: '#9a3412', fontWeight: 800 }}>
+                {duplicates.summary.duplicates} near-duplicate{duplicates.summary.duplicates === 1 ? '' : 's'} in {duplicates.clusters.length} cluster{duplicates.clusters.length === 1 ? '' : 's'}
+              </p>
+              {duplicates.clusters.map(c => (
+                <p key={c.id} style={{ margin: '0 0 4px', fontSize: '0.72rem', color: '#c2410c' }}>
+                  Row {c.representative.index + 2} ≈ {c.members.map(m => `Row ${m.index + 2} (${Math.round(m.similarity * 100)}%)`).join(', ')}
+                </p>
+              ))}
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8, fontSize: '0.75rem', fontWeight: 700, color: '#9a3412', cursor: 'pointer' }}>
+                <input type="checkbox" checked={collapseDuplicates} onChange={e => setCollapseDuplicates(e.target.checked)} disabled={loading} style={{ accentColor: '#f97316' }} />
+                Collapse duplicates (evaluate the first row of each cluster only)
+              </label>
+            </div>
+          )}
+
           <div style={{ marginTop: 16 }}>
             <button className="btn-primary" onClick={handleEvaluateAll} disabled={loading || !items.length || !!validationError}>
-              {loading ? `Evaluating ${Math.min(results.length + 1, items.length)} / ${items.length}...` : `Run Evaluation on ${items.length} Items`}
+              {loading ? `Evaluating ${Math.min(results.length + 1, evaluationTotal)} / ${evaluationTotal}...` : `Run Evaluation on ${evaluationTotal} Items`}
             </button>
             {error && <div style={{ marginTop: 12, color: '#ef4444', fontSize: '0.82rem' }}>{error}</div>}
           </div>
@@ -178,7 +244,7 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
         <div style={{ background: '#fff', borderRadius: 24, padding: 24, border: '1.5px solid #e5e7f0', boxShadow: '0 4px 20px rgba(0,0,0,0.02)', minHeight: 600 }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
             <h3 style={{ fontSize: '1rem', fontWeight: 800, color: '#1a1a2e', margin: 0 }}>Results</h3>
-            <span style={{ fontSize: '0.75rem', color: '#94a3b8', fontWeight: 600 }}>{results.length}/{items.length} successful</span>
+            <span style={{ fontSize: '0.75rem', color: '#94a3b8', fontWeight: 600 }}>{results.length}/{evaluationTotal} successful{collapsedRows.size > 0 ? ` · ${collapsedRows.size} duplicates collapsed` : ''}</span>
           </div>
 
           <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
@@ -191,6 +257,10 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
 
             {results.length > 0 && (
               <>
+                {!loading && consistencyStories.length > 1 && (
+                  <ConsistencyReport stories={consistencyStories} result={consistency} onResult={setConsistency} setServerBusy={setServerBusy} />
+                )}
+
                 {paginatedResults.map((r, i) => (
                   <div key={i} style={{ 
                     padding: '24px', 
@@ -208,11 +278,11 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
                       <span style={{ 
                         fontSize: '0.7rem', 
                         fontWeight: 900, 
-                        color: scoreColor(r.totalScore), 
-                        background: `${scoreColor(r.totalScore)}15`, 
+                        color: scoreColor(r.totalScore, rubricFor(r, 'user_story')), 
+                        background: `${scoreColor(r.totalScore, rubricFor(r, 'user_story'))}15`, 
                         padding: '4px 12px', 
                         borderRadius: 20,
-                        border: `1px solid ${scoreColor(r.totalScore)}40`
+                        border: `1px solid ${scoreColor(r.totalScore, rubricFor(r, 'user_story'))}40`
                       }}>
                         {r.totalScore} POINTS
                       </span>
@@ -231,6 +301,27 @@ function BulkUserStoryEvaluator({ setServerBusy, onAnalyze }) {
                       {r.userStory}
                     </div>
 
+                    {consistencyFor(r) && (
+                      <div style={{ marginBottom: 16, padding: '10px 14px', background: '#eef2ff', border: '1px solid #c7d2fe', borderRadius: 10, fontSize: '0.75rem', color: '#3730a3' }}>
+                        {consistencyFor(r).dependsOn.length > 0 && <p style={{ margin: 0 }}><strong>DEPENDS ON</strong> {consistencyFor(r).dependsOn.join(', ')}</p>}
+                        {consistencyFor(r).conflicts.map((c, ci) => (
+                          <p key={ci} style={{ margin: '4px 0 0', color: c.severity === 'error' ? '#b91c1c' : '#b45309' }}>
+                            <strong>{c.type.toUpperCase()} CONFLICT</strong> with {c.stories.filter(id => id !== storyIdOf(r)).join(', ')}: {c.description}
+                          </p>
+                        ))}
+                      </div>
+                    )}
+
+                    {r.duplicateCluster && (
+                      <div style={{ marginBottom: 16, padding: '10px 14px', background: '#fff7ed', border: '1px solid #fed7aa', borderRadius: 10, fontSize: '0.75rem', color: '#9a3412' }}>
+                        <strong>DUPLICATE CLUSTER {r.duplicateCluster.replace('dup-', '#')}</strong>
+                        {r.duplicateOf && <span> · near-duplicate of Row {r.duplicateOf} ({Math.round(r.similarity * 100)}%)</span>}
+                        {r.collapsedDuplicates?.map(d => (
+                          <p key={d.rowNumber} style={{ margin: '6px 0 0', color: '#c2410c' }}>Row {d.rowNumber} ({Math.round(d.similarity * 100)}%): {d.userStory}</p>
+                        ))}
+                      </div>
+                    )}
+
                     {r.evaluationDone && (
                       <>
                         <div style={{ 
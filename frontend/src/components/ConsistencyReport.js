@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import StreamProgress, { applyProgress } from './StreamProgress';
+import { streamEvents } from '../utils/api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const CONSISTENCY_STEPS = [
+  { id: 'parse', label: 'Rule Checks' },
+  { id: 'analyze', label: 'Consistency Audit' },
+  { id: 'llm', label: 'Model' },
+  { id: 'repair', label: 'Validation' },
+];
+
+const SEVERITY_COLORS = { error: '#ef4444', warning: '#f59e0b' };
+const NODE_WIDTH = 130;
+const NODE_HEIGHT = 36;
+const COLUMN_GAP = 60;
+const ROW_GAP = 18;
+
+// Columns by dependency depth: a story sits one column right of the deepest story it depends on
+const layoutGraph = (graph) => {
+  const byId = Object.fromEntries(graph.nodes.map(n => [n.id, n]));
+  const depth = {};
+  const depthOf = (id, visiting = new Set()) => {
+    if (depth[id] !== undefined) return depth[id];
+    if (visiting.has(id)) return 0; // Cycle: break it here
+    visiting.add(id);
+    const deps = byId[id].dependsOn;
+    depth[id] = deps.length ? 1 + Math.max(...deps.map(dep => depthOf(dep, visiting))) : 0;
+    return depth[id];
+  };
+  const rows = {};
+  const positions = {};
+  graph.order.forEach(id => {
+    const column = depthOf(id);
+    rows[column] = (rows[column] || 0) + 1;
+    positions[id] = { x: column * (NODE_WIDTH + COLUMN_GAP), y: (rows[column] - 1) * (NODE_HEIGHT + ROW_GAP) };
+  });
+  const columns = Object.keys(rows).length;
+  return {
+    positions,
+    width: columns * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+    height: Math.max(...Object.values(rows)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP,
+  };
+};
+
+const DependencyGraph = ({ graph, conflicted }) => {
+  const { positions, width, height } = layoutGraph(graph);
+  return (
+    <div style={{ overflowX: 'auto', padding: 8, background: '#f8fafc', borderRadius: 12, border: '1px solid #e2e8f0' }}>
+      <svg width={width + 16} height={height + 16} style={{ display: 'block' }}>
+        <defs>
+          <marker id="dep-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill="#94a3b8" />
+          </marker>
+        </defs>
+        <g transform="translate(8,8)">
+          {/* Arrows run from the prerequisite to the story that needs it */}
+          {graph.edges.map(edge => {
+            const from = positions[edge.to];
+            const to = positions[edge.from];
+            const backwards = to.x <= from.x;
+            return (
+              <line
+                key={`${edge.from}-${edge.to}`}
+                x1={from.x + NODE_WIDTH} y1={from.y + NODE_HEIGHT / 2}
+                x2={backwards ? to.x + NODE_WIDTH : to.x} y2={to.y + NODE_HEIGHT / 2}
+                stroke={edge.source === 'model' ? '#a5b4fc' : '#94a3b8'} strokeWidth="1.5"
+                strokeDasharray={edge.type === 'related' ? '4 3' : undefined}
+                markerEnd={edge.type === 'related' ? undefined : 'url(#dep-arrow)'}
+              >
+                <title>{`${edge.from} ${edge.type} ${edge.to}: ${edge.reason}`}</title>
+              </line>
+            );
+          })}
+          {graph.nodes.map(node => {
+            const { x, y } = positions[node.id];
+            const color = conflicted.has(node.id) ? '#ef4444' : node.independent ? '#10b981' : '#6366f1';
+            return (
+              <g key={node.id} transform={`translate(${x},${y})`}>
+                <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" fill="#fff" stroke={color} strokeWidth="1.5" />
+                <text x={NODE_WIDTH / 2} y={NODE_HEIGHT / 2 + 4} textAnchor="middle" fontSize="11" fontWeight="800" fill="#1e293b">
+                  {node.id.length > 18 ? `${node.id.slice(0, 17)}…` : node.id}
+                </text>
+                <title>{[node.id, node.persona && `As a ${node.persona}`, node.goal && `I want ${node.goal}`].filter(Boolean).join('\n')}</title>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Batch-level consistency for the bulk evaluator: runs /analyze-consistency on the evaluated
+ * stories and shows the dependency graph and the conflicts between stories. The parent keeps the
+ * result, so it can mark each story's card too.
+ */
+const ConsistencyReport = ({ stories, result, onResult, setServerBusy }) => {
+  const [loading, setLoading] = useState(false);
+  const [phases, setPhases] = useState({});
+  const [error, setError] = useState(null);
+
+  const handleAnalyze = async () => {
+    setLoading(true); setError(null); setPhases({});
+    if (setServerBusy) setServerBusy(true);
+    try {
+      const data = await streamEvents(`${BACKEND_URL}/analyze-consistency/stream`, { stories }, (event, payload) => {
+        if (event === 'progress') setPhases(prev => applyProgress(prev, payload));
+      }, (retriesLeft) => {
+        setError(`Server waking up... (${retriesLeft} retries left)`);
+      });
+      setError(null);
+      onResult(data);
+    } catch (err) {
+      setError(err.data ? (err.data.error || 'Consistency check failed') : 'Connection failed. Please check backend status.');
+    } finally {
+      setLoading(false);
+      if (setServerBusy) setServerBusy(false);
+    }
+  };
+
+  const conflicted = new Set((result?.conflicts || []).flatMap(c => c.stories));
+
+  return (
+    <div style={{ marginBottom: 20, padding: 20, borderRadius: 20, border: '1.5px solid #e0e7ff', background: '#fff' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div>
+          <h4 style={{ margin: 0, fontSize: '0.85rem', fontWeight: 900, color: '#3730a3', textTransform: 'uppercase' }}>Cross-Story Consistency</h4>
+          <p style={{ margin: '4px 0 0', fontSize: '0.75rem', color: '#6366f1' }}>Dependencies and contradictions between the {stories.length} evaluated stories.</p>
+        </div>
+        <button className="btn-secondary" onClick={handleAnalyze} disabled={loading || stories.length < 2} style={{ padding: '8px 16px', fontSize: '0.75rem', fontWeight: 800 }}>
+          {loading ? 'CHECKING...' : result ? 'RE-CHECK' : 'CHECK CONSISTENCY'}
+        </button>
+      </div>
+
+      {loading && <StreamProgress steps={CONSISTENCY_STEPS} phases={phases} />}
+      {error && <div style={{ marginTop: 12, color: '#ef4444', fontSize: '0.82rem' }}>{error}</div>}
+
+      {result && !loading && (
+        <>
+          <p style={{ margin: '16px 0 10px', fontSize: '0.75rem', color: '#475569', fontWeight: 700 }}>
+            {result.summary.dependencies} dependencies · {result.summary.independent} independent stories · {result.summary.errors} conflicts · {result.summary.warnings} warnings
+            {result.summary.cycles > 0 && <span style={{ color: '#ef4444' }}> · {result.summary.cycles} dependency cycles</span>}
+          </p>
+          <DependencyGraph graph={result.graph} conflicted={conflicted} />
+          <p style={{ margin: '10px 0 0', fontSize: '0.72rem', color: '#64748b' }}>
+            <strong>Suggested build order:</strong> {result.graph.order.join(' → ')}
+          </p>
+
+          {result.conflicts.length > 0 && (
+            <div style={{ marginTop: 16, display: 'flex', flexDirection: 'column', gap: 8 }}>
+              {result.conflicts.map((c, i) => (
+                <div key={i} style={{ padding: '10px 14px', borderRadius: 10, border: `1px solid ${SEVERITY_COLORS[c.severity]}40`, background: `${SEVERITY_COLORS[c.severity]}08` }}>
+                  <p style={{ margin: 0, fontSize: '0.72rem', fontWeight: 900, color: SEVERITY_COLORS[c.severity], textTransform: 'uppercase' }}>
+                    {c.type} · {c.stories.join(', ')}
+                  </p>
+                  <p style={{ margin: '4px 0 0', fontSize: '0.78rem', color: '#334155' }}>{c.description}</p>
+                  {c.suggestion && <p style={{ margin: '4px 0 0', fontSize: '0.75rem', color: '#64748b', fontStyle: 'italic' }}>{c.suggestion}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConsistencyReport;
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { fetchWithRetry } from '../utils/api';
+import React, { useEffect, useState } from 'react';
+import { fetchWithRetry, getActiveProject } from '../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -21,6 +21,20 @@ const IntegrationPanel = ({ onSelectStory, onSelectTestCase, setServerBusy }) =>
   const [connStatus, setConnStatus]   = useState(null);
   const [dismissed, setDismissed]     = useState(false);
 
+  // Prefill the active project's saved connection settings; tokens are never saved, so they are still typed in
+  useEffect(() => {
+    const projectId = getActiveProject();
+    if (!projectId) return;
+    fetchWithRetry(`${BACKEND_URL}/projects/${projectId}`, {}, 1)
+      .then(res => (res.ok ? res.json() : null))
+      .then(project => {
+        if (!project) return;
+        setJiraConfig(prev => ({ ...prev, ...project.integrations.jira }));
+        setAzureConfig(prev => ({ ...prev, ...project.integrations.azure }));
+      })
+      .catch(() => {});
+  }, []);
+
   const handleJiraConnect = async () => {
     const { domain, email, apiToken, projectKey } = jiraConfig;
     if (!domain || !email || !apiToken || !projectKey) { setError('All fields required'); return; }
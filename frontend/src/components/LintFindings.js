@@ -0,0 +1,23 @@
+import React from 'react';
+
+const SEVERITY_COLORS = {
+  error: { bg: '#fef2f2', text: '#ef4444' },
+  warning: { bg: '#fffbeb', text: '#d97706' },
+  info: { bg: '#eff6ff', text: '#3b82f6' },
+};
+
+// Rule-based findings (story lint, test-case smells, Gherkin checks): severity, rule id, line and message per row
+const LintFindings = ({ findings }) => (
+  <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+    {findings.map((f, i) => (
+      <div key={i} style={{ display: 'flex', alignItems: 'baseline', gap: 10, fontSize: '0.8rem', color: '#1e293b' }}>
+        <span style={{ fontSize: '0.6rem', fontWeight: 900, textTransform: 'uppercase', padding: '2px 6px', borderRadius: 4, background: SEVERITY_COLORS[f.severity].bg, color: SEVERITY_COLORS[f.severity].text }}>{f.severity}</span>
+        <code style={{ fontSize: '0.72rem', color: '#64748b' }}>{f.ruleId}</code>
+        {f.line && <span style={{ fontSize: '0.7rem', fontWeight: 700, color: '#94a3b8' }}>L{f.line}</span>}
+        <span style={{ lineHeight: 1.5 }}>{f.message}</span>
+      </div>
+    ))}
+  </div>
+);
+
+export default LintFindings;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+
+const inputStyle = { width: '100%', padding: '10px 12px', borderRadius: 10, border: '1px solid #e2e8f0', fontSize: '0.9rem', color: '#1e293b', boxSizing: 'border-box', marginBottom: 12 };
+
+// Sign-in screen shown when the backend requires accounts: username/password and any configured SSO providers
+const Login = ({ providers, error, onSignIn, onSignInWith }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true); setFormError(null);
+    try {
+      await onSignIn(username.trim().toLowerCase(), password);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const shownError = formError || error;
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#f0f2f8' }}>
+      <form onSubmit={handleSubmit} className="section-card" style={{ width: 380, padding: 32, animation: 'fadeIn 0.4s ease' }}>
+        <h1 style={{ fontSize: '1.1rem', fontWeight: 900, margin: '0 0 4px', color: '#1a1a2e', letterSpacing: '0.05em' }}>QA AI AGENT</h1>
+        <p style={{ fontSize: '0.8rem', color: '#94a3b8', fontWeight: 600, margin: '0 0 24px' }}>Sign in to continue</p>
+
+        <input style={inputStyle} value={username} onChange={e => setUsername(e.target.value)} placeholder="Username" autoComplete="username" />
+        <input style={inputStyle} type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password" />
+        {shownError && <div className="banner-error" style={{ marginBottom: 12, fontSize: '0.8rem' }}>{shownError}</div>}
+        <button className="btn-primary" type="submit" disabled={loading || !username.trim() || !password} style={{ width: '100%', background: '#6366f1' }}>
+          {loading ? 'SIGNING IN...' : 'SIGN IN'}
+        </button>
+
+        {providers.length > 0 && (
+          <>
+            <p style={{ textAlign: 'center', fontSize: '0.7rem', fontWeight: 800, color: '#cbd5e1', margin: '18px 0' }}>OR</p>
+            {providers.map(p => (
+              <button key={p.id} type="button" className="btn-secondary" onClick={() => onSignInWith(p.id)} style={{ width: '100%', marginBottom: 8 }}>
+                {p.label.toUpperCase()}
+              </button>
+            ))}
+          </>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { fetchWithRetry } from '../utils/api';
+import { useRubrics } from '../utils/rubric';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const ARTIFACT_LABELS = { user_story: 'User Story', test_case: 'Test Case' };
+const INTEGRATION_FIELDS = {
+  jira: [{ key: 'domain', label: 'Domain', placeholder: 'company.atlassian.net' }, { key: 'email', label: 'Email' }, { key: 'projectKey', label: 'Project Key' }],
+  azure: [{ key: 'organization', label: 'Organization' }, { key: 'project', label: 'Project' }],
+};
+const EMPTY_EXAMPLE = { type: 'user_story', quality: 'good', text: '', explanation: '' };
+
+const emptyProject = () => ({
+  name: '', description: '',
+  rubrics: { user_story: '', test_case: '' },
+  knowledgeBase: { namespace: '', examples: [] },
+  integrations: { jira: {}, azure: {} },
+});
+
+// The editable form of a stored project: nulls become empty fields
+const toForm = (project) => ({
+  name: project.name,
+  description: project.description || '',
+  rubrics: { user_story: project.rubrics.user_story || '', test_case: project.rubrics.test_case || '' },
+  knowledgeBase: { namespace: project.knowledgeBase.namespace || '', examples: project.knowledgeBase.examples },
+  integrations: { jira: project.integrations.jira || {}, azure: project.integrations.azure || {} },
+});
+
+const inputStyle = { width: '100%', padding: '8px 10px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.82rem', color: '#1e293b', boxSizing: 'border-box' };
+const Field = ({ label, children }) => (
+  <label style={{ display: 'block', marginBottom: 12 }}>
+    <span className="field-label" style={{ display: 'block', marginBottom: 4 }}>{label}</span>
+    {children}
+  </label>
+);
+
+/**
+ * Creates and edits projects: the rubric each artifact type is scored against, the knowledge base
+ * examples that calibrate scoring and the non-secret Jira / Azure DevOps settings.
+ */
+const ProjectSettings = ({ projects, activeProject, onSaved, onDeleted }) => {
+  const [selectedId, setSelectedId] = useState(activeProject || null);
+  const [form, setForm] = useState(() => {
+    const project = projects.find(p => p.id === activeProject);
+    return project ? toForm(project) : emptyProject();
+  });
+  const [example, setExample] = useState(EMPTY_EXAMPLE);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const storyRubrics = useRubrics('user_story');
+  const testCaseRubrics = useRubrics('test_case');
+  const rubricOptions = { user_story: storyRubrics, test_case: testCaseRubrics };
+
+  const select = (project) => {
+    setSelectedId(project ? project.id : null);
+    setForm(project ? toForm(project) : emptyProject());
+    setErrors([]); setNotice(null);
+  };
+
+  const update = (path, value) => setForm(prev => {
+    const [section, key, field] = path;
+    if (!key) return { ...prev, [section]: value };
+    if (!field) return { ...prev, [section]: { ...prev[section], [key]: value } };
+    return { ...prev, [section]: { ...prev[section], [key]: { ...prev[section][key], [field]: value } } };
+  });
+
+  const addExample = () => {
+    if (!example.text.trim()) return;
+    update(['knowledgeBase', 'examples'], [...form.knowledgeBase.examples, { ...example, text: example.text.trim() }]);
+    setExample(EMPTY_EXAMPLE);
+  };
+
+  const removeExample = (index) => update(['knowledgeBase', 'examples'], form.knowledgeBase.examples.filter((_, i) => i !== index));
+
+  const handleSave = async () => {
+    setSaving(true); setErrors([]); setNotice(null);
+    try {
+      const res = await fetchWithRetry(selectedId ? `${BACKEND_URL}/projects/${selectedId}` : `${BACKEND_URL}/projects`, {
+        method: selectedId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      }, 1);
+      const data = await res.json();
+      if (!res.ok) { setErrors(data.validationErrors || [data.error || 'Could not save the project.']); return; }
+      setSelectedId(data.id);
+      setForm(toForm(data));
+      setNotice(`Saved ${data.name}`);
+      onSaved(data);
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !window.confirm(`Delete project "${form.name}"? Its history stays but is no longer grouped under it.`)) return;
+    try {
+      const res = await fetchWithRetry(`${BACKEND_URL}/projects/${selectedId}`, { method: 'DELETE' }, 1);
+      if (!res.ok && res.status !== 404) { setErrors([`Could not delete the project (${res.status}).`]); return; }
+      onDeleted(selectedId);
+      select(null);
+    } catch (err) {
+      setErrors(['Connection failed.']);
+    }
+  };
+
+  return (
+    <div style={{ animation: 'fadeIn 0.4s ease', display: 'grid', gridTemplateColumns: '260px 1fr', gap: 24, alignItems: 'start' }}>
+      <div className="section-card" style={{ padding: 16 }}>
+        <button className="btn-primary" onClick={() => select(null)} style={{ width: '100%', marginBottom: 12, background: '#6366f1' }}>NEW PROJECT</button>
+        {projects.length === 0 && <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: 0 }}>No projects yet.</p>}
+        {projects.map(p => (
+          <button
+            key={p.id}
+            onClick={() => select(p)}
+            style={{
+              display: 'block', width: '100%', textAlign: 'left', padding: '10px 12px', marginBottom: 6, borderRadius: 10, cursor: 'pointer',
+              border: `1.5px solid ${p.id === selectedId ? '#6366f1' : '#e2e8f0'}`, background: p.id === selectedId ? '#eef2ff' : '#fff'
+            }}
+          >
+            <span style={{ display: 'block', fontSize: '0.85rem', fontWeight: 800, color: '#1e293b' }}>{p.name}</span>
+            <span style={{ fontSize: '0.7rem', color: '#94a3b8', fontWeight: 700 }}>{p.id}{p.id === activeProject ? ' · active' : ''}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="section-card" style={{ padding: 24 }}>
+        <h3 style={{ margin: '0 0 16px', fontSize: '1rem', fontWeight: 900, color: '#1a1a2e' }}>{selectedId ? `Edit ${form.name || selectedId}` : 'New Project'}</h3>
+
+        <Field label="Name"><input style={inputStyle} value={form.name} onChange={e => update(['name'], e.target.value)} placeholder="Project Alpha (FinTech)" /></Field>
+        <Field label="Description"><input style={inputStyle} value={form.description} onChange={e => update(['description'], e.target.value)} /></Field>
+
+        <p className="field-label" style={{ margin: '20px 0 8px' }}>Rubrics</p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+          {Object.keys(ARTIFACT_LABELS).map(type => (
+            <Field key={type} label={ARTIFACT_LABELS[type]}>
+              <select style={inputStyle} value={form.rubrics[type]} onChange={e => update(['rubrics', type], e.target.value)}>
+                <option value="">Team default</option>
+                {rubricOptions[type].map(r => <option key={r.id} value={r.id}>{r.name || r.id}</option>)}
+              </select>
+            </Field>
+          ))}
+        </div>
+
+        <p className="field-label" style={{ margin: '20px 0 8px' }}>Knowledge Base</p>
+        <Field label="Pinecone namespace (optional)">
+          <input style={inputStyle} value={form.knowledgeBase.namespace} onChange={e => update(['knowledgeBase', 'namespace'], e.target.value)} placeholder="Shared index when empty" />
+        </Field>
+        {form.knowledgeBase.examples.map((ex, i) => (
+          <div key={ex.id || i} style={{ display: 'flex', gap: 10, alignItems: 'flex-start', padding: '8px 12px', marginBottom: 6, borderRadius: 10, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+            <span className="chip" style={{ color: ex.quality === 'good' ? '#10b981' : '#ef4444' }}>{ARTIFACT_LABELS[ex.type]} · {ex.quality}</span>
+            <span style={{ flex: 1, fontSize: '0.8rem', color: '#475569' }}>{ex.text}{ex.explanation && <em style={{ color: '#94a3b8' }}> ({ex.explanation})</em>}</span>
+            <button onClick={() => removeExample(i)} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>REMOVE</button>
+          </div>
+        ))}
+        <div style={{ display: 'grid', gridTemplateColumns: '140px 100px 1fr', gap: 8, marginTop: 8 }}>
+          <select style={inputStyle} value={example.type} onChange={e => setExample({ ...example, type: e.target.value })}>
+            {Object.keys(ARTIFACT_LABELS).map(type => <option key={type} value={type}>{ARTIFACT_LABELS[type]}</option>)}
+          </select>
+          <select style={inputStyle} value={example.quality} onChange={e => setExample({ ...example, quality: e.target.value })}>
+            <option value="good">Good</option>
+            <option value="poor">Poor</option>
+          </select>
+          <input style={inputStyle} value={example.explanation} onChange={e => setExample({ ...example, explanation: e.target.value })} placeholder="Why it is a good or poor example" />
+        </div>
+        <textarea className="qa-textarea" value={example.text} onChange={e => setExample({ ...example, text: e.target.value })} placeholder="Reference story or test case..." style={{ minHeight: 70, marginTop: 8 }} />
+        <button className="btn-secondary" onClick={addExample} disabled={!example.text.trim()} style={{ marginTop: 8 }}>ADD EXAMPLE</button>
+
+        <p className="field-label" style={{ margin: '20px 0 8px' }}>Integrations</p>
+        <p style={{ fontSize: '0.75rem', color: '#94a3b8', margin: '0 0 10px' }}>API tokens are not stored; they are entered when connecting.</p>
+        {Object.keys(INTEGRATION_FIELDS).map(name => (
+          <div key={name} style={{ display: 'grid', gridTemplateColumns: `repeat(${INTEGRATION_FIELDS[name].length}, 1fr)`, gap: 12 }}>
+            {INTEGRATION_FIELDS[name].map(field => (
+              <Field key={field.key} label={`${name === 'jira' ? 'Jira' : 'Azure DevOps'} ${field.label}`}>
+                <input style={inputStyle} value={form.integrations[name][field.key] || ''} onChange={e => update(['integrations', name, field.key], e.target.value)} placeholder={field.placeholder} />
+              </Field>
+            ))}
+          </div>
+        ))}
+
+        {errors.length > 0 && (
+          <div className="banner-error" style={{ marginTop: 12 }}>
+            {errors.map(e => <div key={e} style={{ fontSize: '0.8rem' }}>{e}</div>)}
+          </div>
+        )}
+        {notice && <p style={{ color: '#10b981', fontSize: '0.8rem', fontWeight: 700 }}>{notice}</p>}
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 16 }}>
+          <button className="btn-primary" onClick={handleSave} disabled={saving || !form.name.trim()} style={{ background: '#6366f1' }}>
+            {saving ? 'SAVING...' : selectedId ? 'SAVE PROJECT' : 'CREATE PROJECT'}
+          </button>
+          {selectedId && <button onClick={handleDelete} style={{ background: 'none', border: 'none', color: '#ef4444', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>DELETE</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectSettings;
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import StreamProgress, { applyProgress } from './StreamProgress';
+import LintFindings from './LintFindings';
+import { streamEvents } from '../utils/api';
+import { DEFAULT_RUBRICS, scoreColor } from '../utils/rubric';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// SPIDR patterns, in the order the backend proposes them
+const PATTERNS = [
+  { id: 'spike', label: 'Spike', hint: 'Research first, then build' },
+  { id: 'paths', label: 'Paths', hint: 'Happy path, then alternatives' },
+  { id: 'interfaces', label: 'Interfaces', hint: 'One channel or UI at a time' },
+  { id: 'data', label: 'Data', hint: 'A subset of the data first' },
+  { id: 'rules', label: 'Rules', hint: 'Simplest rules first' },
+];
+
+const SPLIT_STEPS = [
+  { id: 'lint', label: 'Lint' },
+  { id: 'retrieval', label: 'Retrieval' },
+  { id: 'llm', label: 'Splitting' },
+  { id: 'repair', label: 'Validation' },
+  { id: 'evaluate', label: 'Evaluate Stories' },
+];
+
+// A child story as the evaluators see it: the statement followed by its acceptance criteria
+const storyWithCriteria = (story) => `${story.description}\n\nAcceptance Criteria:\n${story.acceptanceCriteria.map(ac => `- ${ac}`).join('\n')}`;
+
+// Child stories in the generator's shape, with the evaluation scores as its INVEST analysis
+const toGeneratedStories = (split) => split.stories.map(story => ({
+  name: story.name,
+  description: story.description,
+  acceptanceCriteria: story.acceptanceCriteria,
+  storyPoints: story.storyPoints,
+  ...(story.evaluation ? {
+    analysis: Object.fromEntries(story.evaluation.parameters.map(p => [p.name.toLowerCase(), p.score]))
+  } : {})
+}));
+
+const StorySplitter = ({ setServerBusy, initialValue, onBulkEvaluate, onOpenInGenerator }) => {
+  const [userStory, setUserStory] = useState(initialValue || '');
+  const [patterns, setPatterns] = useState(PATTERNS.map(p => p.id));
+  const [evaluate, setEvaluate] = useState(true);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [phases, setPhases] = useState({});
+  const [partialSplits, setPartialSplits] = useState([]);
+
+  React.useEffect(() => {
+    if (initialValue) setUserStory(initialValue);
+  }, [initialValue]);
+
+  const togglePattern = (id) => {
+    setPatterns(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]));
+  };
+
+  const handleSplit = async () => {
+    if (!userStory.trim() || patterns.length === 0) return;
+    setLoading(true); setError(null); setResults(null);
+    setPhases({}); setPartialSplits([]);
+    if (setServerBusy) setServerBusy(true);
+
+    try {
+      // Splits stream in as the model writes them; child evaluations report progress afterwards
+      const data = await streamEvents(`${BACKEND_URL}/split-story/stream`, {
+        userStory, evaluate,
+        ...(patterns.length < PATTERNS.length ? { patterns } : {})
+      }, (event, payload) => {
+        if (event === 'progress') {
+          setPhases(prev => applyProgress(prev, payload));
+          if (payload.phase === 'llm' && payload.status !== 'done') setPartialSplits([]);
+        } else if (event === 'partial' && typeof payload.item.pattern === 'string') {
+          setPartialSplits(prev => [...prev.slice(0, payload.index), payload.item]);
+        }
+      }, (retriesLeft) => {
+        setError(`Server waking up... (${retriesLeft} retries left)`);
+      });
+
+      setError(null);
+      setResults(data);
+    } catch (err) {
+      setError(err.data ? (err.data.error || 'Splitting failed') : 'Connection failed. Please check backend status.');
+    } finally {
+      setLoading(false);
+      if (setServerBusy) setServerBusy(false);
+    }
+  };
+
+  const rubric = results?.rubric || DEFAULT_RUBRICS.user_story;
+  const splits = results ? results.splits : partialSplits;
+
+  return (
+    <div style={{ animation: 'fadeIn 0.4s ease' }}>
+      <div style={{ background: '#fff', borderRadius: 20, padding: 24, boxShadow: '0 4px 20px rgba(0,0,0,0.03)', border: '1px solid #e5e7f0' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+             <div style={{ width: 32, height: 32, borderRadius: 8, background: '#fdf4ff', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#a855f7" strokeWidth="2.5"><path d="M16 3h5v5"/><path d="M8 3H3v5"/><path d="M12 22v-8.3a4 4 0 0 0-1.172-2.872L3 3"/><path d="m15 9 6-6"/></svg>
+             </div>
+             <h3 style={{ fontSize: '0.95rem', fontWeight: 800, color: '#1a1a2e', margin: 0, textTransform: 'uppercase' }}>Epic or Oversized Story</h3>
+             <span style={{ fontSize: '0.7rem', color: '#94a3b8', background: '#f8fafc', padding: '2px 8px', borderRadius: 10, border: '1px solid #e2e8f0' }}>{userStory.length}/2000</span>
+          </div>
+          <button onClick={() => { setUserStory(''); setResults(null); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
+        </div>
+
+        <textarea
+          className="qa-textarea"
+          value={userStory}
+          onChange={(e) => setUserStory(e.target.value)}
+          placeholder="As a [user type], I want [a large goal] so that [reason]..."
+          style={{ minHeight: 140 }}
+        />
+
+        <div style={{ marginTop: 16, display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+          {PATTERNS.map(p => {
+            const active = patterns.includes(p.id);
+            return (
+              <button
+                key={p.id}
+                onClick={() => togglePattern(p.id)}
+                title={p.hint}
+                style={{
+                  padding: '6px 14px', borderRadius: 20, fontSize: '0.75rem', fontWeight: 800, cursor: 'pointer',
+                  background: active ? '#a855f7' : '#fff', color: active ? '#fff' : '#64748b',
+                  border: `1px solid ${active ? '#a855f7' : '#e2e8f0'}`
+                }}
+              >
+                {p.label}
+              </button>
+            );
+          })}
+        </div>
+
+        <div style={{ marginTop: 20, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <input type="checkbox" id="evaluateSplits" checked={evaluate} onChange={e => setEvaluate(e.target.checked)} style={{ width: 18, height: 18, accentColor: '#a855f7' }} />
+            <label htmlFor="evaluateSplits" style={{ fontSize: '0.8rem', fontWeight: 600, color: '#4b5563', cursor: 'pointer' }}>Evaluate each child story</label>
+          </div>
+          <button
+            className="btn-primary"
+            onClick={handleSplit}
+            disabled={loading || !userStory.trim() || patterns.length === 0}
+            style={{ padding: '12px 32px', fontSize: '0.9rem', minWidth: 180, background: '#a855f7' }}
+          >
+            {loading ? 'SPLITTING...' : 'SUGGEST SPLITS'}
+          </button>
+        </div>
+        {error && <div style={{ marginTop: 16, color: '#ef4444', fontSize: '0.82rem', fontWeight: 600, background: '#fef2f2', padding: '10px 14px', borderRadius: 8, border: '1px solid #fecaca' }}>{error}</div>}
+        {loading && <StreamProgress steps={SPLIT_STEPS.filter(step => evaluate || step.id !== 'evaluate')} phases={phases} />}
+      </div>
+
+      {results && (
+        <div style={{ marginTop: 32, display: 'grid', gridTemplateColumns: results.original ? '1fr 3fr' : '1fr', gap: 24 }}>
+          {results.original && (
+            <div style={{ background: results.original.evaluationError ? '#94a3b8' : scoreColor(results.original.totalScore, rubric), borderRadius: 20, padding: 28, color: '#fff', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
+              <span style={{ fontSize: '0.7rem', fontWeight: 900, textTransform: 'uppercase', opacity: 0.8, marginBottom: 4 }}>ORIGINAL STORY</span>
+              <span style={{ fontSize: '3.5rem', fontWeight: 950, lineHeight: 1 }}>{results.original.grade || '-'}</span>
+              <span style={{ fontSize: '0.95rem', fontWeight: 800, marginTop: 8 }}>{results.original.evaluationError ? 'Not evaluated' : `${results.original.totalScore}/${rubric.maxScore}`}</span>
+            </div>
+          )}
+          <div style={{ background: results.assessment.oversized ? '#fdf4ff' : '#f0fdf4', borderRadius: 20, padding: 24, border: `1px solid ${results.assessment.oversized ? '#f0abfc' : '#bbf7d0'}` }}>
+            <p style={{ margin: '0 0 8px', fontSize: '0.75rem', fontWeight: 900, color: results.assessment.oversized ? '#86198f' : '#166534', textTransform: 'uppercase' }}>
+              {results.assessment.oversized ? 'Too big for one sprint' : 'Fits in one sprint'} · Recommended: {results.recommendedPattern}
+            </p>
+            <p style={{ margin: 0, fontSize: '0.85rem', color: '#475569', lineHeight: 1.6 }}>{results.assessment.reasons}</p>
+            {results.lint?.findings.length > 0 && (
+              <div style={{ marginTop: 12 }}>
+                <LintFindings findings={results.lint.findings} />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {splits.length > 0 && (
+        <div style={{ marginTop: 24, display: 'flex', flexDirection: 'column', gap: 20 }}>
+          {splits.map((split, i) => {
+            const recommended = results && split.pattern === results.recommendedPattern;
+            return (
+              <div key={i} style={{ background: '#fff', borderRadius: 20, padding: 24, border: `1.5px solid ${recommended ? '#d8b4fe' : '#e5e7f0'}`, animation: 'fadeIn 0.3s ease' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16, marginBottom: 12 }}>
+                  <div>
+                    <h4 style={{ margin: 0, fontSize: '1rem', fontWeight: 900, color: '#1a1a2e' }}>
+                      Split by {split.pattern}
+                      {recommended && <span style={{ marginLeft: 10, fontSize: '0.6rem', fontWeight: 900, background: '#a855f7', color: '#fff', padding: '3px 8px', borderRadius: 10, verticalAlign: 'middle' }}>RECOMMENDED</span>}
+                    </h4>
+                    <p style={{ margin: '6px 0 0', fontSize: '0.8rem', color: '#64748b', lineHeight: 1.5 }}>{split.rationale}</p>
+                  </div>
+                  {results && (
+                    <div style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      {split.averageScore !== undefined && split.averageScore !== null && (
+                        <p style={{ margin: 0, fontSize: '1.2rem', fontWeight: 950, color: scoreColor(split.averageScore, rubric) }}>{split.averageScore}<span style={{ fontSize: '0.7rem', color: '#94a3b8' }}> avg</span></p>
+                      )}
+                      <p style={{ margin: 0, fontSize: '0.7rem', fontWeight: 700, color: '#94a3b8' }}>{split.stories.length} stories · {split.totalStoryPoints} points</p>
+                    </div>
+                  )}
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))', gap: 12 }}>
+                  {split.stories.map((story, j) => (
+                    <div key={j} style={{ padding: 14, borderRadius: 14, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8, marginBottom: 6 }}>
+                        <span style={{ fontWeight: 800, fontSize: '0.8rem', color: '#1e293b' }}>{j + 1}. {story.name}</span>
+                        {story.evaluation ? (
+                          <span style={{ fontWeight: 900, fontSize: '0.8rem', color: scoreColor(story.evaluation.totalScore, rubric), whiteSpace: 'nowrap' }}>{story.evaluation.grade} · {story.evaluation.totalScore}/{rubric.maxScore}</span>
+                        ) : story.evaluationError ? (
+                          <span title={story.evaluationError} style={{ fontWeight: 800, fontSize: '0.7rem', color: '#ef4444' }}>NOT EVALUATED</span>
+                        ) : null}
+                      </div>
+                      <p style={{ fontSize: '0.78rem', color: '#475569', margin: '0 0 6px', lineHeight: 1.5 }}>{story.description}</p>
+                      <p style={{ fontSize: '0.68rem', color: '#94a3b8', margin: 0, fontWeight: 700 }}>{story.acceptanceCriteria.length} acceptance criteria · {story.storyPoints} points</p>
+                    </div>
+                  ))}
+                </div>
+
+                {results && (
+                  <div style={{ marginTop: 16, display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+                    {onOpenInGenerator && (
+                      <button
+                        onClick={() => onOpenInGenerator({ summary: `Split by ${split.pattern}: ${split.rationale}`, userStories: toGeneratedStories(split) })}
+                        style={{ padding: '6px 14px', background: '#ecfdf5', color: '#059669', border: '1px solid #a7f3d0', borderRadius: 8, fontSize: '0.75rem', fontWeight: 800, cursor: 'pointer' }}
+                      >
+                        OPEN IN GENERATOR
+                      </button>
+                    )}
+                    {onBulkEvaluate && (
+                      <button
+                        onClick={() => onBulkEvaluate(split.stories.map(story => ({ name: story.name, userStory: storyWithCriteria(story) })))}
+                        style={{ padding: '6px 14px', background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a', borderRadius: 8, fontSize: '0.75rem', fontWeight: 800, cursor: 'pointer' }}
+                      >
+                        SEND TO BULK EVALUATOR
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StorySplitter;
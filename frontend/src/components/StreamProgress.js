@@ -0,0 +1,52 @@
+import React from 'react';
+
+const STATUS_COLORS = {
+  pending: { bg: '#f8fafc', border: '#e2e8f0', text: '#94a3b8' },
+  active:  { bg: '#eff6ff', border: '#bfdbfe', text: '#3b82f6' },
+  warning: { bg: '#fffbeb', border: '#fde68a', text: '#d97706' },
+  done:    { bg: '#ecfdf5', border: '#a7f3d0', text: '#10b981' },
+};
+
+// Folds a streamed `progress` event into the per-phase state shown by <StreamProgress />
+export const applyProgress = (phases, event) => ({ ...phases, [event.phase]: event });
+
+const describePhase = (event) => {
+  if (!event) return { status: 'pending', note: null };
+
+  if (event.phase === 'llm') {
+    if (event.status === 'truncated') return { status: 'warning', note: `Truncated, retrying with ${event.maxTokens} tokens` };
+    if (event.status === 'sampled') return { status: 'active', note: `${event.completed}/${event.samples} samples` };
+    if (event.status === 'started') return { status: 'active', note: event.samples ? `Sampling ${event.samples}x` : event.attempt > 1 ? `Attempt ${event.attempt}` : 'Generating' };
+  }
+  if (event.phase === 'repair' && event.status === 'invalid') {
+    return { status: 'warning', note: event.willRetry ? 'Invalid output, asking model to correct it' : 'Invalid output' };
+  }
+  if (event.phase === 'parse' && event.criteria !== undefined) return { status: 'done', note: `${event.criteria} criteria` };
+  if (event.phase === 'parse' && event.stories !== undefined) return { status: 'done', note: `${event.stories} stories, ${event.conflicts} rule conflicts` };
+  if (event.phase === 'analyze' && event.total) return { status: event.status === 'done' ? 'done' : 'active', note: `${event.completed}/${event.total} chunks` };
+  if (event.phase === 'evaluate' && event.total) return { status: event.status === 'done' ? 'done' : 'active', note: `${event.completed}/${event.total} stories` };
+  if (event.phase === 'lint') return { status: event.errors > 0 ? 'warning' : 'done', note: `${event.errors} errors, ${event.warnings} warnings` };
+  if (event.phase === 'retrieval' && event.status === 'done') return { status: 'done', note: `${event.examples} examples` };
+  if (event.phase === 'deepEval' && event.status === 'done' && !event.available) return { status: 'warning', note: 'Unavailable' };
+
+  return { status: event.status === 'done' ? 'done' : 'active', note: null };
+};
+
+const StreamProgress = ({ steps, phases }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 16 }}>
+    {steps.map(step => {
+      const { status, note } = describePhase(phases[step.id]);
+      const colors = STATUS_COLORS[status];
+      return (
+        <div key={step.id} style={{ padding: '8px 14px', borderRadius: 10, background: colors.bg, border: `1px solid ${colors.border}`, minWidth: 120 }}>
+          <p style={{ margin: 0, fontSize: '0.65rem', fontWeight: 900, color: colors.text, textTransform: 'uppercase', letterSpacing: '0.04em' }}>
+            {status === 'active' ? '● ' : status === 'done' ? '✓ ' : ''}{step.label}
+          </p>
+          {note && <p style={{ margin: '2px 0 0', fontSize: '0.7rem', color: '#64748b' }}>{note}</p>}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default StreamProgress;
@@ -1,10 +1,14 @@
 import React, { useState } from 'react';
 import IntegrationPanel from './IntegrationPanel';
 import RefinementPanel from './agentic/RefinementPanel';
+import VersionHistory from './VersionHistory';
 import MultiAgentDashboard from './agentic/MultiAgentDashboard';
 import AgentChat from './agentic/AgentChat';
 import { fetchWithRetry } from '../utils/api';
 import { trackEvaluation } from '../utils/analyticsTracker';
+import { rubricFor, isTopGrade, useRubrics } from '../utils/rubric';
+import { useArtifactVersions } from '../utils/artifactVersions';
+import LintFindings from './LintFindings';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -40,19 +44,44 @@ const SectionHeader = ({ title, icon, isCollapsed, onToggle }) => (
   </div>
 );
 
+// Label/value rows summarizing the parsed test case, numbered steps or Gherkin
+const structureRows = ({ format, structure }) => {
+  if (format === 'gherkin') {
+    const count = (items) => items.reduce((sum, n) => sum + n, 0) || '-';
+    return [
+      ['Feature', structure.feature?.name || '-'],
+      ['Background', structure.background ? `${structure.background.steps.length} steps` : '-'],
+      ['Scenarios', structure.scenarios.length || '-'],
+      ['Steps', count(structure.scenarios.map(sc => sc.steps.length))],
+      ['Examples rows', count(structure.scenarios.flatMap(sc => sc.examples.map(ex => ex.rows.length)))],
+    ];
+  }
+  return [
+    ['Title', structure.title || '-'],
+    ['Preconditions', structure.preconditions.length || '-'],
+    ['Steps', structure.steps.length || '-'],
+    ['Test data', structure.testData.length || '-'],
+    ['Expected checks', structure.expectedResult ? structure.expectedResult.assertions.length : '-'],
+  ];
+};
+
 const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
   const [testCase, setTestCase] = useState(initialValue || '');
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [runDeepEval, setRunDeepEval] = useState(false);
-  const [collapsed, setCollapsed] = useState({ params: false, recs: false, agentic: false });
+  const [collapsed, setCollapsed] = useState({ params: false, structure: false, recs: false, agentic: false });
+  const [rubricId, setRubricId] = useState('');
+  const [linkedStory, setLinkedStory] = useState('');
+  const rubrics = useRubrics('test_case');
+  const { artifact, recordEvaluation, recordRefinement, resetArtifact } = useArtifactVersions('test_case');
 
   React.useEffect(() => {
-    if (initialValue) setTestCase(initialValue);
-  }, [initialValue]);
+    if (initialValue) { setTestCase(initialValue); resetArtifact(); }
+  }, [initialValue, resetArtifact]);
 
-  const handleEvaluate = async () => {
+  const handleEvaluate = async (bypassCache = false) => {
     if (!testCase.trim()) return;
     setLoading(true); setError(null);
     if (setServerBusy) setServerBusy(true);
@@ -61,7 +90,7 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
       const res = await fetchWithRetry(`${BACKEND_URL}/evaluate-test-case`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ testCase, runDeepEval })
+        body: JSON.stringify({ testCase, runDeepEval, noCache: bypassCache, ...(rubricId ? { rubric: rubricId } : {}), ...(linkedStory.trim() ? { linkedStory } : {}) })
       }, 6, 10000, (retriesLeft) => {
         setError(`Server waking up... (${retriesLeft} retries left)`);
       });
@@ -70,6 +99,7 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
       if (res.ok) {
         setResults(data);
         trackEvaluation('Test Case', testCase, data);
+        recordEvaluation(testCase, data);
       }
       else setError(data.error || 'Evaluation failed');
     } catch (err) {
@@ -87,8 +117,11 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
     return '#ef4444';
   };
 
+  const rubric = rubricFor(results, 'test_case');
+
+  // Five stars whatever the rubric's scale
   const renderStars = (score) => {
-    const filled = Math.round(score);
+    const filled = Math.round((score / rubric.scale.max) * 5);
     return (
       <div style={{ display: 'flex', gap: 2 }}>
         {[1,2,3,4,5].map(i => <StarIcon key={i} fill={i <= filled} />)}
@@ -99,7 +132,7 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
   return (
     <div style={{ animation: 'fadeIn 0.4s ease' }}>
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.5fr', gap: 24, alignItems: 'start' }}>
-        <IntegrationPanel onSelectStory={setTestCase} setServerBusy={setServerBusy} />
+        <IntegrationPanel onSelectStory={(story) => { setTestCase(story); resetArtifact(); }} setServerBusy={setServerBusy} />
 
         <div style={{ background: '#fff', borderRadius: 20, padding: 24, boxShadow: '0 4px 20px rgba(0,0,0,0.03)', border: '1px solid #e5e7f0', height: '100%', display: 'flex', flexDirection: 'column' }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
@@ -108,9 +141,9 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
                   <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#3b82f6" strokeWidth="2.5"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
                </div>
                <h3 style={{ fontSize: '0.95rem', fontWeight: 800, color: '#1a1a2e', margin: 0, textTransform: 'uppercase' }}>Manual Entry</h3>
-               <span style={{ fontSize: '0.7rem', color: '#94a3b8', background: '#f8fafc', padding: '2px 8px', borderRadius: 10, border: '1px solid #e2e8f0' }}>{testCase.length}/2000</span>
+               <span style={{ fontSize: '0.7rem', color: '#94a3b8', background: '#f8fafc', padding: '2px 8px', borderRadius: 10, border: '1px solid #e2e8f0' }}>{testCase.length}/{/^\s*(?:Feature|Scenario)[^:\n]*:/m.test(testCase) ? 8000 : 2000}</span>
             </div>
-            <button onClick={() => { setTestCase(''); setResults(null); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
+            <button onClick={() => { setTestCase(''); setLinkedStory(''); setResults(null); resetArtifact(); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
           </div>
 
           <textarea
@@ -121,14 +154,32 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
             style={{ flex: 1, minHeight: 180 }}
           />
 
+          <textarea
+            className="qa-textarea"
+            value={linkedStory}
+            onChange={(e) => setLinkedStory(e.target.value)}
+            placeholder="Linked user story (optional) - scores traceability against it"
+            style={{ marginTop: 12, minHeight: 70 }}
+          />
+
           <div style={{ marginTop: 20, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
               <input type="checkbox" id="deepEvalTC" checked={runDeepEval} onChange={e => setRunDeepEval(e.target.checked)} style={{ width: 18, height: 18, accentColor: '#3b82f6' }} />
               <label htmlFor="deepEvalTC" style={{ fontSize: '0.8rem', fontWeight: 600, color: '#4b5563', cursor: 'pointer' }}>Run DeepEval (RAG)</label>
+              {rubrics.length > 1 && (
+                <select
+                  value={rubricId}
+                  onChange={e => setRubricId(e.target.value)}
+                  title="Rubric the test case is scored against"
+                  style={{ marginLeft: 12, padding: '4px 8px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.78rem', fontWeight: 600, color: '#4b5563' }}
+                >
+                  {rubrics.map(r => <option key={r.id} value={r.isDefault ? '' : r.id}>{r.name}</option>)}
+                </select>
+              )}
             </div>
             <button 
               className="btn-primary" 
-              onClick={handleEvaluate} 
+              onClick={() => handleEvaluate()} 
               disabled={loading || !testCase.trim()}
               style={{ padding: '12px 32px', fontSize: '0.9rem', minWidth: 180, background: '#3b82f6' }}
             >
@@ -139,8 +190,24 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
         </div>
       </div>
 
+      {artifact && artifact.versions.length > 1 && <VersionHistory artifact={artifact} />}
+
       {results && (
         <div style={{ marginTop: 32 }}>
+          {results.cache?.hit && (
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 16, padding: '10px 16px', borderRadius: 12, background: '#eff6ff', border: '1px solid #bfdbfe' }}>
+              <span style={{ fontSize: '0.78rem', fontWeight: 700, color: '#1e40af' }}>
+                Cached result from {new Date(results.cache.cachedAt).toLocaleString()}
+              </span>
+              <button
+                onClick={() => handleEvaluate(true)}
+                disabled={loading}
+                style={{ padding: '6px 14px', borderRadius: 8, border: '1px solid #3b82f6', background: '#fff', color: '#3b82f6', fontSize: '0.72rem', fontWeight: 800, cursor: 'pointer' }}
+              >
+                RE-RUN
+              </button>
+            </div>
+          )}
           {/* Health Dashboard */}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 16, marginBottom: 24 }}>
             {results.metrics && Object.entries(results.metrics).map(([key, val], i) => (
@@ -154,10 +221,36 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
             ))}
           </div>
 
+          {results.structure && (
+            <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0', marginBottom: 24 }}>
+              <SectionHeader
+                title={`${results.format === 'gherkin' ? 'Gherkin' : 'Structure'} · ${results.smells.findings.length} smells`}
+                isCollapsed={collapsed.structure}
+                onToggle={() => setCollapsed({...collapsed, structure: !collapsed.structure})}
+                icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#3b82f6" strokeWidth="2.5"><path d="M8 6h13"/><path d="M8 12h13"/><path d="M8 18h13"/><path d="M3 6h.01"/><path d="M3 12h.01"/><path d="M3 18h.01"/></svg>}
+              />
+              {!collapsed.structure && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: 8, fontSize: '0.8rem', color: '#1e293b' }}>
+                    {structureRows(results).map(([label, value]) => (
+                      <div key={label} style={{ display: 'flex', justifyContent: 'space-between', borderBottom: '1px solid #f1f5f9', paddingBottom: 6 }}>
+                        <span style={{ fontWeight: 800, color: '#64748b', textTransform: 'uppercase', fontSize: '0.7rem' }}>{label}</span>
+                        <span style={{ fontWeight: 700 }}>{value}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {results.smells.findings.length > 0
+                    ? <LintFindings findings={results.smells.findings} />
+                    : <p style={{ fontSize: '0.8rem', color: '#10b981', fontWeight: 700, margin: 0 }}>No test-case smells found.</p>}
+                </div>
+              )}
+            </div>
+          )}
+
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 24, marginBottom: 24 }}>
             <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
               <SectionHeader 
-                title="Evaluation Criteria" 
+                title={`${rubric.name || 'Evaluation'} Criteria · ${results.totalScore}/${rubric.maxScore}`} 
                 isCollapsed={collapsed.params} 
                 onToggle={() => setCollapsed({...collapsed, params: !collapsed.params})}
                 icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#3b82f6" strokeWidth="2.5"><path d="m21 16-4 4-4-4"/><path d="M17 20V4"/><path d="m3 8 4-4 4 4"/><path d="M7 4v16"/></svg>}
@@ -232,17 +325,15 @@ const TestCaseEvaluator = ({ setServerBusy, initialValue }) => {
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
                 <div>
                   {(() => {
-                    const fallbackScore = results.parameters?.reduce((sum, p) => sum + (Number(p.score) || 0), 0) || 0;
-                    const finalScore = results.totalScore || fallbackScore;
-                    const needsRefinement = finalScore < 23 || (results.metrics && (results.metrics.faithfulness < 90 || results.metrics.coverage < 90));
+                    const needsRefinement = !isTopGrade(results, rubric) || (results.metrics && (results.metrics.faithfulness < 90 || results.metrics.coverage < 90));
                     
                     return needsRefinement ? (
                       <RefinementPanel 
                         original={testCase} 
                         type="test_case" 
                         findings={results.parameters.map(p => p.findings).join(' ')} 
-                        grade={finalScore >= 20 ? "B" : finalScore >= 15 ? "C" : "D"} 
-                        onApply={(refined) => { setTestCase(refined); setResults(null); }}
+                        grade={results.grade} 
+                        onApply={(refined, improvements) => { recordRefinement(refined, improvements); setTestCase(refined); setResults(null); }}
                       />
                     ) : (
                       <div style={{ marginTop: 24, padding: 20, background: '#f0fdf4', borderRadius: 16, border: '1px solid #86efac', display: 'flex', alignItems: 'center', gap: 12 }}>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { fetchWithRetry } from '../utils/api';
+import StreamProgress, { applyProgress } from './StreamProgress';
+import { streamEvents } from '../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -12,13 +13,36 @@ const AVAILABLE_TYPES = [
   { id: 'Performance', label: 'Performance', color: '#6366f1' },
 ];
 
+const FORMATS = [
+  { id: 'steps', label: 'Numbered steps' },
+  { id: 'gherkin', label: 'Gherkin (.feature)' },
+];
+
+// Saves a generated .feature file through a temporary download link
+const downloadFeature = ({ fileName, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const GENERATION_STEPS = [
+  { id: 'retrieval', label: 'Retrieval' },
+  { id: 'llm', label: 'LLM Generation' },
+  { id: 'repair', label: 'Validation' },
+];
+
 const TestCaseGenerator = ({ setServerBusy, onAnalyze }) => {
   const [feature, setFeature] = useState('');
   const [selectedTypes, setSelectedTypes] = useState(['Positive', 'Negative']);
   const [count, setCount] = useState(10);
+  const [format, setFormat] = useState('steps');
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [phases, setPhases] = useState({});
 
   const toggleType = (id) => {
     setSelectedTypes(prev => prev.includes(id) ? prev.filter(t => t !== id) : [...prev, id]);
@@ -26,21 +50,25 @@ const TestCaseGenerator = ({ setServerBusy, onAnalyze }) => {
 
   const handleGenerate = async () => {
     if (!feature.trim()) return;
-    setLoading(true); setError(null);
+    setLoading(true); setError(null); setResults(null); setPhases({});
     if (setServerBusy) setServerBusy(true);
 
     try {
-      const res = await fetchWithRetry(`${BACKEND_URL}/generate-test-cases`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ feature, categories: selectedTypes, totalCount: count })
-      }, 6, 10000);
-      
-      const data = await res.json();
-      if (res.ok) setResults(data);
-      else setError(data.error || 'Generation failed');
+      // Each category group is rendered as soon as the model finishes writing it
+      const data = await streamEvents(`${BACKEND_URL}/generate-test-cases/stream`, { feature, categories: selectedTypes, totalCount: count, format }, (event, payload) => {
+        if (event === 'progress') {
+          setPhases(prev => applyProgress(prev, payload));
+          // A retry regenerates everything, so drop the groups from the abandoned attempt
+          if (payload.phase === 'llm' && payload.status !== 'done') setResults(null);
+        } else if (event === 'partial' && typeof payload.item.category === 'string' && Array.isArray(payload.item.cases)) {
+          setResults(prev => ({ testCases: [...(prev?.testCases ? prev.testCases.slice(0, payload.index) : []), payload.item], partial: true }));
+        } else if (event === 'partial' && typeof payload.item.name === 'string' && Array.isArray(payload.item.scenarios)) {
+          setResults(prev => ({ features: [...(prev?.features ? prev.features.slice(0, payload.index) : []), payload.item], partial: true }));
+        }
+      });
+      setResults(data);
     } catch (err) {
-      setError('Connection failed. Please check backend status.');
+      setError(err.data ? (err.data.error || 'Generation failed') : 'Connection failed. Please check backend status.');
     } finally {
       setLoading(false);
       if (setServerBusy) setServerBusy(false);
@@ -89,7 +117,24 @@ const TestCaseGenerator = ({ setServerBusy, onAnalyze }) => {
           </div>
         </div>
 
-        <div style={{ marginTop: 24, display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
+        <div style={{ marginTop: 24, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <div style={{ display: 'flex', gap: 8 }}>
+            {FORMATS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => setFormat(f.id)}
+                style={{
+                  padding: '6px 14px', borderRadius: 10, border: '1.5px solid',
+                  borderColor: format === f.id ? '#3b82f6' : '#e5e7f0',
+                  background: format === f.id ? '#eff6ff' : 'transparent',
+                  color: format === f.id ? '#3b82f6' : '#64748b',
+                  fontSize: '0.78rem', fontWeight: 700, cursor: 'pointer'
+                }}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
           <button 
             className="btn-primary" 
             onClick={handleGenerate} 
@@ -100,10 +145,57 @@ const TestCaseGenerator = ({ setServerBusy, onAnalyze }) => {
           </button>
         </div>
         {error && <div style={{ marginTop: 16, color: '#ef4444', fontSize: '0.82rem', fontWeight: 600, background: '#fef2f2', padding: '10px 14px', borderRadius: 8, border: '1px solid #fecaca' }}>{error}</div>}
+        {loading && <StreamProgress steps={GENERATION_STEPS} phases={phases} />}
       </div>
 
-      {results && (
-        <div style={{ marginTop: 32 }}>
+      {results?.features && (
+        <div style={{ marginTop: 32, opacity: results.partial ? 0.75 : 1, transition: 'opacity 0.3s' }}>
+          {results.features.map((featureFile, i) => (
+            <div key={i} style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0', marginBottom: 24 }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                  <span style={{ width: 12, height: 12, borderRadius: '50%', background: AVAILABLE_TYPES.find(t => featureFile.category?.includes(t.id))?.color || '#3b82f6' }} />
+                  <h4 style={{ margin: 0, fontSize: '0.9rem', fontWeight: 900, color: '#1a1a2e' }}>{featureFile.fileName || featureFile.name}</h4>
+                  <span style={{ fontSize: '0.7rem', fontWeight: 700, color: '#94a3b8' }}>{featureFile.scenarios.length} scenarios</span>
+                  {featureFile.smells?.findings.length > 0 && (
+                    <span title={featureFile.smells.findings.map(f => `Line ${f.line}: ${f.message}`).join('\n')} style={{ fontSize: '0.65rem', fontWeight: 800, color: '#d97706', background: '#fffbeb', padding: '2px 8px', borderRadius: 6 }}>
+                      {featureFile.smells.findings.length} findings
+                    </span>
+                  )}
+                </div>
+                {featureFile.content && (
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    <button
+                      onClick={() => onAnalyze(featureFile.content)}
+                      style={{ padding: '4px 10px', background: '#eff6ff', color: '#3b82f6', border: '1px solid #dbeafe', borderRadius: 6, fontSize: '0.65rem', fontWeight: 800, cursor: 'pointer' }}
+                    >
+                      ANALYZE FEATURE
+                    </button>
+                    <button
+                      onClick={() => downloadFeature(featureFile)}
+                      style={{ padding: '4px 10px', background: '#f8fafc', color: '#475569', border: '1px solid #e2e8f0', borderRadius: 6, fontSize: '0.65rem', fontWeight: 800, cursor: 'pointer' }}
+                    >
+                      DOWNLOAD
+                    </button>
+                  </div>
+                )}
+              </div>
+              {featureFile.content ? (
+                <pre style={{ margin: 0, padding: 16, background: '#0f172a', color: '#e2e8f0', borderRadius: 12, fontSize: '0.78rem', lineHeight: 1.6, overflowX: 'auto' }}>{featureFile.content}</pre>
+              ) : (
+                <ul style={{ margin: 0, paddingLeft: 20 }}>
+                  {featureFile.scenarios.map((scenario, j) => (
+                    <li key={j} style={{ fontSize: '0.82rem', color: '#4b5563', marginBottom: 4 }}>{scenario.name}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {results?.testCases && (
+        <div style={{ marginTop: 32, opacity: results.partial ? 0.75 : 1, transition: 'opacity 0.3s' }}>
           {results.testCases.map((group, i) => (
             <div key={i} style={{ marginBottom: 32 }}>
               <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 16 }}>
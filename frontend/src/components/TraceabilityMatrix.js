@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import * as XLSX from 'xlsx';
+import { fetchWithRetry } from '../utils/api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+const STORAGE_KEY = 'qa_agent_traceability';
+const KINDS = [
+  { id: 'positive', label: 'Positive', color: '#10b981' },
+  { id: 'negative', label: 'Negative', color: '#f43f5e' },
+  { id: 'boundary', label: 'Boundary', color: '#f59e0b' },
+];
+const STATUS_COLORS = { covered: '#10b981', partial: '#f59e0b', uncovered: '#ef4444' };
+
+// Spreadsheet columns for each upload; list cells are newline (criteria) or comma (ids) separated
+const SHEETS = {
+  stories: {
+    label: 'User Stories',
+    required: ['storyId', 'userStory'],
+    template: [
+      { storyId: 'US-1', userStory: 'As a shopper, I want to reset my password so that I can get back into my account', acceptanceCriteria: 'A reset link is emailed within 1 minute\nThe link expires after 24 hours' },
+    ],
+    toItem: (row) => ({
+      id: String(row.storyId).trim(),
+      text: String(row.userStory).trim(),
+      ...(row.acceptanceCriteria ? { acceptanceCriteria: String(row.acceptanceCriteria).split('\n').map(c => c.trim()).filter(Boolean) } : {}),
+    }),
+  },
+  testCases: {
+    label: 'Test Cases',
+    required: ['testCaseId', 'testCase'],
+    template: [
+      { testCaseId: 'TC-1', testCase: 'Steps: 1. Request a reset for a registered email\nExpected: Reset link arrives within 1 minute', criterionIds: 'US-1-AC1', storyIds: '', category: 'Positive' },
+      { testCaseId: 'TC-2', testCase: 'Steps: 1. Open a reset link older than 24 hours\nExpected: Link is rejected as expired', criterionIds: 'US-1-AC2', storyIds: '', category: 'Negative' },
+    ],
+    toItem: (row) => {
+      const ids = (value) => String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+      return {
+        id: String(row.testCaseId).trim(),
+        text: String(row.testCase).trim(),
+        storyIds: ids(row.storyIds),
+        criterionIds: ids(row.criterionIds),
+        ...(row.category ? { category: String(row.category).trim() } : {}),
+      };
+    },
+  },
+};
+
+const loadSaved = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null') || { stories: [], testCases: [] };
+  } catch (e) {
+    return { stories: [], testCases: [] };
+  }
+};
+
+const Chip = ({ color, children, title }) => (
+  <span title={title} style={{ display: 'inline-block', fontSize: '0.68rem', fontWeight: 800, color, background: `${color}15`, border: `1px solid ${color}40`, padding: '2px 8px', borderRadius: 10, margin: '0 4px 4px 0' }}>
+    {children}
+  </span>
+);
+
+const TraceabilityMatrix = ({ setServerBusy }) => {
+  const [data, setData] = useState(loadSaved);
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [validationError, setValidationError] = useState(null);
+
+  const save = (next) => {
+    setData(next);
+    setMatrix(null);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const downloadTemplate = (key) => {
+    const ws = XLSX.utils.json_to_sheet(SHEETS[key].template);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, SHEETS[key].label);
+    XLSX.writeFile(wb, `${key === 'stories' ? 'story' : 'test_case'}_traceability_template.xlsx`);
+  };
+
+  const handleFileUpload = (key) => (e) => {
+    const uploadedFile = e.target.files[0];
+    if (!uploadedFile) return;
+    setValidationError(null); setError(null);
+
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      try {
+        const wb = XLSX.read(evt.target.result, { type: 'binary' });
+        const json = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]]);
+        if (json.length === 0) {
+          setValidationError(`${SHEETS[key].label} file is empty.`);
+          return;
+        }
+        const missing = SHEETS[key].required.filter(c => !Object.keys(json[0]).includes(c));
+        if (missing.length > 0) {
+          setValidationError(`Missing required column: ${missing.join(', ')}`);
+          return;
+        }
+        const rows = json.filter(row => SHEETS[key].required.every(c => row[c]?.toString().trim()));
+        save({ ...data, [key]: rows.map(SHEETS[key].toItem) });
+      } catch (err) {
+        setError('Failed to parse file. Use a valid Excel or CSV.');
+      }
+    };
+    reader.readAsBinaryString(uploadedFile);
+    e.target.value = '';
+  };
+
+  const post = (path, body) => fetchWithRetry(`${BACKEND_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, 6, 10000, (retriesLeft) => {
+    setError(`Server waking up... (${retriesLeft} retries left)`);
+  });
+
+  const handleBuild = async () => {
+    setLoading(true); setError(null);
+    if (setServerBusy) setServerBusy(true);
+    try {
+      const res = await post('/traceability/matrix', data);
+      const result = await res.json();
+      if (res.ok) setMatrix(result);
+      else setError(result.error || 'Failed to build the matrix');
+    } catch (err) {
+      setError('Connection failed.');
+    } finally {
+      setLoading(false);
+      if (setServerBusy) setServerBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    try {
+      const res = await post('/traceability/uncovered', { ...data, format: 'csv' });
+      if (!res.ok) {
+        const result = await res.json();
+        setError(result.error || 'Export failed');
+        return;
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'uncovered-criteria.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Connection failed.');
+    }
+  };
+
+  const summary = matrix?.summary;
+
+  return (
+    <div style={{ animation: 'fadeIn 0.4s ease' }}>
+      <div style={{ padding: '14px 18px', background: '#eef2ff', border: '1.5px solid #a5b4fc', borderRadius: 12, marginBottom: 18 }}>
+        <p style={{ fontWeight: 700, color: '#3730a3', fontSize: '0.88rem', marginBottom: 4 }}>Story-to-Test Traceability</p>
+        <p style={{ fontSize: '0.81rem', color: '#4338ca', margin: 0 }}>
+          Upload stories and test cases; test cases reference criteria as <code>US-1-AC2</code> (or "US-1 AC2" in their text). A criterion is covered once it has a positive test and a negative or boundary test.
+        </p>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+        {Object.keys(SHEETS).map(key => (
+          <div key={key}>
+            <button className="btn-dl" onClick={() => downloadTemplate(key)} style={{ marginBottom: 10 }}>Download {SHEETS[key].label} Template</button>
+            <label htmlFor={`trace-${key}`} className="drop-zone" style={{ display: 'block', cursor: 'pointer' }}>
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFileUpload(key)} id={`trace-${key}`} style={{ display: 'none' }} />
+              <p style={{ fontWeight: 700, color: '#4b5563' }}>Upload {SHEETS[key].label}</p>
+              <p style={{ marginTop: 8, fontSize: '0.8rem', color: '#6366f1', fontWeight: 600 }}>{data[key].length} loaded</p>
+            </label>
+          </div>
+        ))}
+      </div>
+
+      {validationError && <div style={{ marginTop: 12, color: '#ef4444', fontSize: '0.82rem' }}>Error: {validationError}</div>}
+
+      <div style={{ marginTop: 16, display: 'flex', gap: 12, alignItems: 'center' }}>
+        <button className="btn-primary" onClick={handleBuild} disabled={loading || !data.stories.length} style={{ background: '#6366f1' }}>
+          {loading ? 'BUILDING...' : 'BUILD MATRIX'}
+        </button>
+        <button className="btn-secondary" onClick={handleExport} disabled={!data.stories.length}>EXPORT UNCOVERED CSV</button>
+        <button onClick={() => save({ stories: [], testCases: [] })} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
+      </div>
+      {error && <div style={{ marginTop: 12, color: '#ef4444', fontSize: '0.82rem' }}>{error}</div>}
+
+      {summary && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 12, margin: '24px 0' }}>
+            {[
+              ['Coverage', `${summary.coveragePercent}%`, '#6366f1'],
+              ['Criteria', summary.criteria, '#1a1a2e'],
+              ['Covered', summary.covered, STATUS_COLORS.covered],
+              ['Partial', summary.partial, STATUS_COLORS.partial],
+              ['Uncovered', summary.uncovered, STATUS_COLORS.uncovered],
+            ].map(([label, value, color]) => (
+              <div key={label} style={{ background: '#fff', borderRadius: 14, padding: 16, border: '1px solid #e5e7f0', textAlign: 'center' }}>
+                <div style={{ fontSize: '0.62rem', fontWeight: 800, color: '#94a3b8', textTransform: 'uppercase' }}>{label}</div>
+                <div style={{ fontSize: '1.4rem', fontWeight: 900, color }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {matrix.stories.map(story => (
+            <div key={story.id} style={{ background: '#fff', borderRadius: 16, padding: 20, border: '1px solid #e5e7f0', marginBottom: 16 }}>
+              <h4 style={{ margin: '0 0 4px', fontSize: '0.9rem', fontWeight: 900, color: '#1e293b' }}>{story.id}</h4>
+              <p style={{ margin: '0 0 12px', fontSize: '0.8rem', color: '#64748b' }}>{story.title || story.text}</p>
+              {story.criteria.length === 0 ? (
+                <p style={{ fontSize: '0.78rem', color: '#f59e0b', fontWeight: 700 }}>No acceptance criteria found for this story.</p>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.78rem' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', color: '#94a3b8', fontSize: '0.65rem', textTransform: 'uppercase' }}>
+                      <th style={{ padding: 6 }}>Criterion</th>
+                      {KINDS.map(k => <th key={k.id} style={{ padding: 6 }}>{k.label}</th>)}
+                      <th style={{ padding: 6 }}>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {story.criteria.map(c => (
+                      <tr key={c.id} style={{ borderTop: '1px solid #f1f5f9', verticalAlign: 'top' }}>
+                        <td style={{ padding: 6, color: '#334155' }}><strong>{c.id}</strong> {c.text}</td>
+                        {KINDS.map(k => (
+                          <td key={k.id} style={{ padding: 6 }}>
+                            {c.coverage[k.id].length ? c.coverage[k.id].map(id => <Chip key={id} color={k.color}>{id}</Chip>) : <span style={{ color: '#cbd5e1' }}>-</span>}
+                          </td>
+                        ))}
+                        <td style={{ padding: 6 }}>
+                          <Chip color={STATUS_COLORS[c.status]} title={c.missing.length ? `Missing: ${c.missing.join(', ')}` : undefined}>{c.status.toUpperCase()}</Chip>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {story.storyLevelTests.length > 0 && (
+                <p style={{ marginTop: 10, fontSize: '0.72rem', color: '#64748b' }}>
+                  Story-level tests (no criterion): {story.storyLevelTests.map(id => <Chip key={id} color="#64748b">{id}</Chip>)}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {(summary.orphanTestCases.length > 0 || summary.unresolvedReferences.length > 0) && (
+            <div style={{ padding: '14px 18px', background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: 12 }}>
+              {summary.orphanTestCases.length > 0 && (
+                <p style={{ fontSize: '0.78rem', color: '#92400e', margin: '0 0 6px' }}>
+                  <strong>Test cases tracing to no story:</strong> {summary.orphanTestCases.join(', ')}
+                </p>
+              )}
+              {summary.unresolvedReferences.map(ref => (
+                <p key={ref.testCase} style={{ fontSize: '0.78rem', color: '#92400e', margin: '0 0 4px' }}>
+                  <strong>{ref.testCase}</strong> references unknown ids: {ref.ids.join(', ')}
+                </p>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TraceabilityMatrix;
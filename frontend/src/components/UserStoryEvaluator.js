@@ -3,8 +3,13 @@ import IntegrationPanel from './IntegrationPanel';
 import RefinementPanel from './agentic/RefinementPanel';
 import MultiAgentDashboard from './agentic/MultiAgentDashboard';
 import AgentChat from './agentic/AgentChat';
-import { fetchWithRetry } from '../utils/api';
+import StreamProgress, { applyProgress } from './StreamProgress';
+import LintFindings from './LintFindings';
+import VersionHistory from './VersionHistory';
+import { streamEvents } from '../utils/api';
 import { trackEvaluation } from '../utils/analyticsTracker';
+import { useArtifactVersions } from '../utils/artifactVersions';
+import { DEFAULT_RUBRICS, rubricFor, scoreColor, criterionColor, isTopGrade, useRubrics } from '../utils/rubric';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -34,40 +39,61 @@ const SectionHeader = ({ title, icon, isCollapsed, onToggle }) => (
   </div>
 );
 
-const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
+const EVALUATION_STEPS = [
+  { id: 'lint', label: 'Lint' },
+  { id: 'retrieval', label: 'Retrieval' },
+  { id: 'llm', label: 'LLM Scoring' },
+  { id: 'repair', label: 'Validation' },
+  { id: 'deepEval', label: 'DeepEval' },
+];
+
+const UserStoryEvaluator = ({ setServerBusy, initialValue, onSplit }) => {
   const [userStory, setUserStory] = useState(initialValue || '');
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [runDeepEval, setRunDeepEval] = useState(false);
-  const [collapsed, setCollapsed] = useState({ criteria: false, recs: false, agentic: false });
+  const [samples, setSamples] = useState(1);
+  const [rubricId, setRubricId] = useState('');
+  const rubrics = useRubrics('user_story');
+  const [collapsed, setCollapsed] = useState({ criteria: false, lint: false, recs: false, agentic: false });
+  const [phases, setPhases] = useState({});
+  const [partialCriteria, setPartialCriteria] = useState([]);
+  const { artifact, recordEvaluation, recordRefinement, resetArtifact } = useArtifactVersions('user_story');
 
   React.useEffect(() => {
-    if (initialValue) setUserStory(initialValue);
-  }, [initialValue]);
+    if (initialValue) { setUserStory(initialValue); resetArtifact(); }
+  }, [initialValue, resetArtifact]);
 
-  const handleEvaluate = async () => {
+  const handleEvaluate = async (bypassCache = false) => {
     if (!userStory.trim()) return;
-    setLoading(true); setError(null);
+    setLoading(true); setError(null); setResults(null);
+    setPhases({}); setPartialCriteria([]);
     if (setServerBusy) setServerBusy(true);
 
     try {
-      const res = await fetchWithRetry(`${BACKEND_URL}/evaluate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userStory, runDeepEval })
-      }, 6, 10000, (retriesLeft) => {
+      // Stream progress phases and each INVEST criterion as soon as the model has scored it
+      const data = await streamEvents(`${BACKEND_URL}/evaluate/stream`, {
+        userStory, runDeepEval, noCache: bypassCache,
+        ...(samples > 1 ? { samples } : {}),
+        ...(rubricId ? { rubric: rubricId } : {})
+      }, (event, payload) => {
+        if (event === 'progress') {
+          setPhases(prev => applyProgress(prev, payload));
+          if (payload.phase === 'llm' && payload.status !== 'done') setPartialCriteria([]);
+        } else if (event === 'partial' && typeof payload.item.name === 'string') {
+          setPartialCriteria(prev => [...prev.slice(0, payload.index), payload.item]);
+        }
+      }, (retriesLeft) => {
         setError(`Server waking up... (${retriesLeft} retries left)`);
       });
-      
-      const data = await res.json();
-      if (res.ok) {
-        setResults(data);
-        trackEvaluation('User Story', userStory, data);
-      }
-      else setError(data.error || 'Evaluation failed');
+
+      setError(null);
+      setResults(data);
+      trackEvaluation('User Story', userStory, data);
+      recordEvaluation(userStory, data);
     } catch (err) {
-      setError('Connection failed. Please check backend status.');
+      setError(err.data ? (err.data.error || 'Evaluation failed') : 'Connection failed. Please check backend status.');
     } finally {
       setLoading(false);
       if (setServerBusy) setServerBusy(false);
@@ -81,17 +107,14 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
     return '#ef4444';
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 27) return '#10b981';
-    if (score >= 22) return '#3b82f6';
-    if (score >= 16) return '#f59e0b';
-    return '#ef4444';
-  };
+  // Scores and colors follow the rubric the result was graded with (or the one selected while streaming)
+  const selectedRubric = rubrics.find(r => r.id === rubricId) || rubrics.find(r => r.isDefault) || DEFAULT_RUBRICS.user_story;
+  const rubric = results ? rubricFor(results, 'user_story') : selectedRubric;
 
   return (
     <div style={{ animation: 'fadeIn 0.4s ease' }}>
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.5fr', gap: 24, alignItems: 'start' }}>
-        <IntegrationPanel onSelectStory={setUserStory} setServerBusy={setServerBusy} />
+        <IntegrationPanel onSelectStory={(story) => { setUserStory(story); resetArtifact(); }} setServerBusy={setServerBusy} />
 
         <div style={{ background: '#fff', borderRadius: 20, padding: 24, boxShadow: '0 4px 20px rgba(0,0,0,0.03)', border: '1px solid #e5e7f0', height: '100%', display: 'flex', flexDirection: 'column' }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
@@ -102,7 +125,7 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
                <h3 style={{ fontSize: '0.95rem', fontWeight: 800, color: '#1a1a2e', margin: 0, textTransform: 'uppercase' }}>Manual Entry</h3>
                <span style={{ fontSize: '0.7rem', color: '#94a3b8', background: '#f8fafc', padding: '2px 8px', borderRadius: 10, border: '1px solid #e2e8f0' }}>{userStory.length}/2000</span>
             </div>
-            <button onClick={() => { setUserStory(''); setResults(null); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
+            <button onClick={() => { setUserStory(''); setResults(null); resetArtifact(); }} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer' }}>CLEAR</button>
           </div>
 
           <textarea
@@ -117,10 +140,30 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
               <input type="checkbox" id="deepEval" checked={runDeepEval} onChange={e => setRunDeepEval(e.target.checked)} style={{ width: 18, height: 18, accentColor: '#6366f1' }} />
               <label htmlFor="deepEval" style={{ fontSize: '0.8rem', fontWeight: 600, color: '#4b5563', cursor: 'pointer' }}>Run DeepEval (RAG)</label>
+              <select
+                value={samples}
+                onChange={e => setSamples(Number(e.target.value))}
+                title="Run the evaluation several times and report how consistently the model scores each criterion"
+                style={{ marginLeft: 12, padding: '4px 8px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.78rem', fontWeight: 600, color: '#4b5563' }}
+              >
+                <option value={1}>Single pass</option>
+                <option value={3}>3 samples</option>
+                <option value={5}>5 samples</option>
+              </select>
+              {rubrics.length > 1 && (
+                <select
+                  value={rubricId}
+                  onChange={e => setRubricId(e.target.value)}
+                  title="Rubric the story is scored against"
+                  style={{ padding: '4px 8px', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: '0.78rem', fontWeight: 600, color: '#4b5563' }}
+                >
+                  {rubrics.map(r => <option key={r.id} value={r.isDefault ? '' : r.id}>{r.name}</option>)}
+                </select>
+              )}
             </div>
             <button 
               className="btn-primary" 
-              onClick={handleEvaluate} 
+              onClick={() => handleEvaluate()} 
               disabled={loading || !userStory.trim()}
               style={{ padding: '12px 32px', fontSize: '0.9rem', minWidth: 180 }}
             >
@@ -128,9 +171,31 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
             </button>
           </div>
           {error && <div style={{ marginTop: 16, color: '#ef4444', fontSize: '0.82rem', fontWeight: 600, background: '#fef2f2', padding: '10px 14px', borderRadius: 8, border: '1px solid #fecaca' }}>{error}</div>}
+          {loading && <StreamProgress steps={EVALUATION_STEPS.filter(step => runDeepEval || step.id !== 'deepEval')} phases={phases} />}
         </div>
       </div>
 
+      {artifact && artifact.versions.length > 1 && <VersionHistory artifact={artifact} />}
+
+      {loading && partialCriteria.length > 0 && (
+        <div style={{ marginTop: 24, background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
+          <p style={{ fontSize: '0.75rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase', margin: '0 0 12px', letterSpacing: '0.04em' }}>
+            Scoring criteria ({partialCriteria.length}/{selectedRubric.criteria ? selectedRubric.criteria.length : 6})
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: 12 }}>
+            {partialCriteria.map((p, i) => (
+              <div key={i} style={{ padding: 14, borderRadius: 14, background: '#f8fafc', border: '1px solid #e2e8f0', animation: 'fadeIn 0.3s ease' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+                  <span style={{ fontWeight: 800, fontSize: '0.78rem', color: '#64748b', textTransform: 'uppercase' }}>{p.name}</span>
+                  <span style={{ fontWeight: 900, fontSize: '0.85rem', color: criterionColor(p.score, rubric) }}>{p.score}/{rubric.scale.max}</span>
+                </div>
+                <p style={{ fontSize: '0.8rem', color: '#1e293b', margin: 0, lineHeight: 1.5 }}>{p.findings}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {results && (
         <div style={{ marginTop: 32 }}>
           {/* Health Dashboard */}
@@ -146,15 +211,33 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
             ))}
           </div>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 3fr', gap: 24, marginBottom: 24 }}>
-            <div style={{ background: getScoreColor(results.totalScore), borderRadius: 20, padding: 32, color: '#fff', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
+            <div style={{ background: scoreColor(results.totalScore, rubric), borderRadius: 20, padding: 32, color: '#fff', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
               <span style={{ fontSize: '0.75rem', fontWeight: 900, textTransform: 'uppercase', opacity: 0.8, marginBottom: 4 }}>OVERALL GRADE</span>
               <span style={{ fontSize: '4.5rem', fontWeight: 950, lineHeight: 1 }}>{results.grade}</span>
-              <span style={{ fontSize: '1rem', fontWeight: 800, marginTop: 8 }}>{results.totalScore}/30</span>
+              <span style={{ fontSize: '1rem', fontWeight: 800, marginTop: 8 }}>{results.totalScore}/{rubric.maxScore}</span>
+              {results.consistency && (
+                <span
+                  title={`95% interval for the total across ${results.consistency.samples} samples: ${results.consistency.totalScore.ci95[0]}-${results.consistency.totalScore.ci95[1]}`}
+                  style={{ marginTop: 10, fontSize: '0.65rem', fontWeight: 800, textTransform: 'uppercase', opacity: 0.9 }}
+                >
+                  {results.consistency.confidenceLevel} confidence · {Math.round(results.consistency.confidence * 100)}%
+                </span>
+              )}
+              {results.cache?.hit && (
+                <button
+                  onClick={() => handleEvaluate(true)}
+                  disabled={loading}
+                  title={`Cached result from ${new Date(results.cache.cachedAt).toLocaleString()}`}
+                  style={{ marginTop: 14, padding: '4px 12px', borderRadius: 20, border: '1px solid rgba(255,255,255,0.6)', background: 'rgba(255,255,255,0.15)', color: '#fff', fontSize: '0.65rem', fontWeight: 800, cursor: 'pointer' }}
+                >
+                  CACHED · RE-RUN
+                </button>
+              )}
             </div>
 
             <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
               <SectionHeader 
-                title="INVEST Criteria Analysis" 
+                title={`${rubric.name || 'INVEST'} Criteria Analysis`} 
                 isCollapsed={collapsed.criteria} 
                 onToggle={() => setCollapsed({...collapsed, criteria: !collapsed.criteria})}
                 icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#6366f1" strokeWidth="2.5"><path d="M12 2v20"/><path d="m5 15 7 7 7-7"/><path d="m5 9 7 7 7-7"/><path d="m5 3 7 7 7-7"/></svg>}
@@ -170,12 +253,25 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
                   )}
                   <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: 12 }}>
                     {results.parameters.map((p, i) => (
-                      <div key={i} style={{ padding: 14, borderRadius: 14, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+                      <div key={i} style={{ padding: 14, borderRadius: 14, background: '#f8fafc', border: `1px solid ${p.consistency?.unstable ? '#fde68a' : '#e2e8f0'}` }}>
                         <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
                           <span style={{ fontWeight: 800, fontSize: '0.78rem', color: '#64748b', textTransform: 'uppercase' }}>{p.name}</span>
-                          <span style={{ fontWeight: 900, fontSize: '0.85rem', color: getScoreColor(p.score * 6) }}>{p.score}/5</span>
+                          <span style={{ fontWeight: 900, fontSize: '0.85rem', color: criterionColor(p.score, rubric) }}>{p.score}/{rubric.scale.max}</span>
                         </div>
                         <p style={{ fontSize: '0.8rem', color: '#1e293b', margin: 0, lineHeight: 1.5 }}>{p.findings}</p>
+                        {p.consistency?.unstable && (
+                          <p style={{ fontSize: '0.7rem', color: '#d97706', fontWeight: 700, margin: '8px 0 0' }}>
+                            Model disagrees with itself (scores: {p.consistency.scores.join(', ')}) - review this finding
+                          </p>
+                        )}
+                        {onSplit && p.name === 'Small' && p.score < rubric.scale.max * 0.8 && (
+                          <button
+                            onClick={() => onSplit(userStory)}
+                            style={{ marginTop: 10, padding: '4px 12px', background: '#fdf4ff', color: '#a855f7', border: '1px solid #f0abfc', borderRadius: 8, fontSize: '0.7rem', fontWeight: 800, cursor: 'pointer' }}
+                          >
+                            SUGGEST SPLITS
+                          </button>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -184,6 +280,18 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
             </div>
           </div>
 
+          {results.lint?.findings.length > 0 && (
+            <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0', marginBottom: 24 }}>
+              <SectionHeader
+                title={`Story Lint · ${results.lint.summary.errors} errors, ${results.lint.summary.warnings} warnings`}
+                isCollapsed={collapsed.lint}
+                onToggle={() => setCollapsed({...collapsed, lint: !collapsed.lint})}
+                icon={<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#6366f1" strokeWidth="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/></svg>}
+              />
+              {!collapsed.lint && <LintFindings findings={results.lint.findings} />}
+            </div>
+          )}
+
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
             <div style={{ background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
               <SectionHeader 
@@ -239,13 +347,13 @@ const UserStoryEvaluator = ({ setServerBusy, initialValue }) => {
             {!collapsed.agentic && (
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
                 <div>
-                  {(results.grade !== 'A' || results.totalScore < 27) ? (
+                  {!isTopGrade(results, rubric) ? (
                     <RefinementPanel 
                       original={userStory} 
                       type="user_story" 
                       findings={results.parameters.map(p => p.findings).join(' ')} 
                       grade={results.grade} 
-                      onApply={(refined) => { setUserStory(refined); setResults(null); }}
+                      onApply={(refined, improvements) => { recordRefinement(refined, improvements); setUserStory(refined); setResults(null); }}
                     />
                   ) : (
                     <div style={{ marginTop: 24, padding: 20, background: '#f0fdf4', borderRadius: 16, border: '1px solid #86efac', display: 'flex', alignItems: 'center', gap: 12 }}>
@@ -3,12 +3,17 @@ import { fetchWithRetry } from '../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
-const UserStoryGenerator = ({ setServerBusy, onAnalyze }) => {
+const UserStoryGenerator = ({ setServerBusy, onAnalyze, onCheckCriteria, initialResults }) => {
   const [feature, setFeature] = useState('');
-  const [results, setResults] = useState(null);
+  const [results, setResults] = useState(initialResults || null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Stories handed over from another screen (e.g. a story split) are shown as if generated
+  React.useEffect(() => {
+    if (initialResults) setResults(initialResults);
+  }, [initialResults]);
+
   const handleGenerate = async () => {
     if (!feature.trim()) return;
     setLoading(true); setError(null);
@@ -80,6 +85,13 @@ const UserStoryGenerator = ({ setServerBusy, onAnalyze }) => {
                   <span style={{ fontSize: '0.65rem', fontWeight: 900, background: '#f0fdf4', color: '#10b981', padding: '4px 10px', borderRadius: 12, border: '1px solid #bbf7d0' }}>{story.storyPoints} POINTS</span>
                 </div>
                 <p style={{ fontSize: '0.9rem', color: '#4b5563', lineHeight: 1.6, marginBottom: 16, background: '#f8fafc', padding: 16, borderRadius: 12 }}>{story.description}</p>
+                {story.acceptanceCriteria?.length > 0 && (
+                  <ul style={{ margin: '0 0 16px', paddingLeft: 20 }}>
+                    {story.acceptanceCriteria.map((ac, idx) => (
+                      <li key={idx} style={{ fontSize: '0.82rem', color: '#475569', lineHeight: 1.6 }}>{ac}</li>
+                    ))}
+                  </ul>
+                )}
                 {story.analysis && (
                   <div style={{ marginTop: 20, padding: 16, background: '#f8fafc', borderRadius: 12, border: '1px solid #e2e8f0' }}>
                     <p style={{ fontSize: '0.7rem', fontWeight: 900, color: '#64748b', textTransform: 'uppercase', marginBottom: 10, letterSpacing: '0.05em' }}>INVEST ANALYSIS</p>
@@ -98,7 +110,20 @@ const UserStoryGenerator = ({ setServerBusy, onAnalyze }) => {
                   </div>
                 )}
 
-                <div style={{ marginTop: 16, display: 'flex', justifyContent: 'flex-end' }}>
+                <div style={{ marginTop: 16, display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+                   {onCheckCriteria && story.acceptanceCriteria?.length > 0 && (
+                     <button
+                       onClick={() => onCheckCriteria(story.description, story.acceptanceCriteria)}
+                       style={{
+                         padding: '6px 14px', background: '#f0fdfa', color: '#0f766e',
+                         border: '1px solid #99f6e4', borderRadius: 8, fontSize: '0.75rem',
+                         fontWeight: 800, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 6
+                       }}
+                     >
+                       <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3"><path d="M9 11l3 3L22 4"/></svg>
+                       CHECK ACCEPTANCE CRITERIA
+                     </button>
+                   )}
                    <button 
                      onClick={() => onAnalyze(story.description)}
                      style={{ 
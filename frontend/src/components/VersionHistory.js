@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { fetchWithRetry } from '../utils/api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const SOURCE_LABELS = { original: 'Original', edit: 'Edited', refinement: 'Refined' };
+
+const deltaColor = (delta) => (delta > 0 ? '#10b981' : delta < 0 ? '#ef4444' : '#94a3b8');
+const formatDelta = (delta) => (delta === null ? '-' : delta > 0 ? `+${delta}` : `${delta}`);
+
+const DiffText = ({ ops }) => (
+  <p style={{ margin: 0, padding: 14, background: '#f8fafc', borderRadius: 12, border: '1px solid #e2e8f0', fontSize: '0.85rem', lineHeight: 1.7, color: '#1e293b', whiteSpace: 'pre-wrap' }}>
+    {ops.map((op, i) => (
+      op.op === 'equal' ? <span key={i}>{op.text}</span>
+        : op.op === 'insert' ? <ins key={i} style={{ background: '#dcfce7', color: '#166534', textDecoration: 'none', borderRadius: 3 }}>{op.text}</ins>
+          : <del key={i} style={{ background: '#fee2e2', color: '#991b1b', borderRadius: 3 }}>{op.text}</del>
+    ))}
+  </p>
+);
+
+const FindingList = ({ title, findings, color }) => (
+  <div style={{ flex: 1 }}>
+    <p style={{ margin: '0 0 6px', fontSize: '0.7rem', fontWeight: 900, color, textTransform: 'uppercase' }}>{title} ({findings.length})</p>
+    {findings.length === 0 ? (
+      <p style={{ margin: 0, fontSize: '0.75rem', color: '#94a3b8' }}>None</p>
+    ) : (
+      <ul style={{ margin: 0, paddingLeft: 18 }}>
+        {findings.map(f => (
+          <li key={f.key} style={{ fontSize: '0.78rem', color: '#475569', marginBottom: 4, lineHeight: 1.4 }}>
+            <strong>{f.kind === 'criterion' ? f.criterion : f.ruleId}:</strong> {f.message}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * The version chain of the artifact being evaluated (v1 → v2 → v3) and the difference between two
+ * versions: a word diff of the text, the total and per-criterion score changes, and which findings
+ * were resolved or newly introduced.
+ */
+const VersionHistory = ({ artifact }) => {
+  const versions = artifact.versions;
+  const latest = versions[versions.length - 1].version;
+  const [range, setRange] = useState({ from: Math.max(latest - 1, 1), to: latest });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Follow the newest version as the chain grows
+  useEffect(() => {
+    setRange({ from: Math.max(latest - 1, 1), to: latest });
+  }, [latest]);
+
+  // Re-fetch when a version in range gets (re-)evaluated
+  const evaluatedAt = versions.map(v => v.evaluatedAt).join('|');
+  useEffect(() => {
+    setError(null);
+    fetchWithRetry(`${BACKEND_URL}/artifacts/${artifact.id}/diff?from=${range.from}&to=${range.to}`, {}, 1)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`Status ${res.status}`))))
+      .then(setDiff)
+      .catch(() => { setDiff(null); setError('Could not load the version diff.'); });
+  }, [artifact.id, range.from, range.to, evaluatedAt]);
+
+  return (
+    <div style={{ marginTop: 24, background: '#fff', borderRadius: 20, padding: 24, border: '1px solid #e5e7f0' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 16 }}>
+        <h4 style={{ margin: 0, fontSize: '0.85rem', fontWeight: 900, color: '#1a1a2e', textTransform: 'uppercase', letterSpacing: '0.04em' }}>Version History</h4>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+          {versions.map((v, i) => (
+            <React.Fragment key={v.version}>
+              {i > 0 && <span style={{ color: '#cbd5e1', fontWeight: 900 }}>→</span>}
+              <button
+                onClick={() => setRange({ from: Math.max(v.version - 1, 1), to: v.version })}
+                title={`${SOURCE_LABELS[v.source] || v.source} ${new Date(v.createdAt).toLocaleString()}`}
+                style={{
+                  padding: '4px 10px', borderRadius: 20, fontSize: '0.7rem', fontWeight: 800, cursor: 'pointer',
+                  border: `1.5px solid ${v.version === range.to ? '#6366f1' : v.version === range.from ? '#a5b4fc' : '#e2e8f0'}`,
+                  background: v.version === range.to ? '#eef2ff' : '#fff', color: '#3730a3'
+                }}
+              >
+                v{v.version}{v.grade ? ` · ${v.grade} ${v.score}` : ' · not evaluated'}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+
+      <p style={{ margin: '0 0 10px', fontSize: '0.72rem', color: '#64748b', fontWeight: 700 }}>
+        Comparing v{range.from} with v{range.to}
+        {versions[range.to - 1].notes && ` · ${versions[range.to - 1].notes.join('; ')}`}
+      </p>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '0.8rem' }}>{error}</p>}
+
+      {diff && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+          <DiffText ops={diff.text} />
+
+          {diff.scores ? (
+            <>
+              <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+                <div style={{ padding: '10px 16px', borderRadius: 12, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+                  <p style={{ margin: 0, fontSize: '0.65rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase' }}>Total</p>
+                  <p style={{ margin: '2px 0 0', fontSize: '1rem', fontWeight: 900, color: '#1e293b' }}>
+                    {diff.scores.total.from} → {diff.scores.total.to}{' '}
+                    <span style={{ color: deltaColor(diff.scores.total.delta) }}>({formatDelta(diff.scores.total.delta)})</span>
+                  </p>
+                  <p style={{ margin: 0, fontSize: '0.7rem', color: '#64748b', fontWeight: 700 }}>Grade {diff.scores.grade.from} → {diff.scores.grade.to}</p>
+                </div>
+                {diff.scores.criteria.map(c => (
+                  <div key={c.name} style={{ padding: '10px 14px', borderRadius: 12, background: '#f8fafc', border: '1px solid #e2e8f0' }}>
+                    <p style={{ margin: 0, fontSize: '0.65rem', fontWeight: 900, color: '#94a3b8', textTransform: 'uppercase' }}>{c.name}</p>
+                    <p style={{ margin: '2px 0 0', fontSize: '0.85rem', fontWeight: 800, color: '#1e293b' }}>
+                      {c.from ?? '-'} → {c.to ?? '-'} <span style={{ color: deltaColor(c.delta) }}>{formatDelta(c.delta)}</span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+              <div style={{ display: 'flex', gap: 24 }}>
+                <FindingList title="Resolved" findings={diff.findings.resolved} color="#10b981" />
+                <FindingList title="Introduced" findings={diff.findings.introduced} color="#ef4444" />
+              </div>
+            </>
+          ) : (
+            <p style={{ margin: 0, fontSize: '0.78rem', color: '#94a3b8' }}>Evaluate v{range.to} to compare its scores and findings with v{range.from}.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
+import { fetchWithRetry } from '../../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -25,11 +26,11 @@ const AgentChat = ({ artifact, type, evaluation }) => {
     setLoading(true);
 
     try {
-      const response = await fetch(`${BACKEND_URL}/agentic/chat`, {
+      const response = await fetchWithRetry(`${BACKEND_URL}/agentic/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ artifact, type, evaluation, userQuestion: userMsg })
-      });
+      }, 1);
       const data = await response.json();
       if (response.ok) {
         setMessages(prev => [...prev, { role: 'assistant', content: data.response }]);
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { fetchWithRetry } from '../../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -16,11 +17,11 @@ const MultiAgentDashboard = ({ artifact, type }) => {
     const fetchReview = async () => {
       setLoading(true);
       try {
-        const response = await fetch(`${BACKEND_URL}/agentic/multi-agent-eval`, {
+        const response = await fetchWithRetry(`${BACKEND_URL}/agentic/multi-agent-eval`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ artifact, type })
-        });
+        }, 1);
         const data = await response.json();
         if (response.ok) setReport(data);
         else setError(data.error);
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { fetchWithRetry } from '../../utils/api';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
@@ -11,11 +12,11 @@ const RefinementPanel = ({ original, type, findings, grade, onApply }) => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${BACKEND_URL}/agentic/refine`, {
+      const response = await fetchWithRetry(`${BACKEND_URL}/agentic/refine`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ artifact: original, type, findings, grade })
-      });
+      }, 1);
       const data = await response.json();
       if (response.ok) {
         setRefined(data);
@@ -83,7 +84,7 @@ const RefinementPanel = ({ original, type, findings, grade, onApply }) => {
 
           <div style={{ display: 'flex', gap: 12 }}>
             <button 
-              onClick={() => refined.refinedContent && onApply && onApply(refined.refinedContent.substring(0, 10000))}
+              onClick={() => refined.refinedContent && onApply && onApply(refined.refinedContent.substring(0, 10000), refined.improvementsMade)}
               disabled={!refined.refinedContent}
               style={{ flex: 1, padding: '10px', background: '#10b981', color: '#fff', border: 'none', borderRadius: 8, fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6, opacity: !refined.refinedContent ? 0.5 : 1 }}
             >
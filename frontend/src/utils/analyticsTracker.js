@@ -1,5 +1,6 @@
 import { db } from '../firebase';
 import { collection, addDoc } from 'firebase/firestore';
+import { currentUserName } from './auth';
 
 export const trackEvaluation = async (type, artifact, results) => {
   try {
@@ -12,12 +13,15 @@ export const trackEvaluation = async (type, artifact, results) => {
       timestamp: new Date().toISOString(),
       time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
       type: type,
+      user: currentUserName(), // null when the backend does not require sign-in
       score: results.totalScore || 0,
       maxScore: type === 'User Story' ? 30 : 25,
       grade: results.grade || (results.totalScore >= 20 ? 'B' : 'C'),
       deepEval: results.metrics ? 'Enabled' : 'Disabled',
       artifactPreview: (artifact || '').substring(0, 80) + '...',
-      timeSaved: type === 'User Story' ? 45 : 30 // minutes saved per artifact vs manual
+      timeSaved: type === 'User Story' ? 45 : 30, // minutes saved per artifact vs manual
+      aiCost: results.usage ? results.usage.cost : 0, // metered LLM spend in USD (0 for cache hits)
+      tokens: results.usage ? results.usage.totalTokens : 0
     };
     
     // Save to local storage for Daily Tracker
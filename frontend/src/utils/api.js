@@ -1,11 +1,71 @@
+// Attributes token usage to a team in the backend's /usage ledger
+const TEAM_ID = process.env.REACT_APP_TEAM_ID;
+
+// The project every evaluation and generation is scoped to (sent as X-Project-Id)
+const PROJECT_KEY = 'qa_agent_project';
+
+export const getActiveProject = () => localStorage.getItem(PROJECT_KEY) || null;
+
+export const setActiveProject = (id) => {
+  if (id) localStorage.setItem(PROJECT_KEY, id);
+  else localStorage.removeItem(PROJECT_KEY);
+};
+
+// The signed-in user's session ({ token, user }), sent as a Bearer token
+const SESSION_KEY = 'qa_agent_session';
+export const SESSION_ENDED_EVENT = 'qa-agent-session-ended';
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const setSession = (session) => {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+};
+
+const withScopeHeaders = (options) => {
+  const project = getActiveProject();
+  const session = getSession();
+  if (!TEAM_ID && !project && !session) return options;
+  return {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(TEAM_ID ? { 'X-Team-Id': TEAM_ID } : {}),
+      ...(project ? { 'X-Project-Id': project } : {}),
+      ...(session ? { Authorization: `Bearer ${session.token}` } : {})
+    }
+  };
+};
+
 export const fetchWithRetry = async (url, options = {}, retries = 5, delay = 8000, onRetry = null) => {
+  const request = withScopeHeaders(options);
   for (let i = 0; i < retries; i++) {
     try {
-      const res = await fetch(url, options);
-      // Render free tier often returns 502/503 when spinning up
-      if (res.status === 502 || res.status === 503 || res.status === 504) {
+      const res = await fetch(url, request);
+      // The session expired or the account was removed: sign out so the app can ask to sign in again
+      if (res.status === 401 && getSession()) {
+        setSession(null);
+        window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+      }
+      // Render free tier often returns 502/503 when spinning up. A JSON 502 is the backend's own answer
+      // (the model's output stayed invalid after its corrective retries), so it goes back to the caller
+      const fromBackend = (res.headers.get('Content-Type') || '').includes('application/json');
+      if ((res.status === 502 && !fromBackend) || res.status === 503 || res.status === 504) {
         throw new Error(`Server is starting up (Status: ${res.status})`);
       }
+      // The backend's LLM queue is rate limited; wait as long as it asks before retrying
+      const retryAfter = parseInt(res.headers.get('Retry-After'), 10);
+      if (res.status === 429 && retryAfter > 0 && i < retries - 1) {
+        if (onRetry) onRetry(retries - i - 1);
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+        continue;
+      }
       return res; // Success or other expected status codes
     } catch (err) {
       if (i === retries - 1) {
@@ -19,3 +79,52 @@ export const fetchWithRetry = async (url, options = {}, retries = 5, delay = 800
     }
   }
 };
+
+// Reads a Server-Sent Events response from a POST endpoint, calling onEvent(event, data) for each
+// frame. Resolves with the final `result` payload; rejects with the payload of an `error` event.
+export const streamEvents = async (url, body, onEvent, onRetry = null) => {
+  const res = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body)
+  }, 6, 10000, onRetry);
+
+  // Validation errors are returned as plain JSON before the stream starts
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || `Request failed (${res.status})`), { data });
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      frame.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) continue; // heartbeat comment
+
+      const payload = JSON.parse(data);
+      if (event === 'error') throw Object.assign(new Error(payload.error || 'Request failed'), { data: payload });
+      if (event === 'result') result = payload;
+      onEvent(event, payload);
+    }
+  }
+
+  if (!result) throw new Error('Stream ended before a result was received');
+  return result;
+};
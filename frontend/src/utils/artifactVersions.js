@@ -0,0 +1,58 @@
+import { useCallback, useState } from 'react';
+import { fetchWithRetry } from './api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+const sendJson = async (url, method, body) => {
+  const res = await fetchWithRetry(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, 1);
+  if (!res.ok) throw new Error(`Request failed (${res.status})`);
+  return res.json();
+};
+
+/**
+ * Keeps the artifact on screen as a version chain on the server (`/artifacts`). The first
+ * evaluation creates version 1; evaluating changed text adds an `edit` version, and applying a
+ * refinement adds a `refinement` version that gets its evaluation once it is evaluated.
+ * Versioning is best effort: if the server has history disabled, `artifact` stays null.
+ */
+export const useArtifactVersions = (type) => {
+  const [artifact, setArtifact] = useState(null);
+
+  const replaceVersion = (version) => setArtifact(prev => prev && ({
+    ...prev,
+    versions: prev.versions.some(v => v.version === version.version)
+      ? prev.versions.map(v => (v.version === version.version ? version : v))
+      : [...prev.versions, version]
+  }));
+
+  const recordEvaluation = async (content, evaluation) => {
+    try {
+      if (!artifact) {
+        setArtifact(await sendJson(`${BACKEND_URL}/artifacts`, 'POST', { type, content, evaluation }));
+        return;
+      }
+      const latest = artifact.versions[artifact.versions.length - 1];
+      replaceVersion(latest.content === content
+        ? await sendJson(`${BACKEND_URL}/artifacts/${artifact.id}/versions/${latest.version}/evaluation`, 'PUT', { evaluation })
+        : await sendJson(`${BACKEND_URL}/artifacts/${artifact.id}/versions`, 'POST', { content, source: 'edit', evaluation }));
+    } catch (err) {
+      console.warn('Could not record artifact version:', err.message);
+    }
+  };
+
+  const recordRefinement = async (content, notes) => {
+    if (!artifact) return;
+    try {
+      replaceVersion(await sendJson(`${BACKEND_URL}/artifacts/${artifact.id}/versions`, 'POST', {
+        content, source: 'refinement', ...(Array.isArray(notes) ? { notes } : {})
+      }));
+    } catch (err) {
+      console.warn('Could not record refinement:', err.message);
+    }
+  };
+
+  // Starts a new artifact, e.g. when the text is cleared or another story is loaded
+  const resetArtifact = useCallback(() => setArtifact(null), []);
+
+  return { artifact, recordEvaluation, recordRefinement, resetArtifact };
+};
@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchWithRetry, getSession, setSession, SESSION_ENDED_EVENT } from './api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// Takes the session (or error) an OIDC sign-in hands back in the URL fragment, and clears it from the address bar
+const takeRedirectResult = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  if (!params.has('session') && !params.has('authError')) return {};
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  return { token: params.get('session'), error: params.get('authError') };
+};
+
+// The signed-in user's display name, for attributing tracked evaluations
+export const currentUserName = () => {
+  const session = getSession();
+  return session && session.user ? session.user.displayName || session.user.username : null;
+};
+
+/**
+ * The backend's sign-in requirements (`/auth/config`) and the signed-in user. `required` is true
+ * when the backend enforces accounts; the app then shows the sign-in screen until a user signs in.
+ */
+export const useAuth = () => {
+  const [config, setConfig] = useState(null);
+  const [user, setUser] = useState(() => (getSession() || {}).user || null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const { token, error: redirectError } = takeRedirectResult();
+    if (redirectError) setError(redirectError);
+
+    fetchWithRetry(`${BACKEND_URL}/auth/config`, {}, 3, 5000)
+      .then(res => (res.ok ? res.json() : { mode: 'off', providers: [] }))
+      .then(setConfig)
+      .catch(() => setConfig({ mode: 'off', providers: [] }));
+
+    // Confirm the stored (or just handed back) session is still valid and pick up role changes
+    if (token) setSession({ token, user: null });
+    if (!getSession()) return;
+    fetchWithRetry(`${BACKEND_URL}/auth/me`, {}, 1)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!data) return;
+        setSession({ ...getSession(), user: data.user });
+        setUser(data.user);
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const ended = () => setUser(null);
+    window.addEventListener(SESSION_ENDED_EVENT, ended);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, ended);
+  }, []);
+
+  const signIn = useCallback(async (username, password) => {
+    setError(null);
+    const res = await fetchWithRetry(`${BACKEND_URL}/auth/login`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password })
+    }, 1);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Sign-in failed');
+    setSession({ token: data.token, user: data.user });
+    setUser(data.user);
+  }, []);
+
+  const signOut = useCallback(() => {
+    setSession(null);
+    setUser(null);
+  }, []);
+
+  // Sends the browser to the identity provider; it comes back with the session in the URL fragment
+  const signInWith = useCallback((providerId) => {
+    window.location.href = `${BACKEND_URL}/auth/oidc/${providerId}/login?redirect=${encodeURIComponent(window.location.origin + window.location.pathname)}`;
+  }, []);
+
+  return { config, required: !!config && config.mode === 'required', user, error, signIn, signInWith, signOut };
+};
@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchWithRetry, getActiveProject, setActiveProject } from './api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+/**
+ * Loads the projects (`/projects`) the workbench can be scoped to. An active project that no
+ * longer exists is cleared, so requests do not keep sending its X-Project-Id.
+ */
+export const useProjects = () => {
+  const [projects, setProjects] = useState([]);
+  const [available, setAvailable] = useState(true);
+
+  const reload = useCallback(() => fetchWithRetry(`${BACKEND_URL}/projects`, {}, 1)
+    .then(res => (res.ok ? res.json() : Promise.reject(new Error(`Status ${res.status}`))))
+    .then(data => {
+      setProjects(data.projects);
+      setAvailable(true);
+      const active = getActiveProject();
+      if (active && !data.projects.some(p => p.id === active)) setActiveProject(null);
+    })
+    .catch(() => { setProjects([]); setAvailable(false); }), []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  return { projects, available, reload };
+};
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { fetchWithRetry } from './api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// Used for results that predate rubrics (e.g. older tracked evaluations)
+export const DEFAULT_RUBRICS = {
+  user_story: { id: 'invest', criteria: ['Independent', 'Negotiable', 'Valuable', 'Estimable', 'Small', 'Testable'].map(name => ({ name, weight: 1 })), scale: { min: 1, max: 5 }, maxScore: 30, grades: [{ grade: 'A', min: 27 }, { grade: 'B', min: 22 }, { grade: 'C', min: 16 }, { grade: 'D', min: 0 }] },
+  test_case: { id: 'test-case-quality', criteria: ['Clarity', 'Requirements Traceability', 'Accuracy', 'Completeness', 'Coverage'].map(name => ({ name, weight: 1 })), scale: { min: 1, max: 5 }, maxScore: 25, grades: [{ grade: 'A', min: 22 }, { grade: 'B', min: 16 }, { grade: 'C', min: 11 }, { grade: 'D', min: 0 }] }
+};
+
+// Grade bands from the top: green, blue, amber; the lowest band is always red
+const BAND_COLORS = ['#10b981', '#3b82f6', '#f59e0b'];
+const LOWEST_BAND_COLOR = '#ef4444';
+
+export const rubricFor = (result, type) => (result && result.rubric) || DEFAULT_RUBRICS[type];
+
+// Color of a total score, from the rubric's grade band it falls into
+export const scoreColor = (total, rubric) => {
+  const index = rubric.grades.findIndex(g => total >= g.min);
+  if (index === -1 || index === rubric.grades.length - 1) return LOWEST_BAND_COLOR;
+  return BAND_COLORS[index] || BAND_COLORS[BAND_COLORS.length - 1];
+};
+
+// Color of a single criterion score, as if every criterion had scored the same
+export const criterionColor = (score, rubric) => scoreColor((score / rubric.scale.max) * rubric.maxScore, rubric);
+
+// True when the result reached the rubric's top grade band
+export const isTopGrade = (result, rubric) => result.grade === rubric.grades[0].grade;
+
+// Loads the rubrics available for an artifact type (`user_story` or `test_case`)
+export const useRubrics = (type) => {
+  const [rubrics, setRubrics] = useState([]);
+
+  useEffect(() => {
+    fetchWithRetry(`${BACKEND_URL}/rubrics?type=${type}`, {}, 1)
+      .then(res => (res.ok ? res.json() : { rubrics: [] }))
+      .then(data => setRubrics((data.rubrics || []).filter(r => !r.error)))
+      .catch(() => setRubrics([]));
+  }, [type]);
+
+  return rubrics;
+};